@@ -4,6 +4,8 @@ class AprilTagWebApp {
         this.canvas = document.getElementById('canvas');
         this.ctx = this.canvas.getContext('2d');
         this.stream = null;
+        this.cameraReopening = false; // see restartCamera
+        this.cameraReopenPending = false;
         this.detectionActive = false;
         this.animationFrame = null;
         
@@ -12,20 +14,64 @@ class AprilTagWebApp {
             fx: 800, // focal length x
             fy: 800, // focal length y
             cx: 320, // principal point x
-            cy: 240  // principal point y
+            cy: 240, // principal point y
+            width: 640, // resolution the values above refer to
+            height: 480
         };
+        this.distortionCoefficients = LensDistortion.normalize(null);
+        this.cameraModelEstimated = true; // until calibrated or set by hand
+        this.calibrationStore = new CalibrationStore();
+
+        // Undistorted preview, with the pixel map cached per camera model
+        this.undistortPreview = false;
+        this.undistortMap = null;
+        this.undistortMapKey = null;
         
         this.detectedTags = new Map();
-        this.detector = new AprilTagDetector();
+        this.latestDetections = [];
+        this.bundles = []; // rigid tag groups, see src/bundle.js
+        this.latestBundles = [];
+        this.tagMap = null; // families, sizes and world poses per tag, see src/tag-map.js
+        // Filtered poses across frames, see src/tracker.js
+        this.tracker = new PoseTracker({}, detection => this.tagKey(detection));
+        this.bundleTracker = new PoseTracker({}, bundle => bundle.name);
+        this.recorder = new PoseRecorder();
+        // Live stream of every frame to a local consumer, see src/pose-publisher.js
+        this.publisher = new PosePublisher();
+        this.detector = new WorkerDetector();
+        this.previewFrame = null;
+
+        // Image or video file analyzed instead of the camera ('image' or
+        // 'video'), see src/ui/media-file-panel.js
+        this.fileSource = null;
+        this.imageCanvas = null;
         
         this.initializeEventListeners();
+        this.cameraPanel = new CameraPanel(this);
+        this.calibrationPanel = new CalibrationPanel(this);
+        this.cameraModelPanel = new CameraModelPanel(this);
+        this.backendPanel = new BackendPanel(this);
+        this.tagTable = new TagTable(this);
+        this.bundlePanel = new BundlePanel(this);
+        this.tagMapPanel = new TagMapPanel(this);
+        this.localizationPanel = new LocalizationPanel(this);
+        this.mapBuilderPanel = new MapBuilderPanel(this);
+        this.measurementPanel = new MeasurementPanel(this);
+        this.mediaFilePanel = new MediaFilePanel(this);
+        this.recordingPanel = new RecordingPanel(this);
+        this.publisherPanel = new PublisherPanel(this);
+        this.poseOverlay = new PoseOverlay(this);
+        this.sceneView = new SceneView(this);
+        // Last, since restoring a profile sets up the other panels
+        this.settingsPanel = new SettingsPanel(this);
         this.initializeDetector();
     }
 
     async initializeDetector() {
         try {
             await this.detector.initialize();
-            this.updateStatus('Detector initialized - ready to start camera');
+            const thread = this.detector.usingWorker ? 'in a worker' : 'on the main thread';
+            this.updateStatus(`Detector initialized ${thread} - ready to start camera`);
         } catch (error) {
             this.updateStatus(`Failed to initialize detector: ${error.message}`, 'error');
         }
@@ -42,6 +88,12 @@ class AprilTagWebApp {
         document.getElementById('decimate').addEventListener('change', () => this.updateDetectorParameters());
         document.getElementById('blur').addEventListener('change', () => this.updateDetectorParameters());
         document.getElementById('refineEdges').addEventListener('change', () => this.updateDetectorParameters());
+        document.getElementById('unknownTags').addEventListener('change', () => this.updateDetectorParameters());
+
+        ['trackingFilter', 'positionNoise', 'motionNoise', 'rotationSmoothing', 'holdTime'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateTrackerParameters());
+        });
+        this.updateTrackerParameters();
         
         // Update camera parameters when video dimensions change
         this.video.addEventListener('loadedmetadata', () => {
@@ -55,40 +107,118 @@ class AprilTagWebApp {
             tagSize: parseFloat(document.getElementById('tagSize').value),
             decimate: parseInt(document.getElementById('decimate').value),
             blur: parseFloat(document.getElementById('blur').value),
-            refineEdges: document.getElementById('refineEdges').checked
+            refineEdges: document.getElementById('refineEdges').checked,
+            tagMap: this.tagMap,
+            unknownTags: document.getElementById('unknownTags').value,
+            cameraMatrix: this.cameraMatrix,
+            distortion: this.distortionCoefficients
         };
         
         this.detector.setParameters(params);
     }
 
+    updateTrackerParameters() {
+        const options = {
+            filter: document.getElementById('trackingFilter').value,
+            measurementNoise: parseFloat(document.getElementById('positionNoise').value) / 1000,
+            processNoise: parseFloat(document.getElementById('motionNoise').value),
+            rotationSmoothing: parseFloat(document.getElementById('rotationSmoothing').value),
+            holdTime: parseFloat(document.getElementById('holdTime').value)
+        };
+
+        this.tracker.setOptions(options);
+        this.bundleTracker.setOptions(options);
+    }
+
     updateCameraParameters() {
-        const width = this.video.videoWidth;
-        const height = this.video.videoHeight;
+        const { element, width, height } = this.frameSource();
         
         // Update canvas size
         this.canvas.width = width;
         this.canvas.height = height;
-        this.canvas.style.width = this.video.offsetWidth + 'px';
-        this.canvas.style.height = this.video.offsetHeight + 'px';
-        
+        this.canvas.style.width = element.offsetWidth + 'px';
+        this.canvas.style.height = element.offsetHeight + 'px';
+        
+        // Prefer the stored calibration of this camera, then the camera
+        // model of the settings profile, over a guess
+        const calibration = this.calibrationStore.load(this.cameraDeviceId(), { width, height });
+        const model = calibration ? null : this.settingsPanel.cameraModel({ width, height });
+        if (calibration) {
+            this.applyCalibration(calibration);
+            const from = calibration.scaledFrom;
+            this.updateStatus(from
+                ? `Using stored calibration for this camera, scaled from ${from.width} x ${from.height}`
+                : 'Using stored calibration for this camera');
+        } else if (model) {
+            this.applyCalibration(model);
+            this.updateStatus(`Using the camera model of profile ${this.settingsPanel.name}`);
+        } else {
+            this.estimateCameraParameters(width, height);
+        }
+    }
+
+    estimateCameraParameters(width, height) {
         // Estimate camera parameters based on video dimensions
         this.cameraMatrix.fx = width * 0.8; // rough estimate
         this.cameraMatrix.fy = width * 0.8;
         this.cameraMatrix.cx = width / 2;
         this.cameraMatrix.cy = height / 2;
+        this.cameraMatrix.width = width;
+        this.cameraMatrix.height = height;
+        this.distortionCoefficients = LensDistortion.normalize(null);
+        this.cameraModelEstimated = true;
+        this.cameraModelPanel.show(this.cameraMatrix, this.distortionCoefficients);
+    }
+
+    cameraDeviceId() {
+        if (this.demoCanvas) return 'demo';
+        if (this.fileSource) return 'file';
+        const track = this.stream && this.stream.getVideoTracks()[0];
+        return (track && track.getSettings().deviceId) || 'default';
+    }
+
+    applyCalibration(calibration, { save = false } = {}) {
+        Object.assign(this.cameraMatrix, calibration.camera);
+        this.distortionCoefficients = LensDistortion.normalize(calibration.distortion);
+        this.cameraModelEstimated = false;
+        this.updateDetectorParameters();
+        this.cameraModelPanel.show(this.cameraMatrix, this.distortionCoefficients);
+
+        if (save) {
+            this.calibrationStore.save(this.cameraDeviceId(), {
+                camera: calibration.camera,
+                distortion: calibration.distortion,
+                rms: calibration.rms
+            });
+            this.cameraPanel.updateDevices();
+        }
+    }
+
+    // Manual override of the intrinsics (at the current resolution) and
+    // lens distortion
+    setCameraModel(camera, distortion) {
+        Object.assign(this.cameraMatrix, camera);
+        this.distortionCoefficients = distortion;
+        this.cameraModelEstimated = false;
+        this.updateDetectorParameters();
+    }
+
+    forgetCalibration() {
+        this.calibrationStore.remove(this.cameraDeviceId());
+        this.cameraPanel.updateDevices();
+        this.estimateCameraParameters(this.canvas.width, this.canvas.height);
+        this.updateDetectorParameters();
     }
 
     async startCamera() {
         try {
             this.stream = await navigator.mediaDevices.getUserMedia({
-                video: { 
-                    width: { ideal: 640 },
-                    height: { ideal: 480 }
-                }
+                video: this.cameraPanel.constraints()
             });
             
             this.video.srcObject = this.stream;
             this.video.play();
+            this.cameraPanel.attach(this.stream.getVideoTracks()[0]);
             
             document.getElementById('startCamera').disabled = true;
             document.getElementById('stopCamera').disabled = false;
@@ -97,6 +227,7 @@ class AprilTagWebApp {
             
             // Start detection loop
             this.detectionActive = true;
+            this.detector.resetStats();
             this.detectTags();
             
         } catch (error) {
@@ -104,6 +235,49 @@ class AprilTagWebApp {
         }
     }
 
+    // Reopen the running camera with the device and presets picked in the
+    // camera panel; detection carries on with the new stream
+    async restartCamera() {
+        if (this.cameraReopening) {
+            // Changed again while reopening: reopen once more when done
+            this.cameraReopenPending = true;
+            return;
+        }
+        if (!this.stream) return;
+
+        this.cameraReopening = true;
+        try {
+            do {
+                this.cameraReopenPending = false;
+                // Phones often cannot open a second camera while one is running
+                if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+                this.stream = null;
+                try {
+                    this.stream = await navigator.mediaDevices.getUserMedia({
+                        video: this.cameraPanel.constraints()
+                    });
+                } catch (error) {
+                    this.stopCamera();
+                    this.updateStatus(`Error accessing camera: ${error.message}`, 'error');
+                    return;
+                }
+                // Stopped while the camera was opening
+                if (!this.detectionActive) {
+                    this.stream.getTracks().forEach(track => track.stop());
+                    this.stream = null;
+                    return;
+                }
+            } while (this.cameraReopenPending);
+        } finally {
+            this.cameraReopening = false;
+        }
+
+        this.video.srcObject = this.stream;
+        this.video.play();
+        this.cameraPanel.attach(this.stream.getVideoTracks()[0]);
+        this.resetTracking();
+    }
+
     startDemoMode() {
         // Create a demo video feed with simulated AprilTags
         this.createDemoCanvas();
@@ -111,10 +285,12 @@ class AprilTagWebApp {
         document.getElementById('startCamera').disabled = true;
         document.getElementById('stopCamera').disabled = false;
         
-        this.updateStatus('Demo mode started - simulated detection active');
+        this.updateStatus('Demo mode started - synthetic tags at known poses');
         
-        // Start detection loop with demo data
+        // Start the demo animation and the detection loop
         this.detectionActive = true;
+        this.detector.resetStats();
+        this.animateDemoScene();
         this.detectTags();
     }
 
@@ -130,6 +306,8 @@ class AprilTagWebApp {
         
         this.demoCanvas = demoCanvas;
         this.demoCtx = demoCanvas.getContext('2d');
+        this.demoFrame = 0;
+        this.demoTruth = null;
         
         // Set up demo canvas to look like video
         demoCanvas.style.border = this.video.style.border;
@@ -143,85 +321,88 @@ class AprilTagWebApp {
         this.canvas.style.height = demoCanvas.offsetHeight + 'px';
         
         // Update camera parameters for demo
-        this.cameraMatrix.fx = 640 * 0.8;
-        this.cameraMatrix.fy = 640 * 0.8;
-        this.cameraMatrix.cx = 320;
-        this.cameraMatrix.cy = 240;
-        
-        // Start demo animation
-        this.animateDemoScene();
+        this.estimateCameraParameters(640, 480);
     }
 
+    // The demo scene is rendered by src/synthetic.js: tags 0 and 1 of the
+    // selected family, at the Tag Size, seen through the current camera
+    // model, so detections and poses can be checked against the truth
     animateDemoScene() {
-        if (!this.detectionActive) return;
-        
-        const ctx = this.demoCtx;
-        const time = Date.now() / 1000;
-        
-        // Clear canvas with gray background
-        ctx.fillStyle = '#e0e0e0';
-        ctx.fillRect(0, 0, 640, 480);
-        
-        // Draw simulated AprilTags
-        const tag1X = 200 + Math.sin(time * 0.5) * 50;
-        const tag1Y = 200 + Math.cos(time * 0.3) * 30;
-        const tag1Rotation = time * 0.2;
-        
-        const tag2X = 450 + Math.sin(time * 0.7) * 40;
-        const tag2Y = 280 + Math.cos(time * 0.4) * 40;
-        const tag2Rotation = -time * 0.15;
-        
-        this.drawDemoTag(ctx, tag1X, tag1Y, 80, tag1Rotation, 0);
-        this.drawDemoTag(ctx, tag2X, tag2Y, 70, tag2Rotation, 1);
-        
-        // Continue animation
+        if (!this.detectionActive || !this.demoCanvas) return;
         requestAnimationFrame(() => this.animateDemoScene());
-    }
 
-    drawDemoTag(ctx, centerX, centerY, size, rotation, id) {
-        ctx.save();
-        
-        // Translate and rotate
-        ctx.translate(centerX, centerY);
-        ctx.rotate(rotation);
-        
-        const halfSize = size / 2;
-        
-        // Draw white background
-        ctx.fillStyle = 'white';
-        ctx.fillRect(-halfSize, -halfSize, size, size);
-        
-        // Draw black border
-        ctx.fillStyle = 'black';
-        ctx.lineWidth = 4;
-        ctx.strokeRect(-halfSize, -halfSize, size, size);
-        
-        // Draw inner white area
-        const innerSize = size * 0.7;
-        const innerHalf = innerSize / 2;
-        ctx.fillStyle = 'white';
-        ctx.fillRect(-innerHalf, -innerHalf, innerSize, innerSize);
-        
-        // Draw simple pattern based on ID
-        ctx.fillStyle = 'black';
-        const cellSize = innerSize / 6;
-        
-        if (id === 0) {
-            // Pattern for ID 0
-            ctx.fillRect(-innerHalf + cellSize, -innerHalf + cellSize, cellSize, cellSize);
-            ctx.fillRect(-innerHalf + 3*cellSize, -innerHalf + cellSize, cellSize, cellSize);
-            ctx.fillRect(-innerHalf + cellSize, -innerHalf + 3*cellSize, cellSize, cellSize);
-            ctx.fillRect(-innerHalf + 4*cellSize, -innerHalf + 3*cellSize, cellSize, cellSize);
-        } else if (id === 1) {
-            // Pattern for ID 1
-            ctx.fillRect(-innerHalf + 2*cellSize, -innerHalf + cellSize, cellSize, cellSize);
-            ctx.fillRect(-innerHalf + 4*cellSize, -innerHalf + cellSize, cellSize, cellSize);
-            ctx.fillRect(-innerHalf + cellSize, -innerHalf + 2*cellSize, cellSize, cellSize);
-            ctx.fillRect(-innerHalf + 4*cellSize, -innerHalf + 3*cellSize, cellSize, cellSize);
+        const familyName = document.getElementById('tagFamily').value;
+        if (!this.demoFamily || this.demoFamily.name !== familyName) {
+            if (this.demoFamilyLoading !== familyName) {
+                this.demoFamilyLoading = familyName;
+                TagFamily.load(familyName)
+                    .then(family => { if (this.demoFamilyLoading === familyName) this.demoFamily = family; })
+                    .catch(error => this.updateStatus(`Demo scene: ${error.message}`, 'error'));
+            }
+            return;
         }
-        
-        ctx.restore();
+
+        const { width, height } = this.demoCanvas;
+        const camera = this.detector.cameraFor(width, height);
+        const scene = new SyntheticScene({
+            width,
+            height,
+            camera,
+            distortion: this.distortionCoefficients,
+            supersampling: 2,
+            noise: 1.5,
+            seed: ++this.demoFrame
+        });
+
+        // About 90 px across, wherever the tags sit in the frame
+        const size = parseFloat(document.getElementById('tagSize').value) || 0.1;
+        const distance = size * camera.fx / 90;
+        const time = Date.now() / 1000;
+        const pose = (u, v, tiltX, tiltY, roll) => {
+            const direction = [(u - camera.cx) / camera.fx, (v - camera.cy) / camera.fy, 1];
+            return {
+                translation: direction.map(value => value * distance * (1 + 0.3 * Math.sin(time * 0.23 + u / 100))),
+                rotationMatrix: LinAlg.multiply(LinAlg.rotationFromVector([tiltX, tiltY, 0]), LinAlg.rotationFromVector([0, 0, roll]))
+            };
+        };
+
+        const { image, truth } = scene.render([
+            {
+                family: this.demoFamily, id: 0, size,
+                pose: pose(200 + Math.sin(time * 0.5) * 50, 200 + Math.cos(time * 0.3) * 30,
+                    0.5 * Math.sin(time * 0.4), 0.4 * Math.cos(time * 0.35), time * 0.2)
+            },
+            {
+                family: this.demoFamily, id: 1, size,
+                pose: pose(450 + Math.sin(time * 0.7) * 40, 280 + Math.cos(time * 0.4) * 40,
+                    0.4 * Math.cos(time * 0.3), 0.5 * Math.sin(time * 0.45), -time * 0.15)
+            }
+        ]);
+        const frame = this.demoCtx.createImageData(width, height);
+        frame.data.set(image.data);
+        this.demoCtx.putImageData(frame, 0, 0);
+        this.demoTruth = truth;
+    }
+
+    // Error of the demo detections against the rendered truth
+    demoError(detections, truth) {
+        const errors = [];
+        truth.forEach(tag => {
+            const detection = detections.find(candidate => candidate.id === tag.id);
+            if (!detection || !detection.pose) return;
+            const error = Transform.relative(tag.pose, detection.pose);
+            errors.push({
+                translation: LinAlg.norm(error.translation),
+                rotation: Transform.rotationAngle(error.rotationMatrix) * 180 / Math.PI
+            });
+        });
+
+        if (!errors.length) return `demo truth: 0/${truth.length} tags posed`;
+        const worst = (key) => Math.max(...errors.map(error => error[key]));
+        return `demo truth: ${errors.length}/${truth.length} tags posed, ` +
+            `worst error ${(worst('translation') * 1000).toFixed(1)} mm, ${worst('rotation').toFixed(2)}°`;
     }
+
     stopCamera() {
         this.detectionActive = false;
         
@@ -233,14 +414,17 @@ class AprilTagWebApp {
             this.stream.getTracks().forEach(track => track.stop());
             this.stream = null;
         }
+        this.cameraPanel.attach(null);
         
         // Clean up demo mode if active
         if (this.demoCanvas) {
             this.demoCanvas.remove();
             this.demoCanvas = null;
             this.demoCtx = null;
+            this.demoTruth = null;
             this.video.style.display = 'block';
         }
+        this.mediaFilePanel.close();
         
         this.video.srcObject = null;
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -255,75 +439,171 @@ class AprilTagWebApp {
     detectTags() {
         if (!this.detectionActive) return;
 
-        try {
-            // Create a temporary canvas for detection
-            const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-            
-            if (this.demoCanvas) {
-                // Use demo canvas data
-                tempCanvas.width = this.demoCanvas.width;
-                tempCanvas.height = this.demoCanvas.height;
-                tempCtx.drawImage(this.demoCanvas, 0, 0);
-            } else {
-                // Use video data
-                tempCanvas.width = this.video.videoWidth;
-                tempCanvas.height = this.video.videoHeight;
-                tempCtx.drawImage(this.video, 0, 0, tempCanvas.width, tempCanvas.height);
-            }
-            
-            // Get image data for AprilTag detection
-            const imageData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
-            
-            // Perform AprilTag detection (placeholder - will be replaced with actual library)
-            const detections = this.performAprilTagDetection(imageData);
-            
-            // Clear overlay canvas
-            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-            
-            // Process detections
-            this.processDetections(detections);
-            
-            // Continue detection loop
-            this.animationFrame = requestAnimationFrame(() => this.detectTags());
-            
-        } catch (error) {
+        // The loop runs at display rate; frames that arrive while the
+        // detector is still busy with the previous one are dropped
+        this.animationFrame = requestAnimationFrame(() => this.detectTags());
+
+        if (this.detector.busy) {
+            this.detector.dropFrame();
+            return;
+        }
+
+        this.detectFrame().catch(error => {
+            console.error('Detection error:', error);
             this.updateStatus(`Detection error: ${error.message}`, 'error');
+        });
+    }
+
+    // Detect tags in the current frame of the active source and show them.
+    // Frames of a video file are timed by their position in the video.
+    async detectFrame() {
+        const { element, width, height } = this.frameSource();
+        if (!width || !height) return; // video metadata not loaded yet
+
+        this.updateDetectorParameters();
+        const captureTime = this.fileSource === 'video' ? this.video.currentTime * 1000 : performance.now();
+        const truth = this.demoTruth; // of the frame about to be captured
+        const detections = await this.detector.detect(this.captureFrame(element, width, height));
+        if (!this.detectionActive) return;
+
+        // Clear overlay canvas
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (this.undistortPreview && this.previewFrame) {
+            this.ctx.putImageData(this.previewFrame, 0, 0);
         }
+
+        // Process detections
+        this.processDetections(detections, captureTime);
+        this.updatePerformance();
+        if (truth) document.getElementById('performance').textContent += `; ${this.demoError(detections, truth)}`;
     }
 
-    performAprilTagDetection(imageData) {
-        try {
-            // Update detector parameters
-            this.updateDetectorParameters();
-            
-            // Use demo detection if in demo mode
-            if (this.demoCanvas) {
-                return this.detector.detectDemo(imageData);
-            }
-            
-            // Perform actual detection
-            return this.detector.detect(imageData);
-        } catch (error) {
-            console.error('Detection error:', error);
-            return [];
+    // Element frames are read from: the demo scene, an image file, or the
+    // video element (camera stream or video file)
+    frameSource() {
+        const canvas = this.demoCanvas || this.imageCanvas;
+        if (canvas) return { element: canvas, width: canvas.width, height: canvas.height };
+        return { element: this.video, width: this.video.videoWidth, height: this.video.videoHeight };
+    }
+
+    // Grab the current frame for the detector: an ImageBitmap that moves to
+    // the worker without a copy, or pixels read back through one reused
+    // canvas when there is no worker or the undistorted preview needs them
+    captureFrame(source, width, height) {
+        if (this.detector.acceptsBitmaps && !this.undistortPreview && typeof createImageBitmap === 'function') {
+            this.previewFrame = null;
+            return createImageBitmap(source);
         }
+
+        const imageData = this.readFrame(source, width, height);
+        this.previewFrame = this.undistortPreview ? this.undistortFrame(imageData) : null;
+        return imageData;
+    }
+
+    // Pixels of the current frame, or null when nothing is running
+    grabFrame() {
+        if (!this.detectionActive) return null;
+        const { element, width, height } = this.frameSource();
+        if (!width) return null;
+        return this.readFrame(element, width, height);
+    }
+
+    readFrame(source, width, height) {
+        if (!this.captureCanvas) {
+            this.captureCanvas = document.createElement('canvas');
+            this.captureCtx = this.captureCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        if (this.captureCanvas.width !== width || this.captureCanvas.height !== height) {
+            this.captureCanvas.width = width;
+            this.captureCanvas.height = height;
+        }
+
+        this.captureCtx.drawImage(source, 0, 0, width, height);
+        return this.captureCtx.getImageData(0, 0, width, height);
+    }
+
+    // The frame as an ideal pinhole camera would see it
+    undistortFrame(imageData) {
+        const { width, height } = imageData;
+        const camera = this.detector.cameraFor(width, height);
+        const distortion = this.detector.distortion;
+
+        const key = JSON.stringify([width, height, camera, distortion]);
+        if (key !== this.undistortMapKey) {
+            this.undistortMap = LensDistortion.createUndistortMap(width, height, camera, distortion);
+            this.undistortMapKey = key;
+        }
+
+        const preview = this.ctx.createImageData(width, height);
+        return LensDistortion.remap(imageData, this.undistortMap, preview);
     }
 
-    processDetections(detections) {
-        // Update detected tags map
+    updatePerformance() {
+        const { fps, latency, detectTime, dropRate } = this.detector.getStats();
+        const thread = this.detector.usingWorker ? 'worker' : 'main thread';
+        document.getElementById('performance').textContent =
+            `Detection: ${fps.toFixed(1)} FPS, latency ${latency.toFixed(0)} ms ` +
+            `(detector ${detectTime.toFixed(0)} ms, ${thread}), ${(dropRate * 100).toFixed(0)}% of frames dropped`;
+    }
+
+    // Image points as drawn on the overlay, undistorted with the preview
+    displayPoints(points) {
+        if (!this.undistortPreview) return points;
+        const camera = this.detector.cameraFor(this.canvas.width, this.canvas.height);
+        return this.detector.undistortPoints(points, camera) || points;
+    }
+
+    processDetections(detections, time = performance.now()) {
+        this.latestDetections = detections;
+        this.latestBundles = this.detector.estimateBundlePoses(detections, this.bundles, this.canvas.width, this.canvas.height);
+
+        // Tracked tags include those lost for less than the hold time
+        const tracks = this.tracker.update(detections, time);
+        const bundleTracks = this.bundleTracker.update(this.latestBundles, time);
+        if (this.fileSource) this.mediaFilePanel.record(detections, this.latestBundles);
+
         this.detectedTags.clear();
-        
-        detections.forEach(detection => {
-            this.detectedTags.set(detection.id, detection);
-            this.drawTagOverlay(detection);
+        tracks.forEach(track => {
+            this.detectedTags.set(this.tagKey(track), track);
+            this.drawTagOverlay(track);
         });
         
         // Update UI with detection info
-        this.updateDetectionInfo(detections);
-        
-        // Calculate relative pose if both target tags are detected
-        this.calculateRelativePose();
+        this.updateDetectionInfo(tracks, bundleTracks);
+        this.sceneView.update(tracks, bundleTracks);
+        this.localizationPanel.update(detections);
+        this.mapBuilderPanel.add(detections);
+        this.measurementPanel.update(detections, this.latestBundles);
+
+        if (this.recorder.recording || this.publisher.active) this.recordFrame(detections, time);
+    }
+
+    // Log and stream the raw results of this frame, relative to the pose
+    // table's reference
+    recordFrame(detections, time) {
+        const video = this.fileSource === 'video';
+        const reference = this.tagTable.reference();
+        const { tagMap, ...parameters } = this.detector.parameters; // sizes are logged per tag
+        const record = PoseRecorder.record({
+            // Seconds into the video, or Unix time for live frames
+            time: video ? time / 1000 : (performance.timeOrigin + time) / 1000,
+            frame: video ? this.mediaFilePanel.frame : null,
+            source: this.fileSource ? this.mediaFilePanel.fileName : null,
+            // The intrinsics the poses were estimated with, scaled to the frame
+            parameters: { ...parameters, backend: this.detector.backend, cameraMatrix: this.detector.cameraFor(this.canvas.width, this.canvas.height) },
+            detections,
+            bundles: this.latestBundles,
+            reference: reference ? reference.key : null
+        });
+
+        if (this.recorder.recording) {
+            this.recorder.add(record);
+            this.recordingPanel.update();
+        }
+        if (this.publisher.active) {
+            this.publisher.publish(record);
+            this.publisherPanel.update();
+        }
     }
 
     drawTagOverlay(detection) {
@@ -332,216 +612,74 @@ class AprilTagWebApp {
         
         this.ctx.save();
         
-        // Draw tag outline
-        this.ctx.strokeStyle = '#00ff00';
+        // Draw tag outline; a tag lost from view is drawn where it was
+        // last seen, dashed and grey
+        const color = detection.stale ? '#999999' : (detection.unknown ? '#ff9900' : '#00ff00');
+        this.ctx.strokeStyle = color;
         this.ctx.lineWidth = 3;
+        if (detection.stale) this.ctx.setLineDash([6, 4]);
         this.ctx.beginPath();
         
-        const corners = detection.corners;
+        const corners = this.displayPoints(detection.corners);
+        const [center] = this.displayPoints([detection.center]);
         this.ctx.moveTo(corners[0][0] * scaleX, corners[0][1] * scaleY);
         for (let i = 1; i < corners.length; i++) {
             this.ctx.lineTo(corners[i][0] * scaleX, corners[i][1] * scaleY);
         }
         this.ctx.closePath();
         this.ctx.stroke();
+        this.ctx.setLineDash([]);
         
         // Draw tag ID
-        this.ctx.fillStyle = '#00ff00';
+        this.ctx.fillStyle = color;
         this.ctx.font = '16px Arial';
+        const key = this.tagKey(detection);
+        const label = `ID: ${key.includes(':') ? key : detection.id}`;
+        const note = detection.stale ? ' (lost)' : (detection.unknown ? ' (unknown)' : '');
         this.ctx.fillText(
-            `ID: ${detection.id}`, 
-            detection.center[0] * scaleX, 
-            detection.center[1] * scaleY - 10
+            label + note, 
+            center[0] * scaleX, 
+            center[1] * scaleY - 10
         );
         
-        // Draw coordinate system (simplified)
-        const centerX = detection.center[0] * scaleX;
-        const centerY = detection.center[1] * scaleY;
-        
-        // X axis (red)
-        this.ctx.strokeStyle = '#ff0000';
-        this.ctx.lineWidth = 2;
-        this.ctx.beginPath();
-        this.ctx.moveTo(centerX, centerY);
-        this.ctx.lineTo(centerX + 30, centerY);
-        this.ctx.stroke();
-        
-        // Y axis (green)
-        this.ctx.strokeStyle = '#00ff00';
-        this.ctx.beginPath();
-        this.ctx.moveTo(centerX, centerY);
-        this.ctx.lineTo(centerX, centerY - 30);
-        this.ctx.stroke();
+        // Axes and cube of the estimated pose
+        this.poseOverlay.draw(detection);
         
         this.ctx.restore();
     }
 
-    updateDetectionInfo(detections) {
+    updateDetectionInfo(detections, bundles = []) {
         const detectionInfo = document.getElementById('detectionInfo');
         
+        const visible = detections.filter(detection => !detection.stale).length;
+        const lost = detections.length - visible;
         if (detections.length === 0) {
             detectionInfo.innerHTML = '<div class="error">No AprilTags detected</div>';
-            document.getElementById('poseData').style.display = 'none';
-            document.getElementById('relativePose').style.display = 'none';
-            return;
-        }
-        
-        let infoHtml = `<div class="success">Detected ${detections.length} tag(s)</div>`;
-        detectionInfo.innerHTML = infoHtml;
-        
-        // Show pose data section
-        document.getElementById('poseData').style.display = 'grid';
-        
-        // Update individual tag information
-        this.updateTagInfo('tag1', parseInt(document.getElementById('tag1Id').value));
-        this.updateTagInfo('tag2', parseInt(document.getElementById('tag2Id').value));
-    }
-
-    updateTagInfo(tagPrefix, targetId) {
-        const detection = this.detectedTags.get(targetId);
-        const idDisplay = document.getElementById(`${tagPrefix}IdDisplay`);
-        const position = document.getElementById(`${tagPrefix}Position`);
-        const rotation = document.getElementById(`${tagPrefix}Rotation`);
-        
-        idDisplay.textContent = targetId;
-        
-        if (detection) {
-            const pos = detection.pose.translation;
-            const rot = detection.pose.rotation;
-            
-            position.textContent = `x: ${pos[0].toFixed(3)}, y: ${pos[1].toFixed(3)}, z: ${pos[2].toFixed(3)}`;
-            rotation.textContent = `rx: ${(rot[0] * 180 / Math.PI).toFixed(1)}°, ry: ${(rot[1] * 180 / Math.PI).toFixed(1)}°, rz: ${(rot[2] * 180 / Math.PI).toFixed(1)}°`;
         } else {
-            position.textContent = 'Not detected';
-            rotation.textContent = 'Not detected';
+            const held = lost ? `, ${lost} recently lost` : '';
+            detectionInfo.innerHTML = `<div class="${visible ? 'success' : 'error'}">Detected ${visible} tag(s)${held}</div>`;
         }
-    }
-
-    calculateRelativePose() {
-        const tag1Id = parseInt(document.getElementById('tag1Id').value);
-        const tag2Id = parseInt(document.getElementById('tag2Id').value);
-        
-        const tag1 = this.detectedTags.get(tag1Id);
-        const tag2 = this.detectedTags.get(tag2Id);
         
-        const relativePoseDiv = document.getElementById('relativePose');
-        
-        if (!tag1 || !tag2) {
-            relativePoseDiv.style.display = 'none';
-            return;
-        }
-        
-        // Calculate relative transformation from tag1 to tag2
-        const relativePose = this.computeRelativeTransformation(tag1.pose, tag2.pose);
-        
-        // Calculate distance
-        const translation = relativePose.translation;
-        const distance = Math.sqrt(translation[0] ** 2 + translation[1] ** 2 + translation[2] ** 2);
-        
-        // Convert rotation from matrix to Euler angles for display
-        const eulerAngles = this.rotationMatrixToEuler(relativePose.rotationMatrix);
-        
-        // Update UI
-        document.getElementById('relativeDistance').textContent = `${distance.toFixed(3)} m`;
-        document.getElementById('relativeTranslation').textContent = 
-            `x: ${translation[0].toFixed(3)}, y: ${translation[1].toFixed(3)}, z: ${translation[2].toFixed(3)}`;
-        document.getElementById('relativeRotation').textContent = 
-            `rx: ${(eulerAngles[0] * 180 / Math.PI).toFixed(1)}°, ry: ${(eulerAngles[1] * 180 / Math.PI).toFixed(1)}°, rz: ${(eulerAngles[2] * 180 / Math.PI).toFixed(1)}°`;
-        
-        relativePoseDiv.style.display = 'block';
+        // One row per tag and bundle plus the pairwise relative poses
+        this.tagTable.update(detections, bundles);
     }
 
-    computeRelativeTransformation(pose1, pose2) {
-        // Convert Euler angles to rotation matrices
-        const R1 = this.eulerToRotationMatrix(pose1.rotation);
-        const R2 = this.eulerToRotationMatrix(pose2.rotation);
-        
-        // Extract translation vectors
-        const t1 = pose1.translation;
-        const t2 = pose2.translation;
-        
-        // Compute relative rotation: R_rel = R2 * R1^T
-        const R1_transpose = this.transposeMatrix(R1);
-        const R_relative = this.multiplyMatrices(R2, R1_transpose);
-        
-        // Compute relative translation: t_rel = R1^T * (t2 - t1)
-        const t_diff = this.subtractVectors(t2, t1);
-        const t_relative = this.multiplyMatrixVector(R1_transpose, t_diff);
-        
-        return {
-            translation: t_relative,
-            rotationMatrix: R_relative
-        };
-    }
-
-    eulerToRotationMatrix(euler) {
-        // Convert Euler angles (rx, ry, rz) to rotation matrix
-        const [rx, ry, rz] = euler;
-        
-        const cos_x = Math.cos(rx), sin_x = Math.sin(rx);
-        const cos_y = Math.cos(ry), sin_y = Math.sin(ry);
-        const cos_z = Math.cos(rz), sin_z = Math.sin(rz);
-        
-        // ZYX rotation order
-        return [
-            [cos_y * cos_z, -cos_y * sin_z, sin_y],
-            [cos_x * sin_z + sin_x * sin_y * cos_z, cos_x * cos_z - sin_x * sin_y * sin_z, -sin_x * cos_y],
-            [sin_x * sin_z - cos_x * sin_y * cos_z, sin_x * cos_z + cos_x * sin_y * sin_z, cos_x * cos_y]
-        ];
-    }
-
-    rotationMatrixToEuler(R) {
-        // Convert rotation matrix to Euler angles (ZYX order)
-        const sy = Math.sqrt(R[0][0] * R[0][0] + R[1][0] * R[1][0]);
-        
-        const singular = sy < 1e-6;
-        
-        let x, y, z;
-        if (!singular) {
-            x = Math.atan2(R[2][1], R[2][2]);
-            y = Math.atan2(-R[2][0], sy);
-            z = Math.atan2(R[1][0], R[0][0]);
-        } else {
-            x = Math.atan2(-R[1][2], R[1][1]);
-            y = Math.atan2(-R[2][0], sy);
-            z = 0;
-        }
-        
-        return [x, y, z];
-    }
-
-    transposeMatrix(matrix) {
-        return [
-            [matrix[0][0], matrix[1][0], matrix[2][0]],
-            [matrix[0][1], matrix[1][1], matrix[2][1]],
-            [matrix[0][2], matrix[1][2], matrix[2][2]]
-        ];
-    }
-
-    multiplyMatrices(A, B) {
-        const result = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
-        
-        for (let i = 0; i < 3; i++) {
-            for (let j = 0; j < 3; j++) {
-                for (let k = 0; k < 3; k++) {
-                    result[i][j] += A[i][k] * B[k][j];
-                }
-            }
-        }
-        
-        return result;
+    // Key of a tag in the pose table, tracker and recordings (see
+    // src/tag-map.js)
+    tagKey(detection) {
+        return TagMap.key(detection, document.getElementById('tagFamily').value);
     }
 
-    multiplyMatrixVector(matrix, vector) {
-        return [
-            matrix[0][0] * vector[0] + matrix[0][1] * vector[1] + matrix[0][2] * vector[2],
-            matrix[1][0] * vector[0] + matrix[1][1] * vector[1] + matrix[1][2] * vector[2],
-            matrix[2][0] * vector[0] + matrix[2][1] * vector[1] + matrix[2][2] * vector[2]
-        ];
+    // Pose of the target (tag or bundle) in the reference's frame
+    calculateRelativePose(reference, target) {
+        const pose = Transform.relative(reference.pose, target.pose);
+        return { ...pose, distance: Math.hypot(...pose.translation) };
     }
 
-    subtractVectors(v1, v2) {
-        return [v1[0] - v2[0], v1[1] - v2[1], v1[2] - v2[2]];
+    // Forget the tracked poses, e.g. when jumping around in a video
+    resetTracking() {
+        this.tracker.reset();
+        this.bundleTracker.reset();
     }
 
     updateStatus(message, type = 'info') {
@@ -552,9 +690,12 @@ class AprilTagWebApp {
 
     clearResults() {
         document.getElementById('detectionInfo').innerHTML = '';
-        document.getElementById('poseData').style.display = 'none';
-        document.getElementById('relativePose').style.display = 'none';
+        document.getElementById('performance').textContent = '';
+        this.tagTable.update([]);
+        this.sceneView.clear();
+        this.localizationPanel.update([]);
         this.detectedTags.clear();
+        this.resetTracking();
     }
 }
 
@@ -1,316 +1,341 @@
-// Placeholder for AprilTag detection library
-// In a real implementation, this would be replaced with an actual detection library
-// like a WASM compilation of the original AprilTag C library
-
-class AprilTagDetector {
-    constructor() {
-        this.isInitialized = false;
-        this.tagFamily = 'tag36h11';
-        this.tagSize = 0.05; // meters
-        this.decimate = 2;
-        this.blur = 0;
-        this.refineEdges = true;
-    }
+// AprilTag detection and pose estimation
+// Candidate quads come from the adaptive threshold / contour pipeline in
+// src/quad-detector.js and are decoded against the real codebooks of the
+// selected tag family and of the families in the tag map (src/tag-map.js),
+// which also gives the size of each tag. Poses are solved from the corners
+// with the camera intrinsics (src/pose.js), after removing lens distortion
+// from them (src/distortion.js). The reference C library compiled to
+// WebAssembly is available behind the same interface (src/wasm-detector.js).
 
-    async initialize() {
-        // In a real implementation, this would load the WASM module
-        // For now, we'll simulate initialization
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                this.isInitialized = true;
-                resolve();
-            }, 100);
-        });
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(
+            require('./src/tag-family.js'),
+            require('./src/homography.js'),
+            require('./src/quad-detector.js'),
+            require('./src/pose.js'),
+            require('./src/distortion.js'),
+            require('./src/tag-map.js'),
+            require('./src/localization.js')
+        );
+    } else {
+        root.AprilTagDetector = factory(root.TagFamily, root.Homography, root.QuadDetector, root.PoseEstimator, root.LensDistortion, root.TagMap, root.Localization);
     }
+})(typeof self !== 'undefined' ? self : this, function (TagFamily, Homography, QuadDetector, PoseEstimator, LensDistortion, TagMap, Localization) {
 
-    setParameters(params) {
-        if (params.tagFamily) this.tagFamily = params.tagFamily;
-        if (params.tagSize) this.tagSize = params.tagSize;
-        if (params.decimate) this.decimate = params.decimate;
-        if (params.blur) this.blur = params.blur;
-        if (params.refineEdges !== undefined) this.refineEdges = params.refineEdges;
-    }
+    class AprilTagDetector {
+        constructor() {
+            this.isInitialized = false;
+            this.tagFamily = 'tag36h11';
+            this.tagSize = 0.05; // meters
+            this.decimate = 2;
+            this.blur = 0;
+            this.refineEdges = true;
+            this.maxHamming = 2; // bit errors corrected when decoding
+            this.cameraMatrix = null; // { fx, fy, cx, cy, [width, height] }
+            this.distortion = LensDistortion.normalize(null); // see src/distortion.js
+            this.tagMap = null; // parsed tag map, see src/tag-map.js
+            this.unknownTags = 'flag'; // tags missing from the tag map: 'flag' or 'ignore'
 
-    detect(imageData) {
-        if (!this.isInitialized) {
-            throw new Error('Detector not initialized');
+            // Codebooks by family name, with their pending loads and errors
+            this.families = new Map();
+            this.familyLoads = new Map();
+            this.familyErrors = new Map();
         }
 
-        // Convert to grayscale and apply basic image processing
-        const grayData = this.convertToGrayscale(imageData);
-        
-        // Find potential tag candidates using simple computer vision techniques
-        const candidates = this.findTagCandidates(grayData, imageData.width, imageData.height);
-        
-        // Validate and decode candidates
-        const detections = [];
-        candidates.forEach(candidate => {
-            const detection = this.validateAndDecode(candidate, imageData.width, imageData.height);
-            if (detection) {
-                detections.push(detection);
-            }
-        });
-        
-        return detections;
-    }
+        async initialize() {
+            // Load the codebooks before the first frame
+            await this.loadFamilies();
+            this.isInitialized = true;
+        }
 
-    convertToGrayscale(imageData) {
-        const data = imageData.data;
-        const grayData = new Uint8Array(imageData.width * imageData.height);
-        
-        for (let i = 0; i < data.length; i += 4) {
-            const gray = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
-            grayData[i / 4] = gray;
+        // The selected family and those named in the tag map
+        familyNames() {
+            return [...new Set([this.tagFamily, ...TagMap.families(this.tagMap)])];
         }
-        
-        return grayData;
-    }
 
-    findTagCandidates(grayData, width, height) {
-        const candidates = [];
-        const threshold = 128;
-        const minTagSize = 30; // Minimum tag size in pixels
-        const maxTagSize = Math.min(width, height) / 2;
-        
-        // Simple approach: look for square-like patterns
-        for (let y = minTagSize; y < height - minTagSize; y += 10) {
-            for (let x = minTagSize; x < width - minTagSize; x += 10) {
-                // Check if this could be a tag center
-                if (this.couldBeTagCenter(grayData, width, height, x, y, threshold)) {
-                    // Try to find tag boundaries
-                    const boundaries = this.findTagBoundaries(grayData, width, height, x, y, threshold);
-                    if (boundaries) {
-                        candidates.push({
-                            center: [x, y],
-                            boundaries: boundaries,
-                            corners: this.calculateCorners(boundaries)
-                        });
-                    }
+        // Start loading the codebooks of familyNames() not loaded yet. A
+        // failed load stays the family's error until it is selected again.
+        loadFamilies() {
+            return Promise.all(this.familyNames().map(name => {
+                if (!this.familyLoads.has(name)) {
+                    this.familyLoads.set(name, TagFamily.load(name).then(
+                        family => { this.families.set(name, family); },
+                        error => {
+                            this.familyErrors.set(name, error);
+                            throw error;
+                        }
+                    ));
                 }
+                return this.familyLoads.get(name);
+            }));
+        }
+
+        setParameters(params) {
+            if (params.tagFamily && params.tagFamily !== this.tagFamily) {
+                this.tagFamily = params.tagFamily;
+                if (this.familyErrors.delete(params.tagFamily)) this.familyLoads.delete(params.tagFamily);
             }
+            if (params.tagMap !== undefined) this.tagMap = params.tagMap;
+            if (params.tagFamily || params.tagMap) this.loadFamilies().catch(() => {});
+            if (params.unknownTags) this.unknownTags = params.unknownTags;
+            if (params.tagSize) this.tagSize = params.tagSize;
+            if (params.decimate) this.decimate = params.decimate;
+            if (params.blur !== undefined) this.blur = params.blur;
+            if (params.refineEdges !== undefined) this.refineEdges = params.refineEdges;
+            if (params.maxHamming !== undefined) this.maxHamming = params.maxHamming;
+            if (params.cameraMatrix) this.cameraMatrix = { ...params.cameraMatrix };
+            if (params.distortion !== undefined) this.distortion = LensDistortion.normalize(params.distortion);
         }
-        
-        return candidates;
-    }
 
-    couldBeTagCenter(grayData, width, height, x, y, threshold) {
-        // Check if the area around this point has the characteristics of a tag
-        const checkRadius = 15;
-        let whitePixels = 0;
-        let blackPixels = 0;
-        let totalPixels = 0;
-        
-        for (let dy = -checkRadius; dy <= checkRadius; dy++) {
-            for (let dx = -checkRadius; dx <= checkRadius; dx++) {
-                const px = x + dx;
-                const py = y + dy;
-                
-                if (px >= 0 && px < width && py >= 0 && py < height) {
-                    const intensity = grayData[py * width + px];
-                    totalPixels++;
-                    
-                    if (intensity > threshold) {
-                        whitePixels++;
-                    } else {
-                        blackPixels++;
-                    }
-                }
+        detect(imageData) {
+            if (!this.isInitialized) {
+                throw new Error('Detector not initialized');
+            }
+            const names = this.familyNames();
+            const error = names.map(name => this.familyErrors.get(name)).find(Boolean);
+            if (error) {
+                throw error;
+            }
+
+            // The codebook of a newly selected family is still loading
+            if (!names.every(name => this.families.has(name))) {
+                return [];
             }
+
+            // Convert to grayscale and apply basic image processing
+            const grayData = this.convertToGrayscale(imageData);
+
+            // Find quads that could be tag borders, once for families with a
+            // black border and once for those with a white one, and decode
+            // them against each family
+            const families = names.map(name => this.families.get(name));
+            const detections = [];
+            [false, true].forEach(reversedBorder => {
+                const group = families.filter(family => !!family.reversedBorder === reversedBorder);
+                if (!group.length) return;
+
+                const candidates = this.findTagCandidates(grayData, imageData.width, imageData.height, reversedBorder);
+                candidates.forEach(candidate => group.forEach(family => {
+                    const detection = this.validateAndDecode(candidate, family, grayData, imageData.width, imageData.height);
+                    if (detection) {
+                        detections.push(detection);
+                    }
+                }));
+            });
+
+            return this.removeDuplicates(detections);
         }
-        
-        // A tag should have both black and white pixels
-        const whiteRatio = whitePixels / totalPixels;
-        return whiteRatio > 0.2 && whiteRatio < 0.8;
-    }
 
-    findTagBoundaries(grayData, width, height, centerX, centerY, threshold) {
-        // Simple boundary detection - look for transitions from white to black
-        let minX = centerX, maxX = centerX;
-        let minY = centerY, maxY = centerY;
+        convertToGrayscale(imageData) {
+            const data = imageData.data;
+            const grayData = new Uint8Array(imageData.width * imageData.height);
         
-        // Search outward from center to find boundaries
-        for (let radius = 5; radius < 100; radius += 5) {
-            // Check horizontal boundaries
-            if (centerX - radius >= 0) {
-                const leftIntensity = grayData[centerY * width + (centerX - radius)];
-                if (leftIntensity < threshold) {
-                    minX = Math.min(minX, centerX - radius);
-                }
+            for (let i = 0; i < data.length; i += 4) {
+                const gray = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+                grayData[i / 4] = gray;
             }
-            
-            if (centerX + radius < width) {
-                const rightIntensity = grayData[centerY * width + (centerX + radius)];
-                if (rightIntensity < threshold) {
-                    maxX = Math.max(maxX, centerX + radius);
+        
+            return grayData;
+        }
+
+        findTagCandidates(grayData, width, height, reversedBorder) {
+            return QuadDetector.detectQuads(grayData, width, height, {
+                decimate: this.decimate,
+                blur: this.blur,
+                refineEdges: this.refineEdges,
+                reversedBorder
+            });
+        }
+
+        validateAndDecode(candidate, family, grayData, width, height) {
+            const q0 = family.borderStart;
+            const q1 = family.borderStart + family.widthAtBorder;
+
+            // Map tag grid coordinates onto the candidate quad. The grid
+            // spans [0, size] with the detectable border at [q0, q1].
+            const H = Homography.compute(
+                [[q0, q0], [q1, q0], [q1, q1], [q0, q1]],
+                candidate.corners
+            );
+            if (!H) return null;
+
+            const samples = new Float32Array(family.size * family.size);
+            for (let y = 0; y < family.size; y++) {
+                for (let x = 0; x < family.size; x++) {
+                    const [px, py] = Homography.project(H, x + 0.5, y + 0.5);
+                    const value = this.sampleBilinear(grayData, width, height, px, py);
+                    if (value === null) return null;
+                    samples[y * family.size + x] = value;
                 }
             }
-            
-            // Check vertical boundaries
-            if (centerY - radius >= 0) {
-                const topIntensity = grayData[(centerY - radius) * width + centerX];
-                if (topIntensity < threshold) {
-                    minY = Math.min(minY, centerY - radius);
+
+            const decoded = family.decode(samples, this.maxHamming);
+            if (!decoded) return null;
+            const mapped = this.mapTag(family.name, decoded.id);
+            if (!mapped) return null;
+
+            // Report corners in the canonical order of the reference library:
+            // counter-clockwise starting at the tag's bottom-left corner
+            const corners = [[q0, q1], [q1, q1], [q1, q0], [q0, q0]].map(([x, y]) => {
+                const [rx, ry] = family.rotatePoint(x, y, decoded.rotation);
+                return Homography.project(H, rx, ry);
+            });
+            const center = Homography.project(H, family.size / 2, family.size / 2);
+            const { pose, alternativePose } = this.estimatePose(corners, mapped.size, this.cameraFor(width, height));
+            if (!pose) return null;
+
+            return {
+                id: decoded.id,
+                family: family.name,
+                hamming: decoded.hamming,
+                decision_margin: decoded.decisionMargin,
+                corners: corners,
+                center: center,
+                size: mapped.size,
+                unknown: mapped.unknown,
+                pose: pose,
+                alternativePose: alternativePose
+            };
+        }
+
+        // Size of a decoded tag from the tag map, or the tag size, and
+        // whether a tag map is loaded that lacks it. Null when such tags are
+        // ignored.
+        mapTag(familyName, id) {
+            const entry = TagMap.find(this.tagMap, familyName, id, this.tagFamily);
+            const unknown = !!this.tagMap && !entry;
+            if (unknown && this.unknownTags === 'ignore') return null;
+            return { size: (entry && entry.size) || this.tagSize, unknown };
+        }
+
+        sampleBilinear(grayData, width, height, x, y) {
+            // Pixel centers sit at integer + 0.5
+            x -= 0.5;
+            y -= 0.5;
+            if (x < 0 || y < 0 || x > width - 1 || y > height - 1) return null;
+
+            const x0 = Math.floor(x), y0 = Math.floor(y);
+            const x1 = Math.min(x0 + 1, width - 1), y1 = Math.min(y0 + 1, height - 1);
+            const fx = x - x0, fy = y - y0;
+
+            const top = grayData[y0 * width + x0] * (1 - fx) + grayData[y0 * width + x1] * fx;
+            const bottom = grayData[y1 * width + x0] * (1 - fx) + grayData[y1 * width + x1] * fx;
+            return top * (1 - fy) + bottom * fy;
+        }
+
+        removeDuplicates(detections) {
+            // Overlapping candidates often decode to the same tag; keep the
+            // one with the fewest bit errors and the clearest bits
+            const better = (a, b) => a.hamming !== b.hamming
+                ? a.hamming < b.hamming
+                : a.decision_margin > b.decision_margin;
+
+            const kept = [];
+            detections.forEach(detection => {
+                const radius = Math.hypot(
+                    detection.corners[0][0] - detection.corners[2][0],
+                    detection.corners[0][1] - detection.corners[2][1]
+                ) / 2;
+                const index = kept.findIndex(other => other.id === detection.id && other.family === detection.family &&
+                    Math.hypot(other.center[0] - detection.center[0], other.center[1] - detection.center[1]) < radius);
+
+                if (index === -1) {
+                    kept.push(detection);
+                } else if (better(detection, kept[index])) {
+                    kept[index] = detection;
                 }
+            });
+            return kept;
+        }
+
+        // Intrinsics for a frame of the given size. Calibrated intrinsics are
+        // rescaled when the frame resolution differs from the calibration
+        // resolution; without any, fall back to a rough guess.
+        cameraFor(width, height) {
+            const camera = this.cameraMatrix;
+            if (!camera) {
+                return { fx: width * 0.8, fy: width * 0.8, cx: width / 2, cy: height / 2 };
             }
-            
-            if (centerY + radius < height) {
-                const bottomIntensity = grayData[(centerY + radius) * width + centerX];
-                if (bottomIntensity < threshold) {
-                    maxY = Math.max(maxY, centerY + radius);
-                }
+            if (!camera.width || !camera.height) {
+                return camera;
             }
+
+            const { fx, fy, cx, cy } = PoseEstimator.scaleCamera(camera, width, height);
+            return { fx, fy, cx, cy };
         }
-        
-        // Validate that we found reasonable boundaries
-        const tagWidth = maxX - minX;
-        const tagHeight = maxY - minY;
-        
-        if (tagWidth > 20 && tagHeight > 20 && Math.abs(tagWidth - tagHeight) < tagWidth * 0.3) {
-            return { minX, maxX, minY, maxY };
+
+        // Corners are detected in the distorted image; PnP needs where an
+        // ideal pinhole camera would have seen them
+        estimatePose(corners, tagSize, camera) {
+            const undistorted = this.undistortPoints(corners, camera);
+            const result = undistorted && PoseEstimator.estimateTagPose(undistorted, tagSize, camera);
+            return result || { pose: null, alternativePose: null };
         }
-        
-        return null;
-    }
 
-    calculateCorners(boundaries) {
-        const { minX, maxX, minY, maxY } = boundaries;
-        return [
-            [minX, minY],      // Top-left
-            [maxX, minY],      // Top-right
-            [maxX, maxY],      // Bottom-right
-            [minX, maxY]       // Bottom-left
-        ];
-    }
+        // Joint poses of the bundles (see src/bundle.js) with at least one
+        // tag among the detections, as [{ name, ids, pose }]. Bundle tags
+        // without a family are of the selected family.
+        estimateBundlePoses(detections, bundles, width, height) {
+            const camera = this.cameraFor(width, height);
+            const results = [];
 
-    validateAndDecode(candidate, width, height) {
-        // Simple validation and ID assignment
-        // In a real implementation, this would decode the actual tag pattern
-        
-        const corners = candidate.corners;
-        const center = candidate.center;
-        
-        // Calculate tag size
-        const tagSize = Math.abs(corners[1][0] - corners[0][0]);
-        
-        // Assign ID based on position (simple simulation)
-        // In practice, this would decode the actual bit pattern
-        let id = -1;
-        
-        // More lenient detection for demo mode
-        if (center[0] < width * 0.6 && center[1] < height * 0.6) {
-            id = 0; // Left side = ID 0
-        } else if (center[0] > width * 0.4) {
-            id = 1; // Right side = ID 1
+            bundles.forEach(bundle => {
+                const tags = [];
+                bundle.tags.forEach(tag => {
+                    const detection = detections.find(d => d.id === tag.id && d.family === (tag.family || this.tagFamily));
+                    const corners = detection && this.undistortPoints(detection.corners, camera);
+                    if (corners) {
+                        tags.push({ id: tag.id, corners, size: tag.size || detection.size || this.tagSize, R: tag.R, t: tag.t });
+                    }
+                });
+                if (!tags.length) return;
+
+                const pose = PoseEstimator.estimateBundlePose(tags, camera);
+                if (pose) {
+                    results.push({ name: bundle.name, ids: tags.map(tag => tag.id), pose });
+                }
+            });
+
+            return results;
         }
-        
-        if (id === -1) return null;
-        
-        return {
-            id: id,
-            corners: corners,
-            center: center,
-            pose: this.estimatePose(corners, this.tagSize)
-        };
-    }
 
-    // Add a special demo detection method
-    detectDemo(imageData) {
-        // For demo mode, use a simpler, more reliable detection
-        const detections = [];
-        const width = imageData.width;
-        const height = imageData.height;
-        
-        // Hardcoded demo detections based on known demo animation
-        const time = Date.now() / 1000;
-        
-        // Tag 0 position (matches demo animation)
-        const tag1X = 200 + Math.sin(time * 0.5) * 50;
-        const tag1Y = 200 + Math.cos(time * 0.3) * 30;
-        const tag1Size = 80;
-        
-        detections.push({
-            id: 0,
-            corners: [
-                [tag1X - tag1Size/2, tag1Y - tag1Size/2],
-                [tag1X + tag1Size/2, tag1Y - tag1Size/2],
-                [tag1X + tag1Size/2, tag1Y + tag1Size/2],
-                [tag1X - tag1Size/2, tag1Y + tag1Size/2]
-            ],
-            center: [tag1X, tag1Y],
-            pose: this.estimatePose([
-                [tag1X - tag1Size/2, tag1Y - tag1Size/2],
-                [tag1X + tag1Size/2, tag1Y - tag1Size/2],
-                [tag1X + tag1Size/2, tag1Y + tag1Size/2],
-                [tag1X - tag1Size/2, tag1Y + tag1Size/2]
-            ], this.tagSize)
-        });
-        
-        // Tag 1 position (matches demo animation)
-        const tag2X = 450 + Math.sin(time * 0.7) * 40;
-        const tag2Y = 280 + Math.cos(time * 0.4) * 40;
-        const tag2Size = 70;
-        
-        detections.push({
-            id: 1,
-            corners: [
-                [tag2X - tag2Size/2, tag2Y - tag2Size/2],
-                [tag2X + tag2Size/2, tag2Y - tag2Size/2],
-                [tag2X + tag2Size/2, tag2Y + tag2Size/2],
-                [tag2X - tag2Size/2, tag2Y + tag2Size/2]
-            ],
-            center: [tag2X, tag2Y],
-            pose: this.estimatePose([
-                [tag2X - tag2Size/2, tag2Y - tag2Size/2],
-                [tag2X + tag2Size/2, tag2Y - tag2Size/2],
-                [tag2X + tag2Size/2, tag2Y + tag2Size/2],
-                [tag2X - tag2Size/2, tag2Y + tag2Size/2]
-            ], this.tagSize)
-        });
-        
-        return detections;
-    }
+        // Pose of the camera in the world frame of a tag map, from the
+        // detections of tags with a world pose in it (see
+        // src/localization.js). Null when none is in view.
+        estimateCameraPose(detections, tagMap, width, height, options = {}) {
+            if (!tagMap) return null;
+            const camera = this.cameraFor(width, height);
+            const tags = [];
+            detections.forEach(detection => {
+                const tag = TagMap.find(tagMap, detection.family, detection.id, this.tagFamily);
+                const corners = tag && tag.pose && this.undistortPoints(detection.corners, camera);
+                if (corners) {
+                    tags.push({
+                        key: TagMap.key(detection, this.tagFamily),
+                        corners,
+                        size: tag.size || detection.size || this.tagSize,
+                        pose: tag.pose
+                    });
+                }
+            });
+            return tags.length ? Localization.localize(tags, camera, options) : null;
+        }
 
-    estimatePose(corners, tagSize) {
-        // Simple pose estimation simulation
-        // In a real implementation, this would use PnP algorithm
-        
-        // Calculate tag center in image coordinates
-        const centerX = corners.reduce((sum, corner) => sum + corner[0], 0) / 4;
-        const centerY = corners.reduce((sum, corner) => sum + corner[1], 0) / 4;
-        
-        // Calculate tag size in pixels
-        const pixelSize = Math.sqrt(
-            Math.pow(corners[1][0] - corners[0][0], 2) + 
-            Math.pow(corners[1][1] - corners[0][1], 2)
-        );
-        
-        // Estimate distance based on apparent size
-        const focalLength = 800; // Assumed focal length
-        const distance = (tagSize * focalLength) / pixelSize;
-        
-        // Simple translation estimation (relative to camera center)
-        const imgCenterX = 320; // Assumed image center
-        const imgCenterY = 240;
-        
-        const x = (centerX - imgCenterX) * distance / focalLength;
-        const y = (centerY - imgCenterY) * distance / focalLength;
-        const z = distance;
-        
-        // Simple rotation estimation based on corner positions
-        const dx = corners[1][0] - corners[0][0];
-        const dy = corners[1][1] - corners[0][1];
-        const angle = Math.atan2(dy, dx);
-        
-        return {
-            translation: [x, y, z],
-            rotation: [0, 0, angle] // Roll, pitch, yaw
-        };
+        // Remove lens distortion from image points (pixel centers at
+        // integer + 0.5). Returns null if any point cannot be undistorted.
+        undistortPoints(points, camera) {
+            if (LensDistortion.isIdentity(this.distortion)) return points;
+
+            const undistorted = [];
+            for (const [u, v] of points) {
+                const ideal = LensDistortion.undistortPixel(u - 0.5, v - 0.5, camera, this.distortion);
+                if (!ideal) return null;
+                undistorted.push([ideal[0] + 0.5, ideal[1] + 0.5]);
+            }
+            return undistorted;
+        }
     }
-}
-
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = AprilTagDetector;
-} else {
-    window.AprilTagDetector = AprilTagDetector;
-}
\ No newline at end of file
+
+    return AprilTagDetector;
+});
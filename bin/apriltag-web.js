@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+// Batch detection on image files (index.js), written as JSON, JSON Lines or
+// CSV in the recorder's formats (src/recorder.js), one record per image
+//
+//   apriltag-web detect images/*.png --family tag36h11 --size 0.05 --intrinsics cam.json
+//   apriltag-web detect frames/ --format csv --output results.csv
+//
+// Run with --help for every option.
+
+const fs = require('fs');
+const path = require('path');
+const { TagFamily, TagMap, PoseRecorder, loadImage, readIntrinsics, readBundles, readTagMap, createDetector, detectImage } = require('../index.js');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+const FORMATS = ['json', 'jsonl', 'csv'];
+
+const USAGE = `Usage: apriltag-web detect <image or directory>... [options]
+
+Detects tags in PNG and JPEG images; directories are searched for them.
+
+  --family <name>        tag family (default tag36h11; one of ${TagFamily.names.join(', ')})
+  --size <m>             tag size in meters, measured like the app's Tag Size (default 0.05)
+  --intrinsics <file>    camera intrinsics JSON: a calibration saved by the app, { fx, fy, cx, cy,
+                         width, height, distortion } or OpenCV style (camera_matrix,
+                         distortion_coefficients, image_width, image_height). Without it the
+                         focal length is guessed as 0.8 x the image width
+  --bundles <file>       tag bundle layout JSON, to add bundle poses
+  --tag-map <file>       tag map JSON or YAML giving the family and size of each tag ID;
+                         tags of every family in it are detected
+  --unknown <action>     tags missing from the tag map: flag (default, "unknown": true) or ignore
+  --reference <key>      express poses relative to this tag ID or bundle:<name> as well
+  --decimate <n>         detector decimation, a whole factor (default 1)
+  --blur <sigma>         Gaussian blur before detection (default 0)
+  --max-hamming <n>      most bit errors corrected when decoding
+  --no-refine            do not refine the tag edges
+  --format <format>      json, jsonl or csv (default from the --output extension, else json)
+  --output <file>        write to a file instead of stdout
+  --quiet                no progress on stderr`;
+
+function parseArgs(argv) {
+    const options = {
+        inputs: [],
+        family: 'tag36h11',
+        size: 0.05,
+        intrinsics: null,
+        bundles: null,
+        tagMap: null,
+        unknown: 'flag',
+        reference: null,
+        decimate: 1,
+        blur: 0,
+        maxHamming: undefined,
+        refine: true,
+        format: null,
+        output: null,
+        quiet: false
+    };
+
+    const [command, ...rest] = argv;
+    if (command === '--help' || command === '-h' || command === undefined) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+    if (command !== 'detect') {
+        fail(`Unknown command ${command}\n\n${USAGE}`);
+    }
+
+    for (let i = 0; i < rest.length; i++) {
+        const value = () => {
+            if (i + 1 >= rest.length) fail(`${rest[i]} needs a value`);
+            return rest[++i];
+        };
+        switch (rest[i]) {
+            case '--family': options.family = value(); break;
+            case '--size': options.size = parseFloat(value()); break;
+            case '--intrinsics': options.intrinsics = value(); break;
+            case '--bundles': options.bundles = value(); break;
+            case '--tag-map': options.tagMap = value(); break;
+            case '--unknown': options.unknown = value(); break;
+            case '--reference': options.reference = value(); break;
+            case '--decimate': options.decimate = Number(value()); break;
+            case '--blur': options.blur = Number(value()); break;
+            case '--max-hamming': options.maxHamming = Number(value()); break;
+            case '--no-refine': options.refine = false; break;
+            case '--format': options.format = value(); break;
+            case '--output': options.output = value(); break;
+            case '--quiet': options.quiet = true; break;
+            case '--help':
+            case '-h':
+                console.log(USAGE);
+                process.exit(0);
+                break;
+            default:
+                if (rest[i].startsWith('--')) fail(`Unknown option ${rest[i]}`);
+                options.inputs.push(rest[i]);
+        }
+    }
+
+    if (!options.inputs.length) fail('No images given');
+    if (!(options.size > 0)) fail('--size must be a positive number of meters');
+    // The detector decimates by whole factors, and a mistyped hamming limit
+    // would silently turn off error correction
+    if (!(Number.isInteger(options.decimate) && options.decimate >= 1)) fail('--decimate must be a whole number, 1 or more');
+    if (options.maxHamming !== undefined && !(Number.isInteger(options.maxHamming) && options.maxHamming >= 0)) {
+        fail('--max-hamming must be a whole number, 0 or more');
+    }
+    if (!(Number.isFinite(options.blur) && options.blur >= 0)) fail('--blur must be a number, 0 or more');
+    if (!['flag', 'ignore'].includes(options.unknown)) fail('--unknown must be flag or ignore');
+    if (!options.format) {
+        const extension = options.output ? path.extname(options.output).slice(1).toLowerCase() : '';
+        options.format = FORMATS.includes(extension) ? extension : 'json';
+    }
+    if (!FORMATS.includes(options.format)) fail(`Unknown format ${options.format} (one of ${FORMATS.join(', ')})`);
+    return options;
+}
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+// Image files of the inputs, directories expanded (not recursively), in
+// name order within each directory
+function imageFiles(inputs) {
+    const files = [];
+    inputs.forEach(input => {
+        const stat = fs.statSync(input, { throwIfNoEntry: false });
+        if (stat && stat.isDirectory()) {
+            fs.readdirSync(input)
+                .filter(name => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+                .forEach(name => files.push(path.join(input, name)));
+        } else {
+            files.push(input);
+        }
+    });
+    return files;
+}
+
+async function detect(options) {
+    const files = imageFiles(options.inputs);
+    const intrinsics = options.intrinsics ? await readIntrinsics(options.intrinsics) : {};
+    const bundles = options.bundles ? await readBundles(options.bundles, options.family) : [];
+    const tagMap = options.tagMap ? await readTagMap(options.tagMap) : null;
+    const parameters = {
+        tagFamily: options.family,
+        tagSize: options.size,
+        tagMap,
+        unknownTags: options.unknown,
+        decimate: options.decimate,
+        blur: options.blur,
+        refineEdges: options.refine,
+        maxHamming: options.maxHamming,
+        ...intrinsics
+    };
+    const detector = await createDetector(parameters);
+    delete parameters.tagMap; // sizes are recorded per tag
+
+    const recorder = new PoseRecorder();
+    recorder.start();
+    let failed = 0;
+    let tags = 0;
+    for (let index = 0; index < files.length; index++) {
+        const file = files[index];
+        try {
+            const image = await loadImage(file);
+            const result = detectImage(detector, image, { bundles });
+            recorder.add(PoseRecorder.record({
+                time: null,
+                frame: index,
+                source: file,
+                parameters: { ...parameters, backend: 'js', cameraMatrix: detector.cameraFor(image.width, image.height) },
+                detections: result.detections,
+                bundles: result.bundles,
+                reference: options.reference
+            }));
+            tags += result.detections.length;
+            if (!options.quiet) {
+                const keys = result.detections.map(detection => TagMap.key(detection, options.family));
+                console.error(`${file}: ${keys.join(', ') || 'no tags'}`);
+            }
+        } catch (error) {
+            failed++;
+            console.error(`${file}: ${error.message}`);
+        }
+    }
+
+    const output = options.format === 'csv' ? recorder.toCSV()
+        : options.format === 'jsonl' ? recorder.toJSONLines()
+            : JSON.stringify(recorder.records, null, 2) + '\n';
+    if (options.output) {
+        fs.writeFileSync(options.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+
+    if (!options.quiet) {
+        console.error(`${files.length - failed} of ${files.length} image(s) processed, ${tags} tag(s) found` +
+            (options.output ? `, written to ${options.output}` : ''));
+    }
+    return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+    detect(parseArgs(process.argv.slice(2)))
+        .then(code => { process.exitCode = code; })
+        .catch(error => fail(error.message));
+}
+
+module.exports = { parseArgs, imageFiles, detect };
@@ -0,0 +1,148 @@
+// Node entry point: the detector and the modules around it, plus reading
+// images and camera intrinsics from files, for processing datasets in
+// scripts and CI without a browser. bin/apriltag-web.js is the command line
+// front end.
+//
+//   const { createDetector, loadImage, detectImage } = require('apriltag-web');
+//   const detector = await createDetector({ tagFamily: 'tag36h11', tagSize: 0.05 });
+//   const { detections } = detectImage(detector, await loadImage('frame.png'));
+
+const fs = require('fs');
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+
+const AprilTagDetector = require('./apriltag.js');
+const TagFamily = require('./src/tag-family.js');
+const TagBundle = require('./src/bundle.js');
+const TagMap = require('./src/tag-map.js');
+const MapBuilder = require('./src/map-builder.js');
+const Localization = require('./src/localization.js');
+const PoseStatistics = require('./src/pose-statistics.js');
+const Transform = require('./src/transform.js');
+const LensDistortion = require('./src/distortion.js');
+const PoseRecorder = require('./src/recorder.js');
+
+// Decode PNG or JPEG bytes, told apart by their signature, into RGBA image
+// data { width, height, data } like a canvas returns
+function decodeImage(buffer) {
+    if (buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG') {
+        const png = PNG.sync.read(buffer);
+        return { width: png.width, height: png.height, data: new Uint8ClampedArray(png.data.buffer, png.data.byteOffset, png.data.length) };
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 1024 });
+        return { width: image.width, height: image.height, data: new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.data.length) };
+    }
+    throw new Error('Not a PNG or JPEG image');
+}
+
+async function loadImage(file) {
+    return decodeImage(await fs.promises.readFile(file));
+}
+
+// Intrinsics { cameraMatrix, distortion } from parsed JSON, in any of:
+//
+//   the app's stored calibration   { camera: { fx, fy, cx, cy, width, height }, distortion }
+//   flat intrinsics                { fx, fy, cx, cy, width, height, distortion }
+//   OpenCV style                   { camera_matrix: [[fx, 0, cx], [0, fy, cy], [0, 0, 1]],
+//                                    distortion_coefficients: [k1, k2, p1, p2, k3],
+//                                    image_width, image_height }
+//
+// width and height are the resolution the intrinsics refer to; frames of
+// another resolution get them rescaled. Without them they are used as is.
+function parseIntrinsics(data) {
+    let camera;
+    let distortion;
+    if (data.camera_matrix) {
+        const K = [data.camera_matrix.data || data.camera_matrix].flat(2);
+        if (K.length !== 9) throw new Error('camera_matrix must be 3x3');
+        camera = { fx: K[0], fy: K[4], cx: K[2], cy: K[5], width: data.image_width, height: data.image_height };
+        const coefficients = data.distortion_coefficients || [];
+        const d = [coefficients.data || coefficients].flat(2);
+        distortion = d.length ? { model: 'brown-conrady', k1: d[0], k2: d[1], p1: d[2], p2: d[3], k3: d[4] } : null;
+    } else {
+        camera = data.camera || data;
+        distortion = data.distortion || null;
+    }
+
+    const { fx, fy, cx, cy } = camera;
+    if (![fx, fy, cx, cy].every(Number.isFinite) || fx <= 0 || fy <= 0) {
+        throw new Error('Intrinsics need fx, fy, cx and cy');
+    }
+    const cameraMatrix = { fx, fy, cx, cy };
+    if (camera.width > 0 && camera.height > 0) {
+        cameraMatrix.width = camera.width;
+        cameraMatrix.height = camera.height;
+    }
+    return { cameraMatrix, distortion: LensDistortion.normalize(distortion) };
+}
+
+async function readIntrinsics(file) {
+    try {
+        return parseIntrinsics(JSON.parse(await fs.promises.readFile(file, 'utf8')));
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+}
+
+async function readBundles(file, family = null) {
+    try {
+        return TagBundle.parse(await fs.promises.readFile(file, 'utf8'), family);
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+}
+
+// Tag map (src/tag-map.js) from a JSON or YAML file
+async function readTagMap(file) {
+    try {
+        return TagMap.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+}
+
+// A detector with the codebooks of its families loaded. parameters are
+// those of AprilTagDetector.setParameters.
+async function createDetector(parameters = {}) {
+    const families = [parameters.tagFamily, ...TagMap.families(parameters.tagMap)].filter(Boolean);
+    families.forEach(name => {
+        if (!TagFamily.names.includes(name)) {
+            throw new Error(`Unknown tag family: ${name} (one of ${TagFamily.names.join(', ')})`);
+        }
+    });
+    const detector = new AprilTagDetector();
+    detector.setParameters(parameters);
+    await detector.initialize();
+    return detector;
+}
+
+// Tags and bundle poses in one image
+function detectImage(detector, image, { bundles = [] } = {}) {
+    const detections = detector.detect(image);
+    return {
+        detections,
+        bundles: bundles.length ? detector.estimateBundlePoses(detections, bundles, image.width, image.height) : []
+    };
+}
+
+module.exports = {
+    AprilTagDetector,
+    TagFamily,
+    TagBundle,
+    TagMap,
+    MapBuilder,
+    Localization,
+    PoseStatistics,
+    Transform,
+    LensDistortion,
+    PoseRecorder,
+    decodeImage,
+    loadImage,
+    parseIntrinsics,
+    readIntrinsics,
+    readBundles,
+    readTagMap,
+    createDetector,
+    detectImage
+};
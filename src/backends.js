@@ -0,0 +1,121 @@
+// Detector backends sharing the AprilTagDetector interface (initialize,
+// setParameters, detect): the JavaScript pipeline and the reference C
+// library compiled to WebAssembly. A pool keeps the backends that have been
+// used initialized with the same parameters, so switching is instant after
+// the first time and several backends can run on one frame for comparison.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('../apriltag.js'), require('./wasm-detector.js'));
+    } else {
+        root.DetectorBackends = factory(root.AprilTagDetector, root.WasmAprilTagDetector);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AprilTagDetector, WasmAprilTagDetector) {
+
+    const BACKENDS = {
+        js: AprilTagDetector,
+        wasm: WasmAprilTagDetector
+    };
+
+    function create(name) {
+        const Backend = BACKENDS[name];
+        if (!Backend) {
+            throw new Error(`Unknown detector backend: ${name}`);
+        }
+        return new Backend();
+    }
+
+    class DetectorPool {
+        constructor() {
+            this.parameters = {};
+            this.detectors = new Map(); // name -> promise of an initialized detector
+            this.active = 'js';
+        }
+
+        setParameters(params) {
+            this.parameters = { ...this.parameters, ...params };
+            this.detectors.forEach(detector => {
+                detector.then(d => d.setParameters(params), () => {});
+            });
+        }
+
+        get(name) {
+            if (!this.detectors.has(name)) {
+                const detector = create(name);
+                detector.setParameters(this.parameters);
+                this.detectors.set(name, detector.initialize().then(() => detector, (error) => {
+                    // Let a later request retry, e.g. after building the module
+                    this.detectors.delete(name);
+                    throw error;
+                }));
+            }
+            return this.detectors.get(name);
+        }
+
+        // Switch the backend used by detect, once it has initialized
+        async use(name) {
+            await this.get(name);
+            this.active = name;
+        }
+
+        async detect(imageData) {
+            const detector = await this.get(this.active);
+            return detector.detect(imageData);
+        }
+
+        // Run each named backend on the same frame. Returns per backend
+        // either { detections, time } or { error }.
+        async compare(imageData, names = Object.keys(BACKENDS)) {
+            const runs = {};
+            for (const name of names) {
+                try {
+                    const detector = await this.get(name);
+                    const start = now();
+                    const detections = detector.detect(imageData);
+                    runs[name] = { detections, time: now() - start };
+                } catch (error) {
+                    runs[name] = { error: error.message };
+                }
+            }
+            return runs;
+        }
+    }
+
+    // Pair the detections of two runs by family and tag ID. For each pair,
+    // the largest corner distance in pixels and the distance between the
+    // translations.
+    function matchDetections(a, b) {
+        const key = (detection) => `${detection.family}:${detection.id}`;
+        const byKey = new Map(b.map(detection => [key(detection), detection]));
+        const matched = [];
+        const onlyA = [];
+
+        a.forEach(detection => {
+            const other = byKey.get(key(detection));
+            if (!other) {
+                onlyA.push(detection.id);
+                return;
+            }
+            byKey.delete(key(detection));
+
+            const cornerError = Math.max(...detection.corners.map((corner, i) =>
+                Math.hypot(corner[0] - other.corners[i][0], corner[1] - other.corners[i][1])));
+            const translationError = Math.hypot(...detection.pose.translation.map((value, i) =>
+                value - other.pose.translation[i]));
+            matched.push({ id: detection.id, cornerError, translationError });
+        });
+
+        return { matched, onlyA, onlyB: [...byKey.values()].map(detection => detection.id) };
+    }
+
+    function now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    return {
+        names: Object.keys(BACKENDS),
+        create,
+        DetectorPool,
+        matchDetections
+    };
+});
@@ -0,0 +1,86 @@
+// Tag bundles: several tags fixed to one rigid object, described by a JSON
+// layout giving each tag's pose in the bundle frame
+//
+//   {
+//     "bundles": [{
+//       "name": "cube",
+//       "tags": [
+//         { "id": 0, "size": 0.05, "position": [0, 0, -0.03], "quaternion": [1, 0, 0, 0] },
+//         ...
+//       ]
+//     }]
+//   }
+//
+// Positions are in meters, quaternions [w, x, y, z] rotate tag-frame
+// vectors into the bundle frame. Both default to the identity; size defaults
+// to the tag's size in the tag map or the detector's tag size, and family
+// (optional) to the family selected in the detector. A single bundle object
+// or an array of bundles is accepted as well.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./linalg.js'));
+    } else {
+        root.TagBundle = factory(root.LinAlg);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LinAlg) {
+
+    // Validate a layout (parsed JSON or text) into
+    // [{ name, tags: [{ id, family, size, R, t }] }]. A tag without a family
+    // is the same tag as one of the selected family (family) when checking
+    // that no tag belongs to two bundles.
+    function parse(layout, family = null) {
+        const data = typeof layout === 'string' ? JSON.parse(layout) : layout;
+        const bundles = Array.isArray(data) ? data : (data.bundles || [data]);
+        const owners = new Map();
+
+        return bundles.map((bundle, index) => {
+            const name = bundle.name !== undefined ? String(bundle.name) : `bundle${index}`;
+            if (!Array.isArray(bundle.tags) || bundle.tags.length === 0) {
+                throw new Error(`Bundle "${name}" has no tags`);
+            }
+
+            const tags = bundle.tags.map(tag => {
+                if (!Number.isInteger(tag.id) || tag.id < 0) {
+                    throw new Error(`Bundle "${name}": invalid tag id ${JSON.stringify(tag.id)}`);
+                }
+                if (tag.family !== undefined && typeof tag.family !== 'string') {
+                    throw new Error(`Bundle "${name}": tag ${tag.id} has an invalid family`);
+                }
+                const owner = `${tag.family || family || ''}:${tag.id}`;
+                if (owners.has(owner)) {
+                    throw new Error(`Bundle "${name}": tag ${tag.id} already belongs to bundle "${owners.get(owner)}"`);
+                }
+                owners.set(owner, name);
+
+                if (tag.size !== undefined && !(tag.size > 0)) {
+                    throw new Error(`Bundle "${name}": tag ${tag.id} has an invalid size`);
+                }
+                const position = tag.position || [0, 0, 0];
+                const quaternion = tag.quaternion || [1, 0, 0, 0];
+                if (!isVector(position, 3)) {
+                    throw new Error(`Bundle "${name}": tag ${tag.id} has an invalid position`);
+                }
+                if (!isVector(quaternion, 4) || LinAlg.norm(quaternion) < 1e-9) {
+                    throw new Error(`Bundle "${name}": tag ${tag.id} has an invalid quaternion`);
+                }
+
+                return {
+                    id: tag.id,
+                    family: tag.family,
+                    size: tag.size,
+                    R: LinAlg.rotationFromQuaternion(quaternion),
+                    t: position.slice()
+                };
+            });
+
+            return { name, tags };
+        });
+    }
+
+    function isVector(value, length) {
+        return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+    }
+
+    return { parse };
+});
@@ -0,0 +1,95 @@
+// Persists camera calibrations per camera device in localStorage
+//
+// A device keeps one calibration per resolution. Another resolution with the
+// same aspect ratio is the same sensor area scaled, so its intrinsics are
+// scaled from the closest calibrated one; distortion coefficients act on
+// normalized coordinates and carry over unchanged.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./pose.js'));
+    } else {
+        root.CalibrationStore = factory(root.PoseEstimator);
+    }
+})(typeof self !== 'undefined' ? self : this, function (PoseEstimator) {
+
+    const PREFIX = 'apriltag-web.calibration.';
+    const ASPECT_TOLERANCE = 0.01;
+
+    class CalibrationStore {
+        constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+            this.storage = storage;
+        }
+
+        key(deviceId) {
+            return PREFIX + (deviceId || 'default');
+        }
+
+        // All calibrations of a device, keyed by resolution ('1280x720')
+        entries(deviceId) {
+            if (!this.storage) return {};
+            try {
+                const stored = JSON.parse(this.storage.getItem(this.key(deviceId)));
+                if (!stored) return {};
+                // A single calibration, as stored before they were kept per
+                // resolution
+                if (stored.camera) return { [CalibrationStore.sizeKey(stored.camera)]: stored };
+                return stored;
+            } catch (error) {
+                console.warn('Ignoring unreadable calibration:', error);
+                return {};
+            }
+        }
+
+        has(deviceId) {
+            return Object.keys(this.entries(deviceId)).length > 0;
+        }
+
+        // The calibration of a device at size ({ width, height }), scaled from
+        // another resolution if need be (it then has scaledFrom set), or null
+        load(deviceId, size) {
+            const entries = Object.values(this.entries(deviceId));
+            const exact = entries.find(entry => entry.camera.width === size.width && entry.camera.height === size.height);
+            if (exact) return exact;
+
+            const aspect = size.width / size.height;
+            const candidates = entries
+                .filter(entry => Math.abs(entry.camera.width / entry.camera.height - aspect) < ASPECT_TOLERANCE * aspect)
+                .sort((a, b) => Math.abs(a.camera.width - size.width) - Math.abs(b.camera.width - size.width));
+            return candidates.length ? CalibrationStore.scale(candidates[0], size) : null;
+        }
+
+        save(deviceId, calibration) {
+            if (!this.storage) return;
+            const entries = this.entries(deviceId);
+            entries[CalibrationStore.sizeKey(calibration.camera)] = {
+                ...calibration,
+                savedAt: new Date().toISOString()
+            };
+            this.storage.setItem(this.key(deviceId), JSON.stringify(entries));
+        }
+
+        // Forget every calibration of a device
+        remove(deviceId) {
+            if (this.storage) this.storage.removeItem(this.key(deviceId));
+        }
+
+        static sizeKey({ width, height }) {
+            return `${width}x${height}`;
+        }
+
+        static scale(calibration, size) {
+            const sx = size.width / calibration.camera.width;
+            const sy = size.height / calibration.camera.height;
+            const camera = calibration.camera;
+            return {
+                ...calibration,
+                camera: PoseEstimator.scaleCamera(camera, size.width, size.height),
+                rms: calibration.rms !== undefined ? calibration.rms * Math.sqrt(sx * sy) : undefined,
+                scaledFrom: { width: camera.width, height: camera.height }
+            };
+        }
+    }
+
+    return CalibrationStore;
+});
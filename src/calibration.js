@@ -0,0 +1,299 @@
+// Camera calibration from several views of a planar target (Zhang's method)
+//
+// The target is a grid of AprilTags of known size and spacing, so every
+// detected tag contributes four exactly known board points. Intrinsics are
+// initialized in closed form from the per-view homographies, then all
+// intrinsics, Brown-Conrady distortion coefficients (k1, k2, p1, p2, k3) and
+// per-view board poses are refined together with Levenberg-Marquardt.
+//
+// Image points use the intrinsics' convention (pixel centers at integers);
+// collectView converts detected corners accordingly.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./linalg.js'), require('./homography.js'), require('./distortion.js'));
+    } else {
+        root.CameraCalibration = factory(root.LinAlg, root.Homography, root.LensDistortion);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LinAlg, Homography, LensDistortion) {
+
+    const INTRINSIC_COUNT = 9; // fx, fy, cx, cy, k1, k2, p1, p2, k3
+    const MIN_VIEWS = 3;
+    const MIN_TAGS_PER_VIEW = 4;
+
+    // Board frame: origin at the center of the first tag, x along a row,
+    // y down the columns, z into the board. Tag (row, col) carries ID
+    // firstId + row * cols + col. Returns a Map of ID -> corner points in
+    // canonical detection order.
+    function tagGridBoard({ rows, cols, tagSize, tagSpacing, firstId = 0 }) {
+        const board = new Map();
+        const pitch = tagSize + tagSpacing;
+        const h = tagSize / 2;
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const x = col * pitch;
+                const y = row * pitch;
+                board.set(firstId + row * cols + col, [
+                    [x - h, y + h, 0],
+                    [x + h, y + h, 0],
+                    [x + h, y - h, 0],
+                    [x - h, y - h, 0]
+                ]);
+            }
+        }
+        return board;
+    }
+
+    // Pair the corners of the board's tags found in one frame. Returns null
+    // when too few board tags are visible for a usable view.
+    function collectView(board, detections) {
+        const objectPoints = [];
+        const imagePoints = [];
+        let tags = 0;
+
+        detections.forEach(detection => {
+            const points = board.get(detection.id);
+            if (!points) return;
+            tags++;
+            points.forEach((point, i) => {
+                objectPoints.push(point);
+                imagePoints.push([detection.corners[i][0] - 0.5, detection.corners[i][1] - 0.5]);
+            });
+        });
+
+        if (tags < MIN_TAGS_PER_VIEW) return null;
+        return { objectPoints, imagePoints };
+    }
+
+    // Calibrate from views of { objectPoints, imagePoints }. Returns the
+    // camera matrix, distortion coefficients, overall and per-view RMS
+    // reprojection errors in pixels.
+    function calibrateCamera(views, imageSize) {
+        if (views.length < MIN_VIEWS) {
+            throw new Error(`Calibration needs at least ${MIN_VIEWS} views, got ${views.length}`);
+        }
+
+        const homographies = views.map(view => {
+            const H = Homography.fit(view.objectPoints.map(([x, y]) => [x, y]), view.imagePoints);
+            if (!H) throw new Error('Degenerate view: board points are collinear');
+            return H;
+        });
+
+        const K = initialIntrinsics(homographies, imageSize);
+        const params = [K[0][0], K[1][1], K[0][2], K[1][2], 0, 0, 0, 0, 0];
+        homographies.forEach(H => {
+            const { R, t } = boardPose(H, K);
+            params.push(...LinAlg.rotationToVector(R), ...t);
+        });
+
+        const refined = levenbergMarquardt(views, params);
+
+        const camera = {
+            fx: refined[0],
+            fy: refined[1],
+            cx: refined[2],
+            cy: refined[3],
+            width: imageSize.width,
+            height: imageSize.height
+        };
+        const distortion = {
+            model: 'brown-conrady',
+            k1: refined[4],
+            k2: refined[5],
+            p1: refined[6],
+            p2: refined[7],
+            k3: refined[8]
+        };
+
+        let total = 0, count = 0;
+        const viewErrors = views.map((view, v) => {
+            const residuals = viewResiduals(view, refined, v);
+            let sum = 0;
+            for (let i = 0; i < residuals.length; i += 2) {
+                sum += residuals[i] ** 2 + residuals[i + 1] ** 2;
+            }
+            total += sum;
+            count += view.objectPoints.length;
+            return Math.sqrt(sum / view.objectPoints.length);
+        });
+
+        return {
+            camera,
+            distortion,
+            rms: Math.sqrt(total / count),
+            viewErrors
+        };
+    }
+
+    // Closed-form intrinsics (zero skew) from the absolute conic
+    // constraints each homography imposes. Pixel coordinates are first
+    // normalized to roughly [-1, 1] to keep the system well conditioned.
+    function initialIntrinsics(homographies, imageSize) {
+        const scale = 2 / Math.max(imageSize.width, imageSize.height);
+        const N = [
+            [scale, 0, -scale * imageSize.width / 2],
+            [0, scale, -scale * imageSize.height / 2],
+            [0, 0, 1]
+        ];
+
+        const VtV = Array.from({ length: 6 }, () => new Array(6).fill(0));
+        const addConstraint = (row) => {
+            for (let i = 0; i < 6; i++) {
+                for (let j = 0; j < 6; j++) VtV[i][j] += row[i] * row[j];
+            }
+        };
+
+        homographies.forEach(H => {
+            const Hn = LinAlg.multiply(N, H);
+            const v = (i, j) => [
+                Hn[0][i] * Hn[0][j],
+                Hn[0][i] * Hn[1][j] + Hn[1][i] * Hn[0][j],
+                Hn[1][i] * Hn[1][j],
+                Hn[2][i] * Hn[0][j] + Hn[0][i] * Hn[2][j],
+                Hn[2][i] * Hn[1][j] + Hn[1][i] * Hn[2][j],
+                Hn[2][i] * Hn[2][j]
+            ];
+            const v12 = v(0, 1);
+            const v11 = v(0, 0);
+            const v22 = v(1, 1);
+            const norm12 = LinAlg.norm(v12) || 1;
+            const diff = v11.map((value, k) => value - v22[k]);
+            const normDiff = LinAlg.norm(diff) || 1;
+            addConstraint(v12.map(value => value / norm12));
+            addConstraint(diff.map(value => value / normDiff));
+        });
+
+        const { vectors } = LinAlg.symmetricEigen(VtV);
+        let [B11, B12, B22, B13, B23, B33] = vectors.map(row => row[0]);
+        if (B11 < 0) {
+            [B11, B12, B22, B13, B23, B33] = [-B11, -B12, -B22, -B13, -B23, -B33];
+        }
+
+        const denominator = B11 * B22 - B12 * B12;
+        const v0 = (B12 * B13 - B11 * B23) / denominator;
+        const lambda = B33 - (B13 * B13 + v0 * (B12 * B13 - B11 * B23)) / B11;
+        const alpha = Math.sqrt(lambda / B11);
+        const beta = Math.sqrt(lambda * B11 / denominator);
+        const u0 = -B13 * alpha * alpha / lambda;
+
+        if (![alpha, beta, u0, v0].every(Number.isFinite)) {
+            throw new Error('Calibration failed: vary the board orientation between views');
+        }
+
+        const Kn = [[alpha, 0, u0], [0, beta, v0], [0, 0, 1]];
+        return LinAlg.multiply(LinAlg.invert3(N), Kn);
+    }
+
+    // Board pose of one view from its homography and the intrinsics
+    function boardPose(H, K) {
+        const Kinv = LinAlg.invert3(K);
+        const column = (j) => LinAlg.multiplyVector(Kinv, [H[0][j], H[1][j], H[2][j]]);
+        const h1 = column(0), h2 = column(1), h3 = column(2);
+
+        let lambda = 2 / (LinAlg.norm(h1) + LinAlg.norm(h2));
+        if (h3[2] < 0) lambda = -lambda;
+
+        const r1 = h1.map(value => value * lambda);
+        const r2 = h2.map(value => value * lambda);
+        const R = LinAlg.nearestRotation(LinAlg.transpose([r1, r2, LinAlg.cross(r1, r2)]));
+        return { R, t: h3.map(value => value * lambda) };
+    }
+
+    function viewResiduals(view, params, v) {
+        const [fx, fy, cx, cy, k1, k2, p1, p2, k3] = params;
+        const intrinsics = { fx, fy, cx, cy };
+        const distortion = { model: 'brown-conrady', k1, k2, p1, p2, k3 };
+        const offset = INTRINSIC_COUNT + 6 * v;
+        const R = LinAlg.rotationFromVector(params.slice(offset, offset + 3));
+        const t = params.slice(offset + 3, offset + 6);
+        const residuals = new Array(view.objectPoints.length * 2);
+
+        view.objectPoints.forEach((point, i) => {
+            const camera = LinAlg.multiplyVector(R, point).map((value, k) => value + t[k]);
+            const [u, w] = LensDistortion.projectPoint(camera, intrinsics, distortion);
+            residuals[2 * i] = u - view.imagePoints[i][0];
+            residuals[2 * i + 1] = w - view.imagePoints[i][1];
+        });
+        return residuals;
+    }
+
+    function totalCost(views, params) {
+        let cost = 0;
+        views.forEach((view, v) => {
+            viewResiduals(view, params, v).forEach(r => {
+                cost += r * r;
+            });
+        });
+        return Number.isFinite(cost) ? cost : Infinity;
+    }
+
+    // Sparse LM: each residual depends on the nine intrinsics and the six
+    // pose parameters of its own view only, so the normal equations are
+    // accumulated from those 15 columns per row with a numeric Jacobian.
+    function levenbergMarquardt(views, initial, maxIterations = 100) {
+        let params = initial.slice();
+        let cost = totalCost(views, params);
+        let lambda = 1e-3;
+        const size = params.length;
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            const JTJ = Array.from({ length: size }, () => new Array(size).fill(0));
+            const JTr = new Array(size).fill(0);
+
+            views.forEach((view, v) => {
+                const offset = INTRINSIC_COUNT + 6 * v;
+                const columns = [...Array(INTRINSIC_COUNT).keys(), ...[0, 1, 2, 3, 4, 5].map(k => offset + k)];
+                const base = viewResiduals(view, params, v);
+
+                const derivatives = columns.map(column => {
+                    const step = 1e-6 * Math.max(1, Math.abs(params[column]));
+                    const shifted = params.slice();
+                    shifted[column] += step;
+                    return viewResiduals(view, shifted, v).map((value, i) => (value - base[i]) / step);
+                });
+
+                for (let i = 0; i < base.length; i++) {
+                    for (let a = 0; a < columns.length; a++) {
+                        const ja = derivatives[a][i];
+                        if (ja === 0) continue;
+                        JTr[columns[a]] += ja * base[i];
+                        for (let b = 0; b < columns.length; b++) {
+                            JTJ[columns[a]][columns[b]] += ja * derivatives[b][i];
+                        }
+                    }
+                }
+            });
+
+            let improved = false;
+            while (lambda < 1e12) {
+                const A = JTJ.map((row, i) => row.map((value, j) => (i === j ? value * (1 + lambda) + 1e-12 : value)));
+                const delta = LinAlg.solve(A, JTr.map(value => -value));
+                if (delta) {
+                    const candidate = params.map((value, i) => value + delta[i]);
+                    const candidateCost = totalCost(views, candidate);
+                    if (candidateCost < cost) {
+                        const converged = cost - candidateCost < 1e-10 * cost;
+                        params = candidate;
+                        cost = candidateCost;
+                        lambda = Math.max(lambda / 10, 1e-12);
+                        improved = !converged;
+                        break;
+                    }
+                }
+                lambda *= 10;
+            }
+            if (!improved) break;
+        }
+
+        return params;
+    }
+
+    return {
+        MIN_VIEWS,
+        MIN_TAGS_PER_VIEW,
+        tagGridBoard,
+        collectView,
+        calibrateCamera
+    };
+});
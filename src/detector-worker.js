@@ -0,0 +1,91 @@
+// Dedicated worker running the detector backends off the main thread; the
+// page side is src/worker-detector.js. Frames arrive either as a transferred
+// ImageBitmap or as a transferred RGBA buffer. Every request carrying a
+// requestId is answered with one message carrying the same requestId.
+
+importScripts(
+    'linalg.js',
+    'homography.js',
+    'tag-family.js',
+    'quad-detector.js',
+    'pose.js',
+    'distortion.js',
+    'transform.js',
+    'tag-map.js',
+    'localization.js',
+    '../apriltag.js',
+    'wasm-detector.js',
+    'backends.js'
+);
+
+// Relative URLs resolve against this script, not the page
+TagFamily.baseUrl = '../families/';
+WasmAprilTagDetector.moduleUrl = '../wasm/build/apriltag-wasm.js';
+
+const pool = new DetectorBackends.DetectorPool();
+let canvas = null;
+let ctx = null;
+
+function toImageData(message) {
+    if (!message.bitmap) {
+        return { width: message.width, height: message.height, data: new Uint8ClampedArray(message.buffer) };
+    }
+
+    const bitmap = message.bitmap;
+    if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+        canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+async function handle(message) {
+    switch (message.type) {
+        case 'frame': {
+            const imageData = toImageData(message);
+            const start = performance.now();
+            const detections = await pool.detect(imageData);
+            return { detections, detectTime: performance.now() - start };
+        }
+
+        case 'backend':
+            await pool.use(message.name);
+            return { name: message.name };
+
+        case 'compare':
+            return { runs: await pool.compare(toImageData(message), message.names) };
+
+        default:
+            throw new Error(`Unknown message type: ${message.type}`);
+    }
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    if (message.type === 'initialize') {
+        try {
+            pool.setParameters(message.params);
+            await pool.use(message.backend);
+            // ImageBitmaps can only be read back through an OffscreenCanvas
+            self.postMessage({ type: 'ready', acceptsBitmaps: typeof OffscreenCanvas !== 'undefined' });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+        return;
+    }
+
+    if (message.type === 'parameters') {
+        pool.setParameters(message.params);
+        return;
+    }
+
+    try {
+        const result = await handle(message);
+        self.postMessage({ type: 'result', requestId: message.requestId, ...result });
+    } catch (error) {
+        self.postMessage({ type: 'error', requestId: message.requestId, message: error.message });
+    }
+};
@@ -0,0 +1,207 @@
+// Lens distortion models
+//
+// Coefficients act on normalized image coordinates (x, y) = (X / Z, Y / Z),
+// so they do not change when the frame is rescaled. Two models are
+// supported, with the same coefficient names as OpenCV:
+//
+//   'brown-conrady'  radial k1, k2, k3 and tangential p1, p2
+//   'fisheye'        Kannala-Brandt k1..k4 on the angle from the optical axis
+//
+// Pixel coordinates here use the intrinsics' convention (pixel centers at
+// integers).
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LensDistortion = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const MODELS = ['none', 'brown-conrady', 'fisheye'];
+    const MAX_ITERATIONS = 20;
+
+    // Fill in missing coefficients. Calibrations saved before the model
+    // was recorded are Brown-Conrady.
+    function normalize(distortion) {
+        const d = distortion || {};
+        const model = d.model || (distortion ? 'brown-conrady' : 'none');
+        if (!MODELS.includes(model)) {
+            throw new Error(`Unknown distortion model: ${model}`);
+        }
+        if (model === 'fisheye') {
+            return { model, k1: d.k1 || 0, k2: d.k2 || 0, k3: d.k3 || 0, k4: d.k4 || 0 };
+        }
+        return { model, k1: d.k1 || 0, k2: d.k2 || 0, p1: d.p1 || 0, p2: d.p2 || 0, k3: d.k3 || 0 };
+    }
+
+    function isIdentity(distortion) {
+        if (!distortion || distortion.model === 'none') return true;
+        return ['k1', 'k2', 'k3', 'k4', 'p1', 'p2'].every(name => !distortion[name]);
+    }
+
+    function distortNormalized(x, y, distortion) {
+        if (!distortion || distortion.model === 'none') return [x, y];
+
+        if (distortion.model === 'fisheye') {
+            const r = Math.hypot(x, y);
+            if (r < 1e-12) return [x, y];
+            const theta = Math.atan(r);
+            const scale = fisheyeTheta(theta, distortion) / r;
+            return [x * scale, y * scale];
+        }
+
+        const { k1, k2, p1, p2, k3 } = distortion;
+        const r2 = x * x + y * y;
+        const radial = 1 + r2 * (k1 + r2 * (k2 + r2 * k3));
+        return [
+            x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x),
+            y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y
+        ];
+    }
+
+    // Invert the model numerically. Returns null when no undistorted point
+    // maps onto (xd, yd), e.g. far outside the calibrated field of view.
+    function undistortNormalized(xd, yd, distortion) {
+        if (!distortion || distortion.model === 'none') return [xd, yd];
+        return distortion.model === 'fisheye'
+            ? undistortFisheye(xd, yd, distortion)
+            : undistortBrownConrady(xd, yd, distortion);
+    }
+
+    // theta_d = theta (1 + k1 theta^2 + k2 theta^4 + k3 theta^6 + k4 theta^8)
+    function fisheyeTheta(theta, { k1, k2, k3, k4 }) {
+        const t2 = theta * theta;
+        return theta * (1 + t2 * (k1 + t2 * (k2 + t2 * (k3 + t2 * k4))));
+    }
+
+    function undistortFisheye(xd, yd, distortion) {
+        const { k1, k2, k3, k4 } = distortion;
+        const thetaD = Math.hypot(xd, yd);
+        if (thetaD < 1e-12) return [xd, yd];
+
+        // Newton on the angle from the optical axis
+        let theta = thetaD;
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            const t2 = theta * theta;
+            const f = fisheyeTheta(theta, distortion) - thetaD;
+            const df = 1 + t2 * (3 * k1 + t2 * (5 * k2 + t2 * (7 * k3 + t2 * 9 * k4)));
+            const step = f / df;
+            theta -= step;
+            if (Math.abs(step) < 1e-12) break;
+        }
+
+        if (!Number.isFinite(theta) || theta < 0 || theta >= Math.PI / 2) return null;
+        if (Math.abs(fisheyeTheta(theta, distortion) - thetaD) > 1e-9) return null;
+        const scale = Math.tan(theta) / thetaD;
+        return [xd * scale, yd * scale];
+    }
+
+    function undistortBrownConrady(xd, yd, distortion) {
+        const { k1, k2, p1, p2, k3 } = distortion;
+        let x = xd, y = yd;
+
+        // Newton with the analytic Jacobian of the forward model
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            const r2 = x * x + y * y;
+            const radial = 1 + r2 * (k1 + r2 * (k2 + r2 * k3));
+            const dRadial = k1 + r2 * (2 * k2 + 3 * k3 * r2);
+
+            const ex = x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x) - xd;
+            const ey = y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y - yd;
+
+            const jxx = radial + 2 * x * x * dRadial + 2 * p1 * y + 6 * p2 * x;
+            const jxy = 2 * x * y * dRadial + 2 * p1 * x + 2 * p2 * y;
+            const jyy = radial + 2 * y * y * dRadial + 6 * p1 * y + 2 * p2 * x;
+            const det = jxx * jyy - jxy * jxy;
+            if (Math.abs(det) < 1e-15) return null;
+
+            const dx = (jyy * ex - jxy * ey) / det;
+            const dy = (jxx * ey - jxy * ex) / det;
+            x -= dx;
+            y -= dy;
+            if (Math.abs(dx) + Math.abs(dy) < 1e-14) break;
+        }
+
+        if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+        const [cx, cy] = distortNormalized(x, y, distortion);
+        if (Math.hypot(cx - xd, cy - yd) > 1e-9) return null;
+        return [x, y];
+    }
+
+    // Pixel of a camera-frame point
+    function projectPoint(point, camera, distortion) {
+        const [x, y] = distortNormalized(point[0] / point[2], point[1] / point[2], distortion);
+        return [camera.fx * x + camera.cx, camera.fy * y + camera.cy];
+    }
+
+    function distortPixel(u, v, camera, distortion) {
+        const [x, y] = distortNormalized((u - camera.cx) / camera.fx, (v - camera.cy) / camera.fy, distortion);
+        return [camera.fx * x + camera.cx, camera.fy * y + camera.cy];
+    }
+
+    // Where the pixel (u, v) would be seen through an ideal pinhole camera
+    // with the same intrinsics
+    function undistortPixel(u, v, camera, distortion) {
+        const ideal = undistortNormalized((u - camera.cx) / camera.fx, (v - camera.cy) / camera.fy, distortion);
+        if (!ideal) return null;
+        return [camera.fx * ideal[0] + camera.cx, camera.fy * ideal[1] + camera.cy];
+    }
+
+    // Source pixel of every pixel of the undistorted image, as interleaved
+    // (x, y) pairs. Build it once per camera model and reuse it with remap.
+    function createUndistortMap(width, height, camera, distortion) {
+        const map = new Float32Array(width * height * 2);
+        let i = 0;
+        for (let v = 0; v < height; v++) {
+            for (let u = 0; u < width; u++) {
+                const [x, y] = distortPixel(u, v, camera, distortion);
+                map[i++] = x;
+                map[i++] = y;
+            }
+        }
+        return map;
+    }
+
+    // Resample RGBA image data through a map from createUndistortMap into
+    // target (same size). Pixels mapped from outside the source are black.
+    function remap(source, map, target) {
+        const { width, height, data } = source;
+        const out = target.data;
+
+        for (let i = 0, j = 0; i < out.length; i += 4, j += 2) {
+            const x = map[j], y = map[j + 1];
+            if (!(x >= 0 && y >= 0 && x <= width - 1 && y <= height - 1)) {
+                out[i] = out[i + 1] = out[i + 2] = 0;
+                out[i + 3] = 255;
+                continue;
+            }
+
+            const x0 = Math.floor(x), y0 = Math.floor(y);
+            const x1 = Math.min(x0 + 1, width - 1), y1 = Math.min(y0 + 1, height - 1);
+            const fx = x - x0, fy = y - y0;
+            const a = (y0 * width + x0) * 4, b = (y0 * width + x1) * 4;
+            const c = (y1 * width + x0) * 4, d = (y1 * width + x1) * 4;
+
+            for (let k = 0; k < 4; k++) {
+                const top = data[a + k] + (data[b + k] - data[a + k]) * fx;
+                const bottom = data[c + k] + (data[d + k] - data[c + k]) * fx;
+                out[i + k] = top + (bottom - top) * fy;
+            }
+        }
+        return target;
+    }
+
+    return {
+        MODELS,
+        normalize,
+        isIdentity,
+        distortNormalized,
+        undistortNormalized,
+        projectPoint,
+        distortPixel,
+        undistortPixel,
+        createUndistortMap,
+        remap
+    };
+});
@@ -0,0 +1,96 @@
+// Planar homographies between two sets of 2D points
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./linalg.js'));
+    } else {
+        root.Homography = factory(root.LinAlg);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LinAlg) {
+
+    // Compute the 3x3 homography H mapping each src[i] onto dst[i] from
+    // exactly four correspondences (H[2][2] is fixed to 1).
+    function compute(src, dst) {
+        const A = [];
+        const b = [];
+
+        for (let i = 0; i < 4; i++) {
+            const [x, y] = src[i];
+            const [u, v] = dst[i];
+            A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+            b.push(u);
+            A.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+            b.push(v);
+        }
+
+        const h = LinAlg.solve(A, b);
+        if (!h) return null;
+
+        return [
+            [h[0], h[1], h[2]],
+            [h[3], h[4], h[5]],
+            [h[6], h[7], 1]
+        ];
+    }
+
+    // Least-squares homography from four or more correspondences: the
+    // normalized DLT, i.e. the null vector of the stacked constraints after
+    // centering and scaling both point sets
+    function fit(src, dst) {
+        if (src.length === 4) return compute(src, dst);
+        if (src.length < 4) return null;
+
+        const Ts = normalization(src);
+        const Td = normalization(dst);
+        const s = src.map(([x, y]) => project(Ts, x, y));
+        const d = dst.map(([x, y]) => project(Td, x, y));
+
+        const AtA = Array.from({ length: 9 }, () => new Array(9).fill(0));
+        const accumulate = (row) => {
+            for (let i = 0; i < 9; i++) {
+                if (row[i] === 0) continue;
+                for (let j = 0; j < 9; j++) AtA[i][j] += row[i] * row[j];
+            }
+        };
+        for (let i = 0; i < s.length; i++) {
+            const [x, y] = s[i];
+            const [u, v] = d[i];
+            accumulate([x, y, 1, 0, 0, 0, -u * x, -u * y, -u]);
+            accumulate([0, 0, 0, x, y, 1, -v * x, -v * y, -v]);
+        }
+
+        const { vectors } = LinAlg.symmetricEigen(AtA);
+        const h = vectors.map(row => row[0]);
+        const Hn = [h.slice(0, 3), h.slice(3, 6), h.slice(6, 9)];
+
+        const TdInverse = LinAlg.invert3(Td);
+        const H = LinAlg.multiply(LinAlg.multiply(TdInverse, Hn), Ts);
+        if (Math.abs(H[2][2]) < 1e-15) return null;
+        return H.map(row => row.map(value => value / H[2][2]));
+    }
+
+    // Similarity moving the points' centroid to the origin with a mean
+    // distance of sqrt(2)
+    function normalization(points) {
+        const n = points.length;
+        const mx = points.reduce((sum, p) => sum + p[0], 0) / n;
+        const my = points.reduce((sum, p) => sum + p[1], 0) / n;
+        const spread = points.reduce((sum, p) => sum + Math.hypot(p[0] - mx, p[1] - my), 0) / n || 1;
+        const scale = Math.SQRT2 / spread;
+        return [
+            [scale, 0, -scale * mx],
+            [0, scale, -scale * my],
+            [0, 0, 1]
+        ];
+    }
+
+    function project(H, x, y) {
+        const w = H[2][0] * x + H[2][1] * y + H[2][2];
+        return [
+            (H[0][0] * x + H[0][1] * y + H[0][2]) / w,
+            (H[1][0] * x + H[1][1] * y + H[1][2]) / w
+        ];
+    }
+
+    return { compute, fit, project };
+});
@@ -0,0 +1,224 @@
+// Small dense linear algebra helpers shared by the detector and pose code.
+// Matrices are plain arrays of rows, vectors are plain arrays.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LinAlg = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // Solve A x = b with Gaussian elimination and partial pivoting.
+    // Returns null when the system is singular.
+    function solve(A, b) {
+        const n = A.length;
+        const M = A.map((row, i) => [...row, b[i]]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+            }
+            if (Math.abs(M[pivot][col]) < 1e-12) return null;
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = M[row][col] / M[col][col];
+                if (factor === 0) continue;
+                for (let k = col; k <= n; k++) {
+                    M[row][k] -= factor * M[col][k];
+                }
+            }
+        }
+
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = M[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= M[row][k] * x[k];
+            }
+            x[row] = sum / M[row][row];
+        }
+        return x;
+    }
+
+    function multiply(A, B) {
+        return A.map(row => B[0].map((_, j) => row.reduce((sum, value, k) => sum + value * B[k][j], 0)));
+    }
+
+    function transpose(A) {
+        return A[0].map((_, j) => A.map(row => row[j]));
+    }
+
+    function multiplyVector(A, v) {
+        return A.map(row => row.reduce((sum, value, k) => sum + value * v[k], 0));
+    }
+
+    function dot(a, b) {
+        return a.reduce((sum, value, i) => sum + value * b[i], 0);
+    }
+
+    function cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    }
+
+    function norm(v) {
+        return Math.sqrt(dot(v, v));
+    }
+
+    function determinant3(A) {
+        return dot(A[0], cross(A[1], A[2]));
+    }
+
+    function invert3(A) {
+        const det = determinant3(A);
+        if (Math.abs(det) < 1e-15) return null;
+        // Rows of the inverse transpose are cross products of the rows
+        const cofactors = [cross(A[1], A[2]), cross(A[2], A[0]), cross(A[0], A[1])];
+        return transpose(cofactors).map(row => row.map(value => value / det));
+    }
+
+    // Closest rotation matrix to M (its orthogonal polar factor), by
+    // averaging with the inverse transpose until the iteration settles
+    function nearestRotation(M) {
+        let R = M.map(row => row.slice());
+        for (let i = 0; i < 20; i++) {
+            const inverse = invert3(R);
+            if (!inverse) break;
+            const next = R.map((row, r) => row.map((value, c) => 0.5 * (value + inverse[c][r])));
+            const change = next.reduce((sum, row, r) => sum + row.reduce((s, value, c) => s + Math.abs(value - R[r][c]), 0), 0);
+            R = next;
+            if (change < 1e-12) break;
+        }
+        return R;
+    }
+
+    // Rotation matrix for a rotation vector (axis * angle), Rodrigues' formula
+    function rotationFromVector(omega) {
+        const angle = norm(omega);
+        if (angle < 1e-12) return identity(3);
+
+        const [x, y, z] = omega.map(value => value / angle);
+        const c = Math.cos(angle), s = Math.sin(angle), C = 1 - c;
+        return [
+            [c + x * x * C, x * y * C - z * s, x * z * C + y * s],
+            [y * x * C + z * s, c + y * y * C, y * z * C - x * s],
+            [z * x * C - y * s, z * y * C + x * s, c + z * z * C]
+        ];
+    }
+
+    // Rotation vector (axis * angle) of a rotation matrix, inverse of
+    // rotationFromVector
+    function rotationToVector(R) {
+        const cos = Math.min(1, Math.max(-1, (R[0][0] + R[1][1] + R[2][2] - 1) / 2));
+        const angle = Math.acos(cos);
+        if (angle < 1e-9) {
+            return [(R[2][1] - R[1][2]) / 2, (R[0][2] - R[2][0]) / 2, (R[1][0] - R[0][1]) / 2];
+        }
+        if (Math.PI - angle < 1e-6) {
+            // Near 180 degrees the skew part vanishes; read the axis from the
+            // symmetric part instead
+            const k = [0, 1, 2].reduce((best, i) => (R[i][i] > R[best][best] ? i : best), 0);
+            const axis = [0, 0, 0];
+            axis[k] = Math.sqrt(Math.max(0, (R[k][k] + 1) / 2));
+            for (let i = 0; i < 3; i++) {
+                if (i !== k) axis[i] = (R[i][k] + R[k][i]) / (4 * axis[k]);
+            }
+            const length = norm(axis);
+            return axis.map(value => value / length * angle);
+        }
+        const scale = angle / (2 * Math.sin(angle));
+        return [
+            (R[2][1] - R[1][2]) * scale,
+            (R[0][2] - R[2][0]) * scale,
+            (R[1][0] - R[0][1]) * scale
+        ];
+    }
+
+    // Rotation matrix of a quaternion [w, x, y, z]; need not be normalized
+    function rotationFromQuaternion(q) {
+        const length = norm(q);
+        const [w, x, y, z] = q.map(value => value / length);
+        return [
+            [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+            [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+            [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)]
+        ];
+    }
+
+    // Eigen-decomposition of a symmetric matrix with cyclic Jacobi rotations.
+    // Returns eigenvalues in ascending order and the matching unit
+    // eigenvectors as the columns of `vectors`.
+    function symmetricEigen(S) {
+        const n = S.length;
+        const A = S.map(row => row.slice());
+        const V = identity(n);
+
+        for (let sweep = 0; sweep < 100; sweep++) {
+            let offDiagonal = 0;
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) offDiagonal += A[p][q] * A[p][q];
+            }
+            if (offDiagonal < 1e-30) break;
+
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    if (Math.abs(A[p][q]) < 1e-300) continue;
+                    const theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < n; k++) {
+                        const akp = A[k][p], akq = A[k][q];
+                        A[k][p] = c * akp - s * akq;
+                        A[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const apk = A[p][k], aqk = A[q][k];
+                        A[p][k] = c * apk - s * aqk;
+                        A[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = V[k][p], vkq = V[k][q];
+                        V[k][p] = c * vkp - s * vkq;
+                        V[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        const order = A.map((row, i) => i).sort((a, b) => A[a][a] - A[b][b]);
+        return {
+            values: order.map(i => A[i][i]),
+            vectors: V.map(row => order.map(i => row[i]))
+        };
+    }
+
+    function identity(n) {
+        return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+    }
+
+    return {
+        solve,
+        multiply,
+        transpose,
+        multiplyVector,
+        dot,
+        cross,
+        norm,
+        determinant3,
+        invert3,
+        nearestRotation,
+        rotationFromVector,
+        rotationToVector,
+        rotationFromQuaternion,
+        symmetricEigen,
+        identity
+    };
+});
@@ -0,0 +1,189 @@
+// Camera localization: the pose of the camera in the world frame of a tag
+// map (src/tag-map.js) from every visible tag with a known world pose
+//
+// RANSAC over tags: every sample of one or two tags is solved like a bundle
+// (src/pose.js), and the solution that the most tags agree with, within the
+// inlier threshold on their RMS reprojection error, is refined by
+// Levenberg-Marquardt over the corners of all of them. A single small tag
+// fixes the camera rotation too loosely for the tags around it to agree,
+// hence the pairs. With few tags every pair is tried, otherwise a random
+// selection of them. Tags whose world pose is wrong (a tag that was moved,
+// or a misdecoded ID) end up as outliers.
+//
+// The covariance of the result is sigma^2 (J^T J)^-1 at the solution, with
+// sigma^2 the residual variance per pixel coordinate, carried over to the
+// camera frame in world coordinates.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./linalg.js'), require('./transform.js'), require('./pose.js'));
+    } else {
+        root.Localization = factory(root.LinAlg, root.Transform, root.PoseEstimator);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LinAlg, Transform, PoseEstimator) {
+
+    const DEFAULTS = {
+        threshold: 4,   // px, RMS reprojection error of an inlier tag
+        rounds: 3,      // of refining and re-selecting the inliers
+        samples: 100    // tag pairs tried at most
+    };
+
+    // Camera pose from tags [{ key, corners, size, pose }], with corners
+    // undistorted in the detector's pixel convention and pose the tag's
+    // pose in the world frame. Returns null without tags, otherwise
+    // {
+    //   pose,          camera frame in world coordinates, with the RMS
+    //                  reprojection error (px) over the inliers
+    //   covariance,    6x6, for rotation (rad, about the world axes) then
+    //                  position (m)
+    //   positionStd,   m, per world axis
+    //   rotationStd,   rad, about each world axis
+    //   inliers, outliers: keys of the tags
+    // }
+    function localize(tags, camera, options = {}) {
+        const { threshold, rounds, samples: samplesLimit } = { ...DEFAULTS, ...options };
+        const entries = tags.map(tag => ({
+            key: tag.key,
+            objectPoints: PoseEstimator.tagObjectPoints(tag.size).map(point => Transform.applyPose(tag.pose, point)),
+            imagePoints: PoseEstimator.toCameraPixels(tag.corners),
+            tag
+        }));
+
+        let best = null;
+        samples(entries, samplesLimit).forEach(sample => {
+            // camera <- world, as the pose of a bundle made of the sample
+            const pose = PoseEstimator.estimateBundlePose(sample.map(entry => ({
+                corners: entry.tag.corners,
+                size: entry.tag.size,
+                R: entry.tag.pose.rotationMatrix,
+                t: entry.tag.pose.translation
+            })), camera);
+            if (!pose) return;
+
+            const hypothesis = { R: pose.rotationMatrix, t: pose.translation };
+            const consensus = score(entries, camera, hypothesis, threshold);
+            if (!best || consensus.inliers.length > best.inliers.length ||
+                (consensus.inliers.length === best.inliers.length && consensus.cost < best.cost)) {
+                best = { ...consensus, ...hypothesis };
+            }
+        });
+        if (!best || !best.inliers.length) return null;
+
+        // Refining over more tags can bring back tags the sample solution
+        // missed, or push out ones it let in
+        let solution = best;
+        let inliers = best.inliers;
+        for (let round = 0; round < rounds; round++) {
+            solution = PoseEstimator.refinePose(
+                inliers.flatMap(entry => entry.objectPoints),
+                inliers.flatMap(entry => entry.imagePoints),
+                camera, solution.R, solution.t
+            );
+            const next = score(entries, camera, solution, threshold).inliers;
+            if (!next.length || sameEntries(next, inliers)) break;
+            inliers = next;
+        }
+
+        const objectPoints = inliers.flatMap(entry => entry.objectPoints);
+        const imagePoints = inliers.flatMap(entry => entry.imagePoints);
+        const covariance = cameraCovariance(objectPoints, imagePoints, camera, solution.R, solution.t);
+        const cameraPose = Transform.invert(Transform.pose(solution.R, solution.t));
+
+        return {
+            pose: { ...cameraPose, error: solution.error },
+            covariance,
+            rotationStd: [0, 1, 2].map(k => Math.sqrt(covariance[k][k])),
+            positionStd: [3, 4, 5].map(k => Math.sqrt(covariance[k][k])),
+            inliers: inliers.map(entry => entry.key),
+            outliers: entries.filter(entry => !inliers.includes(entry)).map(entry => entry.key)
+        };
+    }
+
+    // Every tag alone, and every pair of tags or, with many tags, a random
+    // selection of limit pairs
+    function samples(entries, limit) {
+        const result = entries.map(entry => [entry]);
+        const n = entries.length;
+        if (n * (n - 1) / 2 <= limit) {
+            for (let i = 0; i < n; i++) {
+                for (let j = i + 1; j < n; j++) result.push([entries[i], entries[j]]);
+            }
+            return result;
+        }
+        for (let k = 0; k < limit; k++) {
+            const i = Math.floor(Math.random() * n);
+            const j = (i + 1 + Math.floor(Math.random() * (n - 1))) % n;
+            result.push([entries[i], entries[j]]);
+        }
+        return result;
+    }
+
+    // Tags within the threshold of a world-in-camera pose { R, t }, and the
+    // sum of their squared errors
+    function score(entries, camera, { R, t }, threshold) {
+        const inliers = [];
+        let cost = 0;
+        entries.forEach(entry => {
+            const error = tagError(entry, camera, R, t);
+            if (error <= threshold) {
+                inliers.push(entry);
+                cost += error * error;
+            }
+        });
+        return { inliers, cost };
+    }
+
+    // RMS reprojection error of one tag; Infinity if it is behind the camera
+    function tagError(entry, camera, R, t) {
+        let sum = 0;
+        for (let i = 0; i < entry.objectPoints.length; i++) {
+            const projected = PoseEstimator.project(entry.objectPoints[i], camera, R, t);
+            if (!projected) return Infinity;
+            sum += (projected[0] - entry.imagePoints[i][0]) ** 2 + (projected[1] - entry.imagePoints[i][1]) ** 2;
+        }
+        return Math.sqrt(sum / entry.objectPoints.length);
+    }
+
+    function sameEntries(a, b) {
+        return a.length === b.length && a.every(entry => b.includes(entry));
+    }
+
+    // Covariance of the camera pose in the world. refinePose perturbs the
+    // world-in-camera pose as R <- exp([w]x) R, t <- t + dt; the camera
+    // rotation then turns by -R^T w about the world axes and the camera
+    // position c = -R^T t moves by -R^T ([t]x w + dt).
+    function cameraCovariance(objectPoints, imagePoints, camera, R, t) {
+        const { JTJ } = PoseEstimator.normalEquations(objectPoints, imagePoints, camera, R, t);
+        const cost = objectPoints.reduce((sum, point, i) => {
+            const projected = PoseEstimator.project(point, camera, R, t);
+            return sum + (projected[0] - imagePoints[i][0]) ** 2 + (projected[1] - imagePoints[i][1]) ** 2;
+        }, 0);
+        // Residual variance per coordinate; one tag leaves 2 degrees of freedom
+        const variance = cost / Math.max(1, 2 * objectPoints.length - 6);
+
+        const columns = LinAlg.identity(6).map(column => LinAlg.solve(JTJ, column));
+        if (columns.some(column => !column)) {
+            return Array.from({ length: 6 }, () => new Array(6).fill(Infinity));
+        }
+        const inverse = columns[0].map((_, i) => columns.map(column => column[i]));
+
+        const Rt = LinAlg.transpose(R);
+        const tx = [[0, -t[2], t[1]], [t[2], 0, -t[0]], [-t[1], t[0], 0]];
+        const RtTx = LinAlg.multiply(Rt, tx);
+        const G = Array.from({ length: 6 }, () => new Array(6).fill(0));
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                G[i][j] = -Rt[i][j];
+                G[3 + i][j] = -RtTx[i][j];
+                G[3 + i][3 + j] = -Rt[i][j];
+            }
+        }
+
+        const covariance = LinAlg.multiply(LinAlg.multiply(G, inverse), LinAlg.transpose(G));
+        return covariance.map(row => row.map(value => value * variance));
+    }
+
+    return {
+        localize
+    };
+});
@@ -0,0 +1,259 @@
+// Tag map building: the layout of fixed tags estimated from many frames in
+// which several of them are seen together
+//
+// Every pair of tags posed in the same frame measures their relative pose.
+// The measurements of a pair are averaged, weighted by the inverse squared
+// camera distance since tag poses get noisier further away, and become one
+// edge of a pose graph over the tags. The graph is initialized along its
+// maximum weight spanning tree from the origin tag, then optimized with
+// Levenberg-Marquardt, so loops of measurements that do not quite close
+// are spread over all of their edges. The result is a tag map (see
+// src/tag-map.js) with every tag's pose in the frame of the origin tag.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./linalg.js'), require('./transform.js'));
+    } else {
+        root.MapBuilder = factory(root.LinAlg, root.Transform);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LinAlg, Transform) {
+
+    const DEFAULTS = {
+        rotationNoise: 0.01,  // rad, standard deviation of a tag's rotation seen from 1 m
+        positionNoise: 0.005, // m, and of its position
+        maxAmbiguity: 0.5,    // skip tag poses whose mirrored solution fits nearly as well (error ratio)
+        maxIterations: 50
+    };
+
+    class MapBuilder {
+        constructor(options = {}) {
+            this.options = { ...DEFAULTS, ...options };
+            this.clear();
+        }
+
+        clear() {
+            this.nodes = new Map(); // '<family>:<id>' -> { key, id, family, size, frames }
+            this.pairs = new Map();
+            this.frames = 0;
+        }
+
+        // Tags seen so far, most often seen first
+        get tags() {
+            return [...this.nodes.values()].sort((a, b) => b.frames - a.frames || a.key.localeCompare(b.key, undefined, { numeric: true }));
+        }
+
+        // Add the detections of one frame. Returns the number of tag pairs
+        // it measured.
+        add(detections) {
+            const tags = detections.filter(detection => detection.pose && !this.ambiguous(detection));
+            tags.forEach(detection => {
+                const key = MapBuilder.nodeKey(detection);
+                const node = this.nodes.get(key) || { key, id: detection.id, family: detection.family, size: detection.size, frames: 0 };
+                node.size = detection.size;
+                node.frames++;
+                this.nodes.set(key, node);
+            });
+            if (tags.length < 2) return 0;
+            this.frames++;
+
+            let count = 0;
+            for (let i = 0; i < tags.length; i++) {
+                for (let j = i + 1; j < tags.length; j++) {
+                    const [a, b] = MapBuilder.nodeKey(tags[i]) < MapBuilder.nodeKey(tags[j]) ? [tags[i], tags[j]] : [tags[j], tags[i]];
+                    this.measure(a, b);
+                    count++;
+                }
+            }
+            return count;
+        }
+
+        // Poses whose mirrored solution (see src/pose.js) explains the
+        // corners almost as well may be flipped
+        ambiguous(detection) {
+            const alternative = detection.alternativePose;
+            return !!alternative && detection.pose.error > this.options.maxAmbiguity * alternative.error;
+        }
+
+        measure(a, b) {
+            const key = `${MapBuilder.nodeKey(a)} ${MapBuilder.nodeKey(b)}`;
+            const pair = this.pairs.get(key) || {
+                from: MapBuilder.nodeKey(a),
+                to: MapBuilder.nodeKey(b),
+                weight: 0,
+                rotationSum: [[0, 0, 0], [0, 0, 0], [0, 0, 0]],
+                translationSum: [0, 0, 0],
+                count: 0
+            };
+            const relative = Transform.relative(a.pose, b.pose);
+            const weight = 1 / (LinAlg.dot(a.pose.translation, a.pose.translation) + LinAlg.dot(b.pose.translation, b.pose.translation));
+            pair.weight += weight;
+            pair.rotationSum = pair.rotationSum.map((row, i) => row.map((value, j) => value + weight * relative.rotationMatrix[i][j]));
+            pair.translationSum = pair.translationSum.map((value, k) => value + weight * relative.translation[k]);
+            pair.count++;
+            this.pairs.set(key, pair);
+        }
+
+        // Optimize the graph with the origin tag's frame as the world frame.
+        // Returns
+        // {
+        //   origin,
+        //   tags: [{ key, id, family, size, frames, pose }] connected to the origin,
+        //   disconnected: keys of the tags never seen together with them,
+        //   edges: [{ from, to, count, position, rotation }] with the
+        //          remaining disagreement of each pair (m, rad),
+        //   iterations
+        // }
+        optimize(origin = this.tags.length ? this.tags[0].key : null) {
+            if (!this.nodes.has(origin)) throw new Error(`Tag ${origin} has not been seen`);
+
+            const edges = [...this.pairs.values()].map(pair => ({
+                from: pair.from,
+                to: pair.to,
+                count: pair.count,
+                weight: pair.weight,
+                measured: Transform.pose(LinAlg.nearestRotation(pair.rotationSum), pair.translationSum.map(value => value / pair.weight))
+            }));
+
+            // Spanning tree: repeatedly follow the heaviest edge out of the
+            // tags placed so far
+            const poses = new Map([[origin, Transform.pose(LinAlg.identity(3), [0, 0, 0])]]);
+            for (;;) {
+                let next = null;
+                edges.forEach(edge => {
+                    if (poses.has(edge.from) !== poses.has(edge.to) && (!next || edge.weight > next.weight)) next = edge;
+                });
+                if (!next) break;
+                if (poses.has(next.from)) {
+                    poses.set(next.to, Transform.compose(poses.get(next.from), next.measured));
+                } else {
+                    poses.set(next.from, Transform.compose(poses.get(next.to), Transform.invert(next.measured)));
+                }
+            }
+
+            const connected = edges.filter(edge => poses.has(edge.from));
+            const iterations = this.refine(poses, connected, origin);
+
+            return {
+                origin,
+                tags: this.tags.filter(node => poses.has(node.key)).map(node => ({ ...node, pose: poses.get(node.key) })),
+                disconnected: this.tags.filter(node => !poses.has(node.key)).map(node => node.key),
+                edges: connected.map(edge => {
+                    const [rotation, translation] = edgeError(edge, poses);
+                    return { from: edge.from, to: edge.to, count: edge.count, position: LinAlg.norm(translation), rotation: LinAlg.norm(rotation) };
+                }),
+                iterations
+            };
+        }
+
+        // Levenberg-Marquardt over the poses of every tag but the origin,
+        // each updated as R <- R exp([w]x), t <- t + dt. Poses are replaced
+        // in place; returns the number of iterations.
+        refine(poses, edges, origin) {
+            const keys = [...poses.keys()].filter(key => key !== origin);
+            const index = new Map(keys.map((key, i) => [key, 6 * i]));
+            const n = 6 * keys.length;
+            if (!n || !edges.length) return 0;
+
+            const cost = (candidate) => edges.reduce((sum, edge) => {
+                const residual = this.residual(edge, candidate);
+                return sum + LinAlg.dot(residual, residual);
+            }, 0);
+            let current = cost(poses);
+            let lambda = 1e-3;
+            let iteration = 0;
+
+            for (; iteration < this.options.maxIterations; iteration++) {
+                const JTJ = Array.from({ length: n }, () => new Array(n).fill(0));
+                const JTr = new Array(n).fill(0);
+                edges.forEach(edge => this.accumulate(edge, poses, index, JTJ, JTr));
+
+                let improved = false;
+                while (lambda < 1e10) {
+                    const A = JTJ.map((row, i) => row.map((value, j) => (i === j ? value * (1 + lambda) + 1e-12 : value)));
+                    const delta = LinAlg.solve(A, JTr.map(value => -value));
+                    if (!delta) {
+                        lambda *= 10;
+                        continue;
+                    }
+
+                    const candidate = new Map(poses);
+                    keys.forEach(key => candidate.set(key, perturb(poses.get(key), delta.slice(index.get(key), index.get(key) + 6))));
+                    const candidateCost = cost(candidate);
+                    if (candidateCost < current) {
+                        const converged = current - candidateCost < 1e-12 * (1 + current);
+                        candidate.forEach((pose, key) => poses.set(key, pose));
+                        current = candidateCost;
+                        lambda = Math.max(lambda / 10, 1e-9);
+                        improved = !converged;
+                        break;
+                    }
+                    lambda *= 10;
+                }
+                if (!improved) break;
+            }
+
+            poses.forEach((pose, key) => poses.set(key, Transform.pose(LinAlg.nearestRotation(pose.rotationMatrix), pose.translation)));
+            return iteration;
+        }
+
+        // Edge error scaled by the measurement noise and the square root of
+        // the pair's weight
+        residual(edge, poses) {
+            const [rotation, translation] = edgeError(edge, poses);
+            const scale = Math.sqrt(edge.weight);
+            return rotation.map(value => value * scale / this.options.rotationNoise)
+                .concat(translation.map(value => value * scale / this.options.positionNoise));
+        }
+
+        // Add an edge's numerical Jacobian to the normal equations
+        accumulate(edge, poses, index, JTJ, JTr) {
+            const residual = this.residual(edge, poses);
+            const ends = new Map([[edge.from, poses.get(edge.from)], [edge.to, poses.get(edge.to)]]);
+            const columns = [];
+            [edge.from, edge.to].forEach(key => {
+                if (!index.has(key)) return;
+                for (let k = 0; k < 6; k++) {
+                    const step = new Array(6).fill(0);
+                    step[k] = 1e-7;
+                    const moved = new Map(ends).set(key, perturb(poses.get(key), step));
+                    const derivative = this.residual(edge, moved).map((value, i) => (value - residual[i]) / 1e-7);
+                    columns.push({ position: index.get(key) + k, derivative });
+                }
+            });
+
+            columns.forEach(a => {
+                JTr[a.position] += LinAlg.dot(a.derivative, residual);
+                columns.forEach(b => {
+                    JTJ[a.position][b.position] += LinAlg.dot(a.derivative, b.derivative);
+                });
+            });
+        }
+
+        // Map of the tags placed by optimize, in the format of TagMap.parse
+        static toTagMap(result) {
+            return {
+                tags: result.tags.map(tag => ({ id: tag.id, family: tag.family, size: tag.size, name: null, pose: tag.pose }))
+            };
+        }
+
+        static nodeKey(detection) {
+            return `${detection.family}:${detection.id}`;
+        }
+    }
+
+    // [rotation vector, translation] of measured^-1 * (from^-1 * to)
+    function edgeError(edge, poses) {
+        const predicted = Transform.relative(poses.get(edge.from), poses.get(edge.to));
+        const error = Transform.relative(edge.measured, predicted);
+        return [LinAlg.rotationToVector(error.rotationMatrix), error.translation];
+    }
+
+    function perturb(pose, delta) {
+        return {
+            translation: pose.translation.map((value, k) => value + delta[3 + k]),
+            rotationMatrix: LinAlg.multiply(pose.rotationMatrix, LinAlg.rotationFromVector(delta.slice(0, 3)))
+        };
+    }
+
+    return MapBuilder;
+});
@@ -0,0 +1,132 @@
+// Streaming of per-frame results to a local consumer over a WebSocket
+//
+// Every frame is sent as one JSON text message. Poses are only useful while
+// fresh, so nothing is queued: a frame is dropped when the socket is not
+// open or when more than maxBufferedAmount bytes are still waiting to be
+// sent (the consumer or the connection cannot keep up). A connection that
+// closes without disconnect() being called is retried with exponential
+// backoff. tools/pose-server.js is a reference consumer.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PosePublisher = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const DEFAULTS = {
+        maxBufferedAmount: 64 * 1024, // bytes
+        reconnectDelay: 500,          // ms before the first retry
+        maxReconnectDelay: 10000      // ms
+    };
+
+    class PosePublisher {
+        // WebSocketImpl defaults to the global WebSocket
+        constructor(options = {}, WebSocketImpl = null) {
+            this.options = { ...DEFAULTS, ...options };
+            this.WebSocketImpl = WebSocketImpl;
+            this.url = null;
+            this.socket = null;
+            this.state = 'disconnected'; // 'connecting', 'connected', 'reconnecting'
+            this.retryDelay = this.options.reconnectDelay;
+            this.retryTimer = null;
+            this.onstatechange = null;
+            this.resetStats();
+        }
+
+        get active() {
+            return this.url !== null;
+        }
+
+        resetStats() {
+            this.sent = 0;
+            this.dropped = 0;
+            this.seq = 0;
+        }
+
+        connect(url) {
+            if (!/^wss?:\/\//.test(url)) {
+                throw new Error(`Expected a ws:// or wss:// URL, got "${url}"`);
+            }
+            this.disconnect();
+            this.url = url;
+            this.resetStats();
+            this.retryDelay = this.options.reconnectDelay;
+            this.open();
+        }
+
+        disconnect() {
+            this.url = null;
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+            if (this.socket) {
+                const socket = this.socket;
+                this.socket = null;
+                socket.onopen = socket.onclose = socket.onerror = null;
+                socket.close();
+            }
+            this.setState('disconnected');
+        }
+
+        open() {
+            const WebSocketImpl = this.WebSocketImpl || WebSocket;
+            this.setState(this.state === 'reconnecting' ? 'reconnecting' : 'connecting');
+
+            let socket;
+            try {
+                socket = new WebSocketImpl(this.url);
+            } catch (error) {
+                this.scheduleReconnect(error.message);
+                return;
+            }
+            this.socket = socket;
+
+            socket.onopen = () => {
+                this.retryDelay = this.options.reconnectDelay;
+                this.setState('connected');
+            };
+            // Browsers follow an error with close, not every implementation
+            // does; whichever comes first ends this socket
+            const lost = (reason) => {
+                if (socket !== this.socket) return;
+                this.socket = null;
+                this.scheduleReconnect(reason);
+            };
+            socket.onerror = () => lost('connection failed');
+            socket.onclose = (event) => lost(event.reason || `connection closed (${event.code})`);
+        }
+
+        scheduleReconnect(reason) {
+            if (!this.active) return;
+            const delay = this.retryDelay;
+            this.retryDelay = Math.min(this.retryDelay * 2, this.options.maxReconnectDelay);
+            this.setState('reconnecting', `${reason}; retrying in ${(delay / 1000).toFixed(1)} s`);
+            this.retryTimer = setTimeout(() => this.open(), delay);
+        }
+
+        // Send one frame's data; returns whether it was sent. Every frame
+        // takes a sequence number, so gaps show the consumer what was dropped.
+        publish(data) {
+            const seq = this.seq++;
+            const socket = this.socket;
+            if (!socket || this.state !== 'connected' || socket.bufferedAmount > this.options.maxBufferedAmount) {
+                this.dropped++;
+                return false;
+            }
+
+            socket.send(JSON.stringify({ type: 'frame', seq, ...data }));
+            this.sent++;
+            return true;
+        }
+
+        setState(state, detail = '') {
+            this.state = state;
+            if (this.onstatechange) this.onstatechange(state, detail);
+        }
+    }
+
+    PosePublisher.defaults = DEFAULTS;
+
+    return PosePublisher;
+});
@@ -0,0 +1,144 @@
+// Statistics of repeated measurements of one pose, such as the pose of a
+// tag relative to another while the camera is held still
+//
+// Rotations are averaged on SO(3), not component by component: the mean is
+// the Karcher mean, the rotation that minimizes the sum of squared rotation
+// angles to the samples. The rotation components reported are Euler angles
+// (order XYZ by default), unwrapped around those of the mean so that a
+// component near +-180 degrees does not split in two.
+//
+// The outlier-rejected estimate drops samples whose distance from the
+// median position, or rotation angle from the mean rotation, exceeds the
+// median of those by a number of median absolute deviations (scaled to
+// standard deviations), and averages the rest.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./linalg.js'), require('./transform.js'));
+    } else {
+        root.PoseStatistics = factory(root.LinAlg, root.Transform);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LinAlg, Transform) {
+
+    // Karcher mean of rotation matrices, starting from their chordal mean
+    function meanRotation(rotations) {
+        const sum = rotations.reduce((total, R) => total.map((row, i) => row.map((value, j) => value + R[i][j])),
+            [[0, 0, 0], [0, 0, 0], [0, 0, 0]]);
+        let mean = LinAlg.nearestRotation(sum);
+
+        for (let iteration = 0; iteration < 20; iteration++) {
+            const step = [0, 0, 0];
+            rotations.forEach(R => {
+                const offset = LinAlg.rotationToVector(LinAlg.multiply(LinAlg.transpose(mean), R));
+                offset.forEach((value, k) => { step[k] += value / rotations.length; });
+            });
+            mean = LinAlg.multiply(mean, LinAlg.rotationFromVector(step));
+            if (LinAlg.norm(step) < 1e-12) break;
+        }
+        return LinAlg.nearestRotation(mean);
+    }
+
+    // Mean of poses: the mean translation and the Karcher mean rotation
+    function meanPose(poses) {
+        const translation = [0, 1, 2].map(k => poses.reduce((sum, pose) => sum + pose.translation[k], 0) / poses.length);
+        return Transform.pose(meanRotation(poses.map(pose => pose.rotationMatrix)), translation);
+    }
+
+    // Summary of poses { translation, rotationMatrix }:
+    // {
+    //   count,
+    //   mean:   { translation, rotationMatrix, distance, rotation },
+    //   std:    { translation, distance, rotation, angle },
+    //   min, max: { translation, distance, rotation },
+    //   robust: { translation, rotationMatrix, distance, rotation, count,
+    //             outliers: indices of the rejected samples },
+    //   samples: [{ translation, distance, rotation }] with the rotation
+    //            unwrapped around the mean's
+    // }
+    // with distances and translations in the poses' unit, rotation the
+    // Euler angles (rad) and angle the RMS rotation angle (rad) from the
+    // mean. Null without samples.
+    function summarize(poses, { order = 'XYZ', outlierThreshold = 3 } = {}) {
+        if (!poses.length) return null;
+
+        const mean = meanPose(poses);
+        const meanAngles = Transform.eulerFromMatrix(mean.rotationMatrix, order);
+        const components = poses.map(pose => {
+            const angles = Transform.eulerFromMatrix(pose.rotationMatrix, order).map((angle, k) => unwrap(angle, meanAngles[k]));
+            return [...pose.translation, LinAlg.norm(pose.translation), ...angles];
+        });
+        const stats = [0, 1, 2, 3, 4, 5, 6].map(k => {
+            const values = components.map(values => values[k]);
+            const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / Math.max(1, values.length - 1);
+            return { std: Math.sqrt(variance), min: Math.min(...values), max: Math.max(...values) };
+        });
+        const angles = poses.map(pose => rotationDistance(mean.rotationMatrix, pose.rotationMatrix));
+        const pick = (name) => ({
+            translation: stats.slice(0, 3).map(stat => stat[name]),
+            distance: stats[3][name],
+            rotation: stats.slice(4).map(stat => stat[name])
+        });
+
+        return {
+            count: poses.length,
+            mean: describe(mean, order),
+            std: { ...pick('std'), angle: Math.sqrt(angles.reduce((sum, angle) => sum + angle * angle, 0) / Math.max(1, poses.length - 1)) },
+            min: pick('min'),
+            max: pick('max'),
+            robust: robustMean(poses, outlierThreshold, order),
+            samples: components.map(values => ({ translation: values.slice(0, 3), distance: values[3], rotation: values.slice(4) }))
+        };
+    }
+
+    // Mean of the samples within threshold robust standard deviations
+    // (1.4826 MAD) of the median position and of the mean rotation
+    function robustMean(poses, threshold, order) {
+        const center = [0, 1, 2].map(k => median(poses.map(pose => pose.translation[k])));
+        const rotation = meanRotation(poses.map(pose => pose.rotationMatrix));
+        const offsets = poses.map(pose => LinAlg.norm(pose.translation.map((value, k) => value - center[k])));
+        const angles = poses.map(pose => rotationDistance(rotation, pose.rotationMatrix));
+        const limit = (values) => {
+            const middle = median(values);
+            return middle + threshold * 1.4826 * median(values.map(value => Math.abs(value - middle))) + 1e-12;
+        };
+        const [offsetLimit, angleLimit] = [limit(offsets), limit(angles)];
+
+        const outliers = [];
+        const inliers = poses.filter((pose, i) => {
+            const keep = offsets[i] <= offsetLimit && angles[i] <= angleLimit;
+            if (!keep) outliers.push(i);
+            return keep;
+        });
+        return { ...describe(meanPose(inliers), order), count: inliers.length, outliers };
+    }
+
+    function describe(pose, order) {
+        return {
+            ...pose,
+            distance: LinAlg.norm(pose.translation),
+            rotation: Transform.eulerFromMatrix(pose.rotationMatrix, order)
+        };
+    }
+
+    function rotationDistance(A, B) {
+        return Transform.rotationAngle(LinAlg.multiply(LinAlg.transpose(A), B));
+    }
+
+    // angle shifted by whole turns to within pi of reference
+    function unwrap(angle, reference) {
+        return angle - 2 * Math.PI * Math.round((angle - reference) / (2 * Math.PI));
+    }
+
+    function median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    return {
+        meanRotation,
+        meanPose,
+        summarize
+    };
+});
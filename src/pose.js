@@ -0,0 +1,289 @@
+// Tag pose estimation from the four detected corners
+//
+// The tag frame follows the reference AprilTag library: origin at the tag
+// center, x to the right, y down and z pointing into the tag, so the
+// canonical corners (bottom-left first, counter-clockwise) sit at
+// (-s/2, s/2), (s/2, s/2), (s/2, -s/2) and (-s/2, -s/2).
+//
+// The initial pose comes from decomposing the tag-to-image homography; it is
+// then refined by Levenberg-Marquardt on the reprojection error. A planar
+// target seen in perspective usually has a second, mirrored local minimum,
+// which is refined as well and reported as the alternative solution.
+//
+// Poses are { translation, rotationMatrix, error } (see src/transform.js):
+// the tag (or bundle) frame in camera coordinates, with the RMS reprojection
+// error in pixels.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./linalg.js'), require('./homography.js'));
+    } else {
+        root.PoseEstimator = factory(root.LinAlg, root.Homography);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LinAlg, Homography) {
+
+    function tagObjectPoints(tagSize) {
+        const h = tagSize / 2;
+        return [[-h, h, 0], [h, h, 0], [h, -h, 0], [-h, -h, 0]];
+    }
+
+    // Detected corners put pixel centers at integer + 0.5 (canvas
+    // convention), camera intrinsics at integers (OpenCV convention)
+    function toCameraPixels(corners) {
+        return corners.map(([u, v]) => [u - 0.5, v - 0.5]);
+    }
+
+    // Intrinsics { fx, fy, cx, cy, width, height } of the same camera at
+    // another resolution: pixel edges scale, so under the OpenCV convention
+    // the principal point moves by half a pixel on either side
+    function scaleCamera(camera, width, height) {
+        const sx = width / camera.width;
+        const sy = height / camera.height;
+        return {
+            ...camera,
+            fx: camera.fx * sx,
+            fy: camera.fy * sy,
+            cx: (camera.cx + 0.5) * sx - 0.5,
+            cy: (camera.cy + 0.5) * sy - 0.5,
+            width,
+            height
+        };
+    }
+
+    // Pose of a square tag from its corners in canonical order. Returns
+    // { pose, alternativePose } with alternativePose null when the second
+    // solution does not exist or collapses onto the first.
+    function estimateTagPose(corners, tagSize, camera) {
+        const solutions = tagSolutions(tagObjectPoints(tagSize), toCameraPixels(corners), camera);
+        if (!solutions.length) return null;
+
+        return {
+            pose: toPose(solutions[0]),
+            alternativePose: solutions[1] ? toPose(solutions[1]) : null
+        };
+    }
+
+    // The refined solutions { R, t, error } of one tag, best first
+    function tagSolutions(objectPoints, imagePoints, camera) {
+        const initial = poseFromHomography(objectPoints, imagePoints, camera);
+        if (!initial) return [];
+
+        const first = refinePose(objectPoints, imagePoints, camera, initial.R, initial.t);
+        const mirrored = mirroredRotation(first.R, first.t);
+        const second = mirrored ? refinePose(objectPoints, imagePoints, camera, mirrored, first.t) : null;
+
+        const solutions = [first];
+        if (second && rotationDistance(first.R, second.R) > 1e-3 && second.t[2] > 0) {
+            solutions.push(second);
+        }
+        return solutions.sort((a, b) => a.error - b.error);
+    }
+
+    // Joint pose of a rigid group of tags (a bundle) from all their visible
+    // corners. Each entry of tags has the detected corners in canonical
+    // order, the tag size and the tag's pose { R, t } in the bundle frame.
+    // Every single-tag solution, carried into the bundle frame, is a seed;
+    // the one that best explains all corners is refined over all of them.
+    function estimateBundlePose(tags, camera) {
+        const objectPoints = [];
+        const imagePoints = [];
+        const seeds = [];
+
+        tags.forEach(tag => {
+            const local = tagObjectPoints(tag.size);
+            const pixels = toCameraPixels(tag.corners);
+            local.forEach(point => {
+                objectPoints.push(LinAlg.multiplyVector(tag.R, point).map((value, k) => value + tag.t[k]));
+            });
+            imagePoints.push(...pixels);
+
+            // camera <- bundle = (camera <- tag) * (tag <- bundle)
+            tagSolutions(local, pixels, camera).forEach(solution => {
+                const R = LinAlg.multiply(solution.R, LinAlg.transpose(tag.R));
+                const offset = LinAlg.multiplyVector(R, tag.t);
+                seeds.push({ R, t: solution.t.map((value, k) => value - offset[k]) });
+            });
+        });
+
+        let best = null;
+        let bestCost = Infinity;
+        seeds.forEach(seed => {
+            const cost = reprojectionCost(objectPoints, imagePoints, camera, seed.R, seed.t);
+            if (cost < bestCost) {
+                best = seed;
+                bestCost = cost;
+            }
+        });
+        if (!best) return null;
+
+        return toPose(refinePose(objectPoints, imagePoints, camera, best.R, best.t));
+    }
+
+    // Decompose H = [r1 r2 t] (up to scale) between the tag plane and
+    // normalized image coordinates
+    function poseFromHomography(objectPoints, imagePoints, camera) {
+        const normalized = imagePoints.map(([u, v]) => [(u - camera.cx) / camera.fx, (v - camera.cy) / camera.fy]);
+        const H = Homography.compute(objectPoints.map(([x, y]) => [x, y]), normalized);
+        if (!H) return null;
+
+        const h1 = [H[0][0], H[1][0], H[2][0]];
+        const h2 = [H[0][1], H[1][1], H[2][1]];
+        const h3 = [H[0][2], H[1][2], H[2][2]];
+
+        // The tag must lie in front of the camera
+        let scale = 2 / (LinAlg.norm(h1) + LinAlg.norm(h2));
+        if (h3[2] < 0) scale = -scale;
+
+        const r1 = h1.map(value => value * scale);
+        const r2 = h2.map(value => value * scale);
+        const r3 = LinAlg.cross(r1, r2);
+        const R = LinAlg.nearestRotation(LinAlg.transpose([r1, r2, r3]));
+        const t = h3.map(value => value * scale);
+
+        return { R, t };
+    }
+
+    // Seed for the second local minimum: tilt the tag so that its normal is
+    // mirrored about the line of sight through the tag center
+    function mirroredRotation(R, t) {
+        const view = t.map(value => value / LinAlg.norm(t));
+        const normal = [R[0][2], R[1][2], R[2][2]];
+        const projection = LinAlg.dot(normal, view);
+        const mirrored = view.map((value, i) => 2 * projection * value - normal[i]);
+
+        const axis = LinAlg.cross(normal, mirrored);
+        const sin = LinAlg.norm(axis);
+        if (sin < 1e-9) return null; // seen head-on: the two solutions coincide
+
+        const angle = Math.atan2(sin, LinAlg.dot(normal, mirrored));
+        const omega = axis.map(value => value / sin * angle);
+        return LinAlg.multiply(LinAlg.rotationFromVector(omega), R);
+    }
+
+    // Levenberg-Marquardt on the pixel reprojection error. The rotation is
+    // updated as R <- exp([w]x) R so the parameters stay minimal.
+    function refinePose(objectPoints, imagePoints, camera, R, t, maxIterations = 30) {
+        let current = { R, t };
+        let cost = reprojectionCost(objectPoints, imagePoints, camera, R, t);
+        let lambda = 1e-3;
+
+        for (let iteration = 0; iteration < maxIterations && Number.isFinite(cost); iteration++) {
+            const { JTJ, JTr } = normalEquations(objectPoints, imagePoints, camera, current.R, current.t);
+
+            let improved = false;
+            while (lambda < 1e10) {
+                const A = JTJ.map((row, i) => row.map((value, j) => (i === j ? value * (1 + lambda) + 1e-12 : value)));
+                const delta = LinAlg.solve(A, JTr.map(value => -value));
+                if (!delta) {
+                    lambda *= 10;
+                    continue;
+                }
+
+                const candidate = {
+                    R: LinAlg.multiply(LinAlg.rotationFromVector(delta.slice(0, 3)), current.R),
+                    t: current.t.map((value, i) => value + delta[3 + i])
+                };
+                const candidateCost = reprojectionCost(objectPoints, imagePoints, camera, candidate.R, candidate.t);
+
+                if (candidateCost < cost) {
+                    const converged = cost - candidateCost < 1e-12 * (1 + cost);
+                    current = candidate;
+                    cost = candidateCost;
+                    lambda = Math.max(lambda / 10, 1e-9);
+                    improved = !converged;
+                    break;
+                }
+                lambda *= 10;
+            }
+            if (!improved) break;
+        }
+
+        // Keep the rotation exactly orthonormal after many small updates
+        current.R = LinAlg.nearestRotation(current.R);
+        return {
+            R: current.R,
+            t: current.t,
+            error: Math.sqrt(reprojectionCost(objectPoints, imagePoints, camera, current.R, current.t) / objectPoints.length)
+        };
+    }
+
+    // J^T J and J^T r of the pixel residuals, for an update [w, dt] as in
+    // refinePose
+    function normalEquations(objectPoints, imagePoints, camera, R, t) {
+        const JTJ = Array.from({ length: 6 }, () => new Array(6).fill(0));
+        const JTr = new Array(6).fill(0);
+
+        objectPoints.forEach((point, i) => {
+            const rotated = LinAlg.multiplyVector(R, point);
+            const [X, Y, Z] = rotated.map((value, k) => value + t[k]);
+            const [u, v] = [camera.fx * X / Z + camera.cx, camera.fy * Y / Z + camera.cy];
+            const residual = [u - imagePoints[i][0], v - imagePoints[i][1]];
+
+            // d(u, v)/dP for the pinhole projection
+            const dProj = [
+                [camera.fx / Z, 0, -camera.fx * X / (Z * Z)],
+                [0, camera.fy / Z, -camera.fy * Y / (Z * Z)]
+            ];
+            // dP/dw = -[R p]x, dP/dt = I
+            const [a, b, c] = rotated;
+            const dPdw = [[0, c, -b], [-c, 0, a], [b, -a, 0]];
+
+            for (let row = 0; row < 2; row++) {
+                const J = [
+                    ...[0, 1, 2].map(k => LinAlg.dot(dProj[row], [dPdw[0][k], dPdw[1][k], dPdw[2][k]])),
+                    ...dProj[row]
+                ];
+                for (let j = 0; j < 6; j++) {
+                    JTr[j] += J[j] * residual[row];
+                    for (let k = 0; k < 6; k++) {
+                        JTJ[j][k] += J[j] * J[k];
+                    }
+                }
+            }
+        });
+
+        return { JTJ, JTr };
+    }
+
+    function project(point, camera, R, t) {
+        const [X, Y, Z] = LinAlg.multiplyVector(R, point).map((value, k) => value + t[k]);
+        if (Z <= 0) return null;
+        return [camera.fx * X / Z + camera.cx, camera.fy * Y / Z + camera.cy];
+    }
+
+    // Sum of squared pixel errors; Infinity if a point falls behind the camera
+    function reprojectionCost(objectPoints, imagePoints, camera, R, t) {
+        let cost = 0;
+        for (let i = 0; i < objectPoints.length; i++) {
+            const projected = project(objectPoints[i], camera, R, t);
+            if (!projected) return Infinity;
+            cost += (projected[0] - imagePoints[i][0]) ** 2 + (projected[1] - imagePoints[i][1]) ** 2;
+        }
+        return cost;
+    }
+
+    function rotationDistance(R1, R2) {
+        const relative = LinAlg.multiply(LinAlg.transpose(R1), R2);
+        const trace = relative[0][0] + relative[1][1] + relative[2][2];
+        return Math.acos(Math.min(1, Math.max(-1, (trace - 1) / 2)));
+    }
+
+    function toPose(solution) {
+        return {
+            translation: solution.t,
+            rotationMatrix: solution.R,
+            error: solution.error
+        };
+    }
+
+    return {
+        estimateTagPose,
+        estimateBundlePose,
+        refinePose,
+        normalEquations,
+        project,
+        tagObjectPoints,
+        toCameraPixels,
+        scaleCamera
+    };
+});
@@ -0,0 +1,560 @@
+// Quad detection: finds the four-sided borders that tags are decoded from.
+//
+// The pipeline follows the reference AprilTag library in spirit:
+//   1. decimate and optionally blur the grayscale image,
+//   2. binarize it with a local (tile based) adaptive threshold,
+//   3. group pixels into connected components and trace their outer contour,
+//   4. split each contour into four sides and fit a line to every side,
+//   5. optionally refine each side on the full resolution image by locating
+//      the intensity edge along its normal.
+// Corners are sub-pixel, in full resolution image coordinates (pixel centers
+// at integer + 0.5) and wound clockwise on screen, starting at any corner.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.QuadDetector = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // Tunables, mirroring the reference library's quad thresholds
+    const options = {
+        tileSize: 4,             // pixels per tile of the adaptive threshold
+        minWhiteBlackDiff: 5,    // tiles with less contrast are left undecided
+        minClusterPixels: 24,    // smallest component worth tracing
+        minSideLength: 6,        // in decimated pixels
+        maxLineDeviation: 0.08,  // of the side length, before line fitting
+        minCornerCos: Math.cos(170 * Math.PI / 180),
+        maxCornerCos: Math.cos(10 * Math.PI / 180),
+        minAreaRatio: 0.8        // contour area over fitted quad area
+    };
+
+    const UNKNOWN = 127;
+
+    // Clockwise 8-neighbourhood on screen, starting west
+    const DX = [-1, -1, 0, 1, 1, 1, 0, -1];
+    const DY = [0, -1, -1, -1, 0, 1, 1, 1];
+
+    // Find quads in a grayscale image. `params.reversedBorder` selects white
+    // quads enclosed by black (the newer families) instead of black quads
+    // on a white background.
+    function detectQuads(grayData, width, height, params = {}) {
+        const factor = Math.max(1, Math.floor(params.decimate || 1));
+        let image = { data: grayData, width, height };
+
+        if (factor > 1) image = decimateImage(image, factor);
+        if (params.blur > 0) image = gaussianBlur(image, params.blur);
+
+        const binary = adaptiveThreshold(image);
+        const target = params.reversedBorder ? 255 : 0;
+        const components = findComponents(binary, image.width, image.height, target);
+
+        const quads = [];
+        components.forEach(component => {
+            const contour = traceContour(component.labels, image.width, image.height, component.label, component.start);
+            let corners = fitQuad(contour);
+            if (!corners) return;
+
+            corners = corners.map(([x, y]) => [x * factor, y * factor]);
+            if (params.refineEdges) {
+                corners = refineEdges(corners, grayData, width, height, factor, params.reversedBorder) || corners;
+            }
+            if (!isValidQuad(corners)) return;
+
+            quads.push({
+                corners,
+                center: [
+                    corners.reduce((sum, corner) => sum + corner[0], 0) / 4,
+                    corners.reduce((sum, corner) => sum + corner[1], 0) / 4
+                ]
+            });
+        });
+
+        return quads;
+    }
+
+    // Average every factor x factor block into one pixel
+    function decimateImage(image, factor) {
+        const width = Math.floor(image.width / factor);
+        const height = Math.floor(image.height / factor);
+        const data = new Uint8Array(width * height);
+        const area = factor * factor;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let dy = 0; dy < factor; dy++) {
+                    const row = (y * factor + dy) * image.width + x * factor;
+                    for (let dx = 0; dx < factor; dx++) {
+                        sum += image.data[row + dx];
+                    }
+                }
+                data[y * width + x] = Math.round(sum / area);
+            }
+        }
+
+        return { data, width, height };
+    }
+
+    // Separable Gaussian blur with clamped borders
+    function gaussianBlur(image, sigma) {
+        const radius = Math.max(1, Math.ceil(3 * sigma));
+        const kernel = [];
+        let total = 0;
+        for (let i = -radius; i <= radius; i++) {
+            const weight = Math.exp(-(i * i) / (2 * sigma * sigma));
+            kernel.push(weight);
+            total += weight;
+        }
+        for (let i = 0; i < kernel.length; i++) kernel[i] /= total;
+
+        const { width, height } = image;
+        const temp = new Float32Array(width * height);
+        const data = new Uint8Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const sx = Math.min(width - 1, Math.max(0, x + k));
+                    sum += image.data[y * width + sx] * kernel[k + radius];
+                }
+                temp[y * width + x] = sum;
+            }
+        }
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const sy = Math.min(height - 1, Math.max(0, y + k));
+                    sum += temp[sy * width + x] * kernel[k + radius];
+                }
+                data[y * width + x] = Math.round(sum);
+            }
+        }
+
+        return { data, width, height };
+    }
+
+    // Binarize against the midpoint of the local min/max, taken over the
+    // 3x3 tiles around each pixel. Low-contrast areas become UNKNOWN so that
+    // flat regions do not produce noise components.
+    function adaptiveThreshold(image) {
+        const { data, width, height } = image;
+        const ts = options.tileSize;
+        const tw = Math.ceil(width / ts);
+        const th = Math.ceil(height / ts);
+
+        const tileMin = new Uint8Array(tw * th).fill(255);
+        const tileMax = new Uint8Array(tw * th);
+        for (let y = 0; y < height; y++) {
+            const ty = Math.floor(y / ts);
+            for (let x = 0; x < width; x++) {
+                const tile = ty * tw + Math.floor(x / ts);
+                const value = data[y * width + x];
+                if (value < tileMin[tile]) tileMin[tile] = value;
+                if (value > tileMax[tile]) tileMax[tile] = value;
+            }
+        }
+
+        const localMin = new Uint8Array(tw * th);
+        const localMax = new Uint8Array(tw * th);
+        for (let ty = 0; ty < th; ty++) {
+            for (let tx = 0; tx < tw; tx++) {
+                let min = 255, max = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = tx + dx, ny = ty + dy;
+                        if (nx < 0 || ny < 0 || nx >= tw || ny >= th) continue;
+                        min = Math.min(min, tileMin[ny * tw + nx]);
+                        max = Math.max(max, tileMax[ny * tw + nx]);
+                    }
+                }
+                localMin[ty * tw + tx] = min;
+                localMax[ty * tw + tx] = max;
+            }
+        }
+
+        const binary = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const ty = Math.floor(y / ts);
+            for (let x = 0; x < width; x++) {
+                const tile = ty * tw + Math.floor(x / ts);
+                const min = localMin[tile], max = localMax[tile];
+                if (max - min < options.minWhiteBlackDiff) {
+                    binary[y * width + x] = UNKNOWN;
+                } else {
+                    binary[y * width + x] = data[y * width + x] > min + (max - min) / 2 ? 255 : 0;
+                }
+            }
+        }
+
+        return binary;
+    }
+
+    // Union-find over 4-connected pixels of the target value. Returns the
+    // components that are large enough and do not touch the image border.
+    function findComponents(binary, width, height, target) {
+        const parent = new Int32Array(width * height).fill(-1);
+
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+        const union = (a, b) => {
+            const ra = find(a), rb = find(b);
+            if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (binary[i] !== target) continue;
+                parent[i] = i;
+                if (x > 0 && binary[i - 1] === target) union(i, i - 1);
+                if (y > 0 && binary[i - width] === target) union(i, i - width);
+            }
+        }
+
+        // Roots are always the smallest index of their component, which is
+        // also the first pixel met in raster order: the contour start.
+        const labels = new Int32Array(width * height).fill(-1);
+        const stats = new Map();
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (parent[i] < 0) continue;
+                const root = find(i);
+                labels[i] = root;
+
+                let stat = stats.get(root);
+                if (!stat) {
+                    stat = { count: 0, minX: x, maxX: x, minY: y, maxY: y };
+                    stats.set(root, stat);
+                }
+                stat.count++;
+                if (x < stat.minX) stat.minX = x;
+                if (x > stat.maxX) stat.maxX = x;
+                if (y > stat.maxY) stat.maxY = y;
+            }
+        }
+
+        const components = [];
+        stats.forEach((stat, root) => {
+            if (stat.count < options.minClusterPixels) return;
+            if (stat.minX === 0 || stat.minY === 0 || stat.maxX === width - 1 || stat.maxY === height - 1) return;
+            if (stat.maxX - stat.minX < options.minSideLength || stat.maxY - stat.minY < options.minSideLength) return;
+            components.push({ label: root, start: root, labels });
+        });
+        return components;
+    }
+
+    // Moore-neighbour tracing of a component's outer boundary. `start` must
+    // be the component's first pixel in raster order, so its west neighbour
+    // lies outside the component.
+    function traceContour(labels, width, height, label, start) {
+        const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && labels[y * width + x] === label;
+
+        const sx = start % width;
+        const sy = Math.floor(start / width);
+        const contour = [[sx, sy]];
+        const maxSteps = 4 * width * height;
+
+        let x = sx, y = sy;
+        let backtrack = 0; // direction from the current pixel to the last outside pixel
+        let second = null;
+
+        for (let step = 0; step < maxSteps; step++) {
+            let found = -1;
+            for (let k = 1; k <= 8; k++) {
+                const dir = (backtrack + k) % 8;
+                if (inside(x + DX[dir], y + DY[dir])) {
+                    found = dir;
+                    break;
+                }
+            }
+            if (found < 0) break; // isolated pixel
+
+            const nx = x + DX[found], ny = y + DY[found];
+            // Stop once the walk repeats its very first move
+            if (x === sx && y === sy && second && nx === second[0] && ny === second[1]) break;
+            if (!second) second = [nx, ny];
+
+            // The neighbour checked just before `found` was outside; express
+            // it relative to the new pixel
+            const prev = (found + 7) % 8;
+            const bx = x + DX[prev] - nx, by = y + DY[prev] - ny;
+            backtrack = directionOf(bx, by);
+
+            x = nx;
+            y = ny;
+            if (x === sx && y === sy) continue;
+            contour.push([x, y]);
+        }
+
+        return contour;
+    }
+
+    function directionOf(dx, dy) {
+        for (let dir = 0; dir < 8; dir++) {
+            if (DX[dir] === dx && DY[dir] === dy) return dir;
+        }
+        return 0;
+    }
+
+    // Split a closed contour into four sides and fit a line to each one.
+    // Returns sub-pixel corners in decimated image coordinates or null.
+    function fitQuad(contour) {
+        const n = contour.length;
+        if (n < 4 * options.minSideLength) return null;
+
+        // Contour points are pixel indices; move them to pixel centers
+        const points = contour.map(([x, y]) => [x + 0.5, y + 0.5]);
+        const cx = points.reduce((sum, p) => sum + p[0], 0) / n;
+        const cy = points.reduce((sum, p) => sum + p[1], 0) / n;
+
+        // Rough corners: the point farthest from the centroid, the point
+        // farthest from that one, then the farthest point on either side of
+        // the diagonal they span
+        const i0 = argMax(n, i => dist2(points[i], [cx, cy]));
+        const i2 = argMax(n, i => dist2(points[i], points[i0]));
+        const i1 = argMaxOnArc(i0, i2, n, i => lineDistance(points[i], points[i0], points[i2]));
+        const i3 = argMaxOnArc(i2, i0, n, i => lineDistance(points[i], points[i2], points[i0]));
+        if (i1 < 0 || i3 < 0) return null;
+
+        const cornerIndices = [i0, i1, i2, i3];
+        const lines = [];
+        for (let side = 0; side < 4; side++) {
+            const from = cornerIndices[side];
+            const to = cornerIndices[(side + 1) % 4];
+            const sidePoints = arcPoints(points, from, to);
+
+            const length = Math.sqrt(dist2(points[from], points[to]));
+            if (length < options.minSideLength || sidePoints.length < 4) return null;
+
+            // A curved or jagged side means this is not a quad
+            const maxDeviation = Math.max(1.5, options.maxLineDeviation * length);
+            if (sidePoints.some(p => Math.abs(lineDistance(p, points[from], points[to])) > maxDeviation)) return null;
+
+            // Corners are often rounded by blur and decimation; fit only the
+            // middle of each side
+            const trim = Math.floor(sidePoints.length * 0.15);
+            const line = fitLine(sidePoints.slice(trim, sidePoints.length - trim));
+            if (!line) return null;
+
+            // The boundary pixel centers sit half a pixel inside the edge
+            const outward = Math.sign((line.point[0] - cx) * line.normal[0] + (line.point[1] - cy) * line.normal[1]) || 1;
+            line.point = [line.point[0] + outward * line.normal[0] * 0.5, line.point[1] + outward * line.normal[1] * 0.5];
+            lines.push(line);
+        }
+
+        const corners = [];
+        for (let side = 0; side < 4; side++) {
+            const corner = intersectLines(lines[(side + 3) % 4], lines[side]);
+            if (!corner) return null;
+            corners.push(corner);
+        }
+
+        // Reject blobs whose outline only loosely follows the fitted quad
+        const quadArea = Math.abs(signedArea(corners));
+        const contourArea = Math.abs(signedArea(points));
+        if (quadArea <= 0 || contourArea / quadArea < options.minAreaRatio) return null;
+
+        return orderClockwise(corners);
+    }
+
+    // Move every side onto the strongest edge of the full resolution image
+    // near it, then intersect the refitted lines again
+    function refineEdges(corners, grayData, width, height, factor, reversedBorder) {
+        // Leaving a black quad the image gets brighter, leaving a white quad
+        // it gets darker
+        const polarity = reversedBorder ? -1 : 1;
+        const range = factor + 1;
+        const [cx, cy] = [
+            corners.reduce((sum, c) => sum + c[0], 0) / 4,
+            corners.reduce((sum, c) => sum + c[1], 0) / 4
+        ];
+
+        const lines = [];
+        for (let side = 0; side < 4; side++) {
+            const a = corners[side];
+            const b = corners[(side + 1) % 4];
+            const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+            let normal = [-(b[1] - a[1]) / length, (b[0] - a[0]) / length];
+            // Point the normal away from the quad center
+            const mid = [(a[0] + b[0]) / 2 - cx, (a[1] + b[1]) / 2 - cy];
+            if (mid[0] * normal[0] + mid[1] * normal[1] < 0) normal = [-normal[0], -normal[1]];
+
+            const samples = Math.max(8, Math.floor(length / 2));
+            const points = [];
+            for (let i = 1; i < samples; i++) {
+                const t = 0.1 + 0.8 * i / samples;
+                const px = a[0] + (b[0] - a[0]) * t;
+                const py = a[1] + (b[1] - a[1]) * t;
+
+                let weightSum = 0, offsetSum = 0;
+                for (let s = -range; s <= range; s += 0.5) {
+                    const outer = sample(grayData, width, height, px + (s + 0.5) * normal[0], py + (s + 0.5) * normal[1]);
+                    const inner = sample(grayData, width, height, px + (s - 0.5) * normal[0], py + (s - 0.5) * normal[1]);
+                    if (outer === null || inner === null) continue;
+                    const weight = Math.max(0, polarity * (outer - inner));
+                    weightSum += weight;
+                    offsetSum += weight * s;
+                }
+                if (weightSum < 10) continue;
+
+                const offset = offsetSum / weightSum;
+                points.push([px + offset * normal[0], py + offset * normal[1]]);
+            }
+
+            const line = points.length >= 4 ? fitLine(points) : null;
+            if (!line) return null;
+            lines.push(line);
+        }
+
+        const refined = [];
+        for (let side = 0; side < 4; side++) {
+            const corner = intersectLines(lines[(side + 3) % 4], lines[side]);
+            if (!corner) return null;
+            // A refined corner should not wander far from its rough estimate
+            if (Math.hypot(corner[0] - corners[side][0], corner[1] - corners[side][1]) > 2 * range) return null;
+            refined.push(corner);
+        }
+        return refined;
+    }
+
+    function isValidQuad(corners) {
+        let sign = 0;
+        for (let i = 0; i < 4; i++) {
+            const a = corners[(i + 3) % 4], b = corners[i], c = corners[(i + 1) % 4];
+            const u = [a[0] - b[0], a[1] - b[1]];
+            const v = [c[0] - b[0], c[1] - b[1]];
+            const lu = Math.hypot(u[0], u[1]), lv = Math.hypot(v[0], v[1]);
+            if (lu === 0 || lv === 0) return false;
+
+            // Interior angles must stay away from 0 and 180 degrees
+            const cos = (u[0] * v[0] + u[1] * v[1]) / (lu * lv);
+            if (cos > options.maxCornerCos || cos < options.minCornerCos) return false;
+
+            // and all turn the same way (convexity)
+            const cross = Math.sign(u[0] * v[1] - u[1] * v[0]);
+            if (sign !== 0 && cross !== sign) return false;
+            sign = cross;
+        }
+        return true;
+    }
+
+    // Total least squares line through points: a point on it, its unit
+    // direction and unit normal
+    function fitLine(points) {
+        const n = points.length;
+        if (n < 2) return null;
+        const mx = points.reduce((sum, p) => sum + p[0], 0) / n;
+        const my = points.reduce((sum, p) => sum + p[1], 0) / n;
+
+        let sxx = 0, sxy = 0, syy = 0;
+        points.forEach(([x, y]) => {
+            sxx += (x - mx) * (x - mx);
+            sxy += (x - mx) * (y - my);
+            syy += (y - my) * (y - my);
+        });
+
+        const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+        const direction = [Math.cos(angle), Math.sin(angle)];
+        return { point: [mx, my], direction, normal: [-direction[1], direction[0]] };
+    }
+
+    function intersectLines(l1, l2) {
+        const det = l1.direction[0] * l2.direction[1] - l1.direction[1] * l2.direction[0];
+        if (Math.abs(det) < 1e-9) return null;
+        const dx = l2.point[0] - l1.point[0];
+        const dy = l2.point[1] - l1.point[1];
+        const t = (dx * l2.direction[1] - dy * l2.direction[0]) / det;
+        return [l1.point[0] + t * l1.direction[0], l1.point[1] + t * l1.direction[1]];
+    }
+
+    function orderClockwise(corners) {
+        // Positive shoelace area means clockwise on screen (y points down)
+        return signedArea(corners) > 0 ? corners : corners.slice().reverse();
+    }
+
+    function signedArea(points) {
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const [x1, y1] = points[i];
+            const [x2, y2] = points[(i + 1) % points.length];
+            area += x1 * y2 - x2 * y1;
+        }
+        return area / 2;
+    }
+
+    function sample(data, width, height, x, y) {
+        x -= 0.5;
+        y -= 0.5;
+        if (x < 0 || y < 0 || x > width - 1 || y > height - 1) return null;
+        const x0 = Math.floor(x), y0 = Math.floor(y);
+        const x1 = Math.min(x0 + 1, width - 1), y1 = Math.min(y0 + 1, height - 1);
+        const fx = x - x0, fy = y - y0;
+        const top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+        const bottom = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+        return top * (1 - fy) + bottom * fy;
+    }
+
+    function dist2(a, b) {
+        return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2;
+    }
+
+    // Signed distance of p from the line through a and b
+    function lineDistance(p, a, b) {
+        const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+        if (length === 0) return 0;
+        return ((b[0] - a[0]) * (p[1] - a[1]) - (b[1] - a[1]) * (p[0] - a[0])) / length;
+    }
+
+    function argMax(n, score) {
+        let best = 0, bestScore = -Infinity;
+        for (let i = 0; i < n; i++) {
+            const value = score(i);
+            if (value > bestScore) {
+                bestScore = value;
+                best = i;
+            }
+        }
+        return best;
+    }
+
+    // Index strictly between from and to (walking forward around the
+    // contour) with the largest score, or -1 if the arc is empty
+    function argMaxOnArc(from, to, n, score) {
+        let best = -1, bestScore = -Infinity;
+        for (let i = (from + 1) % n; i !== to; i = (i + 1) % n) {
+            const value = Math.abs(score(i));
+            if (value > bestScore) {
+                bestScore = value;
+                best = i;
+            }
+        }
+        return best;
+    }
+
+    function arcPoints(points, from, to) {
+        const result = [];
+        for (let i = from; ; i = (i + 1) % points.length) {
+            result.push(points[i]);
+            if (i === to) break;
+        }
+        return result;
+    }
+
+    return {
+        options,
+        detectQuads,
+        decimateImage,
+        gaussianBlur,
+        adaptiveThreshold
+    };
+});
@@ -0,0 +1,202 @@
+// Recording of per-frame detection results and their export as CSV, JSON
+// Lines, and TUM or KITTI trajectories
+//
+// A record holds one processed frame: its timestamp (s), sequence number,
+// frame index in a video file (or null), the name of the image or video file
+// it came from (or null for live frames), the detector parameters, the raw
+// detections and bundle poses, and the reference the relative poses are
+// expressed in. Objects are keyed like the pose table: the tag ID as a
+// string, '<family>:<id>' for tags of a family other than the selected one
+// (see src/tag-map.js), or 'bundle:<name>'.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./transform.js'), require('./tag-map.js'));
+    } else {
+        root.PoseRecorder = factory(root.Transform, root.TagMap);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Transform, TagMap) {
+
+    const CSV_COLUMNS = [
+        'time', 'seq', 'frame', 'type', 'id', 'hamming', 'decision_margin',
+        'c0_x', 'c0_y', 'c1_x', 'c1_y', 'c2_x', 'c2_y', 'c3_x', 'c3_y',
+        'tx', 'ty', 'tz', 'qw', 'qx', 'qy', 'qz', 'reprojection_error',
+        'reference', 'rel_tx', 'rel_ty', 'rel_tz', 'rel_qw', 'rel_qx', 'rel_qy', 'rel_qz',
+        'family', 'tag_size', 'decimate', 'blur', 'refine_edges', 'backend', 'fx', 'fy', 'cx', 'cy',
+        'source'
+    ];
+
+    class PoseRecorder {
+        constructor() {
+            this.records = [];
+            this.recording = false;
+        }
+
+        start() {
+            this.recording = true;
+        }
+
+        stop() {
+            this.recording = false;
+        }
+
+        clear() {
+            this.records = [];
+        }
+
+        get count() {
+            return this.records.length;
+        }
+
+        // Add a frame record (see PoseRecorder.record). Ignored unless
+        // recording.
+        add(record) {
+            if (!this.recording) return;
+            this.records.push({ time: record.time, seq: this.records.length, ...record });
+        }
+
+        // Keys of every tag and bundle in the recording, tags first
+        objectKeys() {
+            const keys = new Set();
+            this.records.forEach(record => {
+                record.tags.forEach(tag => keys.add(TagMap.key(tag, record.parameters.tagFamily)));
+                record.bundles.forEach(bundle => keys.add(`bundle:${bundle.name}`));
+            });
+            const rank = (key) => key.startsWith('bundle:') ? 2 : (key.includes(':') ? 1 : 0);
+            return [...keys].sort((a, b) => {
+                if (rank(a) !== rank(b)) return rank(a) - rank(b);
+                return rank(a) === 0 ? parseInt(a) - parseInt(b) : a.localeCompare(b, undefined, { numeric: true });
+            });
+        }
+
+        // One row per tag or bundle per frame
+        toCSV() {
+            const rows = [CSV_COLUMNS.join(',')];
+            this.records.forEach(record => {
+                const p = record.parameters;
+                const camera = p.cameraMatrix || {};
+                const frameColumns = [record.time, record.seq, record.frame];
+                const parameterColumns = (family, size) => [
+                    family, size, p.decimate, p.blur, p.refineEdges, p.backend,
+                    camera.fx, camera.fy, camera.cx, camera.cy, record.source
+                ];
+
+                record.tags.forEach(tag => {
+                    rows.push(csvRow([
+                        ...frameColumns, 'tag', tag.id, tag.hamming, tag.decision_margin,
+                        ...tag.corners.flat(),
+                        ...poseColumns(tag.pose), tag.pose.error,
+                        record.reference, ...relativeColumns(tag.relative),
+                        ...parameterColumns(tag.family || p.tagFamily, tag.size || p.tagSize)
+                    ]));
+                });
+                record.bundles.forEach(bundle => {
+                    rows.push(csvRow([
+                        ...frameColumns, 'bundle', bundle.name, '', '',
+                        ...new Array(8).fill(''),
+                        ...poseColumns(bundle.pose), bundle.pose.error,
+                        record.reference, ...relativeColumns(bundle.relative),
+                        ...parameterColumns(p.tagFamily, p.tagSize)
+                    ]));
+                });
+            });
+            return rows.join('\n') + '\n';
+        }
+
+        // One JSON object per frame
+        toJSONLines() {
+            return this.records.map(record => JSON.stringify(record)).join('\n') + '\n';
+        }
+
+        // TUM RGB-D trajectory of one object: "time tx ty tz qx qy qz qw" per
+        // frame it was seen in. With cameraInObject the trajectory is that of
+        // the camera in the object's frame, otherwise of the object in the
+        // camera frame.
+        toTUM(key, { cameraInObject = true } = {}) {
+            return this.trajectory(key, cameraInObject).map(({ time, pose }) => {
+                const [qw, qx, qy, qz] = Transform.quaternionFromMatrix(pose.rotationMatrix);
+                return [time, ...pose.translation, qx, qy, qz, qw].join(' ');
+            }).join('\n') + '\n';
+        }
+
+        // KITTI odometry trajectory: the row-major 3x4 matrix [R | t] per
+        // frame the object was seen in, without timestamps
+        toKITTI(key, { cameraInObject = true } = {}) {
+            return this.trajectory(key, cameraInObject).map(({ pose }) =>
+                Transform.toMatrix(pose).slice(0, 3).flat().join(' ')
+            ).join('\n') + '\n';
+        }
+
+        trajectory(key, cameraInObject) {
+            const poses = [];
+            this.records.forEach(record => {
+                const object = key.startsWith('bundle:')
+                    ? record.bundles.find(bundle => `bundle:${bundle.name}` === key)
+                    : record.tags.find(tag => TagMap.key(tag, record.parameters.tagFamily) === key);
+                if (!object) return;
+                poses.push({ time: record.time, pose: cameraInObject ? Transform.invert(object.pose) : object.pose });
+            });
+            return poses;
+        }
+
+        // The record of one frame, { time, frame, source, parameters,
+        // detections, bundles, reference }, with the poses relative to the
+        // reference added
+        static record({ time, frame = null, source = null, parameters = {}, detections = [], bundles = [], reference = null }) {
+            const objects = new Map();
+            const key = (detection) => TagMap.key(detection, parameters.tagFamily);
+            detections.forEach(detection => objects.set(key(detection), detection.pose));
+            bundles.forEach(bundle => objects.set(`bundle:${bundle.name}`, bundle.pose));
+            const referencePose = reference !== null ? objects.get(reference) : null;
+            const relative = (key, pose) => referencePose && key !== reference
+                ? Transform.relative(referencePose, pose)
+                : null;
+
+            return {
+                time,
+                frame,
+                source,
+                parameters,
+                reference: referencePose ? reference : null,
+                tags: detections.map(detection => ({
+                    id: detection.id,
+                    family: detection.family,
+                    hamming: detection.hamming,
+                    decision_margin: detection.decision_margin,
+                    corners: detection.corners,
+                    center: detection.center,
+                    size: detection.size,
+                    unknown: detection.unknown,
+                    pose: detection.pose,
+                    relative: relative(key(detection), detection.pose)
+                })),
+                bundles: bundles.map(bundle => ({
+                    name: bundle.name,
+                    ids: bundle.ids,
+                    pose: bundle.pose,
+                    relative: relative(`bundle:${bundle.name}`, bundle.pose)
+                }))
+            };
+        }
+    }
+
+    function poseColumns(pose) {
+        return [...pose.translation, ...Transform.quaternionFromMatrix(pose.rotationMatrix)];
+    }
+
+    function relativeColumns(relative) {
+        return relative ? poseColumns(relative) : new Array(7).fill('');
+    }
+
+    function csvRow(values) {
+        return values.map(value => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',');
+    }
+
+    PoseRecorder.CSV_COLUMNS = CSV_COLUMNS;
+
+    return PoseRecorder;
+});
@@ -0,0 +1,138 @@
+// Named settings profiles ("bench rig", "phone outdoor") persisted in
+// localStorage, their JSON export and their form in URL query parameters
+//
+// A profile is
+// {
+//   controls: { <control id>: value } with strings for inputs and selects
+//             and booleans for checkboxes,
+//   camera: { fx, fy, cx, cy, width, height } or null,
+//   distortion: lens distortion coefficients (see src/distortion.js) or null,
+//   tagMap: tag map in the JSON export format (see src/tag-map.js) or null,
+//   bundles: bundle layout as loaded (see src/bundle.js) or null
+// }
+// and only controls are carried by URLs; the rest is too large for them.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SettingsStore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const PREFIX = 'apriltag-web.settings.';
+    const DEFAULT_NAME = 'Default';
+    const PROFILE_PARAMETER = 'profile';
+
+    class SettingsStore {
+        constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+            this.storage = storage;
+        }
+
+        // Every stored profile, keyed by name
+        profiles() {
+            if (!this.storage) return {};
+            try {
+                return JSON.parse(this.storage.getItem(PREFIX + 'profiles')) || {};
+            } catch (error) {
+                console.warn('Ignoring unreadable settings profiles:', error);
+                return {};
+            }
+        }
+
+        names() {
+            return Object.keys(this.profiles()).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        }
+
+        load(name) {
+            return this.profiles()[name] || null;
+        }
+
+        save(name, profile) {
+            if (!this.storage) return;
+            const profiles = this.profiles();
+            profiles[name] = { ...SettingsStore.normalize(profile), savedAt: new Date().toISOString() };
+            this.storage.setItem(PREFIX + 'profiles', JSON.stringify(profiles));
+        }
+
+        remove(name) {
+            if (!this.storage) return;
+            const profiles = this.profiles();
+            delete profiles[name];
+            this.storage.setItem(PREFIX + 'profiles', JSON.stringify(profiles));
+            if (this.current === name) this.storage.removeItem(PREFIX + 'current');
+        }
+
+        // Name of the profile in use, restored on the next visit
+        get current() {
+            return (this.storage && this.storage.getItem(PREFIX + 'current')) || DEFAULT_NAME;
+        }
+
+        set current(name) {
+            if (this.storage) this.storage.setItem(PREFIX + 'current', name);
+        }
+
+        // A profile with every field present and the controls checked
+        static normalize(profile) {
+            if (!profile || typeof profile !== 'object' || Array.isArray(profile)) throw new Error('Settings profile must be an object');
+            const controls = profile.controls || {};
+            if (typeof controls !== 'object' || Array.isArray(controls)) throw new Error('Settings profile: controls must be an object');
+            Object.entries(controls).forEach(([id, value]) => {
+                if (!['string', 'number', 'boolean'].includes(typeof value)) {
+                    throw new Error(`Settings profile: invalid value for ${id}`);
+                }
+            });
+            const camera = profile.camera || null;
+            if (camera && !['fx', 'fy', 'cx', 'cy', 'width', 'height'].every(name => Number.isFinite(camera[name]))) {
+                throw new Error('Settings profile: camera needs fx, fy, cx, cy, width and height');
+            }
+            return {
+                controls: { ...controls },
+                camera,
+                distortion: profile.distortion || null,
+                tagMap: profile.tagMap || null,
+                bundles: profile.bundles || null
+            };
+        }
+
+        // Export of one profile, read back by parse
+        static toJSON(name, profile) {
+            return JSON.stringify({ name, ...SettingsStore.normalize(profile) }, null, 2);
+        }
+
+        // { name, profile } from an exported profile (text or parsed JSON)
+        static parse(input) {
+            const data = typeof input === 'string' ? JSON.parse(input) : input;
+            const profile = SettingsStore.normalize(data);
+            const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : DEFAULT_NAME;
+            return { name, profile };
+        }
+
+        // Query string of a profile name and controls, booleans as 1 and 0
+        static toQuery(name, controls) {
+            const params = new URLSearchParams();
+            params.set(PROFILE_PARAMETER, name);
+            Object.entries(controls).forEach(([id, value]) => params.set(id, SettingsStore.queryValue(value)));
+            return params.toString();
+        }
+
+        static queryValue(value) {
+            return typeof value === 'boolean' ? (value ? '1' : '0') : String(value);
+        }
+
+        // { name, controls } from a query string, keeping the parameters
+        // named in ids as controls (values as strings); null without any of
+        // them, whatever else the query holds
+        static fromQuery(search, ids) {
+            const params = new URLSearchParams(search);
+            const controls = {};
+            params.forEach((value, key) => {
+                if (ids.includes(key)) controls[key] = value;
+            });
+            if (!Object.keys(controls).length) return null;
+            return { name: params.get(PROFILE_PARAMETER) || null, controls };
+        }
+    }
+
+    return SettingsStore;
+});
@@ -0,0 +1,292 @@
+// Synthetic camera frames of tags at known poses, for measuring detection
+// and pose accuracy against ground truth (tools/evaluate.js) and for the
+// demo mode
+//
+// Tags from the real codebooks are projected through a pinhole camera with
+// optional lens distortion. Every pixel is supersampled, so edges are
+// anti-aliased the way a sensor integrates them. Lighting scales the
+// reflectance of the scene (a brightness gradient across the frame and
+// vignetting), then Gaussian blur and Gaussian noise are applied. Random
+// numbers come from a seeded generator, so a scene renders identically on
+// every run.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./linalg.js'), require('./distortion.js'));
+    } else {
+        root.SyntheticScene = factory(root.LinAlg, root.LensDistortion);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LinAlg, LensDistortion) {
+
+    const DEFAULTS = {
+        width: 640,
+        height: 480,
+        camera: null,         // { fx, fy, cx, cy }, OpenCV convention; default 0.8 * width, centered
+        distortion: null,     // see src/distortion.js
+        background: 0.6,      // reflectance around the tags
+        black: 0.06,          // reflectance of black tag cells
+        white: 0.9,           // and of white cells and the paper around tags
+        paper: 1,             // cells of white paper around every tag
+        brightness: 0.95,     // illumination at the image center
+        gradient: [0, 0],     // change of illumination across the width and height
+        vignette: 0,          // fraction of light lost in the corners
+        blur: 0,              // px, standard deviation of the Gaussian blur
+        noise: 0,             // gray levels, standard deviation
+        supersampling: 3,     // samples per pixel along each axis
+        seed: 1
+    };
+
+    class SyntheticScene {
+        constructor(options = {}) {
+            this.options = { ...DEFAULTS, ...options };
+            const { width, height } = this.options;
+            this.camera = this.options.camera || { fx: width * 0.8, fy: width * 0.8, cx: width / 2, cy: height / 2 };
+            this.distortion = LensDistortion.normalize(this.options.distortion);
+            this.random = SyntheticScene.random(this.options.seed);
+            this.spareGaussian = null;
+        }
+
+        // Render tags [{ family, id, size, pose }], where family is a loaded
+        // TagFamily, size is measured across the black border like the
+        // app's Tag Size, and pose is the tag frame in camera coordinates
+        // (src/pose.js). Returns { image, truth }: RGBA image data and, per
+        // tag in front of the camera, { id, family, size, corners, center,
+        // pose, visible } with corners in the detector's order and pixel
+        // convention and visible set when all of them are inside the frame.
+        render(tags) {
+            const { width, height, background } = this.options;
+            const reflectance = new Float32Array(width * height).fill(background);
+
+            // Far tags first, so nearer ones cover them
+            const inFront = tags.filter(tag => this.tagCorners(tag, this.options.paper).every(point => point[2] > 0));
+            inFront
+                .slice()
+                .sort((a, b) => b.pose.translation[2] - a.pose.translation[2])
+                .forEach(tag => this.drawTag(reflectance, tag));
+
+            const gray = this.light(reflectance);
+            if (this.options.blur > 0) SyntheticScene.blur(gray, width, height, this.options.blur);
+            if (this.options.noise > 0) this.addNoise(gray);
+
+            const data = new Uint8ClampedArray(width * height * 4);
+            for (let i = 0; i < gray.length; i++) {
+                data[4 * i] = data[4 * i + 1] = data[4 * i + 2] = gray[i];
+                data[4 * i + 3] = 255;
+            }
+
+            return {
+                image: { width, height, data },
+                truth: inFront.map(tag => this.truth(tag))
+            };
+        }
+
+        // Corners of the tag's grid, grown by margin cells, in camera
+        // coordinates
+        tagCorners(tag, margin = 0) {
+            const half = (tag.family.size / 2 + margin) * tag.size / tag.family.widthAtBorder;
+            return [[-half, -half], [half, -half], [half, half], [-half, half]]
+                .map(([x, y]) => this.toCamera(tag.pose, [x, y, 0]));
+        }
+
+        toCamera(pose, point) {
+            return LinAlg.multiplyVector(pose.rotationMatrix, point).map((value, k) => value + pose.translation[k]);
+        }
+
+        // Pixel of a camera-frame point in the detector's convention, with
+        // pixel centers at integer + 0.5
+        pixel(point) {
+            const [u, v] = LensDistortion.projectPoint(point, this.camera, this.distortion);
+            return [u + 0.5, v + 0.5];
+        }
+
+        truth(tag) {
+            const half = tag.size / 2;
+            // Canonical order: bottom-left first, counter-clockwise
+            const corners = [[-half, half], [half, half], [half, -half], [-half, -half]]
+                .map(([x, y]) => this.pixel(this.toCamera(tag.pose, [x, y, 0])));
+            const { width, height } = this.options;
+            return {
+                id: tag.id,
+                family: tag.family.name,
+                size: tag.size,
+                corners,
+                center: this.pixel(tag.pose.translation),
+                pose: tag.pose,
+                visible: corners.every(([u, v]) => u >= 0 && v >= 0 && u <= width && v <= height)
+            };
+        }
+
+        drawTag(reflectance, tag) {
+            const { width, height, paper, black, white, supersampling: n } = this.options;
+            const family = tag.family;
+            const cells = family.render(tag.id);
+            const size = family.size;
+
+            // Grid coordinates (cells, origin at the grid's top-left) to
+            // ideal pixels: K [r1 r2 t] maps tag-plane points
+            const cell = tag.size / family.widthAtBorder;
+            const { fx, fy, cx, cy } = this.camera;
+            const R = tag.pose.rotationMatrix;
+            const t = tag.pose.translation;
+            const K = [[fx, 0, cx], [0, fy, cy], [0, 0, 1]];
+            const planeToImage = LinAlg.multiply(K, [[R[0][0], R[0][1], t[0]], [R[1][0], R[1][1], t[1]], [R[2][0], R[2][1], t[2]]]);
+            const gridToPlane = [[cell, 0, -size / 2 * cell], [0, cell, -size / 2 * cell], [0, 0, 1]];
+            const imageToGrid = LinAlg.invert3(LinAlg.multiply(planeToImage, gridToPlane));
+            if (!imageToGrid) return;
+
+            // Pixel bounds of the tag and its paper, from points along the
+            // edges since distortion bends them
+            const outline = this.tagCorners(tag, paper);
+            let minU = Infinity, minV = Infinity, maxU = -Infinity, maxV = -Infinity;
+            for (let edge = 0; edge < 4; edge++) {
+                const a = outline[edge], b = outline[(edge + 1) % 4];
+                for (let s = 0; s <= 16; s++) {
+                    const point = a.map((value, k) => value + (b[k] - value) * s / 16);
+                    const [u, v] = LensDistortion.projectPoint(point, this.camera, this.distortion);
+                    minU = Math.min(minU, u);
+                    maxU = Math.max(maxU, u);
+                    minV = Math.min(minV, v);
+                    maxV = Math.max(maxV, v);
+                }
+            }
+            const x0 = Math.max(0, Math.floor(minU) - 1), x1 = Math.min(width - 1, Math.ceil(maxU) + 1);
+            const y0 = Math.max(0, Math.floor(minV) - 1), y1 = Math.min(height - 1, Math.ceil(maxV) + 1);
+            const distorted = !LensDistortion.isIdentity(this.distortion);
+
+            for (let y = y0; y <= y1; y++) {
+                for (let x = x0; x <= x1; x++) {
+                    const index = y * width + x;
+                    let sum = 0;
+                    for (let sy = 0; sy < n; sy++) {
+                        for (let sx = 0; sx < n; sx++) {
+                            let u = x + (sx + 0.5) / n - 0.5;
+                            let v = y + (sy + 0.5) / n - 0.5;
+                            if (distorted) {
+                                const ideal = LensDistortion.undistortPixel(u, v, this.camera, this.distortion);
+                                if (!ideal) {
+                                    sum += reflectance[index];
+                                    continue;
+                                }
+                                [u, v] = ideal;
+                            }
+
+                            const w = imageToGrid[2][0] * u + imageToGrid[2][1] * v + imageToGrid[2][2];
+                            const gx = (imageToGrid[0][0] * u + imageToGrid[0][1] * v + imageToGrid[0][2]) / w;
+                            const gy = (imageToGrid[1][0] * u + imageToGrid[1][1] * v + imageToGrid[1][2]) / w;
+
+                            if (gx >= 0 && gy >= 0 && gx < size && gy < size) {
+                                const value = cells[Math.floor(gy)][Math.floor(gx)];
+                                sum += value === 'b' ? black : value === 'w' ? white : (paper > 0 ? white : reflectance[index]);
+                            } else if (gx >= -paper && gy >= -paper && gx < size + paper && gy < size + paper) {
+                                sum += white;
+                            } else {
+                                sum += reflectance[index];
+                            }
+                        }
+                    }
+                    reflectance[index] = sum / (n * n);
+                }
+            }
+        }
+
+        // Gray levels (0-255) of the lit scene
+        light(reflectance) {
+            const { width, height, brightness, gradient, vignette } = this.options;
+            const gray = new Float32Array(width * height);
+            for (let y = 0; y < height; y++) {
+                const dy = y / height - 0.5;
+                for (let x = 0; x < width; x++) {
+                    const dx = x / width - 0.5;
+                    const radius2 = (dx * dx + dy * dy) * 2; // 1 in the corners
+                    const light = brightness * (1 + gradient[0] * dx + gradient[1] * dy) * (1 - vignette * radius2);
+                    gray[y * width + x] = 255 * reflectance[y * width + x] * light;
+                }
+            }
+            return gray;
+        }
+
+        addNoise(gray) {
+            const sigma = this.options.noise;
+            for (let i = 0; i < gray.length; i++) {
+                gray[i] += sigma * this.gaussian();
+            }
+        }
+
+        // Standard normal sample (Box-Muller, which yields them in pairs)
+        gaussian() {
+            if (this.spareGaussian !== null) {
+                const value = this.spareGaussian;
+                this.spareGaussian = null;
+                return value;
+            }
+            const radius = Math.sqrt(-2 * Math.log(1 - this.random()));
+            const angle = 2 * Math.PI * this.random();
+            this.spareGaussian = radius * Math.sin(angle);
+            return radius * Math.cos(angle);
+        }
+
+        // A pose that puts a tag of the given size at distance (m, along the
+        // optical axis) in front of pixel [u, v], its normal tilted up to
+        // maxTilt (rad) away from the optical axis and turned at random
+        // about it
+        randomPose({ pixel, distance, maxTilt = 0 }) {
+            const { fx, fy, cx, cy } = this.camera;
+            const direction = [(pixel[0] - cx) / fx, (pixel[1] - cy) / fy, 1];
+            const translation = direction.map(value => value * distance);
+
+            const axisAngle = 2 * Math.PI * this.random();
+            const tilt = maxTilt * Math.sqrt(this.random());
+            const roll = 2 * Math.PI * this.random();
+            const tiltRotation = LinAlg.rotationFromVector([Math.cos(axisAngle) * tilt, Math.sin(axisAngle) * tilt, 0]);
+            const rollRotation = LinAlg.rotationFromVector([0, 0, roll]);
+            return { translation, rotationMatrix: LinAlg.multiply(tiltRotation, rollRotation) };
+        }
+
+        // In-place separable Gaussian blur
+        static blur(gray, width, height, sigma) {
+            const radius = Math.ceil(3 * sigma);
+            const kernel = [];
+            let total = 0;
+            for (let k = -radius; k <= radius; k++) {
+                const weight = Math.exp(-k * k / (2 * sigma * sigma));
+                kernel.push(weight);
+                total += weight;
+            }
+            for (let k = 0; k < kernel.length; k++) kernel[k] /= total;
+
+            const pass = (source, target, stride, step, count, lines) => {
+                for (let line = 0; line < lines; line++) {
+                    const base = line * stride;
+                    for (let i = 0; i < count; i++) {
+                        let sum = 0;
+                        for (let k = -radius; k <= radius; k++) {
+                            const j = Math.min(count - 1, Math.max(0, i + k));
+                            sum += source[base + j * step] * kernel[k + radius];
+                        }
+                        target[base + i * step] = sum;
+                    }
+                }
+            };
+            const temp = new Float32Array(gray.length);
+            pass(gray, temp, width, 1, width, height);
+            pass(temp, gray, 1, width, height, width);
+            return gray;
+        }
+
+        // Seeded uniform generator on [0, 1) (mulberry32)
+        static random(seed) {
+            let state = seed >>> 0;
+            return () => {
+                state = (state + 0x6D2B79F5) >>> 0;
+                let t = state;
+                t = Math.imul(t ^ (t >>> 15), t | 1);
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            };
+        }
+    }
+
+    SyntheticScene.defaults = DEFAULTS;
+
+    return SyntheticScene;
+});
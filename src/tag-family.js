@@ -0,0 +1,299 @@
+// AprilTag family codebooks and bit-level decoding
+//
+// Codebooks live in families/<name>.json using the layout format of the
+// apriltag-generation project: a size x size layout string where 'd' marks
+// a data bit, 'b'/'w' fixed black/white cells and 'x' unused cells, plus
+// the list of codes (the tag ID is the index into that list).
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TagFamily = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const TWO_POW_32 = 4294967296;
+
+    const FAMILY_NAMES = [
+        'tag36h11',
+        'tag25h9',
+        'tag16h5',
+        'tagCircle21h7',
+        'tagCircle49h12',
+        'tagCustom48h12',
+        'tagStandard41h12',
+        'tagStandard52h13'
+    ];
+
+    class TagFamily {
+        constructor(name, config) {
+            this.name = name;
+            this.size = config.size;
+            this.layout = config.layout;
+            this.codes = config.codes;
+            this.minHamming = parseInt(name.match(/h(\d+)$/)[1]);
+
+            // Grid cell of every data bit, most significant bit first
+            this.bitCells = computeBitCells(this.size, this.layout);
+            this.nbits = this.bitCells.length;
+
+            // The detectable quad is the edge of the black ring: its outer
+            // edge for classic families, its inner edge when the ring
+            // encloses a white square (the "reversed border" families).
+            let ring = 0;
+            while (this.cellAt(ring, ring) !== 'b') ring++;
+            this.reversedBorder = this.cellAt(ring + 1, ring + 1) === 'w';
+            this.borderStart = this.reversedBorder ? ring + 1 : ring;
+            this.widthAtBorder = this.size - 2 * this.borderStart;
+
+            // Cell indices (row-major) to read the code for each of the four
+            // 90 degree rotations of the sampled grid
+            this.rotatedBitIndices = [0, 1, 2, 3].map(rotation => this.bitCells.map(([x, y]) => {
+                const [rx, ry] = this.rotateCell(x, y, rotation);
+                return ry * this.size + rx;
+            }));
+
+            this.codeIndex = new Map();
+            this.codesHi = new Uint32Array(this.codes.length);
+            this.codesLo = new Uint32Array(this.codes.length);
+            this.codes.forEach((code, id) => {
+                this.codeIndex.set(code, id);
+                this.codesHi[id] = Math.floor(code / TWO_POW_32);
+                this.codesLo[id] = code >>> 0;
+            });
+        }
+
+        static async load(name) {
+            if (!FAMILY_NAMES.includes(name)) {
+                throw new Error(`Unknown tag family: ${name}`);
+            }
+            if (!TagFamily.cache.has(name)) {
+                const pending = readFamilyFile(name).then(config => new TagFamily(name, config));
+                TagFamily.cache.set(name, pending);
+                pending.catch(() => TagFamily.cache.delete(name));
+            }
+            return TagFamily.cache.get(name);
+        }
+
+        cellAt(x, y) {
+            return this.layout[y * this.size + x];
+        }
+
+        // Position of cell (x, y) after turning the grid clockwise
+        // `rotation` quarter turns
+        rotateCell(x, y, rotation) {
+            for (let i = 0; i < rotation; i++) {
+                [x, y] = [this.size - 1 - y, x];
+            }
+            return [x, y];
+        }
+
+        // Same as rotateCell for a continuous point in grid units, where the
+        // grid spans [0, size] in both directions
+        rotatePoint(x, y, rotation) {
+            for (let i = 0; i < rotation; i++) {
+                [x, y] = [this.size - y, x];
+            }
+            return [x, y];
+        }
+
+        // Render a tag as a size x size array of 'w', 'b' and 'x' cells
+        render(id) {
+            const code = this.codes[id];
+            if (code === undefined) {
+                throw new Error(`${this.name} has no tag with ID ${id}`);
+            }
+
+            const hi = Math.floor(code / TWO_POW_32);
+            const lo = code >>> 0;
+            const cells = [];
+            for (let y = 0; y < this.size; y++) {
+                cells.push(this.layout.slice(y * this.size, (y + 1) * this.size).split(''));
+            }
+            this.bitCells.forEach(([x, y], i) => {
+                const bit = this.nbits - 1 - i;
+                const set = bit >= 32 ? (hi >>> (bit - 32)) & 1 : (lo >>> bit) & 1;
+                cells[y][x] = set ? 'w' : 'b';
+            });
+            return cells;
+        }
+
+        // Decode a sampled tag. `samples` holds one intensity per grid cell
+        // (row-major, size x size) taken at the cell centers. Returns the
+        // best match over the four rotations or null.
+        decode(samples, maxHamming = 2) {
+            let blackSum = 0, blackCount = 0;
+            let whiteSum = 0, whiteCount = 0;
+            for (let i = 0; i < this.layout.length; i++) {
+                if (this.layout[i] === 'b') {
+                    blackSum += samples[i];
+                    blackCount++;
+                } else if (this.layout[i] === 'w') {
+                    whiteSum += samples[i];
+                    whiteCount++;
+                }
+            }
+
+            const blackMean = blackSum / blackCount;
+            const whiteMean = whiteSum / whiteCount;
+            if (whiteMean - blackMean < TagFamily.minContrast) return null;
+            const threshold = (blackMean + whiteMean) / 2;
+
+            // Reject quads whose fixed border does not look like a tag before
+            // paying for the codebook search
+            let borderErrors = 0;
+            for (let i = 0; i < this.layout.length; i++) {
+                const cell = this.layout[i];
+                if ((cell === 'b' && samples[i] > threshold) || (cell === 'w' && samples[i] < threshold)) {
+                    borderErrors++;
+                }
+            }
+            if (borderErrors > (blackCount + whiteCount) * TagFamily.maxBorderErrorRate) return null;
+
+            maxHamming = Math.min(maxHamming, Math.floor((this.minHamming - 1) / 2));
+
+            let best = null;
+            for (let rotation = 0; rotation < 4; rotation++) {
+                const indices = this.rotatedBitIndices[rotation];
+                let code = 0;
+                for (let i = 0; i < this.nbits; i++) {
+                    code = code * 2 + (samples[indices[i]] > threshold ? 1 : 0);
+                }
+
+                const match = this.lookup(code, maxHamming);
+                if (match && (!best || match.hamming < best.hamming)) {
+                    best = { ...match, rotation };
+                    if (match.hamming === 0) break;
+                }
+            }
+            if (!best) return null;
+
+            // Decision margin as in the reference library: the mean distance
+            // of white and black data bits from the threshold, whichever is
+            // smaller
+            const expected = this.render(best.id);
+            let whiteScore = 0, whiteBits = 0;
+            let blackScore = 0, blackBits = 0;
+            this.bitCells.forEach(([x, y], i) => {
+                const value = samples[this.rotatedBitIndices[best.rotation][i]] - threshold;
+                if (expected[y][x] === 'w') {
+                    whiteScore += value;
+                    whiteBits++;
+                } else {
+                    blackScore -= value;
+                    blackBits++;
+                }
+            });
+
+            return {
+                id: best.id,
+                hamming: best.hamming,
+                rotation: best.rotation,
+                decisionMargin: Math.min(
+                    whiteBits ? whiteScore / whiteBits : Infinity,
+                    blackBits ? blackScore / blackBits : Infinity
+                )
+            };
+        }
+
+        lookup(code, maxHamming) {
+            const exact = this.codeIndex.get(code);
+            if (exact !== undefined) return { id: exact, hamming: 0 };
+            if (maxHamming <= 0) return null;
+
+            const hi = Math.floor(code / TWO_POW_32);
+            const lo = code >>> 0;
+            let bestId = -1;
+            let bestHamming = maxHamming + 1;
+            for (let id = 0; id < this.codes.length; id++) {
+                const distance = popcount(this.codesHi[id] ^ hi) + popcount(this.codesLo[id] ^ lo);
+                if (distance < bestHamming) {
+                    bestHamming = distance;
+                    bestId = id;
+                    if (distance === 1) break;
+                }
+            }
+            return bestId >= 0 ? { id: bestId, hamming: bestHamming } : null;
+        }
+    }
+
+    TagFamily.names = FAMILY_NAMES;
+    TagFamily.cache = new Map();
+    // Where the browser fetches codebooks from, relative to the page (or to
+    // the worker script when detecting in a worker)
+    TagFamily.baseUrl = 'families/';
+    // Minimum black/white separation (0-255) for a quad to be decoded
+    TagFamily.minContrast = 20;
+    // Fraction of fixed border cells allowed to read the wrong color
+    TagFamily.maxBorderErrorRate = 0.25;
+
+    // Walk the layout the way the tag generator does: fill the top band of
+    // the grid, turn it a quarter, repeat four times, then the center cell
+    // for odd sizes. This yields the grid cell of each bit, MSB first.
+    function computeBitCells(size, layout) {
+        const grid = [];
+        for (let y = 0; y < size; y++) {
+            grid.push(new Array(size).fill(-1));
+        }
+
+        let bit = 0;
+        for (let pass = 0; pass < 4; pass++) {
+            rotateGrid(grid);
+            for (let y = 0; y <= size / 2; y++) {
+                for (let x = y; x < size - 1 - y; x++) {
+                    if (layout[y * size + x] === 'd') grid[y][x] = bit++;
+                }
+            }
+        }
+        if (size % 2 === 1) {
+            const h = Math.floor(size / 2);
+            if (layout[h * size + h] === 'd') grid[h][h] = bit++;
+        }
+        rotateGrid(grid);
+
+        const cells = new Array(bit);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (grid[y][x] >= 0) cells[grid[y][x]] = [x, y];
+            }
+        }
+        return cells;
+    }
+
+    function rotateGrid(grid) {
+        const n = grid.length;
+        for (let y = 0; y < n / 2; y++) {
+            for (let x = y; x < n - y - 1; x++) {
+                const temp = grid[y][x];
+                grid[y][x] = grid[x][n - 1 - y];
+                grid[x][n - 1 - y] = grid[n - 1 - y][n - 1 - x];
+                grid[n - 1 - y][n - 1 - x] = grid[n - 1 - x][y];
+                grid[n - 1 - x][y] = temp;
+            }
+        }
+    }
+
+    function popcount(v) {
+        v = v - ((v >>> 1) & 0x55555555);
+        v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+        return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+    }
+
+    async function readFamilyFile(name) {
+        if (typeof module !== 'undefined' && module.exports) {
+            const fs = require('fs');
+            const path = require('path');
+            const file = path.join(__dirname, '..', 'families', `${name}.json`);
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        }
+
+        const response = await fetch(`${TagFamily.baseUrl}${name}.json`);
+        if (!response.ok) {
+            throw new Error(`Failed to load tag family ${name}: HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    return TagFamily;
+});
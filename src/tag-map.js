@@ -0,0 +1,398 @@
+// Tag map: the tags of a setup with their family, physical size and,
+// optionally, their known pose in a world frame, read from JSON or YAML
+//
+//   family: tag36h11          # defaults for the tags below (optional)
+//   size: 0.05
+//   tags:
+//     - id: 0
+//     - id: 7
+//       size: 0.16
+//     - id: 3
+//       family: tagStandard41h12
+//       size: 0.16
+//       position: [1.2, 0, 0]       # m, world frame
+//       quaternion: [1, 0, 0, 0]    # [w, x, y, z], tag frame to world frame
+//
+// A tag without a family belongs to the family selected in the detector,
+// one without a size has the detector's tag size. The standalone_tags list
+// of an apriltag_ros tags.yaml is read as tags. Only the YAML that such
+// files use is understood: block mappings and sequences, flow [...] and
+// {...} collections, plain and quoted scalars, and comments.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./linalg.js'), require('./transform.js'));
+    } else {
+        root.TagMap = factory(root.LinAlg, root.Transform);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LinAlg, Transform) {
+
+    // Validate a map (text or parsed data) into
+    // { tags: [{ id, family, size, name, pose }] } with family, size, name
+    // and pose null when not given. The result is plain data, so it can be
+    // passed to a worker.
+    function parse(input) {
+        const data = typeof input === 'string' ? parseText(input) : input;
+        if (!data || typeof data !== 'object') throw new Error('Tag map must be an object or a list of tags');
+
+        const list = Array.isArray(data) ? data : (data.tags || data.standalone_tags);
+        if (!Array.isArray(list) || list.length === 0) throw new Error('Tag map has no tags');
+        const defaults = Array.isArray(data) ? {} : data;
+        const seen = new Set();
+
+        const tags = list.map(tag => {
+            if (!tag || !Number.isInteger(tag.id) || tag.id < 0) {
+                throw new Error(`Tag map: invalid tag id ${JSON.stringify(tag && tag.id)}`);
+            }
+            const family = tag.family !== undefined ? tag.family : (defaults.family !== undefined ? defaults.family : null);
+            const size = tag.size !== undefined ? tag.size : (defaults.size !== undefined ? defaults.size : null);
+            const label = family ? `${family} ${tag.id}` : `tag ${tag.id}`;
+            if (family !== null && typeof family !== 'string') throw new Error(`Tag map: ${label} has an invalid family`);
+            if (size !== null && !(typeof size === 'number' && size > 0)) throw new Error(`Tag map: ${label} has an invalid size`);
+
+            const key = `${family}:${tag.id}`;
+            if (seen.has(key)) throw new Error(`Tag map: ${label} is listed twice`);
+            seen.add(key);
+
+            let pose = null;
+            if (tag.position !== undefined || tag.quaternion !== undefined) {
+                const position = tag.position || [0, 0, 0];
+                const quaternion = tag.quaternion || [1, 0, 0, 0];
+                if (!isVector(position, 3)) throw new Error(`Tag map: ${label} has an invalid position`);
+                if (!isVector(quaternion, 4) || LinAlg.norm(quaternion) < 1e-9) {
+                    throw new Error(`Tag map: ${label} has an invalid quaternion`);
+                }
+                pose = Transform.pose(LinAlg.rotationFromQuaternion(quaternion), position);
+            }
+
+            return { id: tag.id, family, size, name: tag.name !== undefined ? String(tag.name) : null, pose };
+        });
+
+        return { tags };
+    }
+
+    // JSON when it looks like JSON, YAML otherwise
+    function parseText(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            try {
+                return JSON.parse(trimmed);
+            } catch (error) {
+                // YAML flow collections are not always valid JSON
+            }
+        }
+        return parseYAML(text);
+    }
+
+    // The entry of a detected tag, or null. Entries without a family match
+    // tags of the main (selected) family.
+    function find(map, family, id, mainFamily) {
+        if (!map) return null;
+        return map.tags.find(tag => tag.id === id && (tag.family || mainFamily) === family) || null;
+    }
+
+    // Families named in the map
+    function families(map) {
+        return map ? [...new Set(map.tags.map(tag => tag.family).filter(Boolean))] : [];
+    }
+
+    // Key of a tag in the pose table, tracking and recordings: its ID as a
+    // string for the main family, '<family>:<id>' for other families
+    function key(tag, mainFamily) {
+        return !tag.family || tag.family === mainFamily ? String(tag.id) : `${tag.family}:${tag.id}`;
+    }
+
+    // The map in its file layout, to export it
+    function toLayout(map) {
+        return {
+            tags: map.tags.map(tag => {
+                const layout = { id: tag.id };
+                if (tag.family) layout.family = tag.family;
+                if (tag.size) layout.size = tag.size;
+                if (tag.name) layout.name = tag.name;
+                if (tag.pose) {
+                    layout.position = tag.pose.translation.map(round);
+                    layout.quaternion = Transform.quaternionFromMatrix(tag.pose.rotationMatrix).map(round);
+                }
+                return layout;
+            })
+        };
+    }
+
+    function toJSON(map) {
+        return JSON.stringify(toLayout(map), null, 2) + '\n';
+    }
+
+    function toYAML(map) {
+        return stringifyYAML(toLayout(map));
+    }
+
+    function round(value) {
+        return Math.round(value * 1e9) / 1e9;
+    }
+
+    function isVector(value, length) {
+        return Array.isArray(value) && value.length === length && value.every(Number.isFinite);
+    }
+
+    // YAML subset reader. Lines are { number, indent, text } with comments
+    // removed; flow collections spanning lines are joined into one line.
+    function parseYAML(text) {
+        const lines = [];
+        text.split(/\r?\n/).forEach((raw, index) => {
+            const content = stripComment(raw);
+            if (!content.trim() || /^(---|\.\.\.|%)/.test(content)) return;
+
+            const previous = lines[lines.length - 1];
+            if (previous && flowDepth(previous.text) > 0) {
+                previous.text += ' ' + content.trim();
+            } else {
+                lines.push({ number: index + 1, indent: content.search(/\S/), text: content.trim() });
+            }
+        });
+
+        const state = { lines, index: 0 };
+        if (!lines.length) return null;
+        const value = parseNode(state, lines[0].indent);
+        if (state.index < lines.length) fail(lines[state.index], 'unexpected indentation');
+        return value;
+    }
+
+    function parseNode(state, indent) {
+        const line = state.lines[state.index];
+        if (!line || line.indent < indent) return null;
+        if (/^-(\s|$)/.test(line.text)) return parseSequence(state, line.indent);
+        if (mappingKey(line.text)) return parseMapping(state, line.indent);
+        state.index++;
+        return parseInline(line.text, line);
+    }
+
+    function parseSequence(state, indent) {
+        const items = [];
+        let line;
+        while ((line = state.lines[state.index]) && line.indent === indent && /^-(\s|$)/.test(line.text)) {
+            const rest = line.text.slice(1).trimStart();
+            if (!rest) {
+                state.index++;
+                const next = state.lines[state.index];
+                items.push(next && next.indent > indent ? parseNode(state, next.indent) : null);
+            } else {
+                // The item starts on the dash line; lines continuing it line
+                // up with its first character
+                const offset = line.text.length - rest.length;
+                state.lines[state.index] = { number: line.number, indent: indent + offset, text: rest };
+                items.push(parseNode(state, indent + offset));
+            }
+        }
+        return items;
+    }
+
+    function parseMapping(state, indent) {
+        const mapping = {};
+        let line;
+        while ((line = state.lines[state.index]) && line.indent === indent) {
+            const match = mappingKey(line.text);
+            if (!match) fail(line, 'expected "key: value"');
+            const name = scalar(match.key, line);
+            state.index++;
+
+            if (match.rest) {
+                mapping[name] = parseInline(match.rest, line);
+                continue;
+            }
+            // A sequence may sit at the key's own indentation
+            const next = state.lines[state.index];
+            if (next && (next.indent > indent || (next.indent === indent && /^-(\s|$)/.test(next.text)))) {
+                mapping[name] = parseNode(state, next.indent);
+            } else {
+                mapping[name] = null;
+            }
+        }
+        return mapping;
+    }
+
+    function mappingKey(text) {
+        const match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'[\]{},-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*))?$/.exec(text);
+        return match ? { key: match[1], rest: match[2] || '' } : null;
+    }
+
+    function parseInline(text, line) {
+        if (text.startsWith('[') || text.startsWith('{')) {
+            const parser = { text, position: 0, line };
+            const value = parseFlow(parser);
+            skipSpace(parser);
+            if (parser.position < text.length) fail(line, 'unexpected text after a flow collection');
+            return value;
+        }
+        return scalar(text, line);
+    }
+
+    // Flow collections: [a, b] and {key: value}
+    function parseFlow(parser) {
+        skipSpace(parser);
+        const open = parser.text[parser.position];
+        if (open !== '[' && open !== '{') return scalar(readPlain(parser, ',]}'), parser.line);
+
+        parser.position++;
+        const close = open === '[' ? ']' : '}';
+        const result = open === '[' ? [] : {};
+        for (;;) {
+            skipSpace(parser);
+            if (parser.text[parser.position] === close) {
+                parser.position++;
+                return result;
+            }
+            if (open === '[') {
+                result.push(parseFlow(parser));
+            } else {
+                const name = scalar(readPlain(parser, ':,}'), parser.line);
+                if (parser.text[parser.position] !== ':') fail(parser.line, `expected ":" after "${name}"`);
+                parser.position++;
+                result[name] = parseFlow(parser);
+            }
+            skipSpace(parser);
+            const next = parser.text[parser.position];
+            if (next === ',') {
+                parser.position++;
+            } else if (next !== close) {
+                fail(parser.line, `expected "," or "${close}"`);
+            }
+        }
+    }
+
+    // A quoted string or plain scalar, up to one of the stop characters
+    function readPlain(parser, stops) {
+        skipSpace(parser);
+        const start = parser.position;
+        const quote = parser.text[start];
+        if (quote === '"' || quote === "'") {
+            const pattern = quote === '"' ? /"(?:[^"\\]|\\.)*"/y : /'(?:[^']|'')*'/y;
+            pattern.lastIndex = start;
+            if (!pattern.test(parser.text)) fail(parser.line, 'unterminated string');
+            parser.position = pattern.lastIndex;
+        } else {
+            while (parser.position < parser.text.length && !stops.includes(parser.text[parser.position])) parser.position++;
+        }
+        const token = parser.text.slice(start, parser.position).trim();
+        skipSpace(parser);
+        return token;
+    }
+
+    function skipSpace(parser) {
+        while (/\s/.test(parser.text[parser.position] || '')) parser.position++;
+    }
+
+    function scalar(token, line) {
+        token = token.trim();
+        if (token.startsWith('"')) {
+            try {
+                return JSON.parse(token);
+            } catch (error) {
+                fail(line, `invalid string ${token}`);
+            }
+        }
+        if (token.startsWith("'")) {
+            if (!/^'(?:[^']|'')*'$/.test(token)) fail(line, `invalid string ${token}`);
+            return token.slice(1, -1).replace(/''/g, "'");
+        }
+        if (token === '' || token === '~' || token === 'null') return null;
+        if (token === 'true') return true;
+        if (token === 'false') return false;
+        if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(token)) return Number(token);
+        return token;
+    }
+
+    // The line without its comment: a # at the start or after whitespace,
+    // outside quotes
+    function stripComment(text) {
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quote) {
+                if (c === '\\' && quote === '"') i++;
+                else if (c === quote) quote = null;
+            } else if (c === '"' || c === "'") {
+                quote = c;
+            } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+                return text.slice(0, i).trimEnd();
+            }
+        }
+        return text.trimEnd();
+    }
+
+    // Open [ and { minus closed ones, outside quotes
+    function flowDepth(text) {
+        let depth = 0;
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quote) {
+                if (c === '\\' && quote === '"') i++;
+                else if (c === quote) quote = null;
+            } else if (c === '"' || c === "'") {
+                quote = c;
+            } else if (c === '[' || c === '{') {
+                depth++;
+            } else if (c === ']' || c === '}') {
+                depth--;
+            }
+        }
+        return depth;
+    }
+
+    function fail(line, message) {
+        throw new Error(`Tag map YAML, line ${line.number}: ${message}`);
+    }
+
+    // YAML writer for plain data: block mappings and sequences, with arrays
+    // of scalars written inline
+    function stringifyYAML(value, indent = '') {
+        if (Array.isArray(value)) {
+            return value.map(item => {
+                if (isPlainObject(item) || (Array.isArray(item) && item.some(isCollection))) {
+                    return `${indent}- ${stringifyYAML(item, indent + '  ').trimStart()}`;
+                }
+                return `${indent}- ${inline(item)}\n`;
+            }).join('');
+        }
+        return Object.entries(value).map(([name, item]) => {
+            const key = `${indent}${yamlString(name)}:`;
+            if (isPlainObject(item) || (Array.isArray(item) && item.some(isCollection))) {
+                return `${key}\n${stringifyYAML(item, indent + '  ')}`;
+            }
+            return `${key} ${inline(item)}\n`;
+        }).join('');
+    }
+
+    function inline(value) {
+        if (Array.isArray(value)) return `[${value.map(inline).join(', ')}]`;
+        if (typeof value === 'string') return yamlString(value);
+        return value === null || value === undefined ? 'null' : String(value);
+    }
+
+    // Strings that would read back as something else are quoted
+    function yamlString(text) {
+        const plain = /^[A-Za-z_][\w.\- ]*$/.test(text) && !text.endsWith(' ') && !['true', 'false', 'null'].includes(text);
+        return plain ? text : JSON.stringify(text);
+    }
+
+    function isCollection(value) {
+        return value !== null && typeof value === 'object';
+    }
+
+    function isPlainObject(value) {
+        return isCollection(value) && !Array.isArray(value);
+    }
+
+    return {
+        parse,
+        find,
+        families,
+        key,
+        toLayout,
+        toJSON,
+        toYAML,
+        parseYAML,
+        stringifyYAML
+    };
+});
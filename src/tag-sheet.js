@@ -0,0 +1,320 @@
+// Printable sheets of tags from the real codebooks, laid out in millimetres
+// and exported as SVG (one page) or PDF (all pages)
+//
+// tagSize is measured the way the app's Tag Size setting is: across the
+// detected black border (see TagFamily.widthAtBorder), so a sheet printed at
+// 100% scale gives tags whose size can be typed into the app unchanged.
+// Every tag keeps a white quiet zone of at least one cell around it, which
+// families with data bits on their outer edge need to be detected.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TagSheet = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const PAPER = {
+        a4: { width: 210, height: 297 },
+        letter: { width: 215.9, height: 279.4 }
+    };
+
+    const DEFAULTS = {
+        tagSize: 50,     // mm across the black border
+        paper: 'a4',
+        landscape: false,
+        margin: 10,      // mm
+        spacing: 5,      // mm between neighbouring tags' quiet zones
+        labels: true,    // family, ID and size under every tag
+        outline: true    // thin grey cutting line around every tag
+    };
+
+    const LABEL_HEIGHT = 5;  // mm reserved under a tag for its label
+    const FONT_SIZE = 3;     // mm
+    const FOOTER_HEIGHT = 8; // mm at the bottom of the page for the scale bar
+    const SCALE_BAR = 50;    // mm
+    const POINTS_PER_MM = 72 / 25.4;
+    const MAX_IDS = 100000;  // more than any family has codes
+
+    class TagSheet {
+        // family is a loaded TagFamily, ids the tag IDs in print order
+        constructor(family, ids, options = {}) {
+            this.family = family;
+            this.ids = ids;
+            this.options = { ...DEFAULTS, ...options };
+
+            const paper = PAPER[this.options.paper];
+            if (!paper) throw new Error(`Unknown paper size: ${this.options.paper}`);
+            this.width = this.options.landscape ? paper.height : paper.width;
+            this.height = this.options.landscape ? paper.width : paper.height;
+
+            ids.forEach(id => {
+                if (!Number.isInteger(id) || id < 0 || id >= family.codes.length) {
+                    throw new Error(`${family.name} has IDs 0 to ${family.codes.length - 1}, not ${id}`);
+                }
+            });
+            if (!(this.options.tagSize > 0)) throw new Error('The tag size must be positive');
+
+            this.cell = this.options.tagSize / family.widthAtBorder;
+            this.quiet = TagSheet.outerRingIsWhite(family) ? 0 : this.cell;
+            // Side of a tag with its quiet zone
+            this.extent = family.size * this.cell + 2 * this.quiet;
+            this.pages = this.layout();
+        }
+
+        // Fill the page row by row; returns per page the top-left corner of
+        // every tag's grid
+        layout() {
+            const { margin, spacing, labels } = this.options;
+            const slotWidth = this.extent;
+            const slotHeight = this.extent + (labels ? LABEL_HEIGHT : 0);
+            const usableWidth = this.width - 2 * margin;
+            const usableHeight = this.height - 2 * margin - FOOTER_HEIGHT;
+
+            const columns = Math.floor((usableWidth + spacing) / (slotWidth + spacing));
+            const rows = Math.floor((usableHeight + spacing) / (slotHeight + spacing));
+            if (columns < 1 || rows < 1) {
+                throw new Error(`A ${this.options.tagSize} mm tag does not fit on the page with these margins`);
+            }
+            this.columns = columns;
+            this.rows = rows;
+
+            // Center the grid horizontally
+            const left = margin + (usableWidth - (columns * slotWidth + (columns - 1) * spacing)) / 2;
+            const perPage = columns * rows;
+            const pages = [];
+            this.ids.forEach((id, index) => {
+                const slot = index % perPage;
+                if (slot === 0) pages.push([]);
+                const column = slot % columns;
+                const row = Math.floor(slot / columns);
+                pages[pages.length - 1].push({
+                    id,
+                    x: left + column * (slotWidth + spacing) + this.quiet,
+                    y: margin + row * (slotHeight + spacing) + this.quiet
+                });
+            });
+            return pages;
+        }
+
+        // Gap between the black borders of neighbouring tags in a row (and
+        // in a column when there are no labels), as a calibration board
+        // describes its spacing
+        get borderGap() {
+            return this.extent + this.options.spacing - this.options.tagSize;
+        }
+
+        label(id) {
+            return `${this.family.name}  ID ${id}  ${format(this.options.tagSize)} mm`;
+        }
+
+        footer() {
+            return `${this.family.name}, tag size ${format(this.options.tagSize / 1000, 4)} m. ` +
+                `Print at 100% (actual size); the bar is ${SCALE_BAR} mm.`;
+        }
+
+        // Black cells of a tag as rectangles [x, y, width, height] in mm,
+        // merged along rows
+        rectangles(id, x, y) {
+            const cells = this.family.render(id);
+            const rectangles = [];
+            cells.forEach((row, cy) => {
+                let start = -1;
+                for (let cx = 0; cx <= row.length; cx++) {
+                    const black = cx < row.length && row[cx] === 'b';
+                    if (black && start < 0) start = cx;
+                    if (!black && start >= 0) {
+                        rectangles.push([x + start * this.cell, y + cy * this.cell, (cx - start) * this.cell, this.cell]);
+                        start = -1;
+                    }
+                }
+            });
+            return rectangles;
+        }
+
+        // Everything drawn on a page, in mm from the top-left corner
+        pageItems(pageIndex) {
+            const page = this.pages[pageIndex];
+            if (!page) throw new Error(`The sheet has no page ${pageIndex + 1}`);
+
+            const size = this.family.size * this.cell;
+            const tags = page.map(({ id, x, y }) => ({
+                id,
+                rectangles: this.rectangles(id, x, y),
+                outline: this.options.outline
+                    ? [x - this.quiet, y - this.quiet, this.extent, this.extent]
+                    : null,
+                label: this.options.labels
+                    ? { text: this.label(id), x: x + size / 2, y: y + size + this.quiet + LABEL_HEIGHT - 1.2 }
+                    : null
+            }));
+
+            const barY = this.height - this.options.margin - 2;
+            return {
+                tags,
+                scaleBar: [this.options.margin, barY, SCALE_BAR],
+                footer: { text: `${this.footer()} Page ${pageIndex + 1} of ${this.pages.length}.`, x: this.options.margin + SCALE_BAR + 4, y: barY + 1 }
+            };
+        }
+
+        toSVG(pageIndex = 0) {
+            const { tags, scaleBar, footer } = this.pageItems(pageIndex);
+            const parts = [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                `<svg xmlns="http://www.w3.org/2000/svg" width="${format(this.width)}mm" height="${format(this.height)}mm" viewBox="0 0 ${format(this.width)} ${format(this.height)}">`,
+                `<rect width="${format(this.width)}" height="${format(this.height)}" fill="#fff"/>`
+            ];
+
+            tags.forEach(tag => {
+                if (tag.outline) {
+                    const [x, y, w, h] = tag.outline;
+                    parts.push(`<rect x="${format(x)}" y="${format(y)}" width="${format(w)}" height="${format(h)}" fill="none" stroke="#bbb" stroke-width="0.1"/>`);
+                }
+                // One path per tag, so neighbouring cells leave no seams
+                const d = tag.rectangles.map(([x, y, w, h]) => `M${format(x)} ${format(y)}h${format(w)}v${format(h)}h${format(-w)}z`).join('');
+                parts.push(`<path d="${d}" fill="#000"/>`);
+                if (tag.label) {
+                    parts.push(`<text x="${format(tag.label.x)}" y="${format(tag.label.y)}" font-family="Helvetica, Arial, sans-serif" font-size="${FONT_SIZE}" text-anchor="middle" fill="#555">${escapeXML(tag.label.text)}</text>`);
+                }
+            });
+
+            const [barX, barY, barLength] = scaleBar;
+            parts.push(`<path d="M${format(barX)} ${format(barY)}h${barLength}M${format(barX)} ${format(barY - 1)}v2M${format(barX + barLength)} ${format(barY - 1)}v2" stroke="#000" stroke-width="0.2" fill="none"/>`);
+            parts.push(`<text x="${format(footer.x)}" y="${format(footer.y)}" font-family="Helvetica, Arial, sans-serif" font-size="2.5" fill="#555">${escapeXML(footer.text)}</text>`);
+            parts.push('</svg>');
+            return parts.join('\n') + '\n';
+        }
+
+        // A PDF with one page per sheet page, drawn in vector form. Returns
+        // a string of single-byte characters; write it out as Latin-1.
+        toPDF() {
+            const objects = [];
+            const add = (body) => {
+                objects.push(body);
+                return objects.length;
+            };
+
+            const catalog = add(null);
+            const pagesObject = add(null);
+            const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+            const width = format(this.width * POINTS_PER_MM);
+            const height = format(this.height * POINTS_PER_MM);
+
+            const pageObjects = this.pages.map((page, pageIndex) => {
+                const content = this.pageContent(pageIndex);
+                const stream = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+                return add(`<< /Type /Page /Parent ${pagesObject} 0 R /MediaBox [0 0 ${width} ${height}] ` +
+                    `/Resources << /Font << /F1 ${font} 0 R >> >> /Contents ${stream} 0 R >>`);
+            });
+            objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObject} 0 R >>`;
+            objects[pagesObject - 1] = `<< /Type /Pages /Kids [${pageObjects.map(n => `${n} 0 R`).join(' ')}] /Count ${pageObjects.length} >>`;
+
+            let pdf = '%PDF-1.4\n';
+            const offsets = objects.map((body, index) => {
+                const offset = pdf.length;
+                pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+                return offset;
+            });
+            const xref = pdf.length;
+            pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+            return pdf;
+        }
+
+        // Content stream of one page, in mm with the origin at the top left
+        pageContent(pageIndex) {
+            const { tags, scaleBar, footer } = this.pageItems(pageIndex);
+            const k = format(POINTS_PER_MM);
+            const ops = [`${k} 0 0 -${k} 0 ${format(this.height * POINTS_PER_MM)} cm`];
+            // Text is drawn upright again in the flipped coordinates
+            const text = (x, y, size, value, centered) => {
+                const shift = centered ? textWidth(value, size) / 2 : 0;
+                return `BT /F1 ${format(size)} Tf 1 0 0 -1 ${format(x - shift)} ${format(y)} Tm (${escapePDF(value)}) Tj ET`;
+            };
+
+            tags.forEach(tag => {
+                if (tag.outline) {
+                    ops.push(`0.733 G 0.1 w ${tag.outline.map(value => format(value)).join(' ')} re S`);
+                }
+                ops.push('0 g ' + tag.rectangles.map(r => `${r.map(value => format(value)).join(' ')} re`).join(' ') + ' f');
+                if (tag.label) {
+                    ops.push('0.333 g ' + text(tag.label.x, tag.label.y, FONT_SIZE, tag.label.text, true));
+                }
+            });
+
+            const [barX, barY, barLength] = scaleBar;
+            ops.push(`0 G 0.2 w ${format(barX)} ${format(barY)} m ${format(barX + barLength)} ${format(barY)} l ` +
+                `${format(barX)} ${format(barY - 1)} m ${format(barX)} ${format(barY + 1)} l ` +
+                `${format(barX + barLength)} ${format(barY - 1)} m ${format(barX + barLength)} ${format(barY + 1)} l S`);
+            ops.push('0.333 g ' + text(footer.x, footer.y, 2.5, footer.text, false));
+            return ops.join('\n');
+        }
+
+        // Families whose outermost ring is all white carry their own quiet zone
+        static outerRingIsWhite(family) {
+            const n = family.size;
+            for (let i = 0; i < n; i++) {
+                if (family.cellAt(i, 0) !== 'w' || family.cellAt(i, n - 1) !== 'w' ||
+                    family.cellAt(0, i) !== 'w' || family.cellAt(n - 1, i) !== 'w') {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        // "0-9, 12, 20-24" -> [0, ..., 9, 12, 20, ..., 24], with every ID
+        // below count (the family's number of codes). Ranges are checked
+        // before they are expanded.
+        static parseIds(text, count = MAX_IDS) {
+            const ids = [];
+            text.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+                const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+                if (!match) throw new Error(`Cannot read the ID range "${part}"`);
+                const first = parseInt(match[1]);
+                const last = match[2] !== undefined ? parseInt(match[2]) : first;
+                if (last < first) throw new Error(`The ID range "${part}" runs backwards`);
+                if (last >= count) throw new Error(`"${part}" goes past the last ID, ${count - 1}`);
+                if (ids.length + last - first + 1 > MAX_IDS) throw new Error(`More than ${MAX_IDS} tag IDs given`);
+                for (let id = first; id <= last; id++) ids.push(id);
+            });
+            if (!ids.length) throw new Error('No tag IDs given');
+            return ids;
+        }
+    }
+
+    // Widths of Helvetica's characters in 1/1000 em, for centering labels;
+    // anything not listed is taken as 556 (the digits' width)
+    const HELVETICA_WIDTHS = {
+        ' ': 278, '.': 278, ',': 278, '-': 333, '(': 333, ')': 333, ';': 278, '%': 889,
+        'I': 278, 'D': 722, 'P': 667, 'T': 611,
+        'a': 556, 'b': 556, 'c': 500, 'd': 556, 'e': 556, 'f': 278, 'g': 556, 'h': 556, 'i': 222,
+        'l': 222, 'm': 833, 'n': 556, 'o': 556, 'p': 556, 'r': 333, 's': 500, 't': 278, 'u': 556,
+        'w': 722, 'x': 500, 'y': 500, 'z': 500, 'C': 722, 'S': 667
+    };
+
+    function textWidth(text, size) {
+        let width = 0;
+        for (const c of text) width += HELVETICA_WIDTHS[c] || 556;
+        return width / 1000 * size;
+    }
+
+    // Up to `digits` decimals without trailing zeros
+    function format(value, digits = 3) {
+        return String(Number(value.toFixed(digits)));
+    }
+
+    function escapeXML(text) {
+        return text.replace(/[&<>]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[c]);
+    }
+
+    function escapePDF(text) {
+        return text.replace(/[\\()]/g, c => '\\' + c);
+    }
+
+    TagSheet.PAPER = PAPER;
+    TagSheet.defaults = DEFAULTS;
+
+    return TagSheet;
+});
@@ -0,0 +1,187 @@
+// Tracking of tag (and bundle) poses across frames
+//
+// Detections are associated with tracks by ID. Translation is filtered by a
+// constant-velocity Kalman filter per axis; rotation by an alpha-beta filter
+// on SO(3): the predicted rotation is SLERPed towards the measured one and the
+// residual rotation corrects the angular velocity. A track missing from a
+// frame coasts on its last velocity and is marked stale until it is seen
+// again or has been lost for longer than holdTime.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./linalg.js'));
+    } else {
+        root.PoseTracker = factory(root.LinAlg);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LinAlg) {
+
+    const DEFAULTS = {
+        filter: 'kalman',        // 'kalman' or 'none' (raw poses, still tracked)
+        measurementNoise: 0.003, // m, standard deviation of a measured position
+        processNoise: 2,         // m/s², standard deviation of the acceleration
+        rotationSmoothing: 0.5,  // 0 follows the measurements, towards 1 smoother
+        holdTime: 500,           // ms a lost track is kept (and extrapolated)
+        maxRotationJump: Math.PI / 2 // rad; a larger jump restarts the track
+    };
+
+    class PoseTracker {
+        // key identifies an item across frames
+        constructor(options = {}, key = item => item.id) {
+            this.options = { ...DEFAULTS };
+            this.key = key;
+            this.tracks = new Map();
+            this.setOptions(options);
+        }
+
+        setOptions(options) {
+            Object.keys(DEFAULTS).forEach(name => {
+                if (options[name] !== undefined) this.options[name] = options[name];
+            });
+        }
+
+        reset() {
+            this.tracks.clear();
+        }
+
+        // Feed the items ({ pose, ... }) detected at time (ms). Returns one
+        // entry per live track, sorted like the input with stale tracks after:
+        // the latest item with its pose replaced by the filtered one, plus
+        // rawPose, velocity (m/s), angularVelocity (rad/s, camera frame),
+        // stale and lostFor (ms).
+        update(items, time) {
+            const seen = new Set();
+
+            items.forEach(item => {
+                if (!item.pose) return;
+                const key = this.key(item);
+                seen.add(key);
+
+                const track = this.tracks.get(key);
+                if (track && time - track.time <= this.options.holdTime) {
+                    this.correct(track, item, time);
+                } else {
+                    this.tracks.set(key, this.start(item, time));
+                }
+            });
+
+            const results = [];
+            const stale = [];
+            this.tracks.forEach((track, key) => {
+                const lostFor = time - track.time;
+                if (!seen.has(key) && lostFor > this.options.holdTime) {
+                    this.tracks.delete(key);
+                    return;
+                }
+                (seen.has(key) ? results : stale).push(this.output(track, time));
+            });
+
+            return results.concat(stale);
+        }
+
+        start(item, time) {
+            const R = item.pose.rotationMatrix;
+            const variance = this.options.measurementNoise ** 2;
+            return {
+                item,
+                time,
+                // Per axis: state [position, velocity] and covariance [[a, b], [b, c]]
+                axes: item.pose.translation.map(position => ({
+                    x: [position, 0],
+                    P: [[variance, 0], [0, 1]]
+                })),
+                R,
+                omega: [0, 0, 0]
+            };
+        }
+
+        correct(track, item, time) {
+            const dt = (time - track.time) / 1000;
+            const measuredR = item.pose.rotationMatrix;
+
+            // A jump this large is a pose flip or another tag with the same
+            // ID, not motion
+            const predictedR = this.predictRotation(track, dt);
+            const residual = LinAlg.rotationToVector(LinAlg.multiply(measuredR, LinAlg.transpose(predictedR)));
+            if (LinAlg.norm(residual) > this.options.maxRotationJump) {
+                Object.assign(track, this.start(item, time));
+                return;
+            }
+
+            if (this.options.filter === 'none' || dt <= 0) {
+                track.axes.forEach((axis, k) => {
+                    const position = item.pose.translation[k];
+                    axis.x = [position, dt > 0 ? (position - axis.x[0]) / dt : axis.x[1]];
+                });
+                if (dt > 0) {
+                    const delta = LinAlg.rotationToVector(LinAlg.multiply(measuredR, LinAlg.transpose(track.R)));
+                    track.omega = delta.map(value => value / dt);
+                }
+                track.R = measuredR;
+            } else {
+                track.axes.forEach((axis, k) => this.kalmanStep(axis, item.pose.translation[k], dt));
+
+                // SLERP from the prediction towards the measurement; the
+                // gains are those of a critically damped alpha-beta filter
+                const alpha = 1 - this.options.rotationSmoothing;
+                const beta = alpha * alpha / (2 - alpha);
+                track.R = LinAlg.multiply(LinAlg.rotationFromVector(residual.map(value => value * alpha)), predictedR);
+                track.omega = track.omega.map((value, k) => value + beta * residual[k] / dt);
+            }
+
+            track.item = item;
+            track.time = time;
+        }
+
+        // Constant-velocity Kalman filter with white noise acceleration
+        kalmanStep(axis, measurement, dt) {
+            const q = this.options.processNoise ** 2;
+            const r = this.options.measurementNoise ** 2;
+            const [[a, b], [, c]] = axis.P;
+
+            // Predict
+            const x = [axis.x[0] + dt * axis.x[1], axis.x[1]];
+            const pa = a + 2 * dt * b + dt * dt * c + q * dt ** 4 / 4;
+            const pb = b + dt * c + q * dt ** 3 / 2;
+            const pc = c + q * dt * dt;
+
+            // Update with the measured position
+            const s = pa + r;
+            const k0 = pa / s;
+            const k1 = pb / s;
+            const innovation = measurement - x[0];
+            axis.x = [x[0] + k0 * innovation, x[1] + k1 * innovation];
+            axis.P = [
+                [(1 - k0) * pa, (1 - k0) * pb],
+                [(1 - k0) * pb, pc - k1 * pb]
+            ];
+        }
+
+        predictRotation(track, dt) {
+            return LinAlg.multiply(LinAlg.rotationFromVector(track.omega.map(value => value * dt)), track.R);
+        }
+
+        // The track's state, extrapolated to time when it was not updated then
+        output(track, time) {
+            const dt = (time - track.time) / 1000;
+            const R = dt > 0 ? this.predictRotation(track, dt) : track.R;
+
+            return {
+                ...track.item,
+                pose: {
+                    ...track.item.pose,
+                    translation: track.axes.map(axis => axis.x[0] + dt * axis.x[1]),
+                    rotationMatrix: R
+                },
+                rawPose: track.item.pose,
+                velocity: track.axes.map(axis => axis.x[1]),
+                angularVelocity: track.omega.slice(),
+                stale: dt > 0,
+                lostFor: time - track.time
+            };
+        }
+    }
+
+    PoseTracker.defaults = DEFAULTS;
+
+    return PoseTracker;
+});
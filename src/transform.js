@@ -0,0 +1,229 @@
+// Rigid transforms and rotation representations
+//
+// Poses are plain objects { translation: [x, y, z], rotationMatrix: 3x3 }
+// (plus whatever else the producer attaches, e.g. the reprojection error),
+// mapping points from the object frame into the parent frame:
+// p_parent = R * p_object + t. They stay plain so they survive postMessage.
+//
+// Conventions:
+//   - 4x4 homogeneous transforms are row-major arrays of rows
+//   - quaternions are [w, x, y, z], normalized with w >= 0 when produced here
+//   - Euler angles are intrinsic Tait-Bryan rotations about the axes in the
+//     given order: order 'XYZ' gives [a, b, c] with R = Rx(a) * Ry(b) * Rz(c)
+//   - angles are in radians
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./linalg.js'));
+    } else {
+        root.Transform = factory(root.LinAlg);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LinAlg) {
+
+    const EULER_ORDERS = ['XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX'];
+    const AXIS = { X: 0, Y: 1, Z: 2 };
+
+    // --- Poses -------------------------------------------------------------
+
+    function pose(rotationMatrix, translation) {
+        return { translation: translation.slice(), rotationMatrix: rotationMatrix.map(row => row.slice()) };
+    }
+
+    // a * b: the pose of b's object in a's parent frame, when b is given in
+    // a's object frame
+    function compose(a, b) {
+        const R = LinAlg.multiply(a.rotationMatrix, b.rotationMatrix);
+        const t = add(LinAlg.multiplyVector(a.rotationMatrix, b.translation), a.translation);
+        return { translation: t, rotationMatrix: R };
+    }
+
+    function invert(p) {
+        const Rt = LinAlg.transpose(p.rotationMatrix);
+        return { translation: LinAlg.multiplyVector(Rt, p.translation).map(value => -value), rotationMatrix: Rt };
+    }
+
+    // Pose of `target` in the frame of `reference`, both given in the same
+    // parent frame: reference^-1 * target
+    function relative(reference, target) {
+        return compose(invert(reference), target);
+    }
+
+    function applyPose(p, point) {
+        return add(LinAlg.multiplyVector(p.rotationMatrix, point), p.translation);
+    }
+
+    // Constant-speed interpolation from a (s = 0) to b (s = 1): SLERP on the
+    // rotation, linear on the translation
+    function interpolate(a, b, s) {
+        const q = slerp(quaternionFromMatrix(a.rotationMatrix), quaternionFromMatrix(b.rotationMatrix), s);
+        return {
+            translation: a.translation.map((value, k) => value + s * (b.translation[k] - value)),
+            rotationMatrix: matrixFromQuaternion(q)
+        };
+    }
+
+    // --- 4x4 homogeneous transforms -----------------------------------------
+
+    function toMatrix(p) {
+        const R = p.rotationMatrix;
+        const t = p.translation;
+        return [
+            [R[0][0], R[0][1], R[0][2], t[0]],
+            [R[1][0], R[1][1], R[1][2], t[1]],
+            [R[2][0], R[2][1], R[2][2], t[2]],
+            [0, 0, 0, 1]
+        ];
+    }
+
+    function fromMatrix(T) {
+        return {
+            translation: [T[0][3], T[1][3], T[2][3]],
+            rotationMatrix: [T[0].slice(0, 3), T[1].slice(0, 3), T[2].slice(0, 3)]
+        };
+    }
+
+    // --- Quaternions ---------------------------------------------------------
+
+    const matrixFromQuaternion = LinAlg.rotationFromQuaternion;
+
+    // Shepperd's method: branch on the largest diagonal term for stability
+    function quaternionFromMatrix(R) {
+        const trace = R[0][0] + R[1][1] + R[2][2];
+        let q;
+        if (trace > 0) {
+            const s = 2 * Math.sqrt(trace + 1);
+            q = [s / 4, (R[2][1] - R[1][2]) / s, (R[0][2] - R[2][0]) / s, (R[1][0] - R[0][1]) / s];
+        } else if (R[0][0] > R[1][1] && R[0][0] > R[2][2]) {
+            const s = 2 * Math.sqrt(1 + R[0][0] - R[1][1] - R[2][2]);
+            q = [(R[2][1] - R[1][2]) / s, s / 4, (R[0][1] + R[1][0]) / s, (R[0][2] + R[2][0]) / s];
+        } else if (R[1][1] > R[2][2]) {
+            const s = 2 * Math.sqrt(1 + R[1][1] - R[0][0] - R[2][2]);
+            q = [(R[0][2] - R[2][0]) / s, (R[0][1] + R[1][0]) / s, s / 4, (R[1][2] + R[2][1]) / s];
+        } else {
+            const s = 2 * Math.sqrt(1 + R[2][2] - R[0][0] - R[1][1]);
+            q = [(R[1][0] - R[0][1]) / s, (R[0][2] + R[2][0]) / s, (R[1][2] + R[2][1]) / s, s / 4];
+        }
+        return normalizeQuaternion(q);
+    }
+
+    function normalizeQuaternion(q) {
+        const length = LinAlg.norm(q);
+        const sign = q[0] < 0 ? -1 : 1;
+        return q.map(value => sign * value / length);
+    }
+
+    function multiplyQuaternions([aw, ax, ay, az], [bw, bx, by, bz]) {
+        return [
+            aw * bw - ax * bx - ay * by - az * bz,
+            aw * bx + ax * bw + ay * bz - az * by,
+            aw * by - ax * bz + ay * bw + az * bx,
+            aw * bz + ax * by - ay * bx + az * bw
+        ];
+    }
+
+    // Shortest-path spherical interpolation between unit quaternions
+    function slerp(a, b, s) {
+        let cos = LinAlg.dot(a, b);
+        if (cos < 0) {
+            b = b.map(value => -value);
+            cos = -cos;
+        }
+        if (cos > 1 - 1e-9) {
+            return normalizeQuaternion(a.map((value, k) => value + s * (b[k] - value)));
+        }
+        const angle = Math.acos(cos);
+        const wa = Math.sin((1 - s) * angle) / Math.sin(angle);
+        const wb = Math.sin(s * angle) / Math.sin(angle);
+        return normalizeQuaternion(a.map((value, k) => wa * value + wb * b[k]));
+    }
+
+    // --- Axis-angle ------------------------------------------------------------
+
+    // { axis (unit), angle in [0, pi] }; the axis is arbitrary ([0, 0, 1])
+    // for the identity
+    function axisAngleFromMatrix(R) {
+        const vector = LinAlg.rotationToVector(R);
+        const angle = LinAlg.norm(vector);
+        return {
+            axis: angle > 1e-12 ? vector.map(value => value / angle) : [0, 0, 1],
+            angle
+        };
+    }
+
+    function matrixFromAxisAngle(axis, angle) {
+        const length = LinAlg.norm(axis);
+        return LinAlg.rotationFromVector(axis.map(value => value * angle / length));
+    }
+
+    // Angle of the rotation R, in [0, pi]
+    function rotationAngle(R) {
+        const cos = (R[0][0] + R[1][1] + R[2][2] - 1) / 2;
+        return Math.acos(Math.max(-1, Math.min(1, cos)));
+    }
+
+    // --- Euler angles ------------------------------------------------------------
+
+    function elementaryRotation(axis, angle) {
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        switch (axis) {
+            case 0: return [[1, 0, 0], [0, c, -s], [0, s, c]];
+            case 1: return [[c, 0, s], [0, 1, 0], [-s, 0, c]];
+            default: return [[c, -s, 0], [s, c, 0], [0, 0, 1]];
+        }
+    }
+
+    function matrixFromEuler(angles, order = 'XYZ') {
+        checkOrder(order);
+        return [...order].reduce((R, name, k) =>
+            LinAlg.multiply(R, elementaryRotation(AXIS[name], angles[k])), LinAlg.identity(3));
+    }
+
+    // Angles [a, b, c] with R = R_i(a) * R_j(b) * R_k(c) for order 'ijk'. At
+    // gimbal lock (|b| = pi/2) only a combination of a and c is determined
+    // and c is set to 0.
+    function eulerFromMatrix(R, order = 'XYZ') {
+        checkOrder(order);
+        const [i, j, k] = [...order].map(name => AXIS[name]);
+        // +1 for the cyclic orders XYZ, YZX, ZXY
+        const sign = (j - i + 3) % 3 === 1 ? 1 : -1;
+
+        const sb = Math.max(-1, Math.min(1, sign * R[i][k]));
+        const b = Math.asin(sb);
+        if (Math.abs(sb) < 1 - 1e-9) {
+            return [Math.atan2(-sign * R[j][k], R[k][k]), b, Math.atan2(-sign * R[i][j], R[i][i])];
+        }
+        return [Math.atan2(sign * R[k][j], R[j][j]), b, 0];
+    }
+
+    function checkOrder(order) {
+        if (!EULER_ORDERS.includes(order)) {
+            throw new Error(`Unknown Euler order ${order}; expected one of ${EULER_ORDERS.join(', ')}`);
+        }
+    }
+
+    function add(a, b) {
+        return a.map((value, k) => value + b[k]);
+    }
+
+    return {
+        EULER_ORDERS,
+        pose,
+        compose,
+        invert,
+        relative,
+        applyPose,
+        interpolate,
+        toMatrix,
+        fromMatrix,
+        quaternionFromMatrix,
+        matrixFromQuaternion,
+        multiplyQuaternions,
+        slerp,
+        axisAngleFromMatrix,
+        matrixFromAxisAngle,
+        rotationAngle,
+        eulerFromMatrix,
+        matrixFromEuler
+    };
+});
@@ -0,0 +1,70 @@
+// Detector backend selection and a side-by-side comparison of the backends
+// on the current frame
+
+class BackendPanel {
+    constructor(app) {
+        this.app = app;
+        this.select = document.getElementById('backend');
+
+        this.select.addEventListener('change', () => this.switchBackend());
+        document.getElementById('compareBackends').addEventListener('click', () => this.compare());
+    }
+
+    async switchBackend() {
+        const name = this.select.value;
+        this.showStatus(`Loading ${this.label(name)} backend...`);
+        try {
+            await this.app.detector.setBackend(name);
+            this.showStatus(`Using the ${this.label(name)} backend`, 'success');
+        } catch (error) {
+            this.select.value = this.app.detector.backend;
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    async compare() {
+        const frame = this.app.grabFrame();
+        if (!frame) {
+            this.showStatus('Start the camera to compare backends on a frame', 'error');
+            return;
+        }
+
+        this.showStatus('Comparing...');
+        try {
+            const runs = await this.app.detector.compare(frame);
+            this.showComparison(runs);
+            this.showStatus('');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    showComparison(runs) {
+        let html = Object.entries(runs).map(([name, run]) => run.error
+            ? `<div class="coordinate">${escapeHTML(this.label(name))}: ${escapeHTML(run.error)}</div>`
+            : `<div class="coordinate">${escapeHTML(this.label(name))}: ${run.detections.length} tag(s) in ${run.time.toFixed(1)} ms</div>`
+        ).join('');
+
+        if (runs.js && runs.js.detections && runs.wasm && runs.wasm.detections) {
+            const { matched, onlyA, onlyB } = DetectorBackends.matchDetections(runs.js.detections, runs.wasm.detections);
+            html += matched.map(({ id, cornerError, translationError }) =>
+                `<div class="coordinate">ID ${id}: corners differ by ${cornerError.toFixed(2)} px, ` +
+                `position by ${(translationError * 1000).toFixed(1)} mm</div>`
+            ).join('');
+            if (onlyA.length) html += `<div class="coordinate">Only JavaScript: ${onlyA.join(', ')}</div>`;
+            if (onlyB.length) html += `<div class="coordinate">Only WebAssembly: ${onlyB.join(', ')}</div>`;
+        }
+
+        document.getElementById('backendComparison').innerHTML = html;
+    }
+
+    label(name) {
+        return this.select.querySelector(`option[value="${name}"]`).textContent;
+    }
+
+    showStatus(message, type = '') {
+        const status = document.getElementById('backendStatus');
+        status.textContent = message;
+        status.className = message ? type : '';
+    }
+}
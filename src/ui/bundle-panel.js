@@ -0,0 +1,49 @@
+// Loading of tag bundle layouts (src/bundle.js) from a JSON file
+
+class BundlePanel {
+    constructor(app) {
+        this.app = app;
+        this.layout = null; // as loaded, kept for settings profiles
+        this.fileInput = document.getElementById('bundleFile');
+
+        this.fileInput.addEventListener('change', () => this.load());
+        document.getElementById('clearBundles').addEventListener('click', () => this.clear());
+    }
+
+    async load() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+
+        try {
+            this.set(JSON.parse(await file.text()));
+            this.showStatus(`Loaded ${this.app.bundles.length} bundle(s) from ${file.name}`, 'success');
+        } catch (error) {
+            this.showStatus(`Could not load ${file.name}: ${error.message}`, 'error');
+        }
+        this.fileInput.value = '';
+    }
+
+    clear() {
+        this.set(null);
+        this.showStatus('');
+    }
+
+    // Use a bundle layout (parsed JSON), or none
+    set(layout) {
+        this.app.bundles = layout ? TagBundle.parse(layout, document.getElementById('tagFamily').value) : [];
+        this.layout = layout;
+        this.showList();
+    }
+
+    showList() {
+        document.getElementById('bundleList').innerHTML = this.app.bundles.map(bundle =>
+            `<div class="coordinate">${escapeHTML(bundle.name)}: tags ${bundle.tags.map(tag => tag.id).join(', ')}</div>`
+        ).join('');
+    }
+
+    showStatus(message, type = '') {
+        const status = document.getElementById('bundleStatus');
+        status.textContent = message;
+        status.className = message ? type : '';
+    }
+}
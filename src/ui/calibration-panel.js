@@ -0,0 +1,93 @@
+// Calibration wizard: collects views of an AprilTag grid from the live
+// detections, solves for the intrinsics and hands the result to the app
+
+class CalibrationPanel {
+    constructor(app) {
+        this.app = app;
+        this.views = [];
+        this.frameSize = null;
+
+        document.getElementById('captureView').addEventListener('click', () => this.captureView());
+        document.getElementById('runCalibration').addEventListener('click', () => this.calibrate());
+        document.getElementById('resetCalibration').addEventListener('click', () => this.reset());
+        document.getElementById('forgetCalibration').addEventListener('click', () => this.forget());
+
+        this.updateViewCount();
+    }
+
+    getBoard() {
+        return CameraCalibration.tagGridBoard({
+            rows: parseInt(document.getElementById('calibRows').value),
+            cols: parseInt(document.getElementById('calibCols').value),
+            tagSize: parseFloat(document.getElementById('calibTagSize').value),
+            tagSpacing: parseFloat(document.getElementById('calibSpacing').value),
+            firstId: parseInt(document.getElementById('calibFirstId').value)
+        });
+    }
+
+    captureView() {
+        const frameSize = { width: this.app.canvas.width, height: this.app.canvas.height };
+        if (this.frameSize && (this.frameSize.width !== frameSize.width || this.frameSize.height !== frameSize.height)) {
+            // Views from different resolutions cannot share one camera matrix
+            this.views = [];
+        }
+        this.frameSize = frameSize;
+
+        const view = CameraCalibration.collectView(this.getBoard(), this.app.latestDetections);
+        if (!view) {
+            this.showStatus(`Need at least ${CameraCalibration.MIN_TAGS_PER_VIEW} board tags in view`, 'error');
+            return;
+        }
+
+        this.views.push(view);
+        this.showStatus(`Captured view ${this.views.length} with ${view.objectPoints.length / 4} tags`, 'success');
+        this.updateViewCount();
+    }
+
+    calibrate() {
+        try {
+            const result = CameraCalibration.calibrateCamera(this.views, this.frameSize);
+            this.showResult(result);
+            this.app.applyCalibration(result, { save: true });
+            this.showStatus(`Calibrated from ${this.views.length} views, saved for this camera`, 'success');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    reset() {
+        this.views = [];
+        this.frameSize = null;
+        this.updateViewCount();
+        document.getElementById('calibrationResult').innerHTML = '';
+        this.showStatus('');
+    }
+
+    forget() {
+        this.app.forgetCalibration();
+        this.showStatus('Stored calibration removed, using estimated intrinsics', 'success');
+    }
+
+    updateViewCount() {
+        document.getElementById('calibViewCount').textContent = this.views.length;
+        document.getElementById('runCalibration').disabled = this.views.length < CameraCalibration.MIN_VIEWS;
+    }
+
+    showResult(result) {
+        const { camera, distortion } = result;
+        document.getElementById('calibrationResult').innerHTML = `
+            <div class="coordinate">fx: ${camera.fx.toFixed(1)}, fy: ${camera.fy.toFixed(1)}</div>
+            <div class="coordinate">cx: ${camera.cx.toFixed(1)}, cy: ${camera.cy.toFixed(1)}</div>
+            <div class="coordinate">k1: ${distortion.k1.toFixed(4)}, k2: ${distortion.k2.toFixed(4)}, k3: ${distortion.k3.toFixed(4)}</div>
+            <div class="coordinate">p1: ${distortion.p1.toFixed(5)}, p2: ${distortion.p2.toFixed(5)}</div>
+            <div class="coordinate">RMS reprojection error: ${result.rms.toFixed(3)} px</div>
+            <div class="coordinate">Per view: ${result.viewErrors.map(error => error.toFixed(2)).join(', ')} px</div>
+        `;
+    }
+
+    showStatus(message, type = '') {
+        const status = document.getElementById('calibrationStatus');
+        status.textContent = message;
+        status.className = message ? type : '';
+    }
+}
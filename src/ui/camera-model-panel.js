@@ -0,0 +1,61 @@
+// Camera model controls: intrinsics, lens distortion coefficients and the
+// undistorted preview toggle. Shows the model the app is using (estimated or
+// calibrated) and lets the user override it.
+
+class CameraModelPanel {
+    constructor(app) {
+        this.app = app;
+
+        ['camFx', 'camFy', 'camCx', 'camCy', 'distortionModel', 'distK1', 'distK2', 'distK3', 'distK4', 'distP1', 'distP2']
+            .forEach(id => document.getElementById(id).addEventListener('change', () => this.apply()));
+        document.getElementById('undistortPreview').addEventListener('change', (event) => {
+            this.app.undistortPreview = event.target.checked;
+        });
+
+        this.show(app.cameraMatrix, app.distortionCoefficients);
+    }
+
+    show(camera, distortion) {
+        const setValue = (id, value, digits) => {
+            document.getElementById(id).value = Number((value || 0).toFixed(digits));
+        };
+
+        setValue('camFx', camera.fx, 2);
+        setValue('camFy', camera.fy, 2);
+        setValue('camCx', camera.cx, 2);
+        setValue('camCy', camera.cy, 2);
+
+        const model = LensDistortion.normalize(distortion);
+        document.getElementById('distortionModel').value = model.model;
+        ['k1', 'k2', 'k3', 'k4', 'p1', 'p2'].forEach(name => {
+            setValue(`dist${name.toUpperCase()}`, model[name], 6);
+        });
+        this.updateVisibleCoefficients(model.model);
+    }
+
+    apply() {
+        const value = (id) => parseFloat(document.getElementById(id).value) || 0;
+        const model = document.getElementById('distortionModel').value;
+        this.updateVisibleCoefficients(model);
+
+        const camera = { fx: value('camFx'), fy: value('camFy'), cx: value('camCx'), cy: value('camCy') };
+        if (camera.fx <= 0 || camera.fy <= 0) return;
+
+        this.app.setCameraModel(camera, LensDistortion.normalize({
+            model,
+            k1: value('distK1'),
+            k2: value('distK2'),
+            k3: value('distK3'),
+            k4: value('distK4'),
+            p1: value('distP1'),
+            p2: value('distP2')
+        }));
+    }
+
+    // Brown-Conrady has tangential terms, fisheye a fourth radial term
+    updateVisibleCoefficients(model) {
+        document.getElementById('radialCoefficients').style.display = model === 'none' ? 'none' : '';
+        document.getElementById('tangentialCoefficients').style.display = model === 'brown-conrady' ? '' : 'none';
+        document.getElementById('fisheyeCoefficient').style.display = model === 'fisheye' ? '' : 'none';
+    }
+}
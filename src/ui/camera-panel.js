@@ -0,0 +1,196 @@
+// Camera picker, resolution and frame rate presets, facing mode, and the
+// torch, focus and exposure controls of the running camera where its track
+// exposes them (MediaStreamTrack.getCapabilities)
+
+class CameraPanel {
+    constructor(app) {
+        this.app = app;
+        this.track = null;
+        this.activeDeviceId = null; // what the default camera resolved to
+        this.deviceSelect = document.getElementById('cameraDevice');
+
+        ['cameraDevice', 'cameraResolution', 'cameraFrameRate', 'cameraFacing'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateFacingVisibility();
+                this.app.restartCamera();
+            });
+        });
+
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.updateDevices());
+        }
+        this.updateDevices();
+        this.updateFacingVisibility();
+    }
+
+    // Labels (and on some browsers IDs) are only listed once camera access
+    // has been granted, so this runs again when a camera starts
+    async updateDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+
+        let devices;
+        try {
+            devices = (await navigator.mediaDevices.enumerateDevices())
+                .filter(device => device.kind === 'videoinput' && device.deviceId);
+        } catch (error) {
+            console.warn('Could not list cameras:', error);
+            return;
+        }
+
+        const selected = this.deviceSelect.value;
+        const store = this.app.calibrationStore;
+        const labels = devices.map((device, index) => {
+            const calibrated = store.has(device.deviceId) ? ' (calibrated)' : '';
+            return escapeHTML(device.label || `Camera ${index + 1}`) + calibrated;
+        });
+        const active = devices.findIndex(device => device.deviceId === this.activeDeviceId);
+        const defaultLabel = active >= 0 ? `Default camera: ${labels[active]}` : 'Default camera';
+        this.deviceSelect.innerHTML = `<option value="">${defaultLabel}</option>` + devices.map((device, index) =>
+            `<option value="${escapeHTML(device.deviceId)}">${labels[index]}</option>`
+        ).join('');
+        if (devices.some(device => device.deviceId === selected)) this.deviceSelect.value = selected;
+    }
+
+    // Facing mode only picks between cameras when no device is chosen
+    updateFacingVisibility() {
+        document.getElementById('cameraFacingOptions').style.display = this.deviceSelect.value ? 'none' : 'block';
+    }
+
+    // Video constraints for getUserMedia. Presets are ideals: the camera
+    // picks its closest mode, shown once it runs.
+    constraints() {
+        const video = {};
+        const deviceId = this.deviceSelect.value;
+        const facing = document.getElementById('cameraFacing').value;
+        if (deviceId) {
+            video.deviceId = { exact: deviceId };
+        } else if (facing) {
+            video.facingMode = { ideal: facing };
+        }
+
+        const resolution = document.getElementById('cameraResolution').value;
+        if (resolution) {
+            const [width, height] = resolution.split('x').map(Number);
+            video.width = { ideal: width };
+            video.height = { ideal: height };
+        }
+
+        const frameRate = parseFloat(document.getElementById('cameraFrameRate').value);
+        if (frameRate) video.frameRate = { ideal: frameRate };
+        return video;
+    }
+
+    // Called by the app with the track of every camera it starts, or null
+    // when the camera stops
+    attach(track) {
+        this.track = track;
+        this.activeDeviceId = track ? track.getSettings().deviceId : null;
+        if (track) this.updateDevices();
+        this.showSettings();
+        this.showControls();
+    }
+
+    showSettings() {
+        const info = document.getElementById('cameraInfo');
+        if (!this.track) {
+            info.textContent = '';
+            return;
+        }
+
+        const settings = this.track.getSettings();
+        const frameRate = settings.frameRate ? ` @ ${Math.round(settings.frameRate)} fps` : '';
+        const facing = settings.facingMode ? `, facing ${settings.facingMode}` : '';
+        info.textContent = `${this.track.label || 'Camera'}: ${settings.width} x ${settings.height}${frameRate}${facing}`;
+    }
+
+    // One control per capability the track reports; browsers without
+    // getCapabilities (or cameras without the features) get none
+    showControls() {
+        const container = document.getElementById('cameraFeatures');
+        container.innerHTML = '';
+        const track = this.track;
+        if (!track || !track.getCapabilities) return;
+
+        const capabilities = track.getCapabilities();
+        const settings = track.getSettings();
+
+        if (capabilities.torch) {
+            this.addCheckbox(container, 'torch', 'Torch', settings.torch);
+        }
+        if (capabilities.focusMode && capabilities.focusMode.length > 1) {
+            this.addSelect(container, 'focusMode', 'Focus', capabilities.focusMode, settings.focusMode);
+        }
+        if (capabilities.focusDistance) {
+            this.addRange(container, 'focusDistance', 'Focus Distance', capabilities.focusDistance, settings.focusDistance, 'focusMode');
+        }
+        if (capabilities.exposureMode && capabilities.exposureMode.length > 1) {
+            this.addSelect(container, 'exposureMode', 'Exposure', capabilities.exposureMode, settings.exposureMode);
+        }
+        if (capabilities.exposureTime) {
+            this.addRange(container, 'exposureTime', 'Exposure Time', capabilities.exposureTime, settings.exposureTime, 'exposureMode');
+        }
+        if (capabilities.exposureCompensation) {
+            this.addRange(container, 'exposureCompensation', 'Exposure Compensation', capabilities.exposureCompensation, settings.exposureCompensation);
+        }
+        this.updateManualControls();
+    }
+
+    addCheckbox(container, name, label, value) {
+        const row = document.createElement('label');
+        row.innerHTML = `<input type="checkbox" data-constraint="${name}" style="width: auto;"> ${label}`;
+        const input = row.querySelector('input');
+        input.checked = !!value;
+        input.addEventListener('change', () => this.apply(name, input.checked));
+        container.appendChild(row);
+    }
+
+    addSelect(container, name, label, values, value) {
+        const row = document.createElement('label');
+        row.textContent = label;
+        const select = document.createElement('select');
+        select.dataset.constraint = name;
+        select.innerHTML = values.map(mode => `<option value="${escapeHTML(mode)}">${escapeHTML(mode)}</option>`).join('');
+        if (value) select.value = value;
+        select.addEventListener('change', () => this.apply(name, select.value));
+        container.append(row, select);
+    }
+
+    // manualMode names the mode select that must be 'manual' for this value
+    // to take effect
+    addRange(container, name, label, range, value, manualMode = null) {
+        const row = document.createElement('label');
+        row.textContent = label;
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.dataset.constraint = name;
+        if (manualMode) input.dataset.manualMode = manualMode;
+        input.min = range.min;
+        input.max = range.max;
+        input.step = range.step || (range.max - range.min) / 100;
+        input.value = value !== undefined ? value : range.min;
+        input.addEventListener('change', () => this.apply(name, parseFloat(input.value)));
+        container.append(row, input);
+    }
+
+    updateManualControls() {
+        document.querySelectorAll('#cameraFeatures [data-manual-mode]').forEach(input => {
+            const mode = document.querySelector(`#cameraFeatures [data-constraint="${input.dataset.manualMode}"]`);
+            input.disabled = !!mode && mode.value !== 'manual';
+        });
+    }
+
+    async apply(name, value) {
+        if (!this.track) return;
+        try {
+            await this.track.applyConstraints({ advanced: [{ [name]: value }] });
+            this.app.updateStatus(`Camera ${name} set to ${value}`);
+        } catch (error) {
+            this.app.updateStatus(`Could not set camera ${name}: ${error.message}`, 'error');
+            // Show what the camera actually uses
+            this.showControls();
+            return;
+        }
+        this.updateManualControls();
+        this.showSettings();
+    }
+}
@@ -0,0 +1,6 @@
+// HTML escaping for text from files, devices or the URL that the panels put
+// into markup (names, labels, keys)
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
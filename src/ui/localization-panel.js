@@ -0,0 +1,55 @@
+// Camera pose in the world frame of the tag map (src/localization.js), with
+// its uncertainty and the tags it was solved from
+
+class LocalizationPanel {
+    constructor(app) {
+        this.app = app;
+        this.thresholdInput = document.getElementById('localizationThreshold');
+        this.result = null;
+    }
+
+    // Solve and show the camera pose for the detections of a frame
+    update(detections) {
+        const map = this.app.tagMap;
+        const mapped = map && map.tags.some(tag => tag.pose);
+        document.getElementById('localizationResults').style.display = mapped ? 'block' : 'none';
+        this.result = null;
+        if (!mapped) return;
+
+        const { canvas, detector } = this.app;
+        const threshold = parseFloat(this.thresholdInput.value);
+        this.result = detector.estimateCameraPose(detections, map, canvas.width, canvas.height,
+            threshold > 0 ? { threshold } : {});
+        this.render();
+    }
+
+    render() {
+        const status = document.getElementById('localizationStatus');
+        const table = document.getElementById('localizationTable');
+        const result = this.result;
+        if (!result) {
+            status.className = 'error';
+            status.textContent = 'No tags with a world pose in view';
+            table.innerHTML = '';
+            document.getElementById('localizationCovariance').textContent = '';
+            return;
+        }
+
+        const outliers = result.outliers.length ? `, rejected ${result.outliers.join(', ')}` : '';
+        status.className = result.outliers.length ? 'error' : 'success';
+        status.textContent = `From tag(s) ${result.inliers.join(', ')}${outliers}`;
+
+        const { pose, positionStd, rotationStd } = result;
+        const std = (values, unit, digits) => values.map(value => value.toFixed(digits)).join(', ') + ` ${unit}`;
+        table.innerHTML =
+            `<tr><th>Position (m)</th><td>${TagTable.formatVector(pose.translation)}</td>` +
+            `<td>± ${std(positionStd, 'm', 4)}</td></tr>` +
+            `<tr><th>Rotation</th><td>${this.app.tagTable.formatRotation(pose.rotationMatrix)}</td>` +
+            `<td>± ${std(rotationStd.map(TagTable.degrees), '°', 2)}</td></tr>` +
+            `<tr><th>Reprojection Error</th><td colspan="2">${pose.error.toFixed(2)} px RMS</td></tr>`;
+
+        // Rows and columns: rotation about x, y, z (rad), then x, y, z (m)
+        document.getElementById('localizationCovariance').textContent = result.covariance
+            .map(row => row.map(value => value.toExponential(2).padStart(10)).join(' ')).join('\n');
+    }
+}
@@ -0,0 +1,116 @@
+// Mapping mode: collects the relative poses of tags seen together while
+// active and builds a tag map from them (src/map-builder.js)
+
+class MapBuilderPanel {
+    constructor(app) {
+        this.app = app;
+        this.builder = new MapBuilder();
+        this.active = false;
+        this.result = null;
+        this.toggleButton = document.getElementById('toggleMapping');
+        this.originSelect = document.getElementById('mapOrigin');
+
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        document.getElementById('buildMap').addEventListener('click', () => this.build());
+        document.getElementById('useBuiltMap').addEventListener('click', () => this.useAsTagMap());
+        document.getElementById('exportBuiltMap').addEventListener('click', () => this.download());
+        document.getElementById('clearMapBuilder').addEventListener('click', () => this.clear());
+    }
+
+    toggle() {
+        this.active = !this.active;
+        this.toggleButton.textContent = this.active ? 'Stop Mapping' : 'Start Mapping';
+        this.showProgress();
+    }
+
+    // Called by the app with the detections of every frame
+    add(detections) {
+        if (!this.active) return;
+        this.builder.add(detections);
+        if (this.originSelect.options.length !== this.builder.nodes.size) this.updateOrigins();
+        this.showProgress();
+    }
+
+    // Every tag seen can be the origin; the most often seen one by default
+    updateOrigins() {
+        const selected = this.originSelect.value;
+        this.originSelect.innerHTML = this.builder.tags.map(tag =>
+            `<option value="${escapeHTML(tag.key)}">Tag ${escapeHTML(this.app.tagKey(tag))}</option>`
+        ).join('');
+        if (this.builder.nodes.has(selected)) this.originSelect.value = selected;
+    }
+
+    build() {
+        if (!this.builder.nodes.size) {
+            this.showResult('No tags collected yet: start mapping and move the camera around the tags', 'error');
+            return;
+        }
+
+        this.result = this.builder.optimize(this.originSelect.value);
+        const name = (key) => this.app.tagKey(this.builder.nodes.get(key));
+        const worst = this.result.edges.reduce((a, b) => (!a || b.position > a.position ? b : a), null);
+        const disagreement = worst
+            ? `; largest disagreement ${(worst.position * 1000).toFixed(1)} mm, ${TagTable.degrees(worst.rotation).toFixed(2)}° between tags ${name(worst.from)} and ${name(worst.to)}`
+            : '';
+        const missing = this.result.disconnected.length
+            ? `. Never seen together with the others: ${this.result.disconnected.map(name).join(', ')}`
+            : '';
+        this.showResult(`Placed ${this.result.tags.length} tag(s) relative to tag ${name(this.result.origin)}${disagreement}${missing}`,
+            this.result.disconnected.length ? 'error' : 'success');
+
+        document.getElementById('mapBuilderList').innerHTML = this.result.tags.map(tag =>
+            `<div class="coordinate">${escapeHTML(this.app.tagKey(tag))}: ${TagTable.formatVector(tag.pose.translation)} m (${tag.frames} frames)</div>`
+        ).join('');
+        ['useBuiltMap', 'exportBuiltMap'].forEach(id => { document.getElementById(id).disabled = false; });
+    }
+
+    // Replace the tag map by the built one, so the camera can be localized
+    // in it. It is read back from its export and checked like a loaded map.
+    useAsTagMap() {
+        const panel = this.app.tagMapPanel;
+        try {
+            const map = TagMap.parse(TagMap.toJSON(MapBuilder.toTagMap(this.result)));
+            TagMapPanel.checkFamilies(map);
+            panel.set(map);
+            panel.showStatus(`Using the built map of ${map.tags.length} tag(s)`, 'success');
+        } catch (error) {
+            panel.showStatus(`Could not use the built map: ${error.message}`, 'error');
+        }
+    }
+
+    download() {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([TagMap.toJSON(MapBuilder.toTagMap(this.result))], { type: 'application/json' }));
+        link.download = 'tag-map.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    clear() {
+        this.builder.clear();
+        this.result = null;
+        this.updateOrigins();
+        this.showResult('');
+        document.getElementById('mapBuilderList').innerHTML = '';
+        ['useBuiltMap', 'exportBuiltMap'].forEach(id => { document.getElementById(id).disabled = true; });
+        this.showProgress();
+    }
+
+    showProgress() {
+        const { frames, nodes, pairs } = this.builder;
+        const state = this.active ? 'Mapping' : 'Stopped';
+        this.showStatus(nodes.size || this.active
+            ? `${state}: ${frames} frame(s) with several tags, ${nodes.size} tag(s), ${pairs.size} pair(s)`
+            : '');
+    }
+
+    showStatus(message) {
+        document.getElementById('mapBuilderStatus').textContent = message;
+    }
+
+    showResult(message, type = '') {
+        const result = document.getElementById('mapBuilderResult');
+        result.textContent = message;
+        result.className = message ? type : '';
+    }
+}
@@ -0,0 +1,158 @@
+// Measurement session: collects the pose of a target tag or bundle relative
+// to a reference over many frames, reports its statistics
+// (src/pose-statistics.js) and plots the samples as they come in
+
+class MeasurementPanel {
+    constructor(app) {
+        this.app = app;
+        this.samples = [];
+        this.summary = null;
+        this.active = false;
+        this.referenceSelect = document.getElementById('measurementReference');
+        this.targetSelect = document.getElementById('measurementTarget');
+        this.countInput = document.getElementById('measurementSamples');
+        this.toggleButton = document.getElementById('toggleMeasurement');
+        this.canvas = document.getElementById('measurementPlot');
+        this.ctx = this.canvas.getContext('2d');
+
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        document.getElementById('clearMeasurement').addEventListener('click', () => this.clear());
+        // Samples of another pair would not belong together
+        [this.referenceSelect, this.targetSelect].forEach(select => select.addEventListener('change', () => this.clear()));
+        this.app.tagTable.rotationFormat.addEventListener('change', () => this.render());
+    }
+
+    toggle() {
+        if (!this.active && this.samples.length >= this.limit()) this.clear();
+        this.active = !this.active;
+        this.toggleButton.textContent = this.active ? 'Stop Measuring' : 'Start Measuring';
+        this.render();
+    }
+
+    limit() {
+        return Math.max(2, parseInt(this.countInput.value, 10) || 100);
+    }
+
+    // Called by the app every frame, after the pose table has seen the
+    // frame's tags and bundles
+    update(detections, bundles) {
+        if (this.referenceSelect.options.length !== this.app.tagTable.known.size) this.updateOptions();
+        if (!this.active) return;
+
+        const find = (key) => key.startsWith('bundle:')
+            ? bundles.find(bundle => `bundle:${bundle.name}` === key)
+            : detections.find(detection => this.app.tagKey(detection) === key);
+        const reference = find(this.referenceSelect.value);
+        const target = find(this.targetSelect.value);
+        if (!reference || !target || !reference.pose || !target.pose) return;
+
+        this.samples.push(this.app.calculateRelativePose(reference, target));
+        if (this.samples.length >= this.limit()) this.toggle();
+        else this.render();
+    }
+
+    // Every tag and bundle seen so far; the two lowest by default
+    updateOptions() {
+        const keys = [...this.app.tagTable.known.keys()].sort(TagTable.compareKeys);
+        [this.referenceSelect, this.targetSelect].forEach((select, i) => {
+            const selected = select.value;
+            select.innerHTML = keys.map(key => `<option value="${escapeHTML(key)}">${escapeHTML(this.app.tagTable.known.get(key))}</option>`).join('');
+            select.value = keys.includes(selected) ? selected : keys[Math.min(i, keys.length - 1)] || '';
+        });
+    }
+
+    clear() {
+        this.samples = [];
+        this.render();
+    }
+
+    // Euler order of the Rotation Display, XYZ for the other formats
+    order() {
+        const format = this.app.tagTable.rotationFormat.value;
+        return format.startsWith('euler-') ? format.replace('euler-', '') : 'XYZ';
+    }
+
+    render() {
+        const order = this.order();
+        this.summary = PoseStatistics.summarize(this.samples, { order });
+        document.getElementById('measurementResults').style.display = this.samples.length || this.active ? 'block' : 'none';
+
+        const status = document.getElementById('measurementStatus');
+        const state = this.active ? 'Measuring' : 'Stopped';
+        const summary = this.summary;
+        if (!summary) {
+            status.textContent = `${state}: waiting for both tags to be posed in the same frame`;
+            document.getElementById('measurementTable').innerHTML = '';
+            this.renderPlot();
+            return;
+        }
+        const rejected = summary.robust.outliers.length;
+        status.textContent = `${state}: ${summary.count} of ${this.limit()} sample(s), ` +
+            `rotation spread ${TagTable.degrees(summary.std.angle).toFixed(3)}° RMS, ${rejected} outlier(s) rejected`;
+
+        // Distances in mm and angles in degrees, one row per component
+        const rows = [['Distance (mm)', 'distance', null, 1000]]
+            .concat(['X', 'Y', 'Z'].map((axis, k) => [`${axis} (mm)`, 'translation', k, 1000]))
+            .concat(order.split('').map((axis, k) => [`Rotation ${axis} (°)`, 'rotation', k, 180 / Math.PI]));
+        const cell = (values, field, k, scale) => `<td>${((k === null ? values[field] : values[field][k]) * scale).toFixed(2)}</td>`;
+        document.getElementById('measurementTable').innerHTML =
+            '<tr><th></th><th>Mean</th><th>Std</th><th>Min</th><th>Max</th><th>Outliers Rejected</th></tr>' +
+            rows.map(([label, field, k, scale]) => `<tr><th>${label}</th>` +
+                ['mean', 'std', 'min', 'max', 'robust'].map(name => cell(summary[name], field, k, scale)).join('') +
+                '</tr>').join('');
+        this.renderPlot();
+    }
+
+    // One strip per series against the sample number, each scaled to its
+    // own range, with the mean dashed and rejected samples in red
+    renderPlot() {
+        const { canvas, ctx, summary } = this;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!summary) return;
+
+        const series = [
+            { label: 'Distance (mm)', values: summary.samples.map(sample => sample.distance * 1000), mean: summary.mean.distance * 1000 }
+        ].concat(this.order().split('').map((axis, k) => ({
+            label: `Rotation ${axis} (°)`,
+            values: summary.samples.map(sample => TagTable.degrees(sample.rotation[k])),
+            mean: TagTable.degrees(summary.mean.rotation[k])
+        })));
+
+        const outliers = new Set(summary.robust.outliers);
+        const height = canvas.height / series.length;
+        const left = 60;
+        const step = (canvas.width - left - 10) / Math.max(1, this.limit() - 1);
+        ctx.font = '11px Arial';
+        series.forEach(({ label, values, mean }, i) => {
+            const top = i * height;
+            const low = Math.min(...values);
+            const high = Math.max(...values);
+            const span = Math.max(high - low, 1e-6);
+            const y = (value) => top + height - 8 - (value - low) / span * (height - 22);
+
+            ctx.fillStyle = '#333333';
+            ctx.fillText(label, 4, top + 12);
+            ctx.fillText(high.toFixed(2), 4, top + 26);
+            ctx.fillText(low.toFixed(2), 4, top + height - 8);
+            ctx.strokeStyle = '#dee2e6';
+            ctx.strokeRect(left, top + 4, canvas.width - left - 6, height - 8);
+
+            ctx.strokeStyle = '#999999';
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(left, y(mean));
+            ctx.lineTo(canvas.width - 6, y(mean));
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.strokeStyle = '#007bff';
+            ctx.beginPath();
+            values.forEach((value, j) => (j ? ctx.lineTo(left + j * step, y(value)) : ctx.moveTo(left, y(value))));
+            ctx.stroke();
+            ctx.fillStyle = '#dc3545';
+            values.forEach((value, j) => {
+                if (outliers.has(j)) ctx.fillRect(left + j * step - 2, y(value) - 2, 4, 4);
+            });
+        });
+    }
+}
@@ -0,0 +1,272 @@
+// Image and video files as input instead of the camera. Images are
+// detected once. Videos stay paused and are stepped through by seeking, so
+// every frame is detected, whether stepping by hand or playing; the results
+// of every visited frame can be exported.
+
+class MediaFilePanel {
+    constructor(app) {
+        this.app = app;
+        this.fileName = null;
+        this.url = null;
+        this.frame = 0;
+        this.frameCount = 0;
+        this.playing = false;
+        this.stepping = false;
+        this.results = new Map(); // frame -> detections of that frame
+
+        this.fileInput = document.getElementById('mediaFile');
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files[0]) this.open(this.fileInput.files[0]);
+            this.fileInput.value = '';
+        });
+
+        // Files can also be dropped onto the video area
+        const dropTarget = document.querySelector('.video-container');
+        dropTarget.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            dropTarget.classList.add('drag-over');
+        });
+        dropTarget.addEventListener('dragleave', () => dropTarget.classList.remove('drag-over'));
+        dropTarget.addEventListener('drop', (event) => {
+            event.preventDefault();
+            dropTarget.classList.remove('drag-over');
+            const file = event.dataTransfer.files[0];
+            if (file) this.open(file);
+        });
+
+        document.getElementById('playVideo').addEventListener('click', () => this.playing ? this.pause() : this.play());
+        document.getElementById('stepBack').addEventListener('click', () => this.step(-1));
+        document.getElementById('stepForward').addEventListener('click', () => this.step(1));
+        document.getElementById('exportFrames').addEventListener('click', () => this.exportResults());
+        document.getElementById('videoFps').addEventListener('change', () => this.updateFrameCount());
+    }
+
+    get fps() {
+        return parseFloat(document.getElementById('videoFps').value) || 30;
+    }
+
+    async open(file) {
+        if (!/^(image|video)\//.test(file.type)) {
+            this.showStatus(`${file.name} is not an image or a video`, 'error');
+            return;
+        }
+
+        this.app.stopCamera();
+        this.fileName = file.name;
+        this.results.clear();
+        this.app.detectionActive = true;
+        this.app.detector.resetStats();
+        document.getElementById('startCamera').disabled = true;
+        document.getElementById('stopCamera').disabled = false;
+
+        try {
+            if (file.type.startsWith('image/')) {
+                await this.openImage(file);
+            } else {
+                await this.openVideo(file);
+            }
+        } catch (error) {
+            this.showStatus(`Could not open ${file.name}: ${error.message}`, 'error');
+            this.app.stopCamera();
+        }
+    }
+
+    async openImage(file) {
+        const bitmap = await createImageBitmap(file);
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        // Shown in place of the video, like the demo scene
+        canvas.style.border = '2px solid #333';
+        canvas.style.borderRadius = '5px';
+        canvas.style.maxWidth = '100%';
+        this.app.video.style.display = 'none';
+        this.app.video.parentNode.insertBefore(canvas, this.app.video);
+
+        this.app.fileSource = 'image';
+        this.app.imageCanvas = canvas;
+        this.app.updateCameraParameters();
+        this.app.updateStatus(`Analyzing image ${file.name}`);
+        this.frame = 0;
+        await this.app.detectFrame();
+        this.showFrameInfo();
+        this.updateButtons();
+    }
+
+    async openVideo(file) {
+        const video = this.app.video;
+        this.app.fileSource = 'video';
+        this.url = URL.createObjectURL(file);
+        video.srcObject = null;
+        video.autoplay = false;
+        video.src = this.url;
+        // The app's loadedmetadata handler sizes the overlay and camera model
+        await MediaFilePanel.waitFor(video, 'loadedmetadata');
+        video.pause();
+
+        this.updateFrameCount();
+        this.app.updateStatus(`Analyzing video ${file.name}`);
+        this.updateButtons();
+        await this.seek(0);
+    }
+
+    close() {
+        this.playing = false;
+        this.stepping = false;
+        if (this.app.imageCanvas) {
+            this.app.imageCanvas.remove();
+            this.app.imageCanvas = null;
+            this.app.video.style.display = 'block';
+        }
+        if (this.app.fileSource === 'video') {
+            this.app.video.removeAttribute('src');
+            this.app.video.autoplay = true;
+            this.app.video.load();
+        }
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+        this.app.fileSource = null;
+        document.getElementById('frameInfo').textContent = '';
+        this.updateButtons();
+    }
+
+    updateFrameCount() {
+        if (this.app.fileSource !== 'video') return;
+        this.frameCount = Math.max(1, Math.floor(this.app.video.duration * this.fps));
+        this.showFrameInfo();
+    }
+
+    // Show and detect one frame; seeking to the middle of the frame avoids
+    // landing on the neighbour through rounding
+    async seek(frame) {
+        const video = this.app.video;
+        this.frame = Math.max(0, Math.min(this.frameCount - 1, frame));
+        const seeked = MediaFilePanel.waitFor(video, 'seeked');
+        video.currentTime = (this.frame + 0.5) / this.fps;
+        await seeked;
+        await this.app.detectFrame();
+        this.showFrameInfo();
+    }
+
+    async step(delta) {
+        this.pause();
+        if (this.stepping || this.app.fileSource !== 'video') return;
+
+        this.stepping = true;
+        try {
+            // The tracker only runs forward in time
+            if (delta < 0) this.app.resetTracking();
+            await this.seek(this.frame + delta);
+        } catch (error) {
+            // Closing the file mid-seek fails the seek; that is no error
+            if (this.app.fileSource) this.showStatus(error.message, 'error');
+        } finally {
+            this.stepping = false;
+        }
+    }
+
+    // Step through the frames until paused or at the end, no faster than the
+    // frame rate unless real time is unchecked
+    async play() {
+        if (this.stepping || this.app.fileSource !== 'video') return;
+        if (this.frame >= this.frameCount - 1) {
+            this.app.resetTracking();
+            this.frame = -1;
+        }
+
+        this.playing = true;
+        this.stepping = true;
+        this.updateButtons();
+        try {
+            while (this.playing && this.frame < this.frameCount - 1) {
+                const start = performance.now();
+                await this.seek(this.frame + 1);
+                const wait = 1000 / this.fps - (performance.now() - start);
+                if (document.getElementById('realTime').checked && wait > 0) {
+                    await new Promise(resolve => setTimeout(resolve, wait));
+                }
+            }
+        } catch (error) {
+            // Closing the file mid-seek fails the seek; that is no error
+            if (this.app.fileSource) this.showStatus(error.message, 'error');
+        } finally {
+            this.playing = false;
+            this.stepping = false;
+            this.updateButtons();
+        }
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    // Called by the app with the raw detections of every analyzed frame
+    record(detections, bundles) {
+        const time = this.app.fileSource === 'video' ? this.app.video.currentTime : 0;
+        this.results.set(this.frame, { frame: this.frame, time, detections, bundles });
+        document.getElementById('exportFrames').disabled = false;
+    }
+
+    exportResults() {
+        const frames = [...this.results.values()].sort((a, b) => a.frame - b.frame);
+        const data = {
+            source: this.fileName,
+            fps: this.app.fileSource === 'video' ? this.fps : null,
+            frames
+        };
+
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${(this.fileName || 'frames').replace(/\.[^.]+$/, '')}-detections.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    showFrameInfo() {
+        const info = document.getElementById('frameInfo');
+        if (this.app.fileSource === 'video') {
+            const time = this.app.video.currentTime || 0;
+            info.textContent = `Frame ${this.frame + 1} / ${this.frameCount} (${time.toFixed(3)} s), ${this.results.size} analyzed`;
+        } else if (this.app.fileSource === 'image') {
+            info.textContent = `${this.fileName}: ${this.app.canvas.width} x ${this.app.canvas.height}`;
+        }
+    }
+
+    updateButtons() {
+        const video = this.app.fileSource === 'video';
+        document.getElementById('playVideo').disabled = !video;
+        document.getElementById('playVideo').textContent = this.playing ? 'Pause' : 'Play';
+        document.getElementById('stepBack').disabled = !video || this.playing;
+        document.getElementById('stepForward').disabled = !video || this.playing;
+        document.getElementById('exportFrames').disabled = this.results.size === 0;
+    }
+
+    showStatus(message, type = '') {
+        const status = document.getElementById('mediaStatus');
+        status.textContent = message;
+        status.className = message ? type : '';
+    }
+
+    // Resolves on the next eventName of a media element, rejects if it
+    // fails to decode first
+    static waitFor(target, eventName) {
+        return new Promise((resolve, reject) => {
+            const onEvent = () => {
+                target.removeEventListener('error', onError);
+                resolve();
+            };
+            const onError = () => {
+                target.removeEventListener(eventName, onEvent);
+                reject(new Error('The file could not be decoded'));
+            };
+            target.addEventListener(eventName, onEvent, { once: true });
+            target.addEventListener('error', onError, { once: true });
+        });
+    }
+}
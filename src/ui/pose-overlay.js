@@ -0,0 +1,106 @@
+// 3D overlay of the tag poses on the camera image: the axes of every tag
+// frame (x red, y green, z blue, half a tag long) and a cube standing on the
+// tag, at the tag's own size, projected with the camera intrinsics and,
+// unless the preview is undistorted, the lens distortion
+
+class PoseOverlay {
+    constructor(app) {
+        this.app = app;
+        this.axesToggle = document.getElementById('overlayAxes');
+        this.cubeToggle = document.getElementById('overlayCube');
+    }
+
+    // Draw the pose of a detection or track on the app's overlay canvas
+    draw(detection) {
+        if (!detection.pose || !(this.axesToggle.checked || this.cubeToggle.checked)) return;
+
+        const { ctx, canvas, detector } = this.app;
+        const size = detection.size || detector.parameters.tagSize;
+        const camera = detector.cameraFor(canvas.width, canvas.height);
+        const distortion = this.app.undistortPreview ? null : detector.distortion;
+        const scale = [canvas.offsetWidth / canvas.width, canvas.offsetHeight / canvas.height];
+        const toCamera = (point) => Transform.applyPose(detection.pose, point);
+        const segment = (from, to) => PoseOverlay.projectSegment(toCamera(from), toCamera(to), camera, distortion)
+            .map(([u, v]) => [u * scale[0], v * scale[1]]);
+
+        ctx.save();
+        if (detection.stale) ctx.setLineDash([6, 4]);
+
+        if (this.cubeToggle.checked) {
+            ctx.strokeStyle = detection.stale ? '#999999' : '#ffcc00';
+            ctx.lineWidth = 2;
+            PoseOverlay.cubeEdges(size).forEach(([from, to]) => PoseOverlay.strokePolyline(ctx, segment(from, to)));
+        }
+
+        if (this.axesToggle.checked) {
+            ctx.lineWidth = 3;
+            const h = size / 2;
+            [[[h, 0, 0], '#ff0000'], [[0, h, 0], '#00ff00'], [[0, 0, h], '#0080ff']].forEach(([axis, color]) => {
+                ctx.strokeStyle = detection.stale ? '#999999' : color;
+                PoseOverlay.strokePolyline(ctx, segment([0, 0, 0], axis));
+            });
+        }
+
+        ctx.restore();
+    }
+
+    // The tag square and the same square one tag size towards the camera
+    // (the tag's z axis points into the tag)
+    static cubeEdges(size) {
+        const h = size / 2;
+        const bottom = [[-h, h, 0], [h, h, 0], [h, -h, 0], [-h, -h, 0]];
+        const top = bottom.map(([x, y]) => [x, y, -size]);
+        const edges = [];
+        for (let i = 0; i < 4; i++) {
+            const j = (i + 1) % 4;
+            edges.push([bottom[i], bottom[j]], [top[i], top[j]], [bottom[i], top[i]]);
+        }
+        return edges;
+    }
+
+    // Overlay pixels (centers at integer + 0.5) along a straight segment
+    // between two camera-frame points. The part behind the camera is cut
+    // off, and under lens distortion the segment is sampled so it bends like
+    // straight edges in the image; samples the distortion model cannot map
+    // back (far outside the calibrated field of view) end the line.
+    static projectSegment(from, to, camera, distortion) {
+        const clipped = PoseOverlay.clipToNearPlane(from, to);
+        if (!clipped) return [];
+
+        const distorted = distortion && !LensDistortion.isIdentity(distortion);
+        const steps = distorted ? 8 : 1;
+        const points = [];
+        for (let i = 0; i <= steps; i++) {
+            const point = clipped[0].map((value, k) => value + (clipped[1][k] - value) * i / steps);
+            if (!distorted) {
+                points.push([camera.fx * point[0] / point[2] + camera.cx + 0.5, camera.fy * point[1] / point[2] + camera.cy + 0.5]);
+                continue;
+            }
+
+            const [u, v] = LensDistortion.projectPoint(point, camera, distortion);
+            const ideal = LensDistortion.undistortPixel(u, v, camera, distortion);
+            const expected = [camera.fx * point[0] / point[2] + camera.cx, camera.fy * point[1] / point[2] + camera.cy];
+            if (!ideal || Math.hypot(ideal[0] - expected[0], ideal[1] - expected[1]) > 0.5) break;
+            points.push([u + 0.5, v + 0.5]);
+        }
+        return points;
+    }
+
+    // The part of a segment in front of the near plane, or null
+    static clipToNearPlane(from, to, near = 0.001) {
+        if (from[2] < near && to[2] < near) return null;
+        if (from[2] >= near && to[2] >= near) return [from, to];
+
+        const s = (near - from[2]) / (to[2] - from[2]);
+        const crossing = from.map((value, k) => value + (to[k] - value) * s);
+        return from[2] < near ? [crossing, to] : [from, crossing];
+    }
+
+    static strokePolyline(ctx, points) {
+        if (points.length < 2) return;
+        ctx.beginPath();
+        ctx.moveTo(points[0][0], points[0][1]);
+        points.slice(1).forEach(([u, v]) => ctx.lineTo(u, v));
+        ctx.stroke();
+    }
+}
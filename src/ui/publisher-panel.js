@@ -0,0 +1,50 @@
+// Connect/disconnect of the live pose stream (see src/pose-publisher.js)
+// and its connection state and counts
+
+class PublisherPanel {
+    constructor(app) {
+        this.app = app;
+        this.state = 'disconnected';
+        this.detail = '';
+        this.toggleButton = document.getElementById('togglePublishing');
+        this.urlInput = document.getElementById('publishUrl');
+
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        this.app.publisher.onstatechange = (state, detail) => {
+            this.state = state;
+            this.detail = detail;
+            this.update();
+        };
+        this.update();
+    }
+
+    toggle() {
+        const publisher = this.app.publisher;
+        if (publisher.active) {
+            publisher.disconnect();
+            return;
+        }
+
+        try {
+            publisher.connect(this.urlInput.value.trim());
+        } catch (error) {
+            this.state = 'disconnected';
+            this.detail = error.message;
+            this.update();
+        }
+    }
+
+    // Called by the app after every published frame
+    update() {
+        const publisher = this.app.publisher;
+        this.toggleButton.textContent = publisher.active ? 'Disconnect' : 'Connect';
+        this.toggleButton.classList.toggle('streaming', publisher.active);
+        this.urlInput.disabled = publisher.active;
+
+        const parts = [`${this.state[0].toUpperCase()}${this.state.slice(1)}${this.detail ? `: ${this.detail}` : ''}`];
+        if (publisher.active || publisher.sent || publisher.dropped) {
+            parts.push(`${publisher.sent} frame(s) sent, ${publisher.dropped} dropped`);
+        }
+        document.getElementById('publishStatus').textContent = parts.join(' - ');
+    }
+}
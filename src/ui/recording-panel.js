@@ -0,0 +1,88 @@
+// Start/stop logging of the detection results and download of the log in
+// the format picked (see src/recorder.js)
+
+class RecordingPanel {
+    constructor(app) {
+        this.app = app;
+        this.toggleButton = document.getElementById('toggleRecording');
+        this.format = document.getElementById('logFormat');
+
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        document.getElementById('downloadLog').addEventListener('click', () => this.download());
+        document.getElementById('clearLog').addEventListener('click', () => {
+            this.app.recorder.clear();
+            this.update();
+        });
+        this.format.addEventListener('change', () => this.updateTrajectoryOptions());
+        this.update();
+    }
+
+    toggle() {
+        const recorder = this.app.recorder;
+        if (recorder.recording) {
+            recorder.stop();
+        } else {
+            recorder.start();
+        }
+        this.update();
+    }
+
+    // Called by the app after every recorded frame
+    update() {
+        const recorder = this.app.recorder;
+        this.toggleButton.textContent = recorder.recording ? 'Stop Recording' : 'Start Recording';
+        this.toggleButton.classList.toggle('recording', recorder.recording);
+        document.getElementById('recordingStatus').textContent = recorder.recording
+            ? `Recording: ${recorder.count} frame(s)`
+            : `${recorder.count} frame(s) recorded`;
+        document.getElementById('downloadLog').disabled = recorder.count === 0;
+        if (!recorder.recording) this.updateTrajectoryOptions();
+    }
+
+    // Trajectory formats log one tag or bundle
+    updateTrajectoryOptions() {
+        const trajectory = ['tum', 'kitti'].includes(this.format.value);
+        document.getElementById('trajectoryOptions').style.display = trajectory ? 'block' : 'none';
+        if (!trajectory) return;
+
+        const select = document.getElementById('trajectoryObject');
+        const selected = select.value;
+        select.innerHTML = this.app.recorder.objectKeys().map(key => {
+            const label = key.startsWith('bundle:') ? `Bundle ${key.slice(7)}` : `Tag ${key}`;
+            return `<option value="${escapeHTML(key)}">${escapeHTML(label)}</option>`;
+        }).join('');
+        if (selected) select.value = selected;
+    }
+
+    download() {
+        const recorder = this.app.recorder;
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        let text;
+        let name;
+
+        switch (this.format.value) {
+            case 'csv':
+                text = recorder.toCSV();
+                name = `apriltag-log-${stamp}.csv`;
+                break;
+            case 'jsonl':
+                text = recorder.toJSONLines();
+                name = `apriltag-log-${stamp}.jsonl`;
+                break;
+            default: {
+                const key = document.getElementById('trajectoryObject').value;
+                if (!key) return;
+                const options = { cameraInObject: document.getElementById('trajectoryFrame').value === 'camera' };
+                const tum = this.format.value === 'tum';
+                text = tum ? recorder.toTUM(key, options) : recorder.toKITTI(key, options);
+                name = `apriltag-${key.replace(':', '-')}-${stamp}.${tum ? 'tum' : 'kitti'}.txt`;
+            }
+        }
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+}
@@ -0,0 +1,209 @@
+// 3D view of the scene in the camera frame: the camera frustum, a floor
+// grid through the camera, and the frame of every tracked tag and bundle.
+// Drag to orbit, scroll to zoom, double-click to reset; the view frames the
+// scene by itself until zoomed.
+
+class SceneView {
+    constructor(app) {
+        this.app = app;
+        this.canvas = document.getElementById('sceneView');
+        this.ctx = this.canvas.getContext('2d');
+        this.tracks = [];
+        this.bundles = [];
+        this.drag = null;
+        this.setView('perspective');
+
+        this.canvas.addEventListener('pointerdown', (event) => {
+            this.drag = { x: event.clientX, y: event.clientY, azimuth: this.azimuth, elevation: this.elevation };
+            this.canvas.setPointerCapture(event.pointerId);
+        });
+        this.canvas.addEventListener('pointermove', (event) => {
+            if (!this.drag) return;
+            this.azimuth = this.drag.azimuth - (event.clientX - this.drag.x) * 0.01;
+            this.elevation = SceneView.clampElevation(this.drag.elevation + (event.clientY - this.drag.y) * 0.01);
+            this.render();
+        });
+        this.canvas.addEventListener('pointerup', () => { this.drag = null; });
+        this.canvas.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            this.distance = this.viewDistance() * Math.exp(event.deltaY * 0.001);
+            this.render();
+        }, { passive: false });
+        this.canvas.addEventListener('dblclick', () => this.setView('perspective'));
+
+        document.querySelectorAll('[data-scene-view]').forEach(button => {
+            button.addEventListener('click', () => this.setView(button.dataset.sceneView));
+        });
+    }
+
+    // Orbit angles of the presets; the view looks at the scene from behind
+    // the camera at azimuth 0 and elevation 0
+    setView(name) {
+        const views = {
+            perspective: [-0.6, 0.45],
+            top: [0, Math.PI / 2],
+            side: [-Math.PI / 2, 0],
+            camera: [0, 0]
+        };
+        [this.azimuth, this.elevation] = views[name] || views.perspective;
+        this.elevation = SceneView.clampElevation(this.elevation);
+        this.distance = null; // frame the scene
+        this.render();
+    }
+
+    // Called by the app with the tracks and bundle tracks of every frame
+    update(tracks, bundles = []) {
+        this.tracks = tracks.filter(track => track.pose);
+        this.bundles = bundles.filter(bundle => bundle.pose);
+        this.render();
+    }
+
+    clear() {
+        this.update([]);
+    }
+
+    // Sphere around the camera and everything in view, as [center, radius]
+    bounds() {
+        const points = [[0, 0, 0], [0, 0, this.frustumDepth()]]
+            .concat(this.tracks.map(track => track.pose.translation))
+            .concat(this.bundles.map(bundle => bundle.pose.translation));
+        const min = [0, 1, 2].map(k => Math.min(...points.map(point => point[k])));
+        const max = [0, 1, 2].map(k => Math.max(...points.map(point => point[k])));
+        const center = min.map((value, k) => (value + max[k]) / 2);
+        return [center, Math.max(Math.hypot(...max.map((value, k) => value - min[k])) / 2, 0.05)];
+    }
+
+    frustumDepth() {
+        const distances = this.tracks.map(track => LinAlg.norm(track.pose.translation));
+        return Math.max(0.1, 0.3 * Math.max(0, ...distances));
+    }
+
+    viewDistance() {
+        return this.distance || 2.5 * this.bounds()[1];
+    }
+
+    // Virtual camera looking at the scene center: [eye, rotation] with the
+    // rows of rotation being its right, down and forward axes in the camera
+    // frame, whose y axis points down
+    viewPose() {
+        const [center] = this.bounds();
+        const forward = [
+            Math.cos(this.elevation) * Math.sin(this.azimuth),
+            Math.sin(this.elevation),
+            Math.cos(this.elevation) * Math.cos(this.azimuth)
+        ];
+        const right = LinAlg.cross(forward, [0, -1, 0]);
+        const rightLength = LinAlg.norm(right);
+        const rotation = [right.map(value => value / rightLength)];
+        rotation.push(LinAlg.cross(forward, rotation[0]));
+        rotation.push(forward);
+        const distance = this.viewDistance();
+        return [center.map((value, k) => value - distance * forward[k]), rotation];
+    }
+
+    render() {
+        const { canvas, ctx } = this;
+        if (canvas.clientWidth && canvas.width !== canvas.clientWidth) {
+            canvas.width = canvas.clientWidth;
+            canvas.height = Math.round(canvas.clientWidth * 0.6);
+        }
+        ctx.fillStyle = '#1e1e24';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        const [eye, rotation] = this.viewPose();
+        const focal = 0.9 * canvas.height;
+        const toView = (point) => LinAlg.multiplyVector(rotation, point.map((value, k) => value - eye[k]));
+        const toScreen = ([x, y, z]) => [canvas.width / 2 + focal * x / z, canvas.height / 2 + focal * y / z];
+        const line = (from, to, color, width = 1) => {
+            const clipped = PoseOverlay.clipToNearPlane(toView(from), toView(to), 0.01);
+            if (!clipped) return;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = width;
+            PoseOverlay.strokePolyline(ctx, clipped.map(toScreen));
+        };
+        const label = (point, text, color) => {
+            const view = toView(point);
+            if (view[2] <= 0.01) return;
+            const [u, v] = toScreen(view);
+            ctx.fillStyle = color;
+            ctx.fillText(text, u + 4, v - 4);
+        };
+
+        ctx.save();
+        ctx.font = '12px Arial';
+        this.drawGrid(line);
+        this.drawCamera(line, label);
+
+        // Furthest first, so nearer tags are drawn over them
+        const depth = (pose) => toView(pose.translation)[2];
+        [...this.tracks].sort((a, b) => depth(b.pose) - depth(a.pose)).forEach(track => {
+            const size = track.size || this.app.detector.parameters.tagSize;
+            const corners = PoseEstimator.tagObjectPoints(size).map(point => Transform.applyPose(track.pose, point));
+            const screen = corners.map(toView);
+            if (screen.every(point => point[2] > 0.01)) {
+                ctx.fillStyle = track.stale ? 'rgba(150, 150, 150, 0.3)' : 'rgba(255, 255, 255, 0.6)';
+                ctx.beginPath();
+                screen.map(toScreen).forEach(([u, v], i) => (i ? ctx.lineTo(u, v) : ctx.moveTo(u, v)));
+                ctx.closePath();
+                ctx.fill();
+            }
+            corners.forEach((corner, i) => line(corner, corners[(i + 1) % 4], track.stale ? '#999999' : '#ffffff'));
+            this.drawAxes(line, track.pose, size / 2, track.stale);
+            const name = this.app.tagKey(track);
+            label(track.pose.translation, track.stale ? `${name} (lost)` : name, track.stale ? '#999999' : '#ffffff');
+        });
+
+        this.bundles.forEach(bundle => {
+            this.drawAxes(line, bundle.pose, 0.5 * this.app.detector.parameters.tagSize, bundle.stale);
+            label(bundle.pose.translation, bundle.name, '#ffcc00');
+        });
+        ctx.restore();
+    }
+
+    // Grid on the camera's horizontal plane, 10 cells across the scene
+    drawGrid(line) {
+        const [center, radius] = this.bounds();
+        const spacing = 10 ** Math.round(Math.log10(radius / 5));
+        const cells = Math.ceil(2 * radius / spacing);
+        const x0 = Math.round(center[0] / spacing) * spacing;
+        const z0 = Math.round(center[2] / spacing) * spacing;
+        for (let i = -cells; i <= cells; i++) {
+            const color = i === 0 ? '#4a4a55' : '#2f2f38';
+            line([x0 + i * spacing, 0, z0 - cells * spacing], [x0 + i * spacing, 0, z0 + cells * spacing], color);
+            line([x0 - cells * spacing, 0, z0 + i * spacing], [x0 + cells * spacing, 0, z0 + i * spacing], color);
+        }
+    }
+
+    // Pyramid through the image corners, cut at a third of the distance to
+    // the furthest tag, with a mark on the top edge of the image
+    drawCamera(line, label) {
+        const { canvas, detector } = this.app;
+        const camera = detector.cameraFor(canvas.width, canvas.height);
+        const depth = this.frustumDepth();
+        const corners = [[0, 0], [canvas.width, 0], [canvas.width, canvas.height], [0, canvas.height]].map(([u, v]) => [
+            (u - 0.5 - camera.cx) / camera.fx * depth,
+            (v - 0.5 - camera.cy) / camera.fy * depth,
+            depth
+        ]);
+        corners.forEach((corner, i) => {
+            line([0, 0, 0], corner, '#00bfff');
+            line(corner, corners[(i + 1) % 4], '#00bfff');
+        });
+        const top = [(corners[0][0] + corners[1][0]) / 2, corners[0][1] - 0.15 * depth, depth];
+        line(corners[0], top, '#00bfff');
+        line(top, corners[1], '#00bfff');
+        this.drawAxes(line, Transform.pose(LinAlg.identity(3), [0, 0, 0]), 0.5 * depth);
+        label([0, 0, 0], 'camera', '#00bfff');
+    }
+
+    drawAxes(line, pose, length, stale = false) {
+        [[[length, 0, 0], '#ff4040'], [[0, length, 0], '#40ff40'], [[0, 0, length], '#4090ff']].forEach(([axis, color]) => {
+            line(pose.translation, Transform.applyPose(pose, axis), stale ? '#999999' : color, 2);
+        });
+    }
+
+    static clampElevation(elevation) {
+        const limit = Math.PI / 2 - 0.001;
+        return Math.max(-limit, Math.min(limit, elevation));
+    }
+}
@@ -0,0 +1,294 @@
+// Named settings profiles (src/settings-store.js): the settings of every
+// panel, the camera model, tag map and bundles are saved to the current
+// profile as they change and restored on the next visit. Profiles can be
+// switched, exported and imported as JSON, and shared as a link whose query
+// parameters carry the settings that differ from the defaults.
+
+class SettingsPanel {
+    constructor(app) {
+        this.app = app;
+        this.store = new SettingsStore();
+        this.select = document.getElementById('settingsProfile');
+        this.fileInput = document.getElementById('importProfile');
+        this.defaults = this.readControls(); // as in the page
+
+        this.restore();
+
+        this.select.addEventListener('change', () => this.switchTo(this.select.value));
+        document.getElementById('saveProfileAs').addEventListener('click', () => this.saveAs());
+        document.getElementById('deleteProfile').addEventListener('click', () => this.remove());
+        document.getElementById('exportProfile').addEventListener('click', () => this.download());
+        document.getElementById('shareProfile').addEventListener('click', () => this.share());
+        this.fileInput.addEventListener('change', () => this.load());
+
+        // Camera model fields change the app's model, saved with the profile
+        const watched = SettingsPanel.controls().concat(['camFx', 'camFy', 'camCx', 'camCy', 'distortionModel',
+            'distK1', 'distK2', 'distK3', 'distK4', 'distP1', 'distP2', 'tagMapFile', 'bundleFile']);
+        document.addEventListener('change', (event) => {
+            if (watched.includes(event.target.id)) this.save();
+        });
+        // Tag maps and bundles are loaded asynchronously or built in the
+        // page, so everything is saved once more when leaving it
+        window.addEventListener('pagehide', () => this.save());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.save();
+        });
+    }
+
+    // The current profile, with the settings of a shared link applied over
+    // it or over the profile the link names. The link is applied once: its
+    // query is taken off the address, and a stored profile it would change
+    // is kept, the link's settings going to a new profile beside it.
+    restore() {
+        const shared = SettingsStore.fromQuery(location.search, SettingsPanel.linkControls());
+        this.name = (shared && shared.name) || this.store.current;
+        const stored = this.store.load(this.name);
+        let profile = stored;
+        if (shared) {
+            try {
+                history.replaceState(history.state, '', location.pathname + location.hash);
+            } catch (error) {
+                // Pages opened from files may not change their address
+            }
+            const controls = { ...this.defaults, ...(stored && stored.controls) };
+            const changes = Object.keys(shared.controls).some(id => SettingsStore.queryValue(controls[id]) !== shared.controls[id]);
+            if (stored && changes) this.name = this.linkName(this.name);
+            profile = { ...stored, controls: { ...(stored && stored.controls), ...shared.controls } };
+        }
+
+        if (profile) this.apply(profile);
+        this.store.current = this.name;
+        if (shared) {
+            this.save();
+            this.showStatus(`Applied the settings of the link to profile ${this.name}`, 'success');
+        }
+        this.updateOptions();
+    }
+
+    // Name for a link's settings beside the profile of that name
+    linkName(name) {
+        const names = this.store.names();
+        let candidate = `${name} (link)`;
+        for (let i = 2; names.includes(candidate); i++) candidate = `${name} (link ${i})`;
+        return candidate;
+    }
+
+    // Settings persisted by their element ID. The camera picker is left
+    // out: device IDs differ between sites and browsers.
+    static controls() {
+        return [
+            'cameraFacing', 'cameraResolution', 'cameraFrameRate', 'realTime',
+            'tagFamily', 'tagSize', 'unknownTags', 'localizationThreshold',
+            'rotationFormat', 'measurementSamples', 'overlayAxes', 'overlayCube',
+            'trackingFilter', 'positionNoise', 'motionNoise', 'rotationSmoothing', 'holdTime',
+            'logFormat', 'trajectoryFrame', 'publishUrl',
+            'decimate', 'blur', 'refineEdges', 'backend', 'undistortPreview',
+            'calibRows', 'calibCols', 'calibTagSize', 'calibSpacing', 'calibFirstId'
+        ];
+    }
+
+    // Settings a link may carry: not the streaming URL, or a link could send
+    // the poses to a server of its choosing
+    static linkControls() {
+        return SettingsPanel.controls().filter(id => id !== 'publishUrl');
+    }
+
+    readControls() {
+        const controls = {};
+        SettingsPanel.controls().forEach(id => {
+            const element = document.getElementById(id);
+            controls[id] = element.type === 'checkbox' ? element.checked : element.value;
+        });
+        return controls;
+    }
+
+    // Set the controls to the given values (those of a URL as strings) and
+    // let their panels react as if the user had changed them. Unknown IDs
+    // and invalid values are ignored.
+    applyControls(controls) {
+        SettingsPanel.controls().forEach(id => {
+            if (!(id in controls)) return;
+            const element = document.getElementById(id);
+            const value = controls[id];
+            if (element.type === 'checkbox') {
+                const checked = value === true || value === '1' || value === 'true';
+                if (element.checked === checked) return;
+                element.checked = checked;
+            } else {
+                const text = String(value);
+                const previous = element.value;
+                if (previous === text) return;
+                // Selects and number inputs refuse values they cannot hold
+                element.value = text;
+                if (element.value !== text) {
+                    element.value = previous;
+                    return;
+                }
+            }
+            element.dispatchEvent(new Event('change'));
+        });
+    }
+
+    // Everything a profile holds, from the page as it is
+    profile() {
+        const { app } = this;
+        // A guessed camera model would override the guess for the next
+        // camera, so only a calibrated or hand-set one is kept
+        const camera = app.cameraModelEstimated ? null : { ...app.cameraMatrix };
+        return {
+            controls: this.readControls(),
+            camera,
+            distortion: camera ? app.distortionCoefficients : null,
+            tagMap: app.tagMap ? JSON.parse(TagMap.toJSON(app.tagMap)) : null,
+            bundles: app.bundlePanel.layout
+        };
+    }
+
+    apply(profile) {
+        const { app } = this;
+        this.applyControls({ ...this.defaults, ...profile.controls });
+
+        try {
+            app.tagMapPanel.set(profile.tagMap ? TagMap.parse(profile.tagMap) : null);
+            app.bundlePanel.set(profile.bundles || null);
+        } catch (error) {
+            this.showStatus(`Profile ${this.name}: ${error.message}`, 'error');
+        }
+
+        // A running source gets the profile's model scaled to its size,
+        // unless it has a stored calibration (see cameraModel)
+        if (app.detectionActive) {
+            app.updateCameraParameters();
+        } else if (profile.camera) {
+            app.applyCalibration({ camera: profile.camera, distortion: profile.distortion });
+        } else {
+            app.estimateCameraParameters(app.cameraMatrix.width, app.cameraMatrix.height);
+        }
+        app.updateDetectorParameters();
+    }
+
+    // The current profile's camera model at a resolution ({ width, height }),
+    // scaled from the one it was saved at if the aspect ratio matches, or
+    // null
+    cameraModel(size) {
+        const profile = this.store.load(this.name);
+        if (!profile || !profile.camera) return null;
+        const { camera, distortion } = profile;
+        if (Math.abs(camera.width / camera.height - size.width / size.height) > 0.01 * size.width / size.height) return null;
+        return CalibrationStore.scale({ camera, distortion }, size);
+    }
+
+    save() {
+        this.store.save(this.name, this.profile());
+    }
+
+    switchTo(name) {
+        this.save();
+        this.name = name;
+        this.store.current = name;
+        const profile = this.store.load(name);
+        if (profile) this.apply(profile);
+        this.updateOptions();
+        this.showStatus(`Using profile ${name}`, 'success');
+    }
+
+    // Save the page as it is under a new name and switch to it
+    saveAs() {
+        const input = document.getElementById('profileName');
+        const name = input.value.trim();
+        if (!name) {
+            this.showStatus('Enter a name for the profile', 'error');
+            return;
+        }
+        this.save();
+        this.name = name;
+        this.store.current = name;
+        this.save();
+        input.value = '';
+        this.updateOptions();
+        this.showStatus(`Saved profile ${name}`, 'success');
+    }
+
+    // Delete the current profile and switch to the first one left; the
+    // page keeps its settings, as a new default profile if none is left
+    remove() {
+        const removed = this.name;
+        this.store.remove(removed);
+        const [next] = this.store.names();
+        if (next) {
+            this.name = next;
+            this.store.current = next;
+            this.apply(this.store.load(next));
+        } else {
+            this.name = this.store.current;
+            this.save();
+        }
+        this.updateOptions();
+        this.showStatus(`Deleted profile ${removed}`, 'success');
+    }
+
+    download() {
+        this.save();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([SettingsStore.toJSON(this.name, this.profile())], { type: 'application/json' }));
+        link.download = `${this.name.replace(/[^\w.-]+/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Import a profile file and switch to it, replacing a profile of the
+    // same name
+    async load() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+
+        try {
+            const { name, profile } = SettingsStore.parse(await file.text());
+            this.save();
+            this.store.save(name, profile);
+            this.switchTo(name);
+            this.showStatus(`Imported profile ${name} from ${file.name}`, 'success');
+        } catch (error) {
+            this.showStatus(`Could not import ${file.name}: ${error.message}`, 'error');
+        }
+        this.fileInput.value = '';
+    }
+
+    // Link to the page with the settings that differ from the defaults;
+    // the streaming URL, camera model, tag map and bundles only travel in
+    // exported files
+    async share() {
+        const current = this.readControls();
+        const changed = {};
+        SettingsPanel.linkControls().forEach(id => {
+            if (current[id] !== this.defaults[id]) changed[id] = current[id];
+        });
+        const url = `${location.href.split(/[?#]/)[0]}?${SettingsStore.toQuery(this.name, changed)}`;
+        const field = document.getElementById('profileLink');
+        field.value = url;
+        field.style.display = 'block';
+        field.select();
+
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showStatus('Link copied to the clipboard', 'success');
+        } catch (error) {
+            this.showStatus('Copy the link below', '');
+        }
+    }
+
+    updateOptions() {
+        const names = this.store.names();
+        if (!names.includes(this.name)) names.push(this.name);
+        this.select.innerHTML = names.map(name =>
+            `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`
+        ).join('');
+        this.select.value = this.name;
+    }
+
+    showStatus(message, type = '') {
+        const status = document.getElementById('profileStatus');
+        status.textContent = message;
+        status.className = message ? type : '';
+    }
+}
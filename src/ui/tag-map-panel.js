@@ -0,0 +1,91 @@
+// Loading, creation and export of the tag map (src/tag-map.js), and what
+// happens to detected tags missing from it
+
+class TagMapPanel {
+    constructor(app) {
+        this.app = app;
+        this.fileInput = document.getElementById('tagMapFile');
+
+        this.fileInput.addEventListener('change', () => this.load());
+        document.getElementById('tagMapFromVisible').addEventListener('click', () => this.fromVisible());
+        document.getElementById('exportTagMapJSON').addEventListener('click', () => this.download('json'));
+        document.getElementById('exportTagMapYAML').addEventListener('click', () => this.download('yaml'));
+        document.getElementById('clearTagMap').addEventListener('click', () => this.clear());
+    }
+
+    async load() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+
+        try {
+            const map = TagMap.parse(await file.text());
+            TagMapPanel.checkFamilies(map);
+            this.set(map);
+            this.showStatus(`Loaded ${map.tags.length} tag(s) from ${file.name}`, 'success');
+        } catch (error) {
+            this.showStatus(`Could not load ${file.name}: ${error.message}`, 'error');
+        }
+        this.fileInput.value = '';
+    }
+
+    // A map of the tags in view, with their families and current sizes, as
+    // a starting point to edit and load back
+    fromVisible() {
+        const detections = this.app.latestDetections;
+        if (!detections.length) {
+            this.showStatus('No tags in view', 'error');
+            return;
+        }
+        const tags = detections.map(detection => ({ id: detection.id, family: detection.family, size: detection.size }))
+            .sort((a, b) => a.family.localeCompare(b.family) || a.id - b.id);
+        this.set(TagMap.parse({ tags }));
+        this.showStatus(`Created a map of ${tags.length} visible tag(s)`, 'success');
+    }
+
+    clear() {
+        this.set(null);
+        this.showStatus('');
+    }
+
+    set(map) {
+        this.app.tagMap = map;
+        this.app.updateDetectorParameters();
+        ['exportTagMapJSON', 'exportTagMapYAML', 'clearTagMap'].forEach(id => {
+            document.getElementById(id).disabled = !map;
+        });
+        this.showList();
+        this.app.localizationPanel.update(this.app.latestDetections);
+    }
+
+    showList() {
+        const map = this.app.tagMap;
+        const selected = document.getElementById('tagFamily').value;
+        document.getElementById('tagMapList').innerHTML = !map ? '' : map.tags.map(tag => {
+            const size = tag.size ? `${(tag.size * 1000).toFixed(1)} mm` : 'tag size';
+            const pose = tag.pose ? `, at ${tag.pose.translation.map(value => value.toFixed(3)).join(', ')} m` : '';
+            const name = tag.name ? ` "${escapeHTML(tag.name)}"` : '';
+            return `<div class="coordinate">${escapeHTML(tag.family || selected)} ${tag.id}${name}: ${size}${pose}</div>`;
+        }).join('');
+    }
+
+    download(format) {
+        const yaml = format === 'yaml';
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([yaml ? TagMap.toYAML(this.app.tagMap) : TagMap.toJSON(this.app.tagMap)], { type: 'text/plain' }));
+        link.download = yaml ? 'tag-map.yaml' : 'tag-map.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    showStatus(message, type = '') {
+        const status = document.getElementById('tagMapStatus');
+        status.textContent = message;
+        status.className = message ? type : '';
+    }
+
+    static checkFamilies(map) {
+        TagMap.families(map).forEach(name => {
+            if (!TagFamily.names.includes(name)) throw new Error(`Unknown tag family: ${name}`);
+        });
+    }
+}
@@ -0,0 +1,111 @@
+// Tag sheet generator page (test-generator.html): previews the sheet laid
+// out by src/tag-sheet.js and downloads it as SVG or PDF
+
+class TagSheetPanel {
+    constructor() {
+        this.sheet = null;
+        this.page = 0;
+        this.generation = 0;
+
+        ['sheetFamily', 'sheetIds', 'sheetTagSize', 'sheetPaper', 'sheetOrientation',
+            'sheetMargin', 'sheetSpacing', 'sheetLabels', 'sheetOutline'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.generate());
+        });
+        document.getElementById('previousPage').addEventListener('click', () => this.showPage(this.page - 1));
+        document.getElementById('nextPage').addEventListener('click', () => this.showPage(this.page + 1));
+        document.getElementById('downloadSvg').addEventListener('click', () => this.downloadSVG());
+        document.getElementById('downloadPdf').addEventListener('click', () => this.downloadPDF());
+
+        const familySelect = document.getElementById('sheetFamily');
+        familySelect.innerHTML = TagFamily.names.map(name => `<option value="${name}">${name}</option>`).join('');
+        this.generate();
+    }
+
+    async generate() {
+        // Only the latest of overlapping generations is shown
+        const generation = ++this.generation;
+        const value = (id) => parseFloat(document.getElementById(id).value);
+
+        try {
+            const family = await TagFamily.load(document.getElementById('sheetFamily').value);
+            if (generation !== this.generation) return;
+
+            const ids = TagSheet.parseIds(document.getElementById('sheetIds').value, family.codes.length);
+            this.sheet = new TagSheet(family, ids, {
+                tagSize: value('sheetTagSize'),
+                paper: document.getElementById('sheetPaper').value,
+                landscape: document.getElementById('sheetOrientation').value === 'landscape',
+                margin: value('sheetMargin') || 0,
+                spacing: value('sheetSpacing') || 0,
+                labels: document.getElementById('sheetLabels').checked,
+                outline: document.getElementById('sheetOutline').checked
+            });
+        } catch (error) {
+            if (generation !== this.generation) return;
+            this.sheet = null;
+            this.showStatus(error.message, 'error');
+            this.showPage(0);
+            return;
+        }
+
+        const sheet = this.sheet;
+        this.showStatus(`${sheet.ids.length} tag(s), ${sheet.columns} x ${sheet.rows} per page on ${sheet.pages.length} page(s). ` +
+            `Enter ${sheet.options.tagSize / 1000} m as the Tag Size in the app.` +
+            (sheet.options.labels ? '' : ` As a calibration grid, the tag spacing is ${Number((sheet.borderGap / 1000).toFixed(5))} m.`), 'success');
+        this.showPage(Math.min(this.page, sheet.pages.length - 1));
+    }
+
+    showPage(page) {
+        const preview = document.getElementById('sheetPreview');
+        const count = this.sheet ? this.sheet.pages.length : 0;
+        this.page = Math.max(0, Math.min(count - 1, page));
+
+        preview.innerHTML = count ? this.sheet.toSVG(this.page).replace(/^<\?xml[^>]*>\s*/, '') : '';
+        const svg = preview.querySelector('svg');
+        if (svg) {
+            svg.style.width = '100%';
+            svg.style.height = 'auto';
+        }
+
+        document.getElementById('pageInfo').textContent = count ? `Page ${this.page + 1} of ${count}` : '';
+        document.getElementById('previousPage').disabled = this.page <= 0;
+        document.getElementById('nextPage').disabled = this.page >= count - 1;
+        document.getElementById('downloadSvg').disabled = !count;
+        document.getElementById('downloadPdf').disabled = !count;
+    }
+
+    fileName(extension) {
+        const sheet = this.sheet;
+        const ids = sheet.ids.length > 1 ? `${sheet.ids[0]}-${sheet.ids[sheet.ids.length - 1]}` : sheet.ids[0];
+        const page = extension === 'svg' && sheet.pages.length > 1 ? `-page${this.page + 1}` : '';
+        return `${sheet.family.name}-${ids}-${sheet.options.tagSize}mm${page}.${extension}`;
+    }
+
+    // SVG holds one page: the one shown
+    downloadSVG() {
+        if (!this.sheet) return;
+        TagSheetPanel.download(new Blob([this.sheet.toSVG(this.page)], { type: 'image/svg+xml' }), this.fileName('svg'));
+    }
+
+    downloadPDF() {
+        if (!this.sheet) return;
+        const pdf = this.sheet.toPDF();
+        const bytes = new Uint8Array(pdf.length);
+        for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i);
+        TagSheetPanel.download(new Blob([bytes], { type: 'application/pdf' }), this.fileName('pdf'));
+    }
+
+    showStatus(message, type = '') {
+        const status = document.getElementById('sheetStatus');
+        status.textContent = message;
+        status.className = message ? type : '';
+    }
+
+    static download(blob, name) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+}
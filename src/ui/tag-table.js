@@ -0,0 +1,180 @@
+// Pose table with one row per visible tag or tag bundle, relative to a
+// selectable reference, and the matrix of pairwise relative poses
+
+class TagTable {
+    constructor(app) {
+        this.app = app;
+        this.entries = [];
+        this.known = new Map(); // key -> label of every tag or bundle seen so far
+
+        this.referenceSelect = document.getElementById('referenceTag');
+        this.referenceSelect.addEventListener('change', () => this.render());
+        this.rotationFormat = document.getElementById('rotationFormat');
+        this.rotationFormat.addEventListener('change', () => this.render());
+
+        // Clicking a row makes that tag or bundle the reference
+        document.getElementById('tagTable').addEventListener('click', (event) => {
+            const row = event.target.closest('tr[data-key]');
+            if (!row) return;
+            this.referenceSelect.value = row.dataset.key;
+            this.render();
+        });
+    }
+
+    // Tags sorted by ID, then bundles (from estimateBundlePoses) by name.
+    // Tags of families other than the selected one are keyed and labelled
+    // with their family.
+    update(detections, bundles = []) {
+        const tags = detections.map(detection => {
+            const key = this.app.tagKey(detection);
+            return {
+                key,
+                label: key.includes(':') ? `Tag ${detection.id} (${detection.family})` : `Tag ${detection.id}`,
+                short: key,
+                unknown: !!detection.unknown,
+                ...TagTable.motion(detection)
+            };
+        }).sort((a, b) => TagTable.compareKeys(a.key, b.key));
+        const groups = [...bundles].sort((a, b) => a.name.localeCompare(b.name)).map(bundle => ({
+            key: `bundle:${bundle.name}`,
+            label: `Bundle ${bundle.name}`,
+            short: bundle.name,
+            ...TagTable.motion(bundle)
+        }));
+        this.entries = tags.concat(groups);
+
+        const unseen = this.entries.filter(entry => !this.known.has(entry.key));
+        if (unseen.length) {
+            unseen.forEach(entry => this.known.set(entry.key, entry.label));
+            this.updateReferenceOptions();
+        }
+        this.render();
+    }
+
+    // Everything seen so far stays selectable, so the reference survives
+    // briefly leaving the view
+    updateReferenceOptions() {
+        const selected = this.referenceSelect.value;
+        const keys = [...this.known.keys()].sort(TagTable.compareKeys);
+        this.referenceSelect.innerHTML = '<option value="auto">Lowest visible ID</option>' +
+            keys.map(key => `<option value="${escapeHTML(key)}">${escapeHTML(this.known.get(key))}</option>`).join('');
+        this.referenceSelect.value = selected;
+    }
+
+    reference() {
+        const value = this.referenceSelect.value;
+        if (value === 'auto') return this.entries[0] || null;
+        return this.entries.find(entry => entry.key === value) || null;
+    }
+
+    render() {
+        document.getElementById('tagResults').style.display = this.entries.length ? 'block' : 'none';
+        if (!this.entries.length) return;
+
+        const reference = this.reference();
+        const missing = this.known.get(this.referenceSelect.value);
+        document.getElementById('referenceStatus').textContent = reference
+            ? `Relative poses are expressed in the frame of ${reference.label.toLowerCase()}`
+            : `Reference ${missing ? missing.toLowerCase() : this.referenceSelect.value} is not visible`;
+
+        this.renderTable(reference);
+        this.renderMatrix();
+    }
+
+    renderTable(reference) {
+        const rows = this.entries.map(entry => {
+            const { translation, rotationMatrix } = entry.pose;
+            const distance = Math.hypot(...translation);
+            const isReference = entry === reference;
+
+            let relative = '<td colspan="3">-</td>';
+            if (isReference) {
+                relative = '<td colspan="3">reference</td>';
+            } else if (reference) {
+                const pose = this.app.calculateRelativePose(reference, entry);
+                relative = `<td>${TagTable.formatVector(pose.translation)}</td>` +
+                    `<td>${this.formatRotation(pose.rotationMatrix)}</td>` +
+                    `<td>${pose.distance.toFixed(3)}</td>`;
+            }
+
+            const classes = [isReference && 'reference', entry.stale && 'stale', entry.unknown && 'unknown'].filter(Boolean).join(' ');
+            const title = entry.unknown ? ' title="Not in the tag map"' : '';
+            return `<tr data-key="${escapeHTML(entry.key)}"${classes ? ` class="${classes}"` : ''}${title}>` +
+                `<td>${escapeHTML(entry.short)}</td>` +
+                `<td>${TagTable.formatVector(translation)}</td>` +
+                `<td>${this.formatRotation(rotationMatrix)}</td>` +
+                `<td>${distance.toFixed(3)}</td>` +
+                TagTable.formatMotion(entry) +
+                relative +
+                '</tr>';
+        });
+
+        document.querySelector('#tagTable tbody').innerHTML = rows.join('');
+    }
+
+    // Cell (row, column): distance from the row entry to the column entry
+    // and the angle of the rotation between their frames; the hover text
+    // has the full relative pose
+    renderMatrix() {
+        const header = '<tr><th></th>' + this.entries.map(e => `<th>${escapeHTML(e.short)}</th>`).join('') + '</tr>';
+        const rows = this.entries.map(from => {
+            const cells = this.entries.map(to => {
+                if (from === to) return '<td>-</td>';
+                const pose = this.app.calculateRelativePose(from, to);
+                const title = `${to.label} in ${from.label.toLowerCase()}: ${TagTable.formatVector(pose.translation)} m, ${this.formatRotation(pose.rotationMatrix)}`;
+                return `<td title="${escapeHTML(title)}">${pose.distance.toFixed(3)} m<br>${TagTable.degrees(Transform.rotationAngle(pose.rotationMatrix)).toFixed(1)}°</td>`;
+            });
+            return `<tr><th>${escapeHTML(from.short)}</th>${cells.join('')}</tr>`;
+        });
+
+        document.getElementById('pairwiseMatrix').innerHTML = header + rows.join('');
+    }
+
+    // Tags of the selected family by numeric ID, then tags of other
+    // families, then bundles by name
+    static compareKeys(a, b) {
+        const rank = (key) => key.startsWith('bundle:') ? 2 : (key.includes(':') ? 1 : 0);
+        if (rank(a) !== rank(b)) return rank(a) - rank(b);
+        return rank(a) === 0 ? parseInt(a) - parseInt(b) : a.localeCompare(b, undefined, { numeric: true });
+    }
+
+    // Pose and, for tracked items (src/tracker.js), velocities and staleness
+    static motion(item) {
+        return {
+            pose: item.pose,
+            velocity: item.velocity || null,
+            angularVelocity: item.angularVelocity || null,
+            stale: !!item.stale
+        };
+    }
+
+    // Speeds, with the full vectors as hover text
+    static formatMotion(entry) {
+        if (!entry.velocity) return '<td colspan="2">-</td>';
+        const angular = entry.angularVelocity.map(value => value * 180 / Math.PI);
+        return `<td title="${TagTable.formatVector(entry.velocity)} m/s">${Math.hypot(...entry.velocity).toFixed(3)}</td>` +
+            `<td title="${angular.map(value => value.toFixed(1)).join(', ')} °/s">${Math.hypot(...angular).toFixed(1)}</td>`;
+    }
+
+    static formatVector(v) {
+        return `${v[0].toFixed(3)}, ${v[1].toFixed(3)}, ${v[2].toFixed(3)}`;
+    }
+
+    // A rotation matrix in the representation picked under Rotation Display
+    formatRotation(R) {
+        const format = this.rotationFormat.value;
+        if (format === 'quaternion') {
+            return Transform.quaternionFromMatrix(R).map(value => value.toFixed(3)).join(', ');
+        }
+        if (format === 'axis-angle') {
+            const { axis, angle } = Transform.axisAngleFromMatrix(R);
+            return `${TagTable.degrees(angle).toFixed(1)}° about ${axis.map(value => value.toFixed(2)).join(', ')}`;
+        }
+        const order = format.replace('euler-', '');
+        return Transform.eulerFromMatrix(R, order).map(angle => `${TagTable.degrees(angle).toFixed(1)}°`).join(', ');
+    }
+
+    static degrees(radians) {
+        return radians * 180 / Math.PI;
+    }
+}
@@ -0,0 +1,140 @@
+// WebAssembly backend: the reference AprilTag C library compiled with
+// Emscripten (see wasm/). Quad detection and decoding run in the module;
+// lens undistortion, pose estimation and the tag map are inherited from the
+// JavaScript detector so both backends report poses the same way. The module
+// holds one family at a time, so with a tag map naming other families the
+// frame is detected once per family.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('../apriltag.js'));
+    } else {
+        root.WasmAprilTagDetector = factory(root.AprilTagDetector);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AprilTagDetector) {
+
+    const RESULT_STRIDE = 13; // doubles per detection, see wasm/apriltag_wasm.c
+    const MAX_HAMMING = 3; // largest correction the C library supports
+
+    class WasmAprilTagDetector extends AprilTagDetector {
+        constructor() {
+            super();
+            this.wasm = null;
+            this.api = null;
+            this.wasmFamily = null;
+        }
+
+        async initialize() {
+            const createModule = await loadModuleFactory(WasmAprilTagDetector.moduleUrl);
+            const baseUrl = WasmAprilTagDetector.moduleUrl.replace(/[^/]*$/, '');
+            this.wasm = await createModule({ locateFile: (file) => baseUrl + file });
+
+            const cwrap = this.wasm.cwrap;
+            this.api = {
+                setFamily: cwrap('atw_set_family', 'number', ['string']),
+                setParameters: cwrap('atw_set_parameters', null, ['number', 'number', 'number', 'number']),
+                imageBuffer: cwrap('atw_image_buffer', 'number', ['number', 'number']),
+                detect: cwrap('atw_detect', 'number', []),
+                results: cwrap('atw_results', 'number', [])
+            };
+            this.isInitialized = true;
+        }
+
+        // Codebooks are compiled into the module
+        async loadFamilies() {}
+
+        detect(imageData) {
+            if (!this.isInitialized) {
+                throw new Error('Detector not initialized');
+            }
+
+            const { width, height } = imageData;
+            const grayData = this.convertToGrayscale(imageData);
+            const camera = this.cameraFor(width, height);
+            const detections = [];
+
+            this.familyNames().forEach(familyName => {
+                this.syncParameters(familyName);
+                const buffer = this.api.imageBuffer(width, height);
+                this.wasm.HEAPU8.set(grayData, buffer);
+
+                const count = this.api.detect();
+                const offset = this.api.results() / Float64Array.BYTES_PER_ELEMENT;
+                const results = this.wasm.HEAPF64.slice(offset, offset + count * RESULT_STRIDE);
+
+                for (let i = 0; i < count; i++) {
+                    const r = results.subarray(i * RESULT_STRIDE, (i + 1) * RESULT_STRIDE);
+                    const mapped = this.mapTag(familyName, r[0]);
+                    if (!mapped) continue;
+                    const corners = [[r[5], r[6]], [r[7], r[8]], [r[9], r[10]], [r[11], r[12]]];
+                    const { pose, alternativePose } = this.estimatePose(corners, mapped.size, camera);
+                    if (!pose) continue;
+
+                    detections.push({
+                        id: r[0],
+                        family: familyName,
+                        hamming: r[1],
+                        decision_margin: r[2],
+                        corners: corners,
+                        center: [r[3], r[4]],
+                        size: mapped.size,
+                        unknown: mapped.unknown,
+                        pose: pose,
+                        alternativePose: alternativePose
+                    });
+                }
+            });
+            return detections;
+        }
+
+        syncParameters(familyName) {
+            if (this.wasmFamily !== familyName) {
+                if (this.api.setFamily(familyName) !== 0) {
+                    throw new Error(`Unknown tag family: ${familyName}`);
+                }
+                this.wasmFamily = familyName;
+            }
+            this.api.setParameters(this.decimate, this.blur, this.refineEdges ? 1 : 0,
+                Math.min(this.maxHamming, MAX_HAMMING));
+        }
+    }
+
+    // Emscripten output, relative to the page (or to the worker script)
+    WasmAprilTagDetector.moduleUrl = 'wasm/build/apriltag-wasm.js';
+
+    // The Emscripten loader script defines a global factory in browsers and
+    // exports it in Node
+    async function loadModuleFactory(url) {
+        const notBuilt = () => new Error(`WebAssembly backend not found at ${url}; build it with wasm/build.sh`);
+
+        if (typeof module !== 'undefined' && module.exports) {
+            try {
+                return require('../wasm/build/apriltag-wasm.js');
+            } catch (error) {
+                throw notBuilt();
+            }
+        }
+
+        if (typeof importScripts === 'function') {
+            try {
+                importScripts(url);
+            } catch (error) {
+                throw notBuilt();
+            }
+            return self.createAprilTagWasm;
+        }
+
+        if (!self.createAprilTagWasm) {
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = url;
+                script.onload = resolve;
+                script.onerror = () => reject(notBuilt());
+                document.head.appendChild(script);
+            });
+        }
+        return self.createAprilTagWasm;
+    }
+
+    return WasmAprilTagDetector;
+});
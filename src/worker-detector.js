@@ -0,0 +1,257 @@
+// Page side of the detection worker (src/detector-worker.js)
+//
+// At most one frame is in flight: while the worker is busy the caller drops
+// frames instead of queueing them, so results never lag further behind the
+// camera than one detection. Without worker support (or when the worker
+// cannot start, e.g. on pages opened from file://) the backends run on the
+// main thread with the same interface.
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('../apriltag.js'), require('./backends.js'));
+    } else {
+        root.WorkerDetector = factory(root.AprilTagDetector, root.DetectorBackends);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AprilTagDetector, DetectorBackends) {
+
+    const STATS_WINDOW = 1000; // ms
+
+    class WorkerDetector {
+        constructor(workerUrl = 'src/detector-worker.js') {
+            this.workerUrl = workerUrl;
+            this.worker = null;
+            this.acceptsBitmaps = false;
+            this.backend = 'js';
+
+            // Never detects; mirrors the camera parameters for the geometry
+            // helpers (cameraFor, undistortPoints, estimateBundlePoses,
+            // estimateCameraPose)
+            this.local = new AprilTagDetector();
+            // Backends on the main thread when there is no worker
+            this.pool = null;
+            this.parameters = {};
+            this.parametersKey = null;
+
+            this.busy = false;
+            this.nextRequestId = 0;
+            this.pending = new Map();
+            this.resetStats();
+        }
+
+        get usingWorker() {
+            return this.worker !== null;
+        }
+
+        get distortion() {
+            return this.local.distortion;
+        }
+
+        async initialize() {
+            if (typeof Worker !== 'undefined') {
+                try {
+                    await this.startWorker();
+                    return;
+                } catch (error) {
+                    console.warn('Detection worker unavailable, detecting on the main thread:', error);
+                    this.stopWorker();
+                }
+            }
+
+            this.pool = new DetectorBackends.DetectorPool();
+            this.pool.setParameters(this.parameters);
+            await this.pool.use(this.backend);
+        }
+
+        startWorker() {
+            return new Promise((resolve, reject) => {
+                this.worker = new Worker(this.workerUrl);
+
+                this.worker.onmessage = (event) => {
+                    const message = event.data;
+                    if (message.type === 'ready') {
+                        this.acceptsBitmaps = message.acceptsBitmaps;
+                        resolve();
+                    } else if (message.requestId === undefined) {
+                        reject(new Error(message.message));
+                    } else {
+                        this.settle(message);
+                    }
+                };
+                this.worker.onerror = (event) => {
+                    event.preventDefault();
+                    const error = new Error(event.message || 'Detection worker failed to load');
+                    this.pending.forEach(({ reject: rejectRequest }) => rejectRequest(error));
+                    this.pending.clear();
+                    reject(error);
+                };
+
+                this.worker.postMessage({ type: 'initialize', params: this.parameters, backend: this.backend });
+                this.parametersKey = JSON.stringify(this.parameters);
+            });
+        }
+
+        stopWorker() {
+            if (this.worker) this.worker.terminate();
+            this.worker = null;
+            this.acceptsBitmaps = false;
+        }
+
+        // Called every frame by the app, so only changes are sent on
+        setParameters(params) {
+            this.parameters = { ...this.parameters, ...params };
+
+            // The geometry mirror must not fetch codebooks; it only needs the
+            // selected family's name to match bundle tags
+            const { tagFamily, tagMap, ...geometry } = params;
+            this.local.setParameters(geometry);
+            if (tagFamily) this.local.tagFamily = tagFamily;
+
+            const key = JSON.stringify(this.parameters);
+            if (key === this.parametersKey) return;
+            this.parametersKey = key;
+
+            if (this.worker) {
+                this.worker.postMessage({ type: 'parameters', params: this.parameters });
+            } else if (this.pool) {
+                this.pool.setParameters(this.parameters);
+            }
+        }
+
+        // Switch between the backends in DetectorBackends.names. Rejects,
+        // keeping the current backend, if the new one fails to initialize.
+        async setBackend(name) {
+            if (this.worker) {
+                await this.request({ type: 'backend', name });
+            } else if (this.pool) {
+                await this.pool.use(name);
+            }
+            this.backend = name;
+        }
+
+        cameraFor(width, height) {
+            return this.local.cameraFor(width, height);
+        }
+
+        undistortPoints(points, camera) {
+            return this.local.undistortPoints(points, camera);
+        }
+
+        estimateBundlePoses(detections, bundles, width, height) {
+            return this.local.estimateBundlePoses(detections, bundles, width, height);
+        }
+
+        estimateCameraPose(detections, tagMap, width, height, options) {
+            return this.local.estimateCameraPose(detections, tagMap, width, height, options);
+        }
+
+        // Detect tags in a frame: an ImageBitmap (when acceptsBitmaps), an
+        // ImageData, or a promise of either. The frame is transferred to the
+        // worker and must not be used afterwards. Callers should check busy
+        // first and call dropFrame instead while a frame is in flight.
+        async detect(frame) {
+            if (this.busy) {
+                throw new Error('A frame is already being detected');
+            }
+            this.busy = true;
+            const start = now();
+
+            try {
+                const image = await frame;
+                let result;
+                if (this.worker) {
+                    result = await this.request({ type: 'frame' }, image);
+                } else {
+                    const detectStart = now();
+                    const detections = await this.pool.detect(image);
+                    result = { detections, detectTime: now() - detectStart };
+                }
+
+                this.recordResult(now() - start, result.detectTime);
+                return result.detections;
+            } finally {
+                this.busy = false;
+            }
+        }
+
+        // Run every backend on the same frame (ImageData). Resolves to the
+        // runs of DetectorPool.compare.
+        async compare(imageData, names = DetectorBackends.names) {
+            if (this.worker) {
+                const { runs } = await this.request({ type: 'compare', names }, imageData);
+                return runs;
+            }
+            return this.pool.compare(imageData, names);
+        }
+
+        request(message, image) {
+            const requestId = this.nextRequestId++;
+            const transfer = [];
+
+            if (image && typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap) {
+                message.bitmap = image;
+                transfer.push(image);
+            } else if (image) {
+                message.width = image.width;
+                message.height = image.height;
+                message.buffer = image.data.buffer;
+                transfer.push(image.data.buffer);
+            }
+
+            return new Promise((resolve, reject) => {
+                this.pending.set(requestId, { resolve, reject });
+                this.worker.postMessage({ ...message, requestId }, transfer);
+            });
+        }
+
+        settle(message) {
+            const request = this.pending.get(message.requestId);
+            if (!request) return;
+            this.pending.delete(message.requestId);
+
+            if (message.type === 'error') {
+                request.reject(new Error(message.message));
+            } else {
+                request.resolve(message);
+            }
+        }
+
+        dropFrame() {
+            this.dropped.push(now());
+        }
+
+        resetStats() {
+            this.results = [];
+            this.dropped = [];
+        }
+
+        recordResult(latency, detectTime) {
+            this.results.push({ time: now(), latency, detectTime });
+        }
+
+        // Detection rate, mean latency (frame capture to result) and time
+        // spent in the detector over the last second, plus the share of
+        // frames dropped while the detector was busy
+        getStats() {
+            const cutoff = now() - STATS_WINDOW;
+            this.results = this.results.filter(result => result.time >= cutoff);
+            this.dropped = this.dropped.filter(time => time >= cutoff);
+
+            const count = this.results.length;
+            const mean = (key) => count ? this.results.reduce((sum, result) => sum + result[key], 0) / count : 0;
+            const frames = count + this.dropped.length;
+
+            return {
+                fps: count * 1000 / STATS_WINDOW,
+                latency: mean('latency'),
+                detectTime: mean('detectTime'),
+                dropRate: frames ? this.dropped.length / frames : 0
+            };
+        }
+    }
+
+    function now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
+    return WorkerDetector;
+});
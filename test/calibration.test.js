@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CameraCalibration = require('../src/calibration.js');
+const CalibrationStore = require('../src/calibration-store.js');
+const LensDistortion = require('../src/distortion.js');
+const PoseEstimator = require('../src/pose.js');
+const Transform = require('../src/transform.js');
+const LinAlg = require('../src/linalg.js');
+const { assertClose } = require('./helpers.js');
+
+const CAMERA = { fx: 820, fy: 815, cx: 322.5, cy: 236.5, width: 640, height: 480 };
+const DISTORTION = { model: 'brown-conrady', k1: -0.21, k2: 0.07, p1: 0.0012, p2: -0.0008, k3: -0.01 };
+const BOARD = CameraCalibration.tagGridBoard({ rows: 4, cols: 6, tagSize: 0.04, tagSpacing: 0.01 });
+
+// Board attitudes (XYZ Euler angles, degrees), each seen from about 0.45 m
+const VIEWS = [[20, -15, 5], [-25, 10, -10], [10, 30, 15], [-15, -30, 0], [30, 20, -20], [0, 0, 30]];
+
+// Detections of the board's tags as the detector reports them, with pixel
+// centers at half-integers
+function detections(angles) {
+    const degrees = Math.PI / 180;
+    const R = Transform.matrixFromEuler(angles.map(angle => angle * degrees));
+    // The board center in front of the camera
+    const center = LinAlg.multiplyVector(R, [0.125, 0.075, 0]);
+    const t = [-center[0], -center[1], 0.45 - center[2]];
+    return [...BOARD].map(([id, points]) => ({
+        id,
+        corners: points.map(point => {
+            const p = LinAlg.multiplyVector(R, point).map((value, k) => value + t[k]);
+            const [x, y] = LensDistortion.distortNormalized(p[0] / p[2], p[1] / p[2], DISTORTION);
+            return [CAMERA.fx * x + CAMERA.cx + 0.5, CAMERA.fy * y + CAMERA.cy + 0.5];
+        })
+    }));
+}
+
+test('recovers the intrinsics and distortion from views of a tag grid', () => {
+    const views = VIEWS.map(angles => CameraCalibration.collectView(BOARD, detections(angles)));
+    const result = CameraCalibration.calibrateCamera(views, { width: 640, height: 480 });
+
+    assertClose(['fx', 'fy', 'cx', 'cy'].map(name => result.camera[name]), ['fx', 'fy', 'cx', 'cy'].map(name => CAMERA[name]), 1e-6);
+    assertClose(['k1', 'k2', 'p1', 'p2', 'k3'].map(name => result.distortion[name]), ['k1', 'k2', 'p1', 'p2', 'k3'].map(name => DISTORTION[name]), 1e-6);
+    assert.strictEqual(result.camera.width, 640);
+    assert.ok(result.rms < 1e-6, `rms ${result.rms}`);
+    assert.strictEqual(result.viewErrors.length, VIEWS.length);
+});
+
+test('collects views only with enough board tags', () => {
+    const found = detections(VIEWS[0]);
+    const stray = { id: 500, corners: found[0].corners };
+    const view = CameraCalibration.collectView(BOARD, found.slice(0, 4).concat(stray));
+    assert.strictEqual(view.objectPoints.length, 16);
+    assert.deepStrictEqual(view.objectPoints.slice(0, 4), BOARD.get(found[0].id));
+    assert.deepStrictEqual(view.imagePoints[0], [found[0].corners[0][0] - 0.5, found[0].corners[0][1] - 0.5]);
+    assert.strictEqual(CameraCalibration.collectView(BOARD, found.slice(0, 3).concat(stray)), null);
+
+    const views = VIEWS.slice(0, 2).map(angles => CameraCalibration.collectView(BOARD, detections(angles)));
+    assert.throws(() => CameraCalibration.calibrateCamera(views, { width: 640, height: 480 }), /at least 3 views/);
+});
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+test('stores calibrations per device and resolution', () => {
+    const store = new CalibrationStore(memoryStorage());
+    const calibration = { camera: CAMERA, distortion: DISTORTION, rms: 0.2 };
+    assert.strictEqual(store.has('front'), false);
+    assert.strictEqual(store.load('front', { width: 640, height: 480 }), null);
+
+    store.save('front', calibration);
+    store.save('front', { ...calibration, camera: { ...CAMERA, fx: 1000, width: 1920, height: 1080 } });
+    assert.ok(store.has('front'));
+    assert.strictEqual(store.has('back'), false);
+    assert.deepStrictEqual(Object.keys(store.entries('front')).sort(), ['1920x1080', '640x480']);
+
+    const { savedAt, ...exact } = store.load('front', { width: 640, height: 480 });
+    assert.ok(savedAt);
+    assert.deepStrictEqual(exact, calibration);
+
+    // Scaled from the closest resolution of the same aspect ratio, the
+    // distortion unchanged; none for another aspect ratio
+    const scaled = store.load('front', { width: 1280, height: 960 });
+    assert.deepStrictEqual(scaled.scaledFrom, { width: 640, height: 480 });
+    assert.deepStrictEqual(scaled.camera, PoseEstimator.scaleCamera(CAMERA, 1280, 960));
+    assert.deepStrictEqual(scaled.distortion, DISTORTION);
+    assertClose(scaled.rms, 0.4);
+    assert.strictEqual(store.load('front', { width: 1280, height: 720 }).scaledFrom.width, 1920);
+    assert.strictEqual(store.load('front', { width: 800, height: 800 }), null);
+
+    // A single calibration, as stored before they were kept per resolution
+    const storage = memoryStorage();
+    storage.setItem('apriltag-web.calibration.old', JSON.stringify(calibration));
+    assert.deepStrictEqual(new CalibrationStore(storage).load('old', { width: 640, height: 480 }), calibration);
+
+    store.remove('front');
+    assert.strictEqual(store.has('front'), false);
+    new CalibrationStore(null).save('front', calibration);
+});
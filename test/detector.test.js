@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AprilTagDetector = require('../apriltag.js');
+const TagFamily = require('../src/tag-family.js');
+const SyntheticScene = require('../src/synthetic.js');
+const Transform = require('../src/transform.js');
+const LinAlg = require('../src/linalg.js');
+
+const CAMERA = { fx: 500, fy: 500, cx: 319.5, cy: 239.5 };
+const TAG_SIZE = 0.05;
+
+async function createDetector(parameters) {
+    const detector = new AprilTagDetector();
+    detector.setParameters({ tagSize: TAG_SIZE, decimate: 1, cameraMatrix: { ...CAMERA, width: 640, height: 480 }, ...parameters });
+    await detector.initialize();
+    return detector;
+}
+
+// Three tags of the family, first, middle and last ID, side by side at
+// different attitudes. Families with data outside the measured border are
+// larger, so they are spaced wider and placed further away.
+function renderFamily(family, sceneOptions = {}) {
+    const scene = new SyntheticScene({ camera: CAMERA, noise: 2, blur: 0.5, ...sceneOptions });
+    const extent = family.size / family.widthAtBorder;
+    const last = family.codes.length - 1;
+    const tags = [0, Math.floor(last / 2), last].map((id, k) => ({
+        family,
+        id,
+        size: TAG_SIZE,
+        pose: {
+            translation: [(k - 1) * 1.5 * TAG_SIZE * extent, 0.01 * k, 0.25 * extent],
+            rotationMatrix: LinAlg.rotationFromVector([0.3 * (k - 1), 0.4 - 0.3 * k, 1.2 * k])
+        }
+    }));
+    return scene.render(tags);
+}
+
+TagFamily.names.forEach(name => {
+    test(`detects rendered ${name} tags with their corners and poses`, async () => {
+        const family = await TagFamily.load(name);
+        const detector = await createDetector({ tagFamily: name });
+        const { image, truth } = renderFamily(family);
+        const detections = detector.detect(image);
+
+        assert.deepStrictEqual(detections.map(detection => detection.id).sort((a, b) => a - b), truth.map(tag => tag.id));
+        truth.forEach(tag => {
+            const detection = detections.find(candidate => candidate.id === tag.id);
+            assert.strictEqual(detection.hamming, 0);
+            tag.corners.forEach(([u, v], k) => {
+                const error = Math.hypot(detection.corners[k][0] - u, detection.corners[k][1] - v);
+                assert.ok(error < 0.5, `tag ${tag.id} corner ${k} is ${error.toFixed(3)} px off`);
+            });
+
+            const error = Transform.relative(tag.pose, detection.pose);
+            assert.ok(LinAlg.norm(error.translation) < 0.005, `tag ${tag.id} translation`);
+            assert.ok(Transform.rotationAngle(error.rotationMatrix) < 3 * Math.PI / 180, `tag ${tag.id} rotation`);
+        });
+    });
+});
+
+test('decimation still finds large tags', async () => {
+    const family = await TagFamily.load('tag36h11');
+    const detector = await createDetector({ tagFamily: 'tag36h11', decimate: 2 });
+    const { image, truth } = renderFamily(family);
+    assert.strictEqual(detector.detect(image).length, truth.length);
+});
+
+test('no detections in an empty or noisy frame', async () => {
+    const detector = await createDetector({ tagFamily: 'tag36h11' });
+    const empty = new SyntheticScene({ camera: CAMERA }).render([]).image;
+    assert.deepStrictEqual(detector.detect(empty), []);
+    const noisy = new SyntheticScene({ camera: CAMERA, noise: 40, seed: 7 }).render([]).image;
+    assert.deepStrictEqual(detector.detect(noisy), []);
+});
+
+test('tags of another family are not reported', async () => {
+    const family = await TagFamily.load('tag25h9');
+    const detector = await createDetector({ tagFamily: 'tag36h11' });
+    assert.deepStrictEqual(detector.detect(renderFamily(family).image), []);
+});
+
+test('detect before initialize fails', () => {
+    const detector = new AprilTagDetector();
+    assert.throws(() => detector.detect({ width: 1, height: 1, data: new Uint8ClampedArray(4) }), /not initialized/);
+});
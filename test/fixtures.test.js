@@ -0,0 +1,72 @@
+// Regression images: every JSON file in test/fixtures names an image and
+// the tags expected in it
+//
+//   {
+//     "description": "...",
+//     "image": "desk.jpg",
+//     "rendered": true,                optional, set by tools/render-fixtures.js
+//     "family": "tag36h11",
+//     "decimate": 1,                   optional, detector settings
+//     "intrinsics": { ... },           optional, any format index.js reads
+//     "tolerance": 0.5,                px, largest corner error allowed
+//     "tags": [{ "id": 7, "corners": [[u, v], ...] }]
+//   }
+//
+// Exactly the listed IDs must be detected, each corner within the tolerance.
+// To add a real capture, write its JSON with an empty tags list and run
+//
+//   UPDATE_FIXTURES=1 node --test test/fixtures.test.js
+//
+// which fills in the current detections of every fixture that is not
+// rendered; check them on the image before committing. Rendered fixtures
+// hold the true corners and only change by rerunning
+// tools/render-fixtures.js.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createDetector, loadImage, parseIntrinsics, detectImage } = require('../index.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const UPDATE = !!process.env.UPDATE_FIXTURES;
+
+const fixtures = fs.readdirSync(FIXTURES).filter(name => name.endsWith('.json')).sort();
+
+test('fixtures are present', () => {
+    assert.ok(fixtures.length > 0);
+});
+
+fixtures.forEach(name => {
+    test(`fixture ${name}`, async () => {
+        const file = path.join(FIXTURES, name);
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const detector = await createDetector({
+            tagFamily: fixture.family,
+            tagSize: 0.05,
+            decimate: fixture.decimate || 1,
+            ...(fixture.intrinsics ? parseIntrinsics(fixture.intrinsics) : {})
+        });
+        const { detections } = detectImage(detector, await loadImage(path.join(FIXTURES, fixture.image)));
+
+        if (UPDATE && !fixture.rendered) {
+            const round = (value) => Math.round(value * 1000) / 1000;
+            fixture.tags = detections
+                .map(detection => ({ id: detection.id, corners: detection.corners.map(corner => corner.map(round)) }))
+                .sort((a, b) => a.id - b.id);
+            fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+            return;
+        }
+
+        const ids = (tags) => tags.map(tag => tag.id).sort((a, b) => a - b);
+        assert.deepStrictEqual(ids(detections), ids(fixture.tags), 'detected IDs');
+
+        fixture.tags.forEach(expected => {
+            const detection = detections.find(candidate => candidate.id === expected.id);
+            expected.corners.forEach(([u, v], k) => {
+                const error = Math.hypot(detection.corners[k][0] - u, detection.corners[k][1] - v);
+                assert.ok(error <= fixture.tolerance, `tag ${expected.id} corner ${k} is ${error.toFixed(3)} px off`);
+            });
+        });
+    });
+});
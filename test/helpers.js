@@ -0,0 +1,20 @@
+// Assertions shared by the tests
+
+const assert = require('node:assert');
+
+// Numbers, vectors or matrices equal to within tolerance
+function assertClose(actual, expected, tolerance = 1e-9, message = '') {
+    const a = [actual].flat(2);
+    const e = [expected].flat(2);
+    assert.strictEqual(a.length, e.length, `${message} length`);
+    a.forEach((value, i) => {
+        assert.ok(Math.abs(value - e[i]) <= tolerance, `${message} [${i}]: ${value} != ${e[i]}`);
+    });
+}
+
+function assertSamePose(actual, expected, tolerance = 1e-9) {
+    assertClose(actual.rotationMatrix, expected.rotationMatrix, tolerance, 'rotation');
+    assertClose(actual.translation, expected.translation, tolerance, 'translation');
+}
+
+module.exports = { assertClose, assertSamePose };
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LinAlg = require('../src/linalg.js');
+const Homography = require('../src/homography.js');
+const { assertClose } = require('./helpers.js');
+
+const A = [[4, -2, 1], [3, 6, -4], [2, 1, 8]];
+
+test('solve and invert3', () => {
+    const x = [1, -2, 0.5];
+    assertClose(LinAlg.solve(A, LinAlg.multiplyVector(A, x)), x);
+    assertClose(LinAlg.multiply(A, LinAlg.invert3(A)), LinAlg.identity(3));
+    assert.strictEqual(LinAlg.invert3([[1, 2, 3], [2, 4, 6], [0, 1, 1]]), null, 'singular matrix');
+});
+
+test('cross product and determinant', () => {
+    const a = [1, 2, 3];
+    const b = [-1, 0.5, 2];
+    const c = LinAlg.cross(a, b);
+    assertClose([LinAlg.dot(a, c), LinAlg.dot(b, c)], [0, 0]);
+    assertClose(LinAlg.determinant3([a, b, c]), LinAlg.dot(c, c));
+});
+
+test('rotation vector round trip', () => {
+    [[0, 0, 0], [0.1, -0.2, 0.3], [1, 2, -0.5], [0, 0, 3.1]].forEach(vector => {
+        const R = LinAlg.rotationFromVector(vector);
+        assertClose(LinAlg.multiply(R, LinAlg.transpose(R)), LinAlg.identity(3));
+        assertClose(LinAlg.determinant3(R), 1);
+        assertClose(LinAlg.rotationToVector(R), vector, 1e-9);
+    });
+});
+
+test('nearestRotation projects onto the rotations', () => {
+    const R = LinAlg.rotationFromVector([0.4, -0.1, 0.7]);
+    assertClose(LinAlg.nearestRotation(R), R);
+
+    const noisy = R.map((row, i) => row.map((value, j) => value + 0.01 * Math.sin(3 * i + j)));
+    const projected = LinAlg.nearestRotation(noisy);
+    assertClose(LinAlg.multiply(projected, LinAlg.transpose(projected)), LinAlg.identity(3));
+    assertClose(LinAlg.determinant3(projected), 1);
+    assert.ok(LinAlg.norm(LinAlg.rotationToVector(LinAlg.multiply(LinAlg.transpose(R), projected))) < 0.02);
+});
+
+test('symmetricEigen', () => {
+    const S = [[4, 1, 0.5], [1, 3, -1], [0.5, -1, 2]];
+    const { values, vectors } = LinAlg.symmetricEigen(S);
+    assert.ok(values[0] <= values[1] && values[1] <= values[2], 'ascending');
+    values.forEach((value, k) => {
+        const v = vectors.map(row => row[k]);
+        assertClose(LinAlg.multiplyVector(S, v), v.map(x => x * value));
+        assertClose(LinAlg.norm(v), 1);
+    });
+    assertClose(values.reduce((sum, value) => sum + value, 0), 9, 1e-9, 'trace');
+});
+
+test('homography from four and more correspondences', () => {
+    const H = [[1.2, 0.1, 30], [-0.05, 0.9, 40], [0.001, 0.0005, 1]];
+    const src = [[0, 0], [100, 0], [100, 100], [0, 100], [50, 30], [20, 80]];
+    const dst = src.map(([x, y]) => Homography.project(H, x, y));
+
+    [Homography.compute(src.slice(0, 4), dst.slice(0, 4)), Homography.fit(src, dst)].forEach(fitted => {
+        src.forEach(([x, y], i) => assertClose(Homography.project(fitted, x, y), dst[i], 1e-6));
+    });
+    assert.strictEqual(Homography.fit(src.slice(0, 3), dst.slice(0, 3)), null);
+});
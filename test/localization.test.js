@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AprilTagDetector = require('../apriltag.js');
+const TagFamily = require('../src/tag-family.js');
+const TagMap = require('../src/tag-map.js');
+const Localization = require('../src/localization.js');
+const PoseEstimator = require('../src/pose.js');
+const SyntheticScene = require('../src/synthetic.js');
+const Transform = require('../src/transform.js');
+const LinAlg = require('../src/linalg.js');
+const { assertClose } = require('./helpers.js');
+
+const CAMERA = { fx: 500, fy: 500, cx: 319.5, cy: 239.5 };
+
+// Four 10 cm tags on a wall (the world's x-z plane, facing -y) and the
+// camera 1.5 m in front of it, looking at the wall
+const WALL = Transform.pose(LinAlg.rotationFromVector([-Math.PI / 2, 0, 0]), [0, 0, 0]);
+const TAGS = [[-0.3, 0.2], [0.3, 0.2], [-0.3, -0.2], [0.25, -0.25]].map(([x, z], id) => ({
+    id,
+    size: 0.1,
+    pose: Transform.pose(WALL.rotationMatrix, [x, 0, z])
+}));
+const CAMERA_POSE = Transform.pose(
+    LinAlg.multiply(LinAlg.rotationFromVector([-Math.PI / 2, 0, 0]), LinAlg.rotationFromVector([0.1, -0.15, 0.05])),
+    [0.2, -1.5, 0.1]
+);
+
+// Corners of a tag as the detector reports them, with optional Gaussian
+// noise (px)
+function observe(tag, cameraPose, noise = 0, scene = null) {
+    const tagInCamera = Transform.relative(cameraPose, tag.pose);
+    return PoseEstimator.tagObjectPoints(tag.size).map(point => {
+        const [X, Y, Z] = Transform.applyPose(tagInCamera, point);
+        return [
+            CAMERA.fx * X / Z + CAMERA.cx + 0.5 + noise * (scene ? scene.gaussian() : 0),
+            CAMERA.fy * Y / Z + CAMERA.cy + 0.5 + noise * (scene ? scene.gaussian() : 0)
+        ];
+    });
+}
+
+function observeAll(noise = 0, scene = null) {
+    return TAGS.map(tag => ({ key: String(tag.id), corners: observe(tag, CAMERA_POSE, noise, scene), size: tag.size, pose: tag.pose }));
+}
+
+test('recovers the camera pose from exact corners', () => {
+    const result = Localization.localize(observeAll(), CAMERA);
+    assertClose(result.pose.translation, CAMERA_POSE.translation, 1e-6);
+    assertClose(result.pose.rotationMatrix, CAMERA_POSE.rotationMatrix, 1e-6);
+    assert.ok(result.pose.error < 1e-6);
+    assert.deepStrictEqual(result.inliers, ['0', '1', '2', '3']);
+    assert.deepStrictEqual(result.outliers, []);
+    assert.strictEqual(Localization.localize([], CAMERA), null);
+});
+
+test('rejects tags whose world pose is wrong', () => {
+    const tags = observeAll(0.3, new SyntheticScene({ seed: 3 }));
+    // Tag 1 was moved 10 cm along the wall since the map was made
+    tags[1].corners = observe({ ...TAGS[1], pose: Transform.pose(WALL.rotationMatrix, [0.4, 0, 0.2]) }, CAMERA_POSE);
+
+    const result = Localization.localize(tags, CAMERA);
+    assert.deepStrictEqual(result.inliers, ['0', '2', '3']);
+    assert.deepStrictEqual(result.outliers, ['1']);
+    result.pose.translation.forEach((value, k) => {
+        assert.ok(Math.abs(value - CAMERA_POSE.translation[k]) < 4 * result.positionStd[k], `axis ${k}`);
+    });
+
+    // Without outlier rejection the moved tag pulls the pose away
+    const all = Localization.localize(tags, CAMERA, { threshold: Infinity });
+    assert.deepStrictEqual(all.outliers, []);
+    assert.ok(all.pose.error > 5 * result.pose.error);
+});
+
+test('the covariance matches the spread of poses under corner noise', () => {
+    const scene = new SyntheticScene({ seed: 7 });
+    const noise = 0.5;
+    const positions = [];
+    const predicted = [0, 0, 0];
+    const trials = 200;
+    for (let i = 0; i < trials; i++) {
+        const result = Localization.localize(observeAll(noise, scene), CAMERA);
+        positions.push(result.pose.translation);
+        result.positionStd.forEach((value, k) => { predicted[k] += value / trials; });
+        assert.ok(result.covariance.every((row, j) => row.every((value, k) => Math.abs(value - result.covariance[k][j]) < 1e-12)));
+    }
+
+    [0, 1, 2].forEach(k => {
+        const mean = positions.reduce((sum, position) => sum + position[k], 0) / trials;
+        const spread = Math.sqrt(positions.reduce((sum, position) => sum + (position[k] - mean) ** 2, 0) / (trials - 1));
+        assert.ok(Math.abs(mean - CAMERA_POSE.translation[k]) < 3 * spread / Math.sqrt(trials) + 1e-4, `bias along ${k}`);
+        assert.ok(predicted[k] > 0.8 * spread && predicted[k] < 1.25 * spread, `axis ${k}: predicted ${predicted[k]}, observed ${spread}`);
+    });
+});
+
+test('the detector localizes the camera from a rendered frame and the tag map', async () => {
+    const family = await TagFamily.load('tag36h11');
+    const map = TagMap.parse({
+        tags: TAGS.map(tag => ({
+            id: tag.id,
+            size: tag.size,
+            position: tag.pose.translation,
+            quaternion: Transform.quaternionFromMatrix(tag.pose.rotationMatrix)
+        })).concat([{ id: 9, size: 0.1 }]) // no world pose
+    });
+    const { image } = new SyntheticScene({ camera: CAMERA, noise: 1 }).render(
+        TAGS.concat([{ id: 9, size: 0.1, pose: Transform.pose(WALL.rotationMatrix, [0, 0, 0]) }]).map(tag => ({
+            family, id: tag.id, size: tag.size, pose: Transform.relative(CAMERA_POSE, tag.pose)
+        }))
+    );
+
+    const detector = new AprilTagDetector();
+    detector.setParameters({ tagFamily: 'tag36h11', decimate: 1, cameraMatrix: CAMERA, tagMap: map });
+    await detector.initialize();
+    const detections = detector.detect(image);
+    assert.strictEqual(detections.length, 5);
+
+    const result = detector.estimateCameraPose(detections, map, image.width, image.height);
+    assert.deepStrictEqual(result.inliers.sort(), ['0', '1', '2', '3']);
+    const error = Transform.relative(CAMERA_POSE, result.pose);
+    assert.ok(LinAlg.norm(error.translation) < 0.01, `position off by ${LinAlg.norm(error.translation)} m`);
+    assert.ok(Transform.rotationAngle(error.rotationMatrix) < 0.01);
+    assert.ok(result.positionStd.every(value => value > 0 && value < 0.01));
+
+    assert.strictEqual(detector.estimateCameraPose(detections, null, image.width, image.height), null);
+    assert.strictEqual(detector.estimateCameraPose(detections.filter(d => d.id === 9), map, image.width, image.height), null);
+});
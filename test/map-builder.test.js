@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AprilTagDetector = require('../apriltag.js');
+const TagFamily = require('../src/tag-family.js');
+const TagMap = require('../src/tag-map.js');
+const MapBuilder = require('../src/map-builder.js');
+const SyntheticScene = require('../src/synthetic.js');
+const Transform = require('../src/transform.js');
+const LinAlg = require('../src/linalg.js');
+const { assertSamePose } = require('./helpers.js');
+
+const CAMERA = { fx: 500, fy: 500, cx: 319.5, cy: 239.5 };
+
+// Tags 0-3 on a wall (the world's x-z plane, facing -y), tag 4 tilted out
+// of it and tag 5 somewhere never seen with the others
+const WALL = LinAlg.rotationFromVector([-Math.PI / 2, 0, 0]);
+const TAGS = [
+    Transform.pose(WALL, [0, 0, 0]),
+    Transform.pose(WALL, [0.4, 0, 0.05]),
+    Transform.pose(WALL, [0.8, 0, -0.1]),
+    Transform.pose(LinAlg.multiply(WALL, LinAlg.rotationFromVector([0, 0, 0.3])), [0.5, 0, 0.4]),
+    Transform.pose(LinAlg.multiply(WALL, LinAlg.rotationFromVector([0.4, 0, 0])), [0.2, -0.05, -0.3])
+].map((pose, id) => ({ id, family: 'tag36h11', size: 0.15, pose }));
+const LONE = { id: 5, family: 'tag36h11', size: 0.15, pose: Transform.pose(WALL, [5, 0, 0]) };
+
+// Camera looking at the wall from 1.2 m, turned a little
+function cameraPose(x, z, turn) {
+    return Transform.pose(
+        LinAlg.multiply(WALL, LinAlg.rotationFromVector([0, turn, 0])),
+        [x, -1.2, z]
+    );
+}
+const VIEWS = [
+    { pose: cameraPose(0.1, 0, -0.2), tags: [0, 1, 4] },
+    { pose: cameraPose(0.5, 0.1, 0.1), tags: [1, 2, 3] },
+    { pose: cameraPose(0.3, 0.05, 0), tags: [0, 3, 4] },
+    { pose: cameraPose(0.7, 0, 0.2), tags: [2, 3] }
+];
+
+// Detections of the tags seen from a camera pose, their poses disturbed by
+// Gaussian noise (rad, and m per m of distance)
+function observe(view, noise = 0, scene = null) {
+    const gaussian = () => (scene ? noise * scene.gaussian() : 0);
+    return view.tags.map(id => {
+        const tag = TAGS[id];
+        const pose = Transform.relative(view.pose, tag.pose);
+        const distance = LinAlg.norm(pose.translation);
+        return {
+            id,
+            family: tag.family,
+            size: tag.size,
+            pose: {
+                translation: pose.translation.map(value => value + distance * gaussian()),
+                rotationMatrix: LinAlg.multiply(LinAlg.rotationFromVector([gaussian(), gaussian(), gaussian()]), pose.rotationMatrix),
+                error: 0.1
+            },
+            alternativePose: null
+        };
+    });
+}
+
+function expected(tag, origin = TAGS[0]) {
+    return Transform.relative(origin.pose, tag.pose);
+}
+
+test('recovers the layout exactly from exact poses', () => {
+    const builder = new MapBuilder();
+    VIEWS.forEach(view => builder.add(observe(view)));
+    builder.add([{ ...LONE, pose: Transform.relative(VIEWS[0].pose, LONE.pose) }]);
+    assert.strictEqual(builder.frames, 4);
+    assert.strictEqual(builder.pairs.size, 8);
+
+    const result = builder.optimize('tag36h11:0');
+    assert.deepStrictEqual(result.tags.map(tag => tag.id).sort(), [0, 1, 2, 3, 4]);
+    assert.deepStrictEqual(result.disconnected, ['tag36h11:5']);
+    result.tags.forEach(tag => assertSamePose(tag.pose, expected(TAGS[tag.id]), 1e-9));
+    assert.ok(result.edges.every(edge => edge.position < 1e-9 && edge.rotation < 1e-9));
+
+    // Any seen tag can be the origin
+    const fromTwo = builder.optimize('tag36h11:2');
+    fromTwo.tags.forEach(tag => assertSamePose(tag.pose, expected(TAGS[tag.id], TAGS[2]), 1e-9));
+    assert.throws(() => builder.optimize('tag36h11:9'), /has not been seen/);
+});
+
+test('averages noisy frames into a consistent layout', () => {
+    const scene = new SyntheticScene({ seed: 5 });
+    const builder = new MapBuilder();
+    for (let frame = 0; frame < 40; frame++) {
+        VIEWS.forEach(view => builder.add(observe(view, 0.01, scene)));
+    }
+
+    const result = builder.optimize('tag36h11:0');
+    assert.ok(result.iterations > 0);
+    const errors = result.tags.map(tag => {
+        const error = Transform.relative(expected(TAGS[tag.id]), tag.pose);
+        return [LinAlg.norm(error.translation), Transform.rotationAngle(error.rotationMatrix)];
+    });
+    assert.ok(errors.every(([position, rotation]) => position < 0.01 && rotation < 0.01), JSON.stringify(errors));
+
+    // A single frame is far off by comparison
+    const single = new MapBuilder();
+    VIEWS.forEach(view => single.add(observe(view, 0.01, new SyntheticScene({ seed: 6 }))));
+    const worst = (map) => Math.max(...map.tags.map(tag => LinAlg.norm(Transform.relative(expected(TAGS[tag.id]), tag.pose).translation)));
+    assert.ok(worst(result) < worst(single.optimize('tag36h11:0')));
+});
+
+test('skips poses that may be flipped', () => {
+    const builder = new MapBuilder();
+    const detections = observe(VIEWS[0]);
+    detections[1].alternativePose = { ...detections[1].pose, error: 0.15 };
+    assert.strictEqual(builder.add(detections), 1);
+    assert.deepStrictEqual(builder.tags.map(tag => tag.id).sort(), [0, 4]);
+});
+
+test('exports a tag map that reads back with the same poses', () => {
+    const builder = new MapBuilder();
+    VIEWS.forEach(view => builder.add(observe(view)));
+    const map = MapBuilder.toTagMap(builder.optimize('tag36h11:0'));
+    const parsed = TagMap.parse(TagMap.toJSON(map));
+    assert.deepStrictEqual(parsed.tags.map(tag => [tag.id, tag.family, tag.size]), map.tags.map(tag => [tag.id, tag.family, tag.size]));
+    parsed.tags.forEach((tag, i) => assertSamePose(tag.pose, map.tags[i].pose, 1e-8));
+});
+
+test('a map built from rendered frames localizes the camera', async () => {
+    const family = await TagFamily.load('tag36h11');
+    const detector = new AprilTagDetector();
+    detector.setParameters({ tagFamily: 'tag36h11', tagSize: 0.15, decimate: 1, cameraMatrix: CAMERA });
+    await detector.initialize();
+    // Each view seen three times, the camera turned a little between them
+    const render = (view, seed) => new SyntheticScene({ camera: CAMERA, noise: 1, seed }).render(view.tags.map(id => ({
+        family, id, size: TAGS[id].size, pose: Transform.relative(view.pose, TAGS[id].pose)
+    }))).image;
+
+    const builder = new MapBuilder();
+    VIEWS.forEach((view, i) => [-1, 0, 1].forEach(turn => {
+        const pose = Transform.compose(view.pose, Transform.pose(LinAlg.rotationFromVector([0.15 * turn, 0.2 * turn, 0]), [0, 0, 0]));
+        builder.add(detector.detect(render({ ...view, pose }, 10 * i + turn + 2)));
+    }));
+    const result = builder.optimize('tag36h11:0');
+    assert.strictEqual(result.tags.length, 5);
+    result.tags.forEach(tag => {
+        const error = Transform.relative(expected(TAGS[tag.id]), tag.pose);
+        assert.ok(LinAlg.norm(error.translation) < 0.01, `tag ${tag.id}: ${LinAlg.norm(error.translation)} m`);
+    });
+
+    const view = VIEWS[1];
+    const camera = detector.estimateCameraPose(detector.detect(render(view, 9)), MapBuilder.toTagMap(result), 640, 480);
+    const truth = Transform.relative(TAGS[0].pose, view.pose);
+    assert.ok(LinAlg.norm(Transform.relative(truth, camera.pose).translation) < 0.01);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+const { decodeImage, parseIntrinsics } = require('../index.js');
+const { assertClose } = require('./helpers.js');
+
+const CLI = path.join(__dirname, '..', 'bin', 'apriltag-web.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function gradient(width, height) {
+    const data = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        data.fill(i % 256, 4 * i, 4 * i + 3);
+        data[4 * i + 3] = 255;
+    }
+    return { width, height, data };
+}
+
+test('decodes PNG and JPEG to RGBA', () => {
+    const image = gradient(16, 8);
+    const png = new PNG({ width: 16, height: 8 });
+    png.data = image.data;
+    const decodedPng = decodeImage(PNG.sync.write(png));
+    assert.deepStrictEqual([decodedPng.width, decodedPng.height], [16, 8]);
+    assert.ok(decodedPng.data instanceof Uint8ClampedArray);
+    assert.deepStrictEqual(Buffer.from(decodedPng.data), image.data);
+
+    const decodedJpeg = decodeImage(jpeg.encode(image, 100).data);
+    assert.deepStrictEqual([decodedJpeg.width, decodedJpeg.height, decodedJpeg.data.length], [16, 8, 16 * 8 * 4]);
+
+    assert.throws(() => decodeImage(Buffer.from('GIF89a')), /Not a PNG or JPEG/);
+});
+
+test('reads intrinsics in every supported layout', () => {
+    const expected = { fx: 600, fy: 610, cx: 319.5, cy: 239.5, width: 640, height: 480 };
+    const distortion = { k1: -0.2, k2: 0.05, p1: 0.001, p2: 0, k3: 0 };
+
+    const calibration = parseIntrinsics({ camera: expected, distortion, rms: 0.3 });
+    const flat = parseIntrinsics({ ...expected, distortion });
+    const opencv = parseIntrinsics({
+        camera_matrix: { rows: 3, cols: 3, data: [600, 0, 319.5, 0, 610, 239.5, 0, 0, 1] },
+        distortion_coefficients: [[-0.2, 0.05, 0.001, 0, 0]],
+        image_width: 640,
+        image_height: 480
+    });
+    [calibration, flat, opencv].forEach(intrinsics => {
+        assert.deepStrictEqual(intrinsics.cameraMatrix, expected);
+        assert.strictEqual(intrinsics.distortion.model, 'brown-conrady');
+        assertClose(['k1', 'k2', 'p1', 'p2', 'k3'].map(name => intrinsics.distortion[name]), Object.values(distortion));
+    });
+
+    assert.strictEqual(parseIntrinsics({ fx: 1, fy: 1, cx: 0, cy: 0 }).cameraMatrix.width, undefined);
+    assert.strictEqual(parseIntrinsics({ fx: 1, fy: 1, cx: 0, cy: 0 }).distortion.model, 'none');
+    assert.throws(() => parseIntrinsics({ fx: 500 }), /fx, fy, cx and cy/);
+    assert.throws(() => parseIntrinsics({ camera_matrix: [[1, 0], [0, 1]] }), /3x3/);
+});
+
+test('command line detection writes one record per image', () => {
+    const output = execFileSync(process.execPath, [CLI, 'detect', path.join(FIXTURES, 'tag36h11-noise-blur.png'), '--quiet'], { encoding: 'utf8', timeout: 60000 });
+    const [record] = JSON.parse(output);
+    assert.strictEqual(path.basename(record.source), 'tag36h11-noise-blur.png');
+    assert.deepStrictEqual(record.tags.map(tag => tag.id).sort((a, b) => a - b), [7, 42, 300]);
+    assert.ok(record.tags.every(tag => tag.pose && tag.pose.translation.length === 3));
+});
+
+test('command line CSV output, directories and unreadable files', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'apriltag-web-'));
+    try {
+        fs.copyFileSync(path.join(FIXTURES, 'tagCircle21h7-small.png'), path.join(directory, 'b.png'));
+        fs.writeFileSync(path.join(directory, 'a.jpg'), 'not an image');
+        fs.writeFileSync(path.join(directory, 'notes.txt'), 'skipped');
+        const csv = path.join(directory, 'out.csv');
+
+        const result = spawnSync(process.execPath, [CLI, 'detect', directory, '--family', 'tagCircle21h7', '--output', csv], { encoding: 'utf8', timeout: 60000 });
+        assert.strictEqual(result.status, 1, 'an image could not be read');
+        assert.match(result.stderr, /a\.jpg: Not a PNG or JPEG image/);
+        assert.match(result.stderr, /1 of 2 image\(s\) processed, 2 tag\(s\) found/);
+
+        const rows = fs.readFileSync(csv, 'utf8').trim().split('\n');
+        assert.strictEqual(rows.length, 3);
+        assert.ok(rows.slice(1).every(row => row.endsWith('b.png')));
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('command line rejects bad options', () => {
+    [
+        ['detect'], ['detect', 'x.png', '--family', 'tag99h99'], ['detect', 'x.png', '--format', 'xml'], ['scan', 'x.png'],
+        ['detect', 'x.png', '--max-hamming', 'x'], ['detect', 'x.png', '--max-hamming', '-1'], ['detect', 'x.png', '--decimate', '1.5'],
+        ['detect', 'x.png', '--blur', 'abc'], ['detect', 'x.png', '--blur', '-2']
+    ].forEach(args => {
+        const result = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+        assert.strictEqual(result.status, 1, args.join(' '));
+        assert.ok(result.stderr.length > 0);
+    });
+});
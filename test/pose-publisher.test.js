@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PosePublisher = require('../src/pose-publisher.js');
+const { FrameReader, encodeFrame, summarize } = require('../tools/pose-server.js');
+
+// A frame as a browser sends it: masked, with the shortest length field
+function clientFrame(opcode, payload, fin = true) {
+    const mask = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | 126, 0, 0]);
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = (fin ? 0x80 : 0) | opcode;
+        header[1] = 0x80 | 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, mask, payload.map((byte, i) => byte ^ mask[i % 4])]);
+}
+
+function reader() {
+    const result = { messages: [], closed: [], sent: [] };
+    result.reader = new FrameReader(
+        message => result.messages.push(message),
+        code => result.closed.push(code),
+        bytes => result.sent.push(bytes)
+    );
+    return result;
+}
+
+// Lengths on both sides of the 7-bit, 16-bit and 64-bit length fields
+const LENGTHS = [0, 125, 126, 65535, 65536];
+
+test('server frames use the shortest length field', () => {
+    LENGTHS.forEach(length => {
+        const frame = encodeFrame(0x1, Buffer.alloc(length, 'a'));
+        const header = length < 126 ? 2 : length < 65536 ? 4 : 10;
+        assert.strictEqual(frame.length, header + length, `length ${length}`);
+        assert.strictEqual(frame[0], 0x81);
+        assert.strictEqual(frame[1], length < 126 ? length : length < 65536 ? 126 : 127);
+        if (header === 4) assert.strictEqual(frame.readUInt16BE(2), length);
+        if (header === 10) assert.strictEqual(Number(frame.readBigUInt64BE(2)), length);
+    });
+});
+
+test('reads masked client frames of every length, in any chunks', () => {
+    LENGTHS.forEach(length => {
+        const text = 'x'.repeat(length);
+        const frame = clientFrame(0x1, Buffer.from(text));
+
+        const whole = reader();
+        whole.reader.push(frame);
+        assert.deepStrictEqual(whole.messages, [text], `length ${length}`);
+
+        // Split inside the header, the mask and the payload
+        const split = reader();
+        [1, 3, 9, 15].filter(at => at < frame.length).concat(frame.length).reduce((start, end) => {
+            split.reader.push(frame.subarray(start, end));
+            return end;
+        }, 0);
+        assert.deepStrictEqual(split.messages, [text], `length ${length}, split`);
+    });
+});
+
+test('joins fragments and answers control frames', () => {
+    const { reader: frames, messages, closed, sent } = reader();
+    frames.push(Buffer.concat([
+        clientFrame(0x1, Buffer.from('{"seq":'), false),
+        clientFrame(0x9, Buffer.from('ping')), // control frames may come between fragments
+        clientFrame(0x0, Buffer.from('1}'))
+    ]));
+    assert.deepStrictEqual(messages, ['{"seq":1}']);
+    assert.deepStrictEqual(sent, [encodeFrame(0xA, Buffer.from('ping'))]);
+
+    frames.push(clientFrame(0x8, Buffer.from([0x03, 0xE8])));
+    assert.deepStrictEqual(closed, [1000]);
+    assert.deepStrictEqual(sent[1], encodeFrame(0x8, Buffer.from([0x03, 0xE8])));
+    frames.push(clientFrame(0x8, Buffer.alloc(0)));
+    assert.deepStrictEqual(closed, [1000, 1005]);
+
+    assert.throws(() => reader().reader.push(encodeFrame(0x1, Buffer.from('unmasked'))), /must be masked/);
+});
+
+test('summarizes a frame in one line', () => {
+    const pose = { translation: [0.1, 0.2, 0.5] };
+    assert.strictEqual(summarize({ seq: 3, time: 1.5, tags: [] }), '#3 t=1.500 no tags');
+    assert.strictEqual(
+        summarize({ seq: 4, time: 2, reference: 0, tags: [{ id: 0, pose }, { id: 7, pose, relative: { translation: [0.3, 0, 0] } }] }),
+        '#4 t=2.000 ref 0: tag 0 (0.100, 0.200, 0.500) m from camera; tag 7 (0.300, 0.000, 0.000) m from ref'
+    );
+});
+
+// WebSocket stand-in that the test opens, closes and backs up by hand
+class FakeSocket {
+    constructor(url) {
+        this.url = url;
+        this.bufferedAmount = 0;
+        this.messages = [];
+        FakeSocket.created.push(this);
+    }
+
+    send(text) {
+        this.messages.push(JSON.parse(text));
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+FakeSocket.created = [];
+
+test('drops frames while disconnected or backed up', () => {
+    FakeSocket.created = [];
+    const publisher = new PosePublisher({ maxBufferedAmount: 100 }, FakeSocket);
+    publisher.connect('ws://localhost:8765');
+    const [socket] = FakeSocket.created;
+    assert.strictEqual(publisher.state, 'connecting');
+
+    assert.strictEqual(publisher.publish({ tags: [] }), false);
+    socket.onopen();
+    assert.strictEqual(publisher.publish({ tags: [] }), true);
+    socket.bufferedAmount = 101;
+    assert.strictEqual(publisher.publish({ tags: [] }), false);
+    socket.bufferedAmount = 100;
+    assert.strictEqual(publisher.publish({ tags: [] }), true);
+
+    // Dropped frames leave gaps in the sequence numbers
+    assert.deepStrictEqual(socket.messages.map(message => message.seq), [1, 3]);
+    assert.strictEqual(socket.messages[0].type, 'frame');
+    assert.strictEqual(publisher.sent, 2);
+    assert.strictEqual(publisher.dropped, 2);
+
+    publisher.disconnect();
+    assert.ok(socket.closed);
+    assert.strictEqual(publisher.state, 'disconnected');
+    assert.throws(() => publisher.connect('http://localhost:8765'), /ws:\/\/ or wss:\/\//);
+});
+
+test('reconnects with exponential backoff until connected', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    FakeSocket.created = [];
+    const publisher = new PosePublisher({ reconnectDelay: 500, maxReconnectDelay: 2000 }, FakeSocket);
+    const states = [];
+    publisher.onstatechange = (state, detail) => states.push([state, detail]);
+    publisher.connect('ws://localhost:8765');
+
+    // Each failure waits twice as long as the last, up to the maximum
+    [500, 1000, 2000, 2000].forEach((delay, i) => {
+        FakeSocket.created[i].onclose({ code: 1006, reason: '' });
+        assert.strictEqual(publisher.state, 'reconnecting');
+        assert.deepStrictEqual(states[states.length - 1], ['reconnecting', `connection closed (1006); retrying in ${(delay / 1000).toFixed(1)} s`]);
+        t.mock.timers.tick(delay - 1);
+        assert.strictEqual(FakeSocket.created.length, i + 1, `retry ${i + 1} too early`);
+        t.mock.timers.tick(1);
+        assert.strictEqual(FakeSocket.created.length, i + 2, `retry ${i + 1}`);
+    });
+
+    // A connection resets the delay; an error and the close after it count
+    // as one failure
+    FakeSocket.created[4].onopen();
+    assert.strictEqual(publisher.state, 'connected');
+    FakeSocket.created[4].onerror();
+    FakeSocket.created[4].onclose({ code: 1006, reason: '' });
+    assert.deepStrictEqual(states[states.length - 1], ['reconnecting', 'connection failed; retrying in 0.5 s']);
+    t.mock.timers.tick(500);
+    assert.strictEqual(FakeSocket.created.length, 6);
+
+    // No retry after disconnect()
+    publisher.disconnect();
+    t.mock.timers.tick(10000);
+    assert.strictEqual(FakeSocket.created.length, 6);
+});
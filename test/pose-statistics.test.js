@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PoseStatistics = require('../src/pose-statistics.js');
+const SyntheticScene = require('../src/synthetic.js');
+const Transform = require('../src/transform.js');
+const LinAlg = require('../src/linalg.js');
+const { assertClose } = require('./helpers.js');
+
+// A pose turned almost half a turn about z, where Euler angles wrap
+const TRUE_POSE = Transform.pose(Transform.matrixFromEuler([0.1, -0.2, Math.PI - 0.01]), [0.3, -0.05, 0.02]);
+
+// Samples of TRUE_POSE with Gaussian noise on the translation (m) and the
+// rotation (rad, about random axes)
+function samples(count, noise, seed = 1) {
+    const scene = new SyntheticScene({ seed });
+    return Array.from({ length: count }, () => ({
+        translation: TRUE_POSE.translation.map(value => value + noise * scene.gaussian()),
+        rotationMatrix: LinAlg.multiply(TRUE_POSE.rotationMatrix,
+            LinAlg.rotationFromVector([0, 1, 2].map(() => noise * scene.gaussian())))
+    }));
+}
+
+test('the mean rotation minimizes the angles to the samples', () => {
+    const center = TRUE_POSE.rotationMatrix;
+    const offsets = [[0.3, 0, 0], [-0.3, 0, 0], [0, 0.2, 0.1], [0, -0.2, -0.1]];
+    const rotations = offsets.map(offset => LinAlg.multiply(center, LinAlg.rotationFromVector(offset)));
+    assertClose(PoseStatistics.meanRotation(rotations), center, 1e-9);
+
+    // Euler angles averaged one by one would land near zero yaw instead
+    const yaw = [Math.PI - 0.05, -Math.PI + 0.05].map(angle => Transform.matrixFromEuler([0, 0, angle]));
+    assertClose(Transform.rotationAngle(LinAlg.multiply(LinAlg.transpose(PoseStatistics.meanRotation(yaw)), Transform.matrixFromEuler([0, 0, Math.PI]))), 0, 1e-9);
+});
+
+test('summarizes the mean, spread and range of noisy samples', () => {
+    const poses = samples(400, 0.002);
+    const summary = PoseStatistics.summarize(poses);
+    assert.strictEqual(summary.count, 400);
+    assertClose(summary.mean.translation, TRUE_POSE.translation, 0.0005);
+    assertClose(summary.mean.distance, LinAlg.norm(TRUE_POSE.translation), 0.0005);
+    assert.ok(Transform.rotationAngle(LinAlg.multiply(LinAlg.transpose(summary.mean.rotationMatrix), TRUE_POSE.rotationMatrix)) < 0.0005);
+
+    summary.std.translation.forEach(std => assert.ok(Math.abs(std - 0.002) < 0.0003, `std ${std}`));
+    // Three components of 0.002 rad each
+    assert.ok(Math.abs(summary.std.angle - 0.002 * Math.sqrt(3)) < 0.0003, `angle ${summary.std.angle}`);
+    // Yaw near 180 degrees is unwrapped around the mean, not split
+    assert.ok(summary.std.rotation[2] < 0.01);
+    assert.ok(summary.max.rotation[2] - summary.min.rotation[2] < 0.05);
+    assert.ok(summary.min.distance <= summary.mean.distance && summary.mean.distance <= summary.max.distance);
+    // Only the tail of the noise is rejected
+    assert.ok(summary.robust.outliers.length < 0.05 * summary.count);
+    assert.strictEqual(PoseStatistics.summarize([]), null);
+});
+
+test('the outlier-rejected estimate ignores wild samples', () => {
+    const poses = samples(100, 0.001, 2);
+    // A few frames with a flipped pose or a misplaced corner
+    poses[10] = { ...poses[10], rotationMatrix: LinAlg.multiply(poses[10].rotationMatrix, LinAlg.rotationFromVector([0.6, 0, 0])) };
+    poses[40] = { ...poses[40], translation: poses[40].translation.map(value => value + 0.05) };
+    poses[70] = { ...poses[70], translation: poses[70].translation.map(value => value - 0.08) };
+
+    const summary = PoseStatistics.summarize(poses);
+    assert.deepStrictEqual(summary.robust.outliers, [10, 40, 70]);
+    assert.strictEqual(summary.robust.count, 97);
+    assertClose(summary.robust.translation, TRUE_POSE.translation, 0.0005);
+    assert.ok(LinAlg.norm(summary.mean.translation.map((value, k) => value - TRUE_POSE.translation[k])) > 0.0005);
+    assert.ok(Transform.rotationAngle(LinAlg.multiply(LinAlg.transpose(summary.robust.rotationMatrix), TRUE_POSE.rotationMatrix)) < 0.0005);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PoseEstimator = require('../src/pose.js');
+const CalibrationStore = require('../src/calibration-store.js');
+const LensDistortion = require('../src/distortion.js');
+const Transform = require('../src/transform.js');
+const LinAlg = require('../src/linalg.js');
+const { assertClose, assertSamePose } = require('./helpers.js');
+
+const CAMERA = { fx: 600, fy: 610, cx: 319.5, cy: 239.5 };
+const TAG_SIZE = 0.05;
+
+// Corners of a tag at pose in the detector's convention (pixel centers at
+// integer + 0.5), canonical order
+function tagCorners(pose, size = TAG_SIZE, distortion = null) {
+    return PoseEstimator.tagObjectPoints(size).map(point => {
+        const [u, v] = LensDistortion.projectPoint(Transform.applyPose(pose, point), CAMERA, distortion);
+        return [u + 0.5, v + 0.5];
+    });
+}
+
+const POSES = [
+    Transform.pose(LinAlg.identity(3), [0, 0, 0.4]),
+    Transform.pose(LinAlg.rotationFromVector([0.5, -0.3, 0.2]), [0.05, -0.03, 0.6]),
+    Transform.pose(LinAlg.rotationFromVector([-0.9, 0.2, 2.5]), [-0.1, 0.08, 1.2])
+];
+
+test('tag pose from exact corners', () => {
+    POSES.forEach(pose => {
+        const result = PoseEstimator.estimateTagPose(tagCorners(pose), TAG_SIZE, CAMERA);
+        assertSamePose(result.pose, pose, 1e-6);
+        assert.ok(result.pose.error < 1e-6, 'reprojection error');
+    });
+});
+
+test('alternative pose of a tilted tag is the mirrored solution', () => {
+    const pose = POSES[1];
+    const { alternativePose } = PoseEstimator.estimateTagPose(tagCorners(pose), TAG_SIZE, CAMERA);
+    assert.ok(alternativePose, 'second solution found');
+    assert.ok(alternativePose.error >= 0);
+    assert.ok(Transform.rotationAngle(Transform.relative(pose, alternativePose).rotationMatrix) > 0.1, 'distinct from the true pose');
+});
+
+test('pose from noisy corners stays close', () => {
+    const pose = POSES[1];
+    const noisy = tagCorners(pose).map(([u, v], k) => [u + 0.2 * Math.cos(k * 2.1), v + 0.2 * Math.sin(k * 1.7)]);
+    const { pose: estimate } = PoseEstimator.estimateTagPose(noisy, TAG_SIZE, CAMERA);
+    assert.ok(LinAlg.norm(Transform.relative(pose, estimate).translation) < 0.01);
+    assert.ok(estimate.error > 0 && estimate.error < 0.5);
+});
+
+test('bundle pose from tags at known offsets', () => {
+    const bundle = POSES[1];
+    const layout = [
+        { id: 0, size: 0.05, R: LinAlg.identity(3), t: [-0.04, 0, 0] },
+        { id: 1, size: 0.03, R: LinAlg.rotationFromVector([0, 0.4, 0]), t: [0.04, 0.01, -0.005] }
+    ];
+    const tags = layout.map(tag => ({
+        ...tag,
+        corners: tagCorners(Transform.compose(bundle, Transform.pose(tag.R, tag.t)), tag.size)
+    }));
+    assertSamePose(PoseEstimator.estimateBundlePose(tags, CAMERA), bundle, 1e-6);
+});
+
+test('distortion round trip', () => {
+    const models = [
+        { model: 'brown-conrady', k1: -0.3, k2: 0.1, p1: 0.001, p2: -0.002, k3: -0.01 },
+        { model: 'fisheye', k1: 0.05, k2: -0.01, k3: 0.002, k4: 0 }
+    ].map(LensDistortion.normalize);
+    models.forEach(distortion => {
+        [[0, 0], [0.2, -0.1], [-0.5, 0.4]].forEach(([x, y]) => {
+            const [xd, yd] = LensDistortion.distortNormalized(x, y, distortion);
+            assertClose(LensDistortion.undistortNormalized(xd, yd, distortion), [x, y], 1e-9, distortion.model);
+        });
+        const [u, v] = LensDistortion.distortPixel(100, 400, CAMERA, distortion);
+        assertClose(LensDistortion.undistortPixel(u, v, CAMERA, distortion), [100, 400], 1e-6);
+    });
+    assert.ok(LensDistortion.isIdentity(LensDistortion.normalize(null)));
+    assert.throws(() => LensDistortion.normalize({ model: 'division' }));
+});
+
+test('pose through a distorting lens once corners are undistorted', () => {
+    const distortion = LensDistortion.normalize({ k1: -0.25, k2: 0.06 });
+    const pose = POSES[1];
+    const undistorted = tagCorners(pose, TAG_SIZE, distortion).map(([u, v]) => {
+        const [x, y] = LensDistortion.undistortPixel(u - 0.5, v - 0.5, CAMERA, distortion);
+        return [x + 0.5, y + 0.5];
+    });
+    assertSamePose(PoseEstimator.estimateTagPose(undistorted, TAG_SIZE, CAMERA).pose, pose, 1e-6);
+});
+
+test('intrinsics scaled to another resolution see points at the same place in the image', () => {
+    const camera = { ...CAMERA, width: 640, height: 480 };
+    const scaled = PoseEstimator.scaleCamera(camera, 1280, 960);
+    assert.deepStrictEqual([scaled.width, scaled.height], [1280, 960]);
+    // The image center stays the image center
+    assertClose([scaled.cx, scaled.cy], [639.5, 479.5], 1e-9);
+
+    // A point at pixel u (OpenCV convention) covers pixels 2u + 0.5 at twice
+    // the resolution
+    const point = [0.03, -0.02, 0.5];
+    const low = PoseEstimator.project(point, camera, LinAlg.identity(3), [0, 0, 0]);
+    const high = PoseEstimator.project(point, scaled, LinAlg.identity(3), [0, 0, 0]);
+    assertClose(high, low.map(u => (u + 0.5) * 2 - 0.5), 1e-9);
+
+    // Stored calibrations scale the same way
+    const stored = CalibrationStore.scale({ camera, distortion: null, rms: 0.2 }, { width: 1280, height: 960 });
+    assertClose([stored.camera.fx, stored.camera.cx, stored.camera.cy], [scaled.fx, scaled.cx, scaled.cy], 1e-9);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PoseRecorder = require('../src/recorder.js');
+const TagBundle = require('../src/bundle.js');
+const Transform = require('../src/transform.js');
+const LinAlg = require('../src/linalg.js');
+const { assertClose, assertSamePose } = require('./helpers.js');
+
+function detection(id, rotationVector, translation) {
+    return {
+        id,
+        family: 'tag36h11',
+        hamming: 0,
+        decision_margin: 80,
+        corners: [[1, 2], [3, 2], [3, 0], [1, 0]],
+        center: [2, 1],
+        pose: { ...Transform.pose(LinAlg.rotationFromVector(rotationVector), translation), error: 0.1 }
+    };
+}
+
+function recording() {
+    const recorder = new PoseRecorder();
+    recorder.start();
+    [0, 1, 2].forEach(frame => {
+        recorder.add(PoseRecorder.record({
+            time: 10 + frame / 30,
+            frame,
+            source: 'clip, take "2".mp4',
+            parameters: { tagFamily: 'tag36h11', tagSize: 0.05, cameraMatrix: { fx: 500, fy: 500, cx: 320, cy: 240 } },
+            detections: [detection(3, [0, 0.1 * frame, 0], [0, 0, 1 + frame]), detection(5, [0.2, 0, 0], [0.1, 0, 1])],
+            reference: '3'
+        }));
+    });
+    return recorder;
+}
+
+test('records carry poses relative to the reference', () => {
+    const record = recording().records[1];
+    const [reference, other] = record.tags;
+    assert.strictEqual(record.reference, '3');
+    assert.strictEqual(reference.relative, null);
+    assertSamePose(other.relative, Transform.relative(reference.pose, other.pose));
+    assert.strictEqual(record.seq, 1);
+    assert.strictEqual(record.source, 'clip, take "2".mp4');
+});
+
+test('nothing is added unless recording', () => {
+    const recorder = new PoseRecorder();
+    recorder.add(PoseRecorder.record({ time: 0 }));
+    assert.strictEqual(recorder.count, 0);
+});
+
+test('CSV has one row per tag per frame with every column', () => {
+    const lines = recording().toCSV().trim().split('\n');
+    assert.strictEqual(lines[0], PoseRecorder.CSV_COLUMNS.join(','));
+    assert.strictEqual(lines.length, 1 + 3 * 2);
+
+    // The quoted source holds a comma and quotes
+    const row = lines[1];
+    assert.ok(row.endsWith(',"clip, take ""2"".mp4"'));
+    assert.strictEqual(row.slice(0, row.lastIndexOf(',"clip')).split(',').length, PoseRecorder.CSV_COLUMNS.length - 1);
+});
+
+test('JSON Lines round trip', () => {
+    const recorder = recording();
+    const lines = recorder.toJSONLines().trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines, JSON.parse(JSON.stringify(recorder.records)));
+});
+
+test('TUM and KITTI trajectories', () => {
+    const recorder = recording();
+    assert.deepStrictEqual(recorder.objectKeys(), ['3', '5']);
+
+    const tum = recorder.toTUM('3', { cameraInObject: false }).trim().split('\n').map(line => line.split(' ').map(Number));
+    assert.strictEqual(tum.length, 3);
+    assertClose(tum[2].slice(0, 4), [10 + 2 / 30, 0, 0, 3]);
+    const [qw, qx, qy, qz] = Transform.quaternionFromMatrix(LinAlg.rotationFromVector([0, 0.2, 0]));
+    assertClose(tum[2].slice(4), [qx, qy, qz, qw]);
+
+    // The camera in the tag frame is the inverse pose
+    const kitti = recorder.toKITTI('3').trim().split('\n').map(line => line.split(' ').map(Number));
+    const expected = Transform.toMatrix(Transform.invert(recorder.records[2].tags[0].pose)).slice(0, 3).flat();
+    assertClose(kitti[2], expected);
+});
+
+test('bundle layouts are validated', () => {
+    const [bundle] = TagBundle.parse('{"bundles":[{"name":"cube","tags":[{"id":0},{"id":1,"size":0.03,"position":[0.1,0,0],"quaternion":[0,0,0,1]}]}]}');
+    assert.strictEqual(bundle.name, 'cube');
+    assertClose(bundle.tags[0].R, LinAlg.identity(3));
+    assertClose(bundle.tags[1].R, [[-1, 0, 0], [0, -1, 0], [0, 0, 1]]);
+    assertClose(bundle.tags[1].t, [0.1, 0, 0]);
+
+    assert.throws(() => TagBundle.parse({ name: 'empty', tags: [] }), /no tags/);
+    assert.throws(() => TagBundle.parse([{ tags: [{ id: 1 }] }, { tags: [{ id: 1 }] }]), /already belongs/);
+    assert.throws(() => TagBundle.parse({ tags: [{ id: 1, position: [0, 0] }] }), /invalid position/);
+    assert.throws(() => TagBundle.parse({ tags: [{ id: -1 }] }), /invalid tag id/);
+});
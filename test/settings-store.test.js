@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SettingsStore = require('../src/settings-store.js');
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+const BENCH = {
+    controls: { tagFamily: 'tagStandard41h12', tagSize: '0.1', refineEdges: false },
+    camera: { fx: 1000, fy: 1001, cx: 640, cy: 360, width: 1280, height: 720 },
+    distortion: { model: 'brown-conrady', k1: -0.1, k2: 0.02, k3: 0, p1: 0, p2: 0 },
+    tagMap: { tags: [{ id: 0, size: 0.2 }] },
+    bundles: null
+};
+
+test('saves, lists, switches and removes profiles', () => {
+    const store = new SettingsStore(memoryStorage());
+    assert.strictEqual(store.current, 'Default');
+    assert.deepStrictEqual(store.names(), []);
+
+    store.save('bench rig', BENCH);
+    store.save('phone outdoor', { controls: { tagSize: '0.2' } });
+    store.current = 'phone outdoor';
+    assert.deepStrictEqual(store.names(), ['bench rig', 'phone outdoor']);
+
+    const { savedAt, ...bench } = store.load('bench rig');
+    assert.ok(savedAt);
+    assert.deepStrictEqual(bench, BENCH);
+    assert.deepStrictEqual(store.load('phone outdoor').tagMap, null);
+    assert.strictEqual(store.load('missing'), null);
+
+    store.remove('phone outdoor');
+    assert.deepStrictEqual(store.names(), ['bench rig']);
+    assert.strictEqual(store.current, 'Default');
+
+    // Without storage (private browsing, Node) nothing is kept
+    const none = new SettingsStore(null);
+    none.save('bench rig', BENCH);
+    assert.strictEqual(none.load('bench rig'), null);
+});
+
+test('exports a profile as JSON that imports back', () => {
+    const { name, profile } = SettingsStore.parse(SettingsStore.toJSON('bench rig', BENCH));
+    assert.strictEqual(name, 'bench rig');
+    assert.deepStrictEqual(profile, BENCH);
+
+    assert.strictEqual(SettingsStore.parse({ controls: {} }).name, 'Default');
+    assert.throws(() => SettingsStore.parse('[1, 2]'), /must be an object/);
+    assert.throws(() => SettingsStore.parse({ controls: ['tagSize'] }), /controls must be an object/);
+    assert.throws(() => SettingsStore.parse({ controls: { tagSize: [0.1] } }), /invalid value for tagSize/);
+    assert.throws(() => SettingsStore.parse({ camera: { fx: 1000 } }), /camera needs/);
+});
+
+test('carries a profile name and controls in URL query parameters', () => {
+    const ids = ['tagFamily', 'tagSize', 'refineEdges', 'decimate'];
+    const query = SettingsStore.toQuery('bench rig', BENCH.controls);
+    assert.strictEqual(query, 'profile=bench+rig&tagFamily=tagStandard41h12&tagSize=0.1&refineEdges=0');
+    assert.deepStrictEqual(SettingsStore.fromQuery(`?${query}`, ids), {
+        name: 'bench rig',
+        controls: { tagFamily: 'tagStandard41h12', tagSize: '0.1', refineEdges: '0' }
+    });
+    assert.deepStrictEqual(SettingsStore.fromQuery('?decimate=2&utm_source=x', ids), { name: null, controls: { decimate: '2' } });
+
+    // Parameters that are not controls, or only a name, are no settings
+    assert.strictEqual(SettingsStore.fromQuery('?utm_source=x&profile=bench', ids), null);
+    assert.strictEqual(SettingsStore.fromQuery('', ids), null);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TagFamily = require('../src/tag-family.js');
+
+const INTENSITY = { w: 230, b: 20, x: 128 };
+
+// Cell intensities of a tag turned clockwise by rotation quarter turns, as
+// the detector samples them
+function samples(family, id, rotation = 0) {
+    const cells = family.render(id);
+    const values = new Array(family.size * family.size);
+    for (let y = 0; y < family.size; y++) {
+        for (let x = 0; x < family.size; x++) {
+            const [rx, ry] = family.rotateCell(x, y, rotation);
+            values[ry * family.size + rx] = INTENSITY[cells[y][x]];
+        }
+    }
+    return values;
+}
+
+// A spread of IDs including the first and the last
+function someIds(family, count = 12) {
+    const last = family.codes.length - 1;
+    return [...new Set(Array.from({ length: count }, (_, i) => Math.round(i * last / (count - 1))))];
+}
+
+TagFamily.names.forEach(name => {
+    test(`${name} decodes its tags in every rotation`, async () => {
+        const family = await TagFamily.load(name);
+        assert.strictEqual(family.name, name);
+        assert.ok(family.codes.length > 0);
+
+        someIds(family).forEach(id => {
+            for (let rotation = 0; rotation < 4; rotation++) {
+                const result = family.decode(samples(family, id, rotation));
+                assert.ok(result, `${name} ${id} rotation ${rotation} decoded`);
+                assert.strictEqual(result.id, id);
+                assert.strictEqual(result.hamming, 0);
+                assert.ok(result.decisionMargin > 0);
+            }
+        });
+    });
+
+    test(`${name} corrects bit errors up to its limit`, async () => {
+        const family = await TagFamily.load(name);
+        const correctable = Math.min(2, Math.floor((family.minHamming - 1) / 2));
+        const id = someIds(family)[3];
+
+        for (let errors = 1; errors <= correctable; errors++) {
+            const values = samples(family, id);
+            family.bitCells.slice(0, errors).forEach(([x, y]) => {
+                const i = y * family.size + x;
+                values[i] = values[i] === INTENSITY.w ? INTENSITY.b : INTENSITY.w;
+            });
+            const result = family.decode(values);
+            assert.ok(result, `${errors} flipped bit(s) decoded`);
+            assert.strictEqual(result.id, id);
+            assert.strictEqual(result.hamming, errors);
+            assert.strictEqual(family.decode(values, 0), null, 'rejected without error correction');
+        }
+    });
+});
+
+test('a flat patch is not a tag', async () => {
+    const family = await TagFamily.load('tag36h11');
+    assert.strictEqual(family.decode(new Array(family.size * family.size).fill(128)), null);
+});
+
+test('unknown families and IDs are rejected', async () => {
+    await assert.rejects(TagFamily.load('tag99h99'), /Unknown tag family/);
+    const family = await TagFamily.load('tag16h5');
+    assert.throws(() => family.render(family.codes.length), /no tag with ID/);
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AprilTagDetector = require('../apriltag.js');
+const TagFamily = require('../src/tag-family.js');
+const TagMap = require('../src/tag-map.js');
+const TagBundle = require('../src/bundle.js');
+const PoseRecorder = require('../src/recorder.js');
+const SyntheticScene = require('../src/synthetic.js');
+const Transform = require('../src/transform.js');
+const LinAlg = require('../src/linalg.js');
+const { assertClose } = require('./helpers.js');
+
+const CAMERA = { fx: 500, fy: 500, cx: 319.5, cy: 239.5 };
+
+const YAML = `
+# Two sizes and two families
+family: tag36h11
+size: 0.05
+tags:
+  - id: 0
+  - id: 1
+    size: 0.16          # the big one
+    name: "dock #1"
+  - id: 2
+    family: tagStandard41h12
+    size: 0.1
+    position: [1.2, 0, -0.5]
+    quaternion: [0.7071068, 0, 0, 0.7071068]
+`;
+
+test('reads YAML with defaults, comments and world poses', () => {
+    const map = TagMap.parse(YAML);
+    assert.deepStrictEqual(map.tags.map(tag => [tag.id, tag.family, tag.size, tag.name]), [
+        [0, 'tag36h11', 0.05, null],
+        [1, 'tag36h11', 0.16, 'dock #1'],
+        [2, 'tagStandard41h12', 0.1, null]
+    ]);
+    assert.strictEqual(map.tags[0].pose, null);
+    assertClose(map.tags[2].pose.translation, [1.2, 0, -0.5]);
+    assertClose(map.tags[2].pose.rotationMatrix, [[0, -1, 0], [1, 0, 0], [0, 0, 1]], 1e-6);
+});
+
+test('reads JSON and the standalone tags of apriltag_ros', () => {
+    const json = TagMap.parse('{"tags": [{"id": 4}, {"id": 4, "family": "tag25h9", "size": 0.03}]}');
+    assert.deepStrictEqual(json.tags.map(tag => [tag.id, tag.family, tag.size]), [[4, null, null], [4, 'tag25h9', 0.03]]);
+
+    const ros = TagMap.parse(`standalone_tags:
+  [
+    {id: 10, size: 0.15, name: 'tag_10'},
+    {id: 11, size: 0.15},
+  ]
+tag_bundles: []
+`);
+    assert.deepStrictEqual(ros.tags.map(tag => [tag.id, tag.size, tag.name]), [[10, 0.15, 'tag_10'], [11, 0.15, null]]);
+});
+
+test('exports JSON and YAML that read back the same', () => {
+    const map = TagMap.parse(YAML);
+    assert.deepStrictEqual(TagMap.parse(TagMap.toYAML(map)), map);
+    assert.deepStrictEqual(TagMap.parse(TagMap.toJSON(map)), map);
+    assert.match(TagMap.toYAML(map), /^tags:\n {2}- id: 0\n/);
+});
+
+test('invalid maps are rejected with the reason', () => {
+    assert.throws(() => TagMap.parse('tags: []'), /no tags/);
+    assert.throws(() => TagMap.parse('tags:\n  - id: 1.5'), /invalid tag id/);
+    assert.throws(() => TagMap.parse('tags:\n  - {id: 1}\n  - {id: 1}'), /listed twice/);
+    assert.throws(() => TagMap.parse('tags:\n  - id: 1\n    size: large'), /invalid size/);
+    assert.throws(() => TagMap.parse('tags:\n  - id: 1\n    position: [1, 2]'), /invalid position/);
+    assert.throws(() => TagMap.parse('tags:\n  - id: 1\n     size: 1'), /line 3: unexpected indentation/);
+    assert.throws(() => TagMap.parse('tags: [{id: 1'), /line 1/);
+});
+
+test('tags are looked up by family, defaulting to the selected one', () => {
+    const map = TagMap.parse({ tags: [{ id: 3 }, { id: 3, family: 'tag16h5', size: 0.2 }] });
+    assert.strictEqual(TagMap.find(map, 'tag36h11', 3, 'tag36h11'), map.tags[0]);
+    assert.strictEqual(TagMap.find(map, 'tag16h5', 3, 'tag36h11'), map.tags[1]);
+    assert.strictEqual(TagMap.find(map, 'tag25h9', 3, 'tag36h11'), null);
+    assert.deepStrictEqual(TagMap.families(map), ['tag16h5']);
+    assert.strictEqual(TagMap.key({ id: 3, family: 'tag36h11' }, 'tag36h11'), '3');
+    assert.strictEqual(TagMap.key({ id: 3, family: 'tag16h5' }, 'tag36h11'), 'tag16h5:3');
+});
+
+// Tags 0 (50 mm) and 1 (160 mm) of tag36h11 and tag 2 of tagStandard41h12
+// (100 mm), all about 70 px across, and tag 5 of tag36h11, not in the map
+async function renderMixedScene() {
+    const [tag36h11, standard] = await Promise.all([TagFamily.load('tag36h11'), TagFamily.load('tagStandard41h12')]);
+    const place = (u, v, distance, tilt) => ({
+        translation: [(u - CAMERA.cx) / CAMERA.fx * distance, (v - CAMERA.cy) / CAMERA.fy * distance, distance],
+        rotationMatrix: LinAlg.rotationFromVector([tilt, -tilt, 0.3])
+    });
+    return new SyntheticScene({ camera: CAMERA, noise: 1 }).render([
+        { family: tag36h11, id: 0, size: 0.05, pose: place(110, 150, 0.35, 0.3) },
+        { family: tag36h11, id: 1, size: 0.16, pose: place(320, 150, 1.1, -0.2) },
+        { family: standard, id: 2, size: 0.1, pose: place(530, 150, 0.7, 0.25) },
+        { family: tag36h11, id: 5, size: 0.05, pose: place(320, 380, 0.35, 0) }
+    ]);
+}
+
+async function mapDetector(unknownTags) {
+    const detector = new AprilTagDetector();
+    detector.setParameters({ tagFamily: 'tag36h11', tagSize: 0.05, decimate: 1, cameraMatrix: CAMERA, tagMap: TagMap.parse(YAML), unknownTags });
+    await detector.initialize();
+    return detector;
+}
+
+test('detects every family of the map, each tag at its own size', async () => {
+    const { image, truth } = await renderMixedScene();
+    const detector = await mapDetector('flag');
+    const detections = detector.detect(image);
+
+    assert.deepStrictEqual(detections.map(d => `${d.family}:${d.id}`).sort(),
+        ['tag36h11:0', 'tag36h11:1', 'tag36h11:5', 'tagStandard41h12:2']);
+    truth.forEach(tag => {
+        const detection = detections.find(d => d.id === tag.id);
+        assert.strictEqual(detection.size, tag.size);
+        assert.strictEqual(detection.unknown, tag.id === 5);
+        const error = Transform.relative(tag.pose, detection.pose);
+        assert.ok(LinAlg.norm(error.translation) < 0.01 * tag.pose.translation[2], `tag ${tag.id} translation`);
+    });
+
+    // Bundle tags match detections of their family and take the map's sizes
+    const bundles = TagBundle.parse({ name: 'pair', tags: [{ id: 1 }, { id: 2, family: 'tagStandard41h12', position: [0.5, 0, 0] }] });
+    const [bundle] = detector.estimateBundlePoses(detections, bundles, image.width, image.height);
+    assert.deepStrictEqual(bundle.ids, [1, 2]);
+});
+
+test('a bundle tag without a family is the same tag as one of the selected family', () => {
+    const layout = [{ name: 'a', tags: [{ id: 3 }] }, { name: 'b', tags: [{ id: 3, family: 'tag36h11' }] }];
+    assert.throws(() => TagBundle.parse(layout, 'tag36h11'), /tag 3 already belongs to bundle "a"/);
+    assert.strictEqual(TagBundle.parse(layout, 'tag25h9').length, 2);
+});
+
+test('tags missing from the map can be ignored', async () => {
+    const { image } = await renderMixedScene();
+    const detector = await mapDetector('ignore');
+    assert.deepStrictEqual(detector.detect(image).map(d => d.id).sort(), [0, 1, 2]);
+
+    // Without a map nothing is unknown and only the selected family is decoded
+    detector.setParameters({ tagMap: null });
+    const detections = detector.detect(image);
+    assert.deepStrictEqual(detections.map(d => d.id).sort(), [0, 1, 5]);
+    assert.ok(detections.every(d => d.unknown === false && d.size === 0.05));
+});
+
+test('recordings key tags of other families by family and log their sizes', async () => {
+    const { image } = await renderMixedScene();
+    const detector = await mapDetector('flag');
+    const record = PoseRecorder.record({
+        time: 0,
+        parameters: { tagFamily: 'tag36h11', tagSize: 0.05 },
+        detections: detector.detect(image),
+        reference: 'tagStandard41h12:2'
+    });
+    assert.strictEqual(record.reference, 'tagStandard41h12:2');
+    assert.ok(record.tags.filter(tag => tag.family === 'tag36h11').every(tag => tag.relative));
+
+    const recorder = new PoseRecorder();
+    recorder.start();
+    recorder.add(record);
+    assert.deepStrictEqual(recorder.objectKeys(), ['0', '1', '5', 'tagStandard41h12:2']);
+    const rows = recorder.toCSV().trim().split('\n').slice(1).map(row => row.split(','));
+    const size = PoseRecorder.CSV_COLUMNS.indexOf('tag_size');
+    const id = PoseRecorder.CSV_COLUMNS.indexOf('id');
+    assert.deepStrictEqual(rows.map(row => [row[id], row[size]]).sort(), [['0', '0.05'], ['1', '0.16'], ['2', '0.1'], ['5', '0.05']]);
+});
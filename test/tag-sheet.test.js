@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TagFamily = require('../src/tag-family.js');
+const TagSheet = require('../src/tag-sheet.js');
+const AprilTagDetector = require('../apriltag.js');
+
+const PIXELS_PER_MM = 3;
+
+// Black rectangles of one SVG page as [x, y, width, height] in mm
+function svgRectangles(svg) {
+    const rectangles = [];
+    for (const path of svg.matchAll(/<path d="([^"]+)" fill="#000"\/>/g)) {
+        for (const match of path[1].matchAll(/M([\d.]+) ([\d.]+)h([\d.]+)v([\d.]+)h-[\d.]+z/g)) {
+            rectangles.push(match.slice(1, 5).map(Number));
+        }
+    }
+    return rectangles;
+}
+
+// The page printed on white paper, as RGBA image data
+function rasterize(sheet, rectangles) {
+    const width = Math.round(sheet.width * PIXELS_PER_MM);
+    const height = Math.round(sheet.height * PIXELS_PER_MM);
+    const data = new Uint8ClampedArray(width * height * 4).fill(255);
+    rectangles.forEach(([x, y, w, h]) => {
+        const [x0, y0, x1, y1] = [x, y, x + w, y + h].map(value => Math.round(value * PIXELS_PER_MM));
+        for (let py = y0; py < y1; py++) {
+            for (let px = x0; px < x1; px++) data.fill(0, 4 * (py * width + px), 4 * (py * width + px) + 3);
+        }
+    });
+    return { width, height, data };
+}
+
+test('parseIds reads lists and ranges', () => {
+    assert.deepStrictEqual(TagSheet.parseIds('0-3, 7,9 - 10'), [0, 1, 2, 3, 7, 9, 10]);
+    assert.throws(() => TagSheet.parseIds('5-2'), /backwards/);
+    assert.throws(() => TagSheet.parseIds('a'), /Cannot read/);
+    assert.throws(() => TagSheet.parseIds(' , '), /No tag IDs/);
+    // Huge ranges fail before they are expanded
+    assert.throws(() => TagSheet.parseIds('0-999999999'), /past the last ID/);
+    assert.throws(() => TagSheet.parseIds('0-29, 30', 30), /past the last ID, 29/);
+    assert.throws(() => TagSheet.parseIds('0-99999, 0-99999'), /More than/);
+});
+
+['tag36h11', 'tagStandard41h12'].forEach(name => {
+    test(`${name} sheet prints tags that decode at the requested size`, async () => {
+        const family = await TagFamily.load(name);
+        const sheet = new TagSheet(family, TagSheet.parseIds('0-3'), { tagSize: 30 });
+        const detector = new AprilTagDetector();
+        detector.setParameters({ tagFamily: name, tagSize: 0.03, decimate: 1 });
+        await detector.initialize();
+
+        const detections = detector.detect(rasterize(sheet, svgRectangles(sheet.toSVG(0))));
+        assert.deepStrictEqual(detections.map(detection => detection.id).sort(), [0, 1, 2, 3]);
+        detections.forEach(({ corners }) => {
+            const size = Math.hypot(corners[1][0] - corners[0][0], corners[1][1] - corners[0][1]) / PIXELS_PER_MM;
+            assert.ok(Math.abs(size - 30) < 0.5, `measured ${size.toFixed(2)} mm`);
+        });
+    });
+});
+
+test('layout fills pages in order within the margins', async () => {
+    const family = await TagFamily.load('tag36h11');
+    const ids = TagSheet.parseIds('0-29');
+    const sheet = new TagSheet(family, ids, { tagSize: 40, paper: 'letter', margin: 10 });
+    assert.ok(sheet.pages.length > 1);
+    assert.deepStrictEqual(sheet.pages.flat().map(item => item.id), ids);
+    sheet.pages.forEach(page => page.forEach(({ x, y }) => {
+        assert.ok(x >= 10 && y >= 10 && x < sheet.width - 10 && y < sheet.height - 10);
+    }));
+    assert.throws(() => new TagSheet(family, [family.codes.length]), /ID/);
+    assert.throws(() => new TagSheet(family, [0], { tagSize: 300 }));
+});
+
+test('PDF cross-reference table and stream lengths are consistent', async () => {
+    const family = await TagFamily.load('tag25h9');
+    const pdf = new TagSheet(family, TagSheet.parseIds('0-30'), { tagSize: 35 }).toPDF();
+    assert.ok(pdf.startsWith('%PDF-'));
+
+    const xref = parseInt(pdf.match(/startxref\n(\d+)/)[1]);
+    assert.strictEqual(pdf.slice(xref, xref + 4), 'xref');
+    const offsets = [...pdf.slice(xref).matchAll(/(\d{10}) 00000 n/g)].map(match => parseInt(match[1]));
+    offsets.forEach((offset, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj`, offset), `object ${i + 1}`));
+
+    for (const match of pdf.matchAll(/<< \/Length (\d+) >>\nstream\n/g)) {
+        const start = match.index + match[0].length;
+        assert.strictEqual(pdf.indexOf('\nendstream', start) - start, parseInt(match[1]));
+    }
+});
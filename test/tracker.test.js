@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PoseTracker = require('../src/tracker.js');
+const SyntheticScene = require('../src/synthetic.js');
+const Transform = require('../src/transform.js');
+const LinAlg = require('../src/linalg.js');
+const { assertClose } = require('./helpers.js');
+
+const FRAME = 33; // ms
+const VELOCITY = [0.1, -0.05, 0.2];     // m/s
+const ANGULAR_VELOCITY = [0.3, 0, -0.6]; // rad/s, camera frame
+const START = Transform.pose(Transform.matrixFromEuler([0.2, -0.1, 0.4]), [0.05, 0.02, 0.5]);
+
+// Tag 7 moving at constant velocity, at time (ms)
+function tag(time, noise = 0, scene = null) {
+    const t = time / 1000;
+    const jitter = () => (noise ? noise * scene.gaussian() : 0);
+    return {
+        id: 7,
+        pose: {
+            translation: START.translation.map((value, k) => value + VELOCITY[k] * t + jitter()),
+            rotationMatrix: LinAlg.multiply(LinAlg.rotationFromVector(ANGULAR_VELOCITY.map(value => value * t)), START.rotationMatrix)
+        }
+    };
+}
+
+function angleBetween(a, b) {
+    return Transform.rotationAngle(LinAlg.multiply(LinAlg.transpose(a), b));
+}
+
+test('estimates the velocity of a tag moving at constant velocity', () => {
+    ['kalman', 'none'].forEach(filter => {
+        const tracker = new PoseTracker({ filter });
+        let result;
+        for (let frame = 0; frame <= 90; frame++) {
+            [result] = tracker.update([tag(frame * FRAME)], frame * FRAME);
+        }
+        const expected = tag(90 * FRAME).pose;
+        assertClose(result.velocity, VELOCITY, 1e-6, `${filter} velocity`);
+        assertClose(result.angularVelocity, ANGULAR_VELOCITY, 1e-3, `${filter} angular velocity`);
+        assertClose(result.pose.translation, expected.translation, 1e-6, `${filter} position`);
+        assert.ok(angleBetween(result.pose.rotationMatrix, expected.rotationMatrix) < 1e-4, filter);
+        assert.strictEqual(result.rawPose, tracker.tracks.get(7).item.pose);
+        assert.strictEqual(result.stale, false);
+    });
+});
+
+test('smooths noisy positions', () => {
+    const scene = new SyntheticScene({ seed: 3 });
+    const tracker = new PoseTracker({ measurementNoise: 0.003, processNoise: 0.5 });
+    let rawError = 0;
+    let filteredError = 0;
+    for (let frame = 0; frame <= 200; frame++) {
+        const time = frame * FRAME;
+        const [result] = tracker.update([tag(time, 0.003, scene)], time);
+        if (frame < 50) continue;
+        const truth = tag(time).pose.translation;
+        const error = (pose) => LinAlg.norm(pose.translation.map((value, k) => value - truth[k])) ** 2;
+        rawError += error(result.rawPose);
+        filteredError += error(result.pose);
+    }
+    assert.ok(filteredError < 0.5 * rawError, `filtered ${filteredError}, raw ${rawError}`);
+});
+
+test('coasts a lost tag as stale, then drops it after the hold time', () => {
+    const tracker = new PoseTracker({ holdTime: 500 });
+    let time = 0;
+    for (; time <= 60 * FRAME; time += FRAME) tracker.update([tag(time)], time);
+    const lastSeen = time - FRAME;
+
+    // Extrapolated along its velocity while it is missing
+    const [coasting] = tracker.update([], lastSeen + 300);
+    assert.strictEqual(coasting.stale, true);
+    assert.strictEqual(coasting.lostFor, 300);
+    assertClose(coasting.pose.translation, tag(lastSeen + 300).pose.translation, 1e-6);
+    assert.ok(angleBetween(coasting.pose.rotationMatrix, tag(lastSeen + 300).pose.rotationMatrix) < 1e-3);
+
+    // Other tags come first, stale ones after
+    const other = { id: 3, pose: START };
+    assert.deepStrictEqual(tracker.update([other], lastSeen + 500).map(result => [result.id, result.stale]), [[3, false], [7, true]]);
+    assert.deepStrictEqual(tracker.update([other], lastSeen + 501).map(result => result.id), [3]);
+
+    // Seen again later, it starts over at rest
+    const [restarted] = tracker.update([tag(lastSeen + 600)], lastSeen + 600);
+    assert.deepStrictEqual(restarted.velocity, [0, 0, 0]);
+    assert.deepStrictEqual(restarted.pose.translation, tag(lastSeen + 600).pose.translation);
+});
+
+test('restarts the track when the pose flips', () => {
+    const tracker = new PoseTracker();
+    let time = 0;
+    for (; time <= 30 * FRAME; time += FRAME) tracker.update([tag(time)], time);
+
+    // The ambiguous pose of a planar tag: turned by a large angle
+    const measured = tag(time);
+    const flipped = { ...measured, pose: { ...measured.pose, rotationMatrix: LinAlg.multiply(measured.pose.rotationMatrix, LinAlg.rotationFromVector([2, 0, 0])) } };
+    const [result] = tracker.update([flipped], time);
+    assert.strictEqual(result.pose.rotationMatrix, flipped.pose.rotationMatrix);
+    assert.deepStrictEqual(result.pose.translation, flipped.pose.translation);
+    assert.deepStrictEqual(result.velocity, [0, 0, 0]);
+    assert.deepStrictEqual(result.angularVelocity, [0, 0, 0]);
+
+    // A turn below maxRotationJump is filtered as motion
+    const turned = { ...measured, pose: { ...measured.pose, rotationMatrix: LinAlg.multiply(flipped.pose.rotationMatrix, LinAlg.rotationFromVector([0.5, 0, 0])) } };
+    const [filtered] = tracker.update([turned], time + FRAME);
+    assert.ok(angleBetween(filtered.pose.rotationMatrix, turned.pose.rotationMatrix) > 0.01);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Transform = require('../src/transform.js');
+const LinAlg = require('../src/linalg.js');
+const { assertClose, assertSamePose } = require('./helpers.js');
+
+const EULER_ORDERS = ['XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX'];
+
+// Deterministic spread of rotations, including near the Euler gimbal lock
+const ROTATIONS = [
+    [0, 0, 0], [0.3, -0.2, 0.1], [-2.5, 1.2, 3.0], [1.0, Math.PI / 2 - 1e-4, -0.5], [0.2, 0.1, Math.PI]
+].map(vector => LinAlg.rotationFromVector(vector));
+
+const POSES = [
+    Transform.pose(ROTATIONS[1], [0.1, -0.2, 0.5]),
+    Transform.pose(ROTATIONS[2], [-1, 2, 3]),
+    Transform.pose(ROTATIONS[3], [0, 0, 0.25])
+];
+
+test('quaternion round trip', () => {
+    ROTATIONS.forEach(R => {
+        const q = Transform.quaternionFromMatrix(R);
+        assert.ok(Math.abs(Math.hypot(...q) - 1) < 1e-12);
+        assert.ok(q[0] >= 0, 'scalar part is non-negative');
+        assertClose(Transform.matrixFromQuaternion(q), R);
+    });
+});
+
+test('Euler angle round trip in every order', () => {
+    EULER_ORDERS.forEach(order => {
+        ROTATIONS.forEach(R => {
+            const angles = Transform.eulerFromMatrix(R, order);
+            assertClose(Transform.matrixFromEuler(angles, order), R, 1e-6, order);
+        });
+    });
+});
+
+test('Euler angles compose elementary rotations in order', () => {
+    const [a, b, c] = [0.4, -0.3, 1.1];
+    const R = Transform.matrixFromEuler([a, b, c], 'ZYX');
+    const Rz = Transform.matrixFromAxisAngle([0, 0, 1], a);
+    const Ry = Transform.matrixFromAxisAngle([0, 1, 0], b);
+    const Rx = Transform.matrixFromAxisAngle([1, 0, 0], c);
+    assertClose(R, LinAlg.multiply(LinAlg.multiply(Rz, Ry), Rx));
+    assertClose(Transform.eulerFromMatrix(R, 'ZYX'), [a, b, c]);
+    assert.throws(() => Transform.matrixFromEuler([0, 0, 0], 'XXY'));
+});
+
+test('axis-angle round trip', () => {
+    ROTATIONS.slice(1).forEach(R => {
+        const { axis, angle } = Transform.axisAngleFromMatrix(R);
+        assertClose(Transform.matrixFromAxisAngle(axis, angle), R, 1e-9);
+        assert.ok(Math.abs(Transform.rotationAngle(R) - angle) < 1e-9);
+    });
+});
+
+test('homogeneous matrix round trip', () => {
+    POSES.forEach(p => {
+        const T = Transform.toMatrix(p);
+        assertClose(T[3], [0, 0, 0, 1]);
+        assertSamePose(Transform.fromMatrix(T), p);
+    });
+});
+
+test('compose and invert', () => {
+    const identity = Transform.pose(LinAlg.identity(3), [0, 0, 0]);
+    POSES.forEach(p => {
+        assertSamePose(Transform.compose(p, Transform.invert(p)), identity);
+        assertSamePose(Transform.compose(Transform.invert(p), p), identity);
+        assertSamePose(Transform.invert(Transform.invert(p)), p);
+        assertSamePose(Transform.compose(p, identity), p);
+    });
+    const [a, b, c] = POSES;
+    assertSamePose(Transform.compose(Transform.compose(a, b), c), Transform.compose(a, Transform.compose(b, c)));
+    assertSamePose(Transform.invert(Transform.compose(a, b)), Transform.compose(Transform.invert(b), Transform.invert(a)));
+});
+
+test('relative pose identities', () => {
+    const [a, b, c] = POSES;
+    const identity = Transform.pose(LinAlg.identity(3), [0, 0, 0]);
+    assertSamePose(Transform.relative(a, a), identity);
+    // b seen from a, composed onto a, is b again
+    assertSamePose(Transform.compose(a, Transform.relative(a, b)), b);
+    assertSamePose(Transform.relative(a, b), Transform.invert(Transform.relative(b, a)));
+    // Relative poses chain
+    assertSamePose(Transform.compose(Transform.relative(a, b), Transform.relative(b, c)), Transform.relative(a, c));
+    // and do not depend on the frame both poses are expressed in
+    assertSamePose(Transform.relative(Transform.compose(c, a), Transform.compose(c, b)), Transform.relative(a, b));
+});
+
+test('applyPose maps tag points into the camera frame', () => {
+    const p = POSES[0];
+    const point = [0.01, -0.02, 0];
+    const expected = LinAlg.multiplyVector(p.rotationMatrix, point).map((value, k) => value + p.translation[k]);
+    assertClose(Transform.applyPose(p, point), expected);
+    assertClose(Transform.applyPose(Transform.invert(p), expected), point);
+});
+
+test('interpolation and slerp', () => {
+    const [a, b] = POSES;
+    assertSamePose(Transform.interpolate(a, b, 0), a);
+    assertSamePose(Transform.interpolate(a, b, 1), b);
+
+    const qa = Transform.quaternionFromMatrix(a.rotationMatrix);
+    const qb = Transform.quaternionFromMatrix(b.rotationMatrix);
+    const half = Transform.slerp(qa, qb, 0.5);
+    const angle = (p, q) => Transform.rotationAngle(Transform.relative(
+        Transform.pose(Transform.matrixFromQuaternion(p), [0, 0, 0]),
+        Transform.pose(Transform.matrixFromQuaternion(q), [0, 0, 0])).rotationMatrix);
+    assert.ok(Math.abs(angle(qa, half) - angle(half, qb)) < 1e-9, 'halfway rotation is equidistant');
+
+    const middle = Transform.interpolate(a, b, 0.5);
+    assertClose(middle.translation, a.translation.map((value, k) => (value + b.translation[k]) / 2));
+});
+
+test('quaternion multiplication matches matrix multiplication', () => {
+    const [R1, R2] = [ROTATIONS[1], ROTATIONS[2]];
+    const q = Transform.multiplyQuaternions(Transform.quaternionFromMatrix(R1), Transform.quaternionFromMatrix(R2));
+    assertClose(Transform.matrixFromQuaternion(q), LinAlg.multiply(R1, R2));
+});
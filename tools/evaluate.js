@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+// Detection and pose accuracy on synthetic frames (src/synthetic.js) with
+// known ground truth: renders random scenes, runs AprilTagDetector.detect on
+// them and reports the detection rate, false detections, corner error, and
+// translation and rotation error, overall and by distance.
+//
+//   node tools/evaluate.js [--family tag36h11] [--frames 50] [--noise 2] ...
+//
+// Run with --help for every option.
+
+const TagFamily = require('../src/tag-family.js');
+const SyntheticScene = require('../src/synthetic.js');
+const Transform = require('../src/transform.js');
+const AprilTagDetector = require('../apriltag.js');
+
+const OPTIONS = {
+    family: { value: 'tag36h11', help: 'tag family' },
+    frames: { value: 50, help: 'number of frames' },
+    tags: { value: 3, help: 'tags per frame' },
+    size: { value: 0.05, help: 'tag size in m, across the black border' },
+    distance: { value: [0.3, 1.5], help: 'range of tag distances in m, e.g. 0.3,1.5' },
+    tilt: { value: 60, help: 'largest tilt of a tag away from the camera in degrees' },
+    width: { value: 640, help: 'frame width in px' },
+    height: { value: 480, help: 'frame height in px' },
+    fov: { value: 64, help: 'horizontal field of view in degrees' },
+    noise: { value: 2, help: 'noise standard deviation in gray levels' },
+    blur: { value: 0.6, help: 'blur standard deviation in px' },
+    gradient: { value: 0, help: 'illumination change across the frame, e.g. 0.5' },
+    vignette: { value: 0, help: 'fraction of light lost in the corners' },
+    decimate: { value: 1, help: 'detector decimation' },
+    refine: { value: true, help: 'refine edges (--no-refine to turn off)' },
+    seed: { value: 1, help: 'random seed' },
+    json: { value: false, help: 'print the results as JSON' }
+};
+
+// Bounds of the distance bins in the report, in m
+const DISTANCE_BINS = [0, 0.5, 1, 2, 4, Infinity];
+
+function parseArgs(argv) {
+    const options = {};
+    Object.entries(OPTIONS).forEach(([name, { value }]) => { options[name] = value; });
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help') {
+            console.log('Usage: node tools/evaluate.js [options]\n');
+            Object.entries(OPTIONS).forEach(([name, { value, help }]) => {
+                console.log(`  --${name.padEnd(10)} ${help} (default ${Array.isArray(value) ? value.join(',') : value})`);
+            });
+            process.exit(0);
+        }
+        const name = arg.replace(/^--(no-)?/, '');
+        if (!arg.startsWith('--') || !(name in OPTIONS)) {
+            console.error(`Unknown option ${arg}`);
+            process.exit(1);
+        }
+
+        const current = OPTIONS[name].value;
+        if (typeof current === 'boolean') {
+            options[name] = !arg.startsWith('--no-');
+        } else if (Array.isArray(current)) {
+            options[name] = argv[++i].split(',').map(parseFloat);
+        } else if (typeof current === 'number') {
+            options[name] = parseFloat(argv[++i]);
+        } else {
+            options[name] = argv[++i];
+        }
+    }
+    return options;
+}
+
+// Render options.frames random scenes and detect them. Returns per frame the
+// ground truth and the matched detections.
+async function evaluate(options) {
+    const family = await TagFamily.load(options.family);
+    const focal = options.width / 2 / Math.tan(options.fov * Math.PI / 360);
+    const camera = { fx: focal, fy: focal, cx: options.width / 2, cy: options.height / 2 };
+    const scene = new SyntheticScene({
+        width: options.width,
+        height: options.height,
+        camera,
+        noise: options.noise,
+        blur: options.blur,
+        gradient: [options.gradient, options.gradient / 2],
+        vignette: options.vignette,
+        seed: options.seed
+    });
+
+    const detector = new AprilTagDetector();
+    detector.setParameters({
+        tagFamily: options.family,
+        tagSize: options.size,
+        decimate: options.decimate,
+        refineEdges: options.refine,
+        cameraMatrix: { ...camera, width: options.width, height: options.height }
+    });
+    await detector.initialize();
+
+    const frames = [];
+    for (let frame = 0; frame < options.frames; frame++) {
+        const tags = randomTags(scene, family, options);
+        const { image, truth } = scene.render(tags);
+
+        const start = process.hrtime.bigint();
+        const detections = detector.detect(image);
+        const time = Number(process.hrtime.bigint() - start) / 1e6;
+
+        frames.push({ truth, detections, time, matches: match(truth, detections) });
+    }
+    return frames;
+}
+
+// Distinct IDs spread over the frame: one tag per column of the frame, at a
+// random height, distance and attitude
+function randomTags(scene, family, options) {
+    const random = scene.random;
+    const ids = new Set();
+    while (ids.size < Math.min(options.tags, family.codes.length)) {
+        ids.add(Math.floor(random() * family.codes.length));
+    }
+
+    const [near, far] = options.distance;
+    return [...ids].map((id, column) => {
+        const pixel = [
+            options.width * (column + 0.3 + 0.4 * random()) / ids.size,
+            options.height * (0.3 + 0.4 * random())
+        ];
+        const distance = near + (far - near) * random();
+        const pose = scene.randomPose({ pixel, distance, maxTilt: options.tilt * Math.PI / 180 });
+        return { family, id, size: options.size, pose };
+    });
+}
+
+// Errors of the detections against the truth, by ID
+function match(truth, detections) {
+    return truth.map(tag => {
+        const detection = detections.find(candidate => candidate.id === tag.id);
+        if (!detection) return { tag, detected: false };
+
+        const cornerError = Math.sqrt(tag.corners.reduce((sum, [u, v], k) =>
+            sum + (u - detection.corners[k][0]) ** 2 + (v - detection.corners[k][1]) ** 2, 0) / 4);
+        const result = { tag, detected: true, cornerError, hamming: detection.hamming };
+        if (detection.pose) {
+            const error = Transform.relative(tag.pose, detection.pose);
+            result.translationError = Math.hypot(...error.translation);
+            result.rotationError = Transform.rotationAngle(error.rotationMatrix) * 180 / Math.PI;
+            // The mirrored solution of a planar target would have been closer
+            if (detection.alternativePose) {
+                const alternative = Transform.relative(tag.pose, detection.alternativePose);
+                result.flipped = Transform.rotationAngle(alternative.rotationMatrix) < Transform.rotationAngle(error.rotationMatrix);
+            }
+        }
+        return result;
+    });
+}
+
+function statistics(values) {
+    if (!values.length) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const at = (fraction) => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+    return {
+        mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+        median: at(0.5),
+        p95: at(0.95),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+// Detection rate and error statistics of the tags fully inside the frame
+function summarize(frames) {
+    const results = frames.flatMap(frame => frame.matches.filter(result => result.tag.visible));
+    const summary = (subset) => {
+        const detected = subset.filter(result => result.detected);
+        const posed = detected.filter(result => result.translationError !== undefined);
+        return {
+            tags: subset.length,
+            detected: detected.length,
+            rate: subset.length ? detected.length / subset.length : null,
+            cornerError: statistics(detected.map(result => result.cornerError)),
+            translationError: statistics(posed.map(result => result.translationError)),
+            relativeTranslationError: statistics(posed.map(result => result.translationError / Math.hypot(...result.tag.pose.translation))),
+            rotationError: statistics(posed.map(result => result.rotationError)),
+            flipped: posed.filter(result => result.flipped).length
+        };
+    };
+
+    let falseDetections = 0;
+    frames.forEach(frame => {
+        const ids = new Set(frame.truth.map(tag => tag.id));
+        falseDetections += frame.detections.filter(detection => !ids.has(detection.id)).length;
+    });
+
+    const byDistance = [];
+    for (let i = 0; i + 1 < DISTANCE_BINS.length; i++) {
+        const [low, high] = [DISTANCE_BINS[i], DISTANCE_BINS[i + 1]];
+        const subset = results.filter(result => {
+            const distance = Math.hypot(...result.tag.pose.translation);
+            return distance >= low && distance < high;
+        });
+        if (subset.length) byDistance.push({ low, high, ...summary(subset) });
+    }
+
+    return {
+        frames: frames.length,
+        ...summary(results),
+        outOfFrame: frames.reduce((sum, frame) => sum + frame.matches.filter(result => !result.tag.visible).length, 0),
+        falseDetections,
+        detectionTime: statistics(frames.map(frame => frame.time)),
+        byDistance
+    };
+}
+
+function report(summary, options) {
+    const format = (stats, scale, digits) => stats
+        ? `mean ${(stats.mean * scale).toFixed(digits)}  median ${(stats.median * scale).toFixed(digits)}  p95 ${(stats.p95 * scale).toFixed(digits)}  max ${(stats.max * scale).toFixed(digits)}`
+        : '-';
+    const percent = (value) => value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+
+    const lines = [
+        `${summary.frames} frames of ${options.tags} ${options.family} tags (${options.size * 1000} mm), ` +
+        `${options.width}x${options.height}, noise ${options.noise}, blur ${options.blur}, decimate ${options.decimate}`,
+        '',
+        `Detected        ${summary.detected} / ${summary.tags} (${percent(summary.rate)}), ` +
+        `${summary.falseDetections} false, ${summary.outOfFrame} partly out of frame (not counted)`,
+        `Corner error    px   ${format(summary.cornerError, 1, 3)}`,
+        `Translation     mm   ${format(summary.translationError, 1000, 2)}`,
+        `                %    ${format(summary.relativeTranslationError, 100, 2)} of the distance`,
+        `Rotation        deg  ${format(summary.rotationError, 1, 2)}`,
+        `Flipped poses        ${summary.flipped} (the alternative pose was the right one)`,
+        `Detection time  ms   ${format(summary.detectionTime, 1, 1)}`,
+        '',
+        'By distance     detected          corner px   translation mm   rotation deg  (medians)'
+    ];
+    summary.byDistance.forEach(bin => {
+        const range = `${bin.low}-${bin.high === Infinity ? '' : bin.high} m`.padEnd(16);
+        const median = (stats, scale, digits) => (stats ? (stats.median * scale).toFixed(digits) : '-');
+        lines.push(range +
+            `${bin.detected}/${bin.tags} (${percent(bin.rate)})`.padEnd(18) +
+            median(bin.cornerError, 1, 3).padStart(9) +
+            median(bin.translationError, 1000, 2).padStart(17) +
+            median(bin.rotationError, 1, 2).padStart(15));
+    });
+    return lines.join('\n');
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const summary = summarize(await evaluate(options));
+    console.log(options.json ? JSON.stringify({ options, ...summary }, null, 2) : report(summary, options));
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { evaluate, summarize, report, match, statistics };
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+// Reference consumer for the pose stream (src/pose-publisher.js): a minimal
+// WebSocket server, with no dependencies, that logs every frame it receives.
+//
+//   node tools/pose-server.js [--port 8765] [--host 127.0.0.1] [--json] [--delay ms]
+//
+// --json prints each message as received instead of a summary line.
+// --delay stops reading for that long after each message, to simulate a
+// slow consumer and see the publisher drop frames.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 16 * 1024 * 1024;
+
+function parseArgs(argv) {
+    const options = { port: 8765, host: '127.0.0.1', json: false, delay: 0 };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port': options.port = parseInt(argv[++i]); break;
+            case '--host': options.host = argv[++i]; break;
+            case '--json': options.json = true; break;
+            case '--delay': options.delay = parseFloat(argv[++i]); break;
+            case '--help':
+                console.log('Usage: node tools/pose-server.js [--port 8765] [--host 127.0.0.1] [--json] [--delay ms]');
+                process.exit(0);
+                break;
+            default:
+                console.error(`Unknown option ${argv[i]}`);
+                process.exit(1);
+        }
+    }
+    return options;
+}
+
+// Server frames are never masked and never fragmented
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Splits the bytes received from one client into messages
+class FrameReader {
+    constructor(onMessage, onClose, send) {
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.send = send;
+    }
+
+    push(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        let frame;
+        while ((frame = this.nextFrame())) {
+            this.handle(frame);
+        }
+    }
+
+    nextFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (length > MAX_MESSAGE) throw new Error('message too large');
+        if (!masked) throw new Error('client frames must be masked');
+
+        if (buffer.length < offset + 4 + length) return null;
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    handle({ fin, opcode, payload }) {
+        switch (opcode) {
+            case 0x0: // continuation
+            case 0x1: // text
+            case 0x2: // binary
+                this.fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.onMessage(message);
+                }
+                break;
+            case 0x8: // close: echo the status code back
+                this.send(encodeFrame(0x8, payload.subarray(0, 2)));
+                this.onClose(payload.length >= 2 ? payload.readUInt16BE(0) : 1005);
+                break;
+            case 0x9: // ping
+                this.send(encodeFrame(0xA, payload));
+                break;
+            default: // pong and reserved opcodes
+                break;
+        }
+    }
+}
+
+function formatVector(v) {
+    return `(${v.map(value => value.toFixed(3)).join(', ')})`;
+}
+
+// One line per frame: the tags seen and where each one is, relative to the
+// reference when there is one
+function summarize(message) {
+    const stamp = typeof message.time === 'number' ? message.time.toFixed(3) : '-';
+    const objects = [
+        ...(message.tags || []).map(tag => ({ label: `tag ${tag.id}`, pose: tag.pose, relative: tag.relative })),
+        ...(message.bundles || []).map(bundle => ({ label: `bundle ${bundle.name}`, pose: bundle.pose, relative: bundle.relative }))
+    ];
+    if (!objects.length) return `#${message.seq} t=${stamp} no tags`;
+
+    const reference = message.reference !== null && message.reference !== undefined ? ` ref ${message.reference}` : '';
+    const parts = objects.map(({ label, pose, relative }) => relative
+        ? `${label} ${formatVector(relative.translation)} m from ref`
+        : `${label} ${formatVector(pose.translation)} m from camera`);
+    return `#${message.seq} t=${stamp}${reference}: ${parts.join('; ')}`;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    let nextClient = 1;
+
+    const server = http.createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('AprilTag pose server: connect with a WebSocket\n');
+    });
+
+    server.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        const client = nextClient++;
+        let lastSeq = null;
+        console.log(`client ${client} connected from ${request.socket.remoteAddress}`);
+
+        const reader = new FrameReader(
+            (text) => {
+                let message;
+                try {
+                    message = JSON.parse(text);
+                } catch (error) {
+                    console.log(`client ${client}: invalid JSON (${error.message})`);
+                    return;
+                }
+
+                // The publisher numbers every frame, sent or not
+                if (lastSeq !== null && message.seq > lastSeq + 1) {
+                    console.log(`client ${client}: ${message.seq - lastSeq - 1} frame(s) dropped by the publisher`);
+                }
+                lastSeq = message.seq;
+                console.log(options.json ? text : summarize(message));
+
+                if (options.delay > 0) {
+                    socket.pause();
+                    setTimeout(() => socket.resume(), options.delay);
+                }
+            },
+            (code) => {
+                console.log(`client ${client} closed (${code})`);
+                socket.end();
+            },
+            (bytes) => socket.write(bytes)
+        );
+
+        socket.on('data', (chunk) => {
+            try {
+                reader.push(chunk);
+            } catch (error) {
+                console.log(`client ${client}: ${error.message}`);
+                socket.end(encodeFrame(0x8, Buffer.from([0x03, 0xEA]))); // 1002 protocol error
+            }
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => console.log(`client ${client} disconnected`));
+    });
+
+    server.listen(options.port, options.host, () => {
+        console.log(`Listening on ws://${options.host}:${options.port}`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { FrameReader, encodeFrame, summarize };
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+// Renders the synthetic regression images in test/fixtures with
+// src/synthetic.js, each with a JSON file holding the detector settings and
+// the true IDs and corners (see test/fixtures.test.js for the format).
+// The scenes are seeded, so a rerun reproduces the same files; only rerun it
+// after changing a scene below or the renderer.
+//
+//   node tools/render-fixtures.js
+
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+const TagFamily = require('../src/tag-family.js');
+const SyntheticScene = require('../src/synthetic.js');
+const Transform = require('../src/transform.js');
+
+const FIXTURES = path.join(__dirname, '..', 'test', 'fixtures');
+
+// Tags are placed by the pixel of their center, their distance (m) and their
+// attitude as XYZ Euler angles (degrees)
+const SCENES = [
+    {
+        name: 'tag36h11-noise-blur',
+        description: 'Three tilted tag36h11 tags with sensor noise and defocus blur',
+        family: 'tag36h11',
+        format: 'png',
+        scene: { width: 480, height: 360, noise: 3, blur: 0.8, seed: 11 },
+        tolerance: 0.5,
+        tags: [
+            { id: 7, size: 0.05, pixel: [110, 130], distance: 0.45, angles: [25, -15, 10] },
+            { id: 42, size: 0.05, pixel: [300, 110], distance: 0.6, angles: [-10, 40, -30] },
+            { id: 300, size: 0.08, pixel: [250, 260], distance: 0.7, angles: [45, 10, 95] }
+        ]
+    },
+    {
+        name: 'tag25h9-barrel',
+        description: 'tag25h9 tags seen through a wide lens with strong barrel distortion, one near the frame corner',
+        family: 'tag25h9',
+        format: 'jpg',
+        scene: {
+            width: 640,
+            height: 480,
+            camera: { fx: 380, fy: 380, cx: 319.5, cy: 239.5 },
+            distortion: { model: 'brown-conrady', k1: -0.28, k2: 0.08 },
+            noise: 1.5,
+            blur: 0.5,
+            seed: 25
+        },
+        tolerance: 0.5,
+        tags: [
+            { id: 3, size: 0.06, pixel: [300, 230], distance: 0.5, angles: [0, 20, 15] },
+            { id: 30, size: 0.06, pixel: [560, 400], distance: 0.45, angles: [-20, -20, -40] }
+        ]
+    },
+    {
+        name: 'tagStandard41h12-lighting',
+        description: 'Steeply tilted tagStandard41h12 tags under a strong lighting gradient and vignetting',
+        family: 'tagStandard41h12',
+        format: 'jpg',
+        scene: { width: 640, height: 480, gradient: [0.7, 0.3], vignette: 0.45, noise: 2, blur: 0.6, seed: 41 },
+        tolerance: 0.5,
+        tags: [
+            { id: 0, size: 0.05, pixel: [170, 220], distance: 0.4, angles: [55, 0, 5] },
+            { id: 2114, size: 0.05, pixel: [470, 260], distance: 0.45, angles: [10, -60, 180] }
+        ]
+    },
+    {
+        name: 'tagCircle21h7-small',
+        description: 'Small, distant tagCircle21h7 tags, about 25 px across',
+        family: 'tagCircle21h7',
+        format: 'png',
+        scene: { width: 320, height: 240, noise: 1, blur: 0.4, seed: 21 },
+        tolerance: 0.5,
+        tags: [
+            { id: 1, size: 0.05, pixel: [90, 120], distance: 0.5, angles: [10, 10, 30] },
+            { id: 37, size: 0.05, pixel: [230, 100], distance: 0.55, angles: [-15, 20, -60] }
+        ]
+    }
+];
+
+async function renderScene(spec) {
+    const family = await TagFamily.load(spec.family);
+    const scene = new SyntheticScene(spec.scene);
+    const degrees = Math.PI / 180;
+    const tags = spec.tags.map(tag => {
+        const { fx, fy, cx, cy } = scene.camera;
+        const direction = [(tag.pixel[0] - cx) / fx, (tag.pixel[1] - cy) / fy, 1];
+        const pose = {
+            translation: direction.map(value => value * tag.distance),
+            rotationMatrix: Transform.matrixFromEuler(tag.angles.map(angle => angle * degrees))
+        };
+        return { family, id: tag.id, size: tag.size, pose };
+    });
+    const { image, truth } = scene.render(tags);
+
+    const { width, height } = scene.options;
+    const { camera, distortion } = scene;
+    const file = `${spec.name}.${spec.format}`;
+    fs.writeFileSync(path.join(FIXTURES, file), encode(image, spec.format));
+
+    const round = (value) => Math.round(value * 1000) / 1000;
+    const expected = {
+        description: `${spec.description}. Rendered by tools/render-fixtures.js; corners are the true ones.`,
+        image: file,
+        rendered: true,
+        family: spec.family,
+        decimate: 1,
+        intrinsics: { fx: camera.fx, fy: camera.fy, cx: camera.cx, cy: camera.cy, width, height, distortion },
+        tolerance: spec.tolerance,
+        tags: truth.map(tag => ({ id: tag.id, corners: tag.corners.map(corner => corner.map(round)) }))
+    };
+    fs.writeFileSync(path.join(FIXTURES, `${spec.name}.json`), JSON.stringify(expected, null, 2) + '\n');
+    return file;
+}
+
+// Gray PNG (one channel keeps the files small) or JPEG
+function encode(image, format) {
+    if (format === 'jpg') {
+        return jpeg.encode({ width: image.width, height: image.height, data: Buffer.from(image.data.buffer) }, 92).data;
+    }
+    const png = new PNG({ width: image.width, height: image.height, colorType: 0, inputColorType: 6, inputHasAlpha: true });
+    png.data = Buffer.from(image.data.buffer);
+    return PNG.sync.write(png, { colorType: 0, inputColorType: 6, inputHasAlpha: true });
+}
+
+async function main() {
+    fs.mkdirSync(FIXTURES, { recursive: true });
+    for (const spec of SCENES) {
+        console.log(await renderScene(spec));
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
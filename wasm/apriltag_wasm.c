@@ -0,0 +1,161 @@
+// Thin C API over the reference AprilTag library for the WebAssembly backend
+// (src/wasm-detector.js). One detector instance lives in the module; the
+// caller writes a grayscale frame into atw_image_buffer(), runs atw_detect()
+// and reads RESULT_STRIDE doubles per detection from atw_results():
+//
+//   id, hamming, decision_margin, center x, center y, then the four corners
+//   (x, y) in the library's order (counter-clockwise from bottom-left)
+//
+// Coordinates use the library's convention, pixel centers at integer + 0.5,
+// the same as the JavaScript backend.
+
+#include <stdint.h>
+#include <stdlib.h>
+#include <string.h>
+
+#include <emscripten/emscripten.h>
+
+#include "apriltag.h"
+#include "tag16h5.h"
+#include "tag25h9.h"
+#include "tag36h11.h"
+#include "tagCircle21h7.h"
+#include "tagCircle49h12.h"
+#include "tagCustom48h12.h"
+#include "tagStandard41h12.h"
+#include "tagStandard52h13.h"
+
+#define RESULT_STRIDE 13
+
+typedef struct {
+    const char *name;
+    apriltag_family_t *(*create)(void);
+    void (*destroy)(apriltag_family_t *);
+} family_entry_t;
+
+static const family_entry_t FAMILIES[] = {
+    { "tag36h11", tag36h11_create, tag36h11_destroy },
+    { "tag25h9", tag25h9_create, tag25h9_destroy },
+    { "tag16h5", tag16h5_create, tag16h5_destroy },
+    { "tagCircle21h7", tagCircle21h7_create, tagCircle21h7_destroy },
+    { "tagCircle49h12", tagCircle49h12_create, tagCircle49h12_destroy },
+    { "tagCustom48h12", tagCustom48h12_create, tagCustom48h12_destroy },
+    { "tagStandard41h12", tagStandard41h12_create, tagStandard41h12_destroy },
+    { "tagStandard52h13", tagStandard52h13_create, tagStandard52h13_destroy },
+};
+
+static apriltag_detector_t *detector;
+static const family_entry_t *family_entry;
+static apriltag_family_t *family;
+static int max_hamming = 2;
+
+static image_u8_t *image;
+static double *results;
+static int results_capacity;
+
+static void ensure_detector(void)
+{
+    if (!detector) {
+        detector = apriltag_detector_create();
+        detector->nthreads = 1; // no pthreads in this build
+    }
+}
+
+// The quick-decode table depends on the number of corrected bits, so the
+// family is re-added whenever that changes
+static void attach_family(void)
+{
+    apriltag_detector_clear_families(detector);
+    if (family) {
+        apriltag_detector_add_family_bits(detector, family, max_hamming);
+    }
+}
+
+// Select the tag family by its name in families/. Returns 0 on success,
+// -1 for an unknown family.
+EMSCRIPTEN_KEEPALIVE int atw_set_family(const char *name)
+{
+    ensure_detector();
+
+    for (size_t i = 0; i < sizeof(FAMILIES) / sizeof(FAMILIES[0]); i++) {
+        if (strcmp(FAMILIES[i].name, name) != 0) {
+            continue;
+        }
+        if (family_entry != &FAMILIES[i]) {
+            apriltag_detector_clear_families(detector);
+            if (family) {
+                family_entry->destroy(family);
+            }
+            family_entry = &FAMILIES[i];
+            family = family_entry->create();
+            attach_family();
+        }
+        return 0;
+    }
+    return -1;
+}
+
+EMSCRIPTEN_KEEPALIVE void atw_set_parameters(float decimate, float sigma, int refine_edges, int hamming)
+{
+    ensure_detector();
+    detector->quad_decimate = decimate;
+    detector->quad_sigma = sigma;
+    detector->refine_edges = refine_edges;
+
+    if (hamming != max_hamming) {
+        max_hamming = hamming;
+        attach_family();
+    }
+}
+
+// Grayscale buffer (stride = width) the next frame is written into
+EMSCRIPTEN_KEEPALIVE uint8_t *atw_image_buffer(int width, int height)
+{
+    if (!image || image->width != width || image->height != height) {
+        if (image) {
+            image_u8_destroy(image);
+        }
+        image = image_u8_create_stride(width, height, width);
+    }
+    return image->buf;
+}
+
+// Detect tags in the image buffer; returns the number of detections
+EMSCRIPTEN_KEEPALIVE int atw_detect(void)
+{
+    if (!detector || !family || !image) {
+        return 0;
+    }
+
+    zarray_t *detections = apriltag_detector_detect(detector, image);
+    int count = zarray_size(detections);
+
+    if (count > results_capacity) {
+        results = realloc(results, (size_t)count * RESULT_STRIDE * sizeof(double));
+        results_capacity = count;
+    }
+
+    for (int i = 0; i < count; i++) {
+        apriltag_detection_t *detection;
+        zarray_get(detections, i, &detection);
+
+        double *r = results + i * RESULT_STRIDE;
+        r[0] = detection->id;
+        r[1] = detection->hamming;
+        r[2] = detection->decision_margin;
+        r[3] = detection->c[0];
+        r[4] = detection->c[1];
+        for (int k = 0; k < 4; k++) {
+            r[5 + 2 * k] = detection->p[k][0];
+            r[6 + 2 * k] = detection->p[k][1];
+        }
+    }
+
+    apriltag_detections_destroy(detections);
+    return count;
+}
+
+EMSCRIPTEN_KEEPALIVE double *atw_results(void)
+{
+    return results;
+}
@@ -0,0 +1,58 @@
+#!/bin/sh
+# Build the WebAssembly backend from the reference AprilTag C library.
+#
+# Requires git and the Emscripten SDK (emcc on the PATH). Writes
+# build/apriltag-wasm.js and build/apriltag-wasm.wasm, which the app loads
+# when the WebAssembly backend is selected.
+
+set -e
+
+APRILTAG_REPO=https://github.com/AprilRobotics/apriltag.git
+APRILTAG_VERSION=${APRILTAG_VERSION:-v3.4.2}
+
+cd "$(dirname "$0")"
+
+if [ ! -d apriltag ]; then
+    git clone --depth 1 --branch "$APRILTAG_VERSION" "$APRILTAG_REPO" apriltag
+fi
+
+mkdir -p build
+
+emcc -O3 -DNDEBUG \
+    -Iapriltag \
+    apriltag_wasm.c \
+    apriltag/apriltag.c \
+    apriltag/apriltag_quad_thresh.c \
+    apriltag/tag16h5.c \
+    apriltag/tag25h9.c \
+    apriltag/tag36h11.c \
+    apriltag/tagCircle21h7.c \
+    apriltag/tagCircle49h12.c \
+    apriltag/tagCustom48h12.c \
+    apriltag/tagStandard41h12.c \
+    apriltag/tagStandard52h13.c \
+    apriltag/common/g2d.c \
+    apriltag/common/homography.c \
+    apriltag/common/image_u8.c \
+    apriltag/common/image_u8x3.c \
+    apriltag/common/image_u8x4.c \
+    apriltag/common/matd.c \
+    apriltag/common/pam.c \
+    apriltag/common/pnm.c \
+    apriltag/common/string_util.c \
+    apriltag/common/svd22.c \
+    apriltag/common/time_util.c \
+    apriltag/common/unionfind.c \
+    apriltag/common/workerpool.c \
+    apriltag/common/zarray.c \
+    apriltag/common/zhash.c \
+    apriltag/common/zmaxheap.c \
+    -s MODULARIZE=1 \
+    -s EXPORT_NAME=createAprilTagWasm \
+    -s ENVIRONMENT=web,worker,node \
+    -s ALLOW_MEMORY_GROWTH=1 \
+    -s EXPORTED_FUNCTIONS=_malloc,_free \
+    -s EXPORTED_RUNTIME_METHODS=cwrap,HEAPU8,HEAPF64 \
+    -o build/apriltag-wasm.js
+
+echo "Built $(pwd)/build/apriltag-wasm.js"